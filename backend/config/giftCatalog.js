@@ -0,0 +1,14 @@
+// 🎁 แคตตาล็อกของขวัญที่ส่งในแชทได้ (ราคาเป็น Coins)
+// sticker = อีโมจิที่แสดงในรายการแชท, animation = ชื่อแอนิเมชันที่แอปมือถือเล่นตอนเปิดข้อความของขวัญ
+const GIFTS = [
+  { id: 'rose', name: 'กุหลาบ', sticker: '🌹', animation: 'rose_bloom', priceCoins: 10 },
+  { id: 'coffee', name: 'กาแฟ', sticker: '☕', animation: 'coffee_steam', priceCoins: 30 },
+  { id: 'heart', name: 'หัวใจ', sticker: '💖', animation: 'heart_burst', priceCoins: 50 },
+  { id: 'cake', name: 'เค้ก', sticker: '🎂', animation: 'cake_candles', priceCoins: 100 },
+  { id: 'trophy', name: 'ถ้วยรางวัล', sticker: '🏆', animation: 'trophy_shine', priceCoins: 500 },
+  { id: 'rocket', name: 'จรวด', sticker: '🚀', animation: 'rocket_launch', priceCoins: 1000 }
+];
+
+const getGift = (id) => GIFTS.find(gift => gift.id === id) || null;
+
+module.exports = { GIFTS, getGift };
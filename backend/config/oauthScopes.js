@@ -0,0 +1,61 @@
+// 📜 ทะเบียน Scope ของ OAuth ที่แอปภายนอกขอได้ (ชื่อ/คำอธิบายใช้แสดงในหน้า Consent)
+// audience: 'user' = ขอผ่านการอนุญาตของผู้ใช้, 'app' = token ของแอปเอง (client_credentials) เท่านั้น
+const SCOPES = {
+  openid: {
+    title: 'ยืนยันตัวตนของคุณ',
+    description: 'ให้แอปรู้ว่าคุณคือใครผ่านบัญชี ChatChat'
+  },
+  profile: {
+    title: 'ข้อมูลโปรไฟล์พื้นฐาน',
+    description: 'ชื่อผู้ใช้ ไอดี และรูปโปรไฟล์'
+  },
+  email: {
+    title: 'อีเมล',
+    description: 'อีเมลที่ใช้กับบัญชีและสถานะการยืนยันอีเมล'
+  },
+  phone: {
+    title: 'เบอร์โทรศัพท์',
+    description: 'เบอร์โทรศัพท์และสถานะการยืนยันเบอร์'
+  },
+  'friends.read': {
+    title: 'ดูรายชื่อเพื่อน',
+    description: 'รายชื่อเพื่อนของคุณบน ChatChat'
+  },
+  'wallet.pay': {
+    title: 'ชำระเงินด้วย Coins',
+    description: 'ขอชำระเงินจาก Wallet ของคุณ (ต้องยืนยันทุกครั้ง)'
+  },
+  'chat.send': {
+    title: 'ส่งข้อความในนามคุณ',
+    description: 'ส่งข้อความไปยังแชทของคุณ'
+  },
+  'app.usage.read': {
+    title: 'ดูสถิติการใช้งาน API ของแอป',
+    description: 'จำนวน request และโควตาของแอป',
+    audience: 'app'
+  }
+};
+
+const scopesFor = (audience) => Object.keys(SCOPES).filter(name => (SCOPES[name].audience || 'user') === audience);
+
+// Scope ที่ใช้เมื่อแอปไม่ได้ระบุ scope มา (คงพฤติกรรมเดิมของระบบ)
+const DEFAULT_SCOPE = 'profile email';
+
+/**
+ * แยก scope string เป็น array และตรวจว่าทุกตัวอยู่ในทะเบียนและขอได้ในบริบทนี้
+ * @param {string} audience - 'user' (authorization_code) หรือ 'app' (client_credentials ค่าเริ่มต้นคือทุก scope ของแอป)
+ * @returns {{ scopes: string[], invalid: string[] }}
+ */
+const parseRequestedScope = (scope, audience = 'user') => {
+  const allowed = scopesFor(audience);
+  const fallback = audience === 'app' ? allowed.join(' ') : DEFAULT_SCOPE;
+  const requested = [...new Set(String(scope || fallback).split(' ').filter(Boolean))];
+  return {
+    scopes: requested.filter(s => allowed.includes(s)),
+    invalid: requested.filter(s => !allowed.includes(s))
+  };
+};
+
+const describeScopes = (scopes) => scopes.map(name => ({ name, ...SCOPES[name] }));
+
+module.exports = { SCOPES, DEFAULT_SCOPE, scopesFor, parseRequestedScope, describeScopes };
@@ -0,0 +1,16 @@
+// 📬 ทะเบียน Event ที่แอปพาร์ทเนอร์สมัครรับผ่าน webhook ได้ (คำอธิบายใช้แสดงใน Developer Portal)
+const WEBHOOK_EVENTS = {
+  'consent.revoked': 'ผู้ใช้ยกเลิกการเชื่อมต่อแอป (ลบความยินยอมและ token ทั้งหมด)',
+  'payment.completed': 'ผู้ใช้ยืนยันและชำระเงินด้วย Coins สำเร็จ',
+  'payment.failed': 'การชำระเงินล้มเหลว เช่น Coins ไม่พอ',
+  'payment.declined': 'ผู้ใช้ปฏิเสธคำขอชำระเงิน',
+  'payment.expired': 'คำขอชำระเงินหมดเวลาก่อนผู้ใช้ยืนยัน',
+  'official_account.message_received': 'มีผู้ใช้ส่งข้อความถึงบัญชีทางการของแอป'
+};
+
+// event ทดสอบจากปุ่ม "ส่ง test event" ส่งได้เสมอโดยไม่ต้องสมัครรับ
+const TEST_EVENT = 'webhook.test';
+
+const isValidEvent = (type) => Object.prototype.hasOwnProperty.call(WEBHOOK_EVENTS, type);
+
+module.exports = { WEBHOOK_EVENTS, TEST_EVENT, isValidEvent };
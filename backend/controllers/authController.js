@@ -1,54 +1,90 @@
 const User = require('../models/User');
-const Wallet = require('../models/Wallet');
-const Chat = require('../models/Chat');
-const Message = require('../models/Message');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const AuditLog = require('../models/AuditLog');
+const crypto = require('crypto');
 const { validationResult } = require('express-validator');
-const mongoose = require('mongoose');
+const AuthService = require('../models/AuthService');
+const SessionService = require('../models/SessionService');
+const TwoFactorService = require('../models/TwoFactorService');
+const EmailService = require('../models/EmailService');
+const LoginThrottleService = require('../models/LoginThrottleService');
+const FederatedIdentityService = require('../models/FederatedIdentityService');
+const OneTimeCodeService = require('../models/OneTimeCodeService');
+const LoginHistoryService = require('../models/LoginHistoryService');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // ลิงก์รีเซ็ตรหัสผ่านมีอายุ 1 ชั่วโมง
+const PASSWORD_RESET_COOLDOWN_MS = 60 * 1000; // ขอลิงก์ใหม่ได้ทุก 1 นาที
 
 // --- Helper Functions ---
-const generateSalt = () => bcrypt.genSaltSync(12);
-const hashPassword = (password, salt) => bcrypt.hashSync(password + salt, 12);
-const verifyPassword = (password, hash, salt) => bcrypt.compareSync(password + salt, hash);
-const generateAuthToken = (userId) => jwt.sign({ userId }, JWT_SECRET, { expiresIn: '30d' });
-
-const createUserWallet = async (userId) => {
-  const existingWallet = await Wallet.findOne({ userId });
-  if (!existingWallet) {
-    const newWallet = new Wallet({ userId: userId, balance: 0.0, coinPoints: 0, currency: 'THB' });
-    await newWallet.save();
-    return newWallet;
-  }
-  return existingWallet;
-};
-
-const createOfficialChat = async (userId) => {
-  const systemUser = await User.findOne({ userType: 'system' });
-  if (!systemUser) return;
-
-  const existingChat = await Chat.findOne({ participants: { $all: [userId, systemUser._id] }, chatType: 'official' });
-  if (!existingChat) {
-    const officialChat = new Chat({
-      participants: [userId, systemUser._id],
-      chatType: 'official',
-      title: 'Connect Support',
-      lastMessage: 'สวัสดี! ยินดีต้อนรับสู่ Connect App เราพร้อมให้ความช่วยเหลือเสมอ',
-      createdBy: systemUser._id
-    });
-    await officialChat.save();
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
-    const welcomeMessage = new Message({
-      chatId: officialChat._id,
-      senderId: systemUser._id,
-      messageType: 'system',
-      content: 'สวัสดี! ยินดีต้อนรับสู่ Connect App เราพร้อมให้ความช่วยเหลือเสมอ 😊\n\nคุณสามารถสอบถามเกี่ยวกับการใช้งานแอป หรือรายงานปัญหาต่างๆ ได้ที่นี่'
-    });
-    await welcomeMessage.save();
+// ตอบกลับเมื่อ IP หรือบัญชีถูกล็อกชั่วคราว
+const sendThrottled = (res, throttle) => {
+  res.set('Retry-After', String(throttle.retryAfterSeconds));
+  return res.status(429).json({
+    success: false,
+    error: throttle.scope === 'ip'
+      ? 'Too many failed login attempts from this network, please try again later'
+      : 'Account temporarily locked',
+    retryAfter: throttle.retryAfterSeconds
+  });
+};
+
+// บันทึกการเข้าสู่ระบบที่ล้มเหลว ทั้งตัวนับการล็อกและประวัติการเข้าสู่ระบบ
+const recordLoginFailure = async (req, { user, email, method, reason }) => {
+  await LoginThrottleService.recordFailure({ user, ipAddress: req.ip });
+  await LoginHistoryService.recordFailure(req, { user, email, method, reason });
+};
+
+// ออก Session และตอบกลับเมื่อผ่านการยืนยันตัวตนครบทุกขั้นตอนแล้ว
+const completeLogin = async (req, res, user, method, extra = {}) => {
+  const { session, authToken, refreshToken, expiresIn } = await AuthService.startSession(user, SessionService.getDeviceInfo(req));
+  await LoginHistoryService.recordSuccess(req, { user, method, session });
+
+  console.log('✅ Login successful for user:', user._id);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    user: AuthService.toAuthUser(user),
+    authToken,
+    refreshToken,
+    expiresIn,
+    sessionId: session._id,
+    ...extra
+  });
+};
+
+// ตรวจ ID Token ของผู้ให้บริการจาก request (ใช้ทั้งตอน login และตอนเชื่อมบัญชี)
+const verifyProviderToken = async (req, res) => {
+  const { provider } = req.params;
+  if (!FederatedIdentityService.isSupported(provider)) {
+    res.status(400).json({ success: false, error: 'Unsupported identity provider' });
+    return null;
+  }
+
+  if (!req.body.idToken) {
+    res.status(400).json({ success: false, error: 'ID token is required' });
+    return null;
   }
+
+  const identity = await FederatedIdentityService.verifyIdToken(provider, req.body.idToken);
+  if (!identity) {
+    res.status(401).json({ success: false, error: 'Invalid or expired ID token' });
+    return null;
+  }
+
+  return identity;
 };
+
+const toLinkedAccounts = (user) => FederatedIdentityService.providers.map(provider => {
+  const identity = FederatedIdentityService.findLinkedIdentity(user, provider);
+  return {
+    provider,
+    linked: !!identity,
+    email: identity?.email || null,
+    linkedAt: identity?.linkedAt || null
+  };
+});
 // ------------------------
 
 exports.register = async (req, res) => {
@@ -58,37 +94,32 @@ exports.register = async (req, res) => {
 
     const { username, email, password, phone, language = 'en', theme = 'white', pdpa_consent, consent_timestamp } = req.body;
 
-    if (!pdpa_consent) return res.status(400).json({ success: false, error: 'PDPA consent is required' });
-
-    const existingUser = await User.findOne({ email: email.trim().toLowerCase() });
-    if (existingUser) return res.status(400).json({ success: false, error: 'Email already registered' });
-
-    const salt = generateSalt();
-    const passwordHash = hashPassword(password, salt);
-    const authToken = generateAuthToken(new mongoose.Types.ObjectId());
+    if (!pdpa_consent) return res.status(400).json({ success: false, error: 'PDPA consent is required for registration' });
 
-    const newUser = new User({
-      username: username.trim(),
-      email: email.trim().toLowerCase(),
-      phone: phone ? phone.trim() : '',
-      passwordHash,
-      passwordSalt: salt,
-      authToken,
-      tokenExpiry: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
-      settings: { language, theme },
+    const newUser = await AuthService.registerUser({
+      username,
+      email,
+      password,
+      phone,
+      language,
+      theme,
       pdpaConsent: pdpa_consent,
-      consentTimestamp: consent_timestamp || new Date().toISOString()
+      consentTimestamp: consent_timestamp
     });
+    if (!newUser) return res.status(400).json({ success: false, error: 'Email already registered' });
+
+    const { session, authToken, refreshToken, expiresIn } = await SessionService.createSession(newUser._id, SessionService.getDeviceInfo(req));
 
-    await newUser.save();
-    await createUserWallet(newUser._id);
-    await createOfficialChat(newUser._id);
+    console.log('✅ User registered successfully with PDPA consent:', newUser._id);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
-      user: { id: newUser._id, username: newUser.username, email: newUser.email, settings: newUser.settings },
-      authToken
+      user: AuthService.toAuthUser(newUser),
+      authToken,
+      refreshToken,
+      expiresIn,
+      sessionId: session._id
     });
   } catch (error) {
     console.error('❌ Registration error:', error);
@@ -102,49 +133,490 @@ exports.login = async (req, res) => {
     if (!errors.isEmpty()) return res.status(400).json({ success: false, error: errors.array()[0].msg });
 
     const { email, password } = req.body;
+    const ipThrottle = await LoginThrottleService.check({ ipAddress: req.ip });
+    if (ipThrottle.locked) return sendThrottled(res, ipThrottle);
+
     const user = await User.findOne({ email: email.trim().toLowerCase() });
 
-    if (!user) return res.status(400).json({ success: false, error: 'Invalid email or password' });
+    if (!user) {
+      // อีเมลที่ไม่มีในระบบนับเฉพาะต่อ IP
+      await recordLoginFailure(req, { email, method: 'password', reason: 'unknown_email' });
+      return res.status(400).json({ success: false, error: 'Invalid email or password' });
+    }
 
-    if (user.failedLoginAttempts >= 5) {
-      const timeSinceLastAttempt = Date.now() - (user.lastLogin?.getTime() || 0);
-      if (timeSinceLastAttempt < 15 * 60 * 1000) return res.status(429).json({ success: false, error: 'Account temporarily locked' });
-      user.failedLoginAttempts = 0;
+    const accountThrottle = await LoginThrottleService.check({ userId: user._id });
+    if (accountThrottle.locked) {
+      await LoginHistoryService.recordFailure(req, { user, method: 'password', reason: 'locked' });
+      return sendThrottled(res, accountThrottle);
     }
 
-    if (!verifyPassword(password, user.passwordHash, user.passwordSalt)) {
-      user.failedLoginAttempts += 1;
-      user.lastLogin = new Date();
-      await user.save();
+    if (!AuthService.verifyPassword(password, user.passwordHash, user.passwordSalt)) {
+      await recordLoginFailure(req, { user, method: 'password', reason: 'invalid_password' });
       return res.status(400).json({ success: false, error: 'Invalid email or password' });
     }
 
-    const authToken = generateAuthToken(user._id);
-    user.authToken = authToken;
-    user.tokenExpiry = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-    user.lastLogin = new Date();
-    user.failedLoginAttempts = 0;
+    // 🔐 เปิด 2FA ไว้: ยังไม่ออก Auth Token จนกว่าจะยืนยันรหัส TOTP ผ่าน /api/auth/2fa/verify
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: TwoFactorService.signChallengeToken(user._id)
+      });
+    }
+
+    await completeLogin(req, res, user, 'password');
+  } catch (error) {
+    console.error('❌ Login error:', error);
+    res.status(500).json({ success: false, error: 'Login failed' });
+  }
+};
+
+exports.verifyTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+    if (!challengeToken || (!code && !backupCode)) {
+      return res.status(400).json({ success: false, error: 'Challenge token and code are required' });
+    }
+
+    const userId = TwoFactorService.verifyChallengeToken(challengeToken);
+    if (!userId) return res.status(401).json({ success: false, error: 'Invalid or expired challenge, please login again' });
+
+    const user = await User.findById(userId);
+    if (!user || !user.twoFactor?.enabled) return res.status(401).json({ success: false, error: 'Invalid or expired challenge, please login again' });
+
+    const throttle = await LoginThrottleService.check({ userId: user._id, ipAddress: req.ip });
+    if (throttle.locked) {
+      await LoginHistoryService.recordFailure(req, { user, method: 'two_factor', reason: 'locked' });
+      return sendThrottled(res, throttle);
+    }
+
+    const isValid = code
+      ? TwoFactorService.verifyTotp(user, code)
+      : TwoFactorService.consumeBackupCode(user, backupCode);
+
+    if (!isValid) {
+      // นับรวมกับการใส่รหัสผ่านผิด เพื่อให้ล็อกบัญชีเมื่อเดารหัส 2FA ซ้ำๆ
+      await recordLoginFailure(req, { user, method: 'two_factor', reason: 'invalid_code' });
+      return res.status(400).json({ success: false, error: 'Invalid two-factor authentication code' });
+    }
+
+    await completeLogin(req, res, user, 'two_factor');
+  } catch (error) {
+    console.error('❌ Two-factor login error:', error);
+    res.status(500).json({ success: false, error: 'Login failed' });
+  }
+};
+
+exports.oauthLogin = async (req, res) => {
+  try {
+    const identity = await verifyProviderToken(req, res);
+    if (!identity) return;
+
+    let user = await User.findOne({
+      federatedIdentities: { $elemMatch: { provider: identity.provider, subject: identity.subject } }
+    });
+    let isNewUser = false;
+
+    if (!user) {
+      // เชื่อมกับบัญชีเดิมได้เฉพาะเมื่อผู้ให้บริการยืนยันอีเมลแล้วเท่านั้น
+      if (!identity.email || !identity.emailVerified) {
+        return res.status(400).json({ success: false, error: 'A verified email is required to sign in with this provider' });
+      }
+
+      user = await User.findOne({ email: identity.email });
+
+      if (user) {
+        if (user.userType !== 'user') return res.status(403).json({ success: false, error: 'This account cannot sign in with an identity provider' });
+        if (FederatedIdentityService.findLinkedIdentity(user, identity.provider)) {
+          return res.status(409).json({ success: false, error: 'This account is already linked to a different account of this provider' });
+        }
+
+        user.federatedIdentities.push({ provider: identity.provider, subject: identity.subject, email: identity.email });
+        user.emailVerified = true;
+        await user.save();
+        console.log(`🔗 Linked ${identity.provider} identity to existing user by email:`, user._id);
+      } else {
+        const { pdpa_consent, consent_timestamp, language, theme } = req.body;
+
+        // ผู้ใช้ใหม่ต้องยินยอม PDPA เหมือนการสมัครปกติ (client แสดงหน้ายินยอมแล้วส่ง token เดิมมาใหม่)
+        if (pdpa_consent !== true && pdpa_consent !== 'true') {
+          return res.status(400).json({ success: false, error: 'PDPA consent is required for registration', code: 'pdpa_consent_required' });
+        }
+
+        user = await AuthService.registerFederatedUser(identity, {
+          language,
+          theme,
+          pdpaConsent: true,
+          consentTimestamp: consent_timestamp
+        });
+        isNewUser = true;
+        console.log(`✅ User registered via ${identity.provider}:`, user._id);
+      }
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: TwoFactorService.signChallengeToken(user._id)
+      });
+    }
+
+    await completeLogin(req, res, user, identity.provider, { isNewUser });
+  } catch (error) {
+    console.error('❌ Federated login error:', error);
+    res.status(500).json({ success: false, error: 'Login failed' });
+  }
+};
+
+exports.getLinkedAccounts = async (req, res) => {
+  try {
+    res.json({ success: true, hasPassword: req.user.hasPassword !== false, linkedAccounts: toLinkedAccounts(req.user) });
+  } catch (error) {
+    console.error('❌ Get linked accounts error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get linked accounts' });
+  }
+};
+
+exports.linkAccount = async (req, res) => {
+  try {
+    const identity = await verifyProviderToken(req, res);
+    if (!identity) return;
+
+    if (FederatedIdentityService.findLinkedIdentity(req.user, identity.provider)) {
+      return res.status(409).json({ success: false, error: 'This provider is already linked to your account' });
+    }
+
+    const owner = await User.findOne({
+      federatedIdentities: { $elemMatch: { provider: identity.provider, subject: identity.subject } }
+    });
+    if (owner) return res.status(409).json({ success: false, error: 'This account is already linked to another user' });
+
+    const user = await User.findById(req.user._id);
+    user.federatedIdentities.push({ provider: identity.provider, subject: identity.subject, email: identity.email });
+    user.updatedAt = new Date();
     await user.save();
 
-    await createOfficialChat(user._id);
+    await AuditLog.create({
+      userId: user._id,
+      action: 'identity_linked',
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+      metadata: { provider: identity.provider }
+    });
+
+    res.json({ success: true, message: 'Account linked successfully', linkedAccounts: toLinkedAccounts(user) });
+  } catch (error) {
+    console.error('❌ Link account error:', error);
+    res.status(500).json({ success: false, error: 'Failed to link account' });
+  }
+};
+
+exports.unlinkAccount = async (req, res) => {
+  try {
+    const { provider } = req.params;
+    if (!FederatedIdentityService.isSupported(provider)) return res.status(400).json({ success: false, error: 'Unsupported identity provider' });
+
+    const user = await User.findById(req.user._id);
+    if (!FederatedIdentityService.findLinkedIdentity(user, provider)) {
+      return res.status(404).json({ success: false, error: 'This provider is not linked to your account' });
+    }
+
+    // กันไม่ให้ผู้ใช้ถอดวิธีเข้าสู่ระบบสุดท้ายออกจนเข้าบัญชีไม่ได้
+    if (!user.hasPassword && user.federatedIdentities.length === 1) {
+      return res.status(400).json({ success: false, error: 'Please set a password before unlinking your last sign-in method' });
+    }
+
+    user.federatedIdentities = user.federatedIdentities.filter(identity => identity.provider !== provider);
+    user.updatedAt = new Date();
+    await user.save();
+
+    await AuditLog.create({
+      userId: user._id,
+      action: 'identity_unlinked',
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+      metadata: { provider }
+    });
+
+    res.json({ success: true, message: 'Account unlinked successfully', linkedAccounts: toLinkedAccounts(user) });
+  } catch (error) {
+    console.error('❌ Unlink account error:', error);
+    res.status(500).json({ success: false, error: 'Failed to unlink account' });
+  }
+};
+
+exports.requestEmailCode = async (req, res) => {
+  // ตอบกลับเหมือนกันทุกกรณี เพื่อไม่ให้ใช้ตรวจสอบว่าอีเมลไหนมีบัญชีอยู่
+  const genericResponse = { success: true, message: 'If an account exists for this email, a sign-in code has been sent' };
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ success: false, error: errors.array()[0].msg });
+
+    const throttle = await LoginThrottleService.check({ ipAddress: req.ip });
+    if (throttle.locked) return sendThrottled(res, throttle);
+
+    const user = await User.findOne({ email: req.body.email.trim().toLowerCase(), userType: 'user' });
+    if (!user || !user.isActive) return res.json(genericResponse);
+
+    if (await OneTimeCodeService.getCooldownSeconds(user._id, 'email_login') > 0) return res.json(genericResponse);
+
+    const { code, linkToken } = await OneTimeCodeService.issue({
+      userId: user._id,
+      purpose: 'email_login',
+      target: user.email,
+      ipAddress: req.ip,
+      withLink: true
+    });
+
+    const loginUrl = `${process.env.FRONTEND_URL || 'https://localhost:3000'}/login/email-link?token=${linkToken}`;
+
+    await EmailService.send({
+      to: user.email,
+      subject: `🔓 ${code} is your Chat Chat sign-in code`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="color: white; margin: 0;">🔓 Sign in to Chat Chat</h1>
+          </div>
+          <div style="background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px;">
+            <p style="color: #333; font-size: 16px; margin-bottom: 10px;">Hi ${EmailService.escapeHtml(user.username)},</p>
+            <p style="color: #555; font-size: 14px; margin-bottom: 20px;">Enter this code in the app to sign in:</p>
+            <div style="text-align: center; margin: 30px 0; font-size: 32px; font-weight: bold; letter-spacing: 8px; color: #333;">${code}</div>
+            <p style="color: #555; font-size: 14px; text-align: center;">Or sign in directly on this device:</p>
+            <div style="text-align: center; margin: 20px 0;">
+              <a href="${loginUrl}" style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 12px 40px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">Sign In</a>
+            </div>
+            <p style="color: #777; font-size: 12px; margin-top: 20px; border-top: 1px solid #ddd; padding-top: 20px;">
+              ⏰ This code and link can be used once and will expire in <strong>10 minutes</strong>.
+            </p>
+            <p style="color: #999; font-size: 12px; margin-top: 15px;">
+              If you didn't try to sign in, you can safely ignore this email. Never share this code with anyone.
+            </p>
+          </div>
+        </div>
+      `,
+      text: `Hi ${user.username},\n\nYour Chat Chat sign-in code is: ${code}\n\nOr sign in using the link below:\n\n${loginUrl}\n\nThis code and link can be used once and will expire in 10 minutes.\n\nIf you didn't try to sign in, you can safely ignore this email.`
+    });
+
+    await AuditLog.create({
+      userId: user._id,
+      action: 'email_login_code_requested',
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('❌ Request email code error:', error);
+    res.status(500).json({ success: false, error: 'Failed to send sign-in code' });
+  }
+};
+
+exports.verifyEmailCode = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ success: false, error: errors.array()[0].msg });
+
+    const { email, code, token } = req.body;
+    if (!token && (!email || !code)) {
+      return res.status(400).json({ success: false, error: 'Email and code, or a sign-in link token, are required' });
+    }
+
+    const ipThrottle = await LoginThrottleService.check({ ipAddress: req.ip });
+    if (ipThrottle.locked) return sendThrottled(res, ipThrottle);
+
+    let user;
+
+    if (token) {
+      const record = await OneTimeCodeService.consumeLinkToken({ purpose: 'email_login', token: String(token) });
+      if (!record) {
+        await recordLoginFailure(req, { method: 'email_code', reason: 'invalid_link' });
+        return res.status(400).json({ success: false, error: 'Invalid or expired sign-in link' });
+      }
+
+      user = await User.findById(record.userId);
+    } else {
+      user = await User.findOne({ email: email.trim().toLowerCase(), userType: 'user' });
+      if (!user) {
+        await recordLoginFailure(req, { email, method: 'email_code', reason: 'unknown_email' });
+        return res.status(400).json({ success: false, error: 'Invalid or expired code' });
+      }
+
+      const accountThrottle = await LoginThrottleService.check({ userId: user._id });
+      if (accountThrottle.locked) {
+        await LoginHistoryService.recordFailure(req, { user, method: 'email_code', reason: 'locked' });
+        return sendThrottled(res, accountThrottle);
+      }
+
+      const result = await OneTimeCodeService.verifyCode({ userId: user._id, purpose: 'email_login', code });
+      if (result.status !== 'ok') {
+        await recordLoginFailure(req, { user, method: 'email_code', reason: result.status });
+
+        if (result.status === 'too_many_attempts') {
+          return res.status(429).json({ success: false, error: 'Too many incorrect attempts, please request a new code' });
+        }
+        return res.status(400).json({ success: false, error: 'Invalid or expired code' });
+      }
+    }
+
+    if (!user || !user.isActive) return res.status(400).json({ success: false, error: 'Invalid or expired code' });
+
+    // ผู้ใช้พิสูจน์แล้วว่าเข้าถึงกล่องอีเมลได้
+    user.emailVerified = true;
+
+    if (user.twoFactor?.enabled) {
+      await user.save();
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: TwoFactorService.signChallengeToken(user._id)
+      });
+    }
+
+    await completeLogin(req, res, user, 'email_code');
+  } catch (error) {
+    console.error('❌ Verify email code error:', error);
+    res.status(500).json({ success: false, error: 'Login failed' });
+  }
+};
+
+exports.forgotPassword = async (req, res) => {
+  // ตอบกลับเหมือนกันทุกกรณี เพื่อไม่ให้ใช้ตรวจสอบว่าอีเมลไหนมีบัญชีอยู่
+  const genericResponse = { success: true, message: 'If an account exists for this email, a reset link has been sent' };
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ success: false, error: errors.array()[0].msg });
+
+    const user = await User.findOne({ email: req.body.email.trim().toLowerCase(), userType: 'user' });
+    if (!user) return res.json(genericResponse);
+
+    if (user.passwordResetRequestedAt && Date.now() - user.passwordResetRequestedAt.getTime() < PASSWORD_RESET_COOLDOWN_MS) {
+      return res.json(genericResponse);
+    }
+
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    user.passwordResetTokenHash = hashResetToken(resetToken);
+    user.passwordResetTokenExpiry = new Date(Date.now() + PASSWORD_RESET_TTL_MS);
+    user.passwordResetRequestedAt = new Date();
+    await user.save();
+
+    const resetUrl = `${process.env.FRONTEND_URL || 'https://localhost:3000'}/reset-password?token=${resetToken}`;
+
+    await EmailService.send({
+      to: user.email,
+      subject: '🔑 Reset Your Password - Chat Chat',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="color: white; margin: 0;">🔑 Reset Your Password</h1>
+          </div>
+          <div style="background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px;">
+            <p style="color: #333; font-size: 16px; margin-bottom: 10px;">Hi ${EmailService.escapeHtml(user.username)},</p>
+            <p style="color: #555; font-size: 14px; margin-bottom: 20px;">We received a request to reset your Chat Chat password. Click the button below to choose a new one.</p>
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${resetUrl}" style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 12px 40px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">Reset Password</a>
+            </div>
+            <p style="color: #777; font-size: 12px; margin-top: 20px; border-top: 1px solid #ddd; padding-top: 20px;">
+              ⏰ This link can be used once and will expire in <strong>1 hour</strong>. All devices will be signed out after the reset.
+            </p>
+            <p style="color: #999; font-size: 12px; margin-top: 15px;">
+              If you didn't request a password reset, you can safely ignore this email.
+            </p>
+          </div>
+        </div>
+      `,
+      text: `Hi ${user.username},\n\nReset your Chat Chat password using the link below:\n\n${resetUrl}\n\nThis link can be used once and will expire in 1 hour.\n\nIf you didn't request a password reset, you can safely ignore this email.`
+    });
+
+    await AuditLog.create({
+      userId: user._id,
+      action: 'password_reset_requested',
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('❌ Forgot password error:', error);
+    res.status(500).json({ success: false, error: 'Failed to process password reset request' });
+  }
+};
+
+exports.resetPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ success: false, error: errors.array()[0].msg });
+
+    const { token, newPassword } = req.body;
+
+    // ล้าง token ในคำสั่งเดียวกับการค้นหา เพื่อให้ลิงก์ใช้ได้เพียงครั้งเดียวแม้มี request ซ้อนกัน
+    const user = await User.findOneAndUpdate(
+      { passwordResetTokenHash: hashResetToken(token), passwordResetTokenExpiry: { $gt: new Date() } },
+      { $unset: { passwordResetTokenHash: 1, passwordResetTokenExpiry: 1 } },
+      { new: true }
+    );
+
+    if (!user) return res.status(400).json({ success: false, error: 'Invalid or expired reset link' });
+
+    // ใช้ salt เดิม เพราะคำตอบของ Recovery ID ถูก hash ด้วย salt นี้
+    user.passwordHash = AuthService.hashPassword(newPassword, user.passwordSalt);
+    user.hasPassword = true;
+    user.updatedAt = new Date();
+    await user.save();
+
+    const revokedSessions = await SessionService.revokeAllSessions(user._id);
+    await LoginThrottleService.unlockAccount(user._id);
+
+    await AuditLog.create({
+      userId: user._id,
+      action: 'password_reset',
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+      metadata: { method: 'email_link', revokedSessions }
+    });
+
+    console.log('✅ Password reset via email link for user:', user._id);
+
+    res.json({ success: true, message: 'Password reset successfully. Please login with your new password.' });
+  } catch (error) {
+    console.error('❌ Reset password error:', error);
+    res.status(500).json({ success: false, error: 'Failed to reset password' });
+  }
+};
+
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ success: false, error: 'Refresh token is required' });
+
+    const result = await SessionService.rotateRefreshToken(refreshToken);
+
+    if (result.status === 'reused') {
+      return res.status(401).json({ success: false, error: 'Refresh token reuse detected, please login again', code: 'invalid_grant' });
+    }
+    if (result.status !== 'ok') {
+      return res.status(401).json({ success: false, error: 'Invalid or expired refresh token', code: 'invalid_grant' });
+    }
 
     res.json({
       success: true,
-      message: 'Login successful',
-      user: { id: user._id, username: user.username, email: user.email, settings: user.settings, profilePicture: user.profilePicture },
-      authToken
+      authToken: result.authToken,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn,
+      sessionId: result.session._id
     });
   } catch (error) {
-    console.error('❌ Login error:', error);
-    res.status(500).json({ success: false, error: 'Login failed' });
+    console.error('❌ Refresh token error:', error);
+    res.status(500).json({ success: false, error: 'Failed to refresh token' });
   }
 };
 
 exports.logout = async (req, res) => {
   try {
-    req.user.authToken = null;
-    req.user.tokenExpiry = null;
-    await req.user.save();
+    await SessionService.revokeSession(req.user._id, req.authSession._id);
     res.json({ success: true, message: 'Logged out successfully' });
   } catch (error) {
     console.error('❌ Logout error:', error);
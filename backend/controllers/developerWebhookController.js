@@ -0,0 +1,240 @@
+const mongoose = require('mongoose');
+const OAuthApp = require('../models/OAuthApp');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const WebhookService = require('../models/WebhookService');
+const { WEBHOOK_EVENTS, isValidEvent } = require('../config/webhookEvents');
+
+// แอปของนักพัฒนาที่ล็อกอินอยู่ (ตาม :id ใน URL)
+const findDeveloperApp = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return OAuthApp.findOne({ _id: req.params.id, developerId: req.user._id });
+};
+
+const findEndpoint = async (app, webhookId) => {
+  if (!mongoose.isValidObjectId(webhookId)) return null;
+  return WebhookEndpoint.findOne({ _id: webhookId, clientId: app.clientId });
+};
+
+// ตรวจรายการ event ที่สมัครรับ @returns {string|null} ข้อความ error
+const validateEvents = (events) => {
+  if (!Array.isArray(events) || events.length === 0) return 'Select at least one event';
+  const unknown = events.filter(event => !isValidEvent(event));
+  return unknown.length > 0 ? `Unknown event: ${unknown.join(', ')}` : null;
+};
+
+const serializeEndpoint = (endpoint) => ({
+  id: endpoint._id,
+  url: endpoint.url,
+  events: endpoint.events,
+  enabled: endpoint.enabled,
+  createdAt: endpoint.createdAt,
+  updatedAt: endpoint.updatedAt
+});
+
+const serializeDelivery = (delivery) => ({
+  id: delivery._id,
+  endpointId: delivery.endpointId,
+  eventId: delivery.eventId,
+  eventType: delivery.eventType,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  responseStatus: delivery.responseStatus,
+  error: delivery.error,
+  durationMs: delivery.durationMs,
+  lastAttemptAt: delivery.lastAttemptAt,
+  nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : undefined,
+  deliveredAt: delivery.deliveredAt,
+  createdAt: delivery.createdAt
+});
+
+// 1. รายการ webhook ของแอป และ event ที่สมัครรับได้
+exports.listWebhooks = async (req, res) => {
+  try {
+    const app = await findDeveloperApp(req);
+    if (!app) return res.status(404).json({ success: false, error: 'App not found' });
+
+    const endpoints = await WebhookEndpoint.find({ clientId: app.clientId }).sort({ createdAt: -1 });
+    res.json({
+      success: true,
+      webhooks: endpoints.map(serializeEndpoint),
+      availableEvents: Object.entries(WEBHOOK_EVENTS).map(([name, description]) => ({ name, description }))
+    });
+  } catch (error) {
+    console.error('❌ Get webhooks error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get webhooks' });
+  }
+};
+
+// 2. เพิ่ม webhook (secret แสดงครั้งเดียวใน response นี้)
+exports.createWebhook = async (req, res) => {
+  try {
+    const app = await findDeveloperApp(req);
+    if (!app) return res.status(404).json({ success: false, error: 'App not found' });
+
+    const { url, events } = req.body;
+    const invalid = validateEvents(events) || await WebhookService.validateUrl(url);
+    if (invalid) return res.status(400).json({ success: false, error: invalid });
+
+    const secret = WebhookService.generateSecret();
+    const endpoint = await WebhookEndpoint.create({
+      clientId: app.clientId,
+      url,
+      secret,
+      events: [...new Set(events)]
+    });
+
+    console.log('📬 Webhook endpoint created:', { clientId: app.clientId, webhookId: endpoint._id });
+    res.status(201).json({ success: true, webhook: serializeEndpoint(endpoint), secret });
+  } catch (error) {
+    console.error('❌ Create webhook error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create webhook' });
+  }
+};
+
+// 3. แก้ไข URL / event / เปิด-ปิด webhook
+exports.updateWebhook = async (req, res) => {
+  try {
+    const app = await findDeveloperApp(req);
+    if (!app) return res.status(404).json({ success: false, error: 'App not found' });
+
+    const endpoint = await findEndpoint(app, req.params.webhookId);
+    if (!endpoint) return res.status(404).json({ success: false, error: 'Webhook not found' });
+
+    const { url, events, enabled } = req.body;
+    const invalid = (events !== undefined && validateEvents(events)) || (url !== undefined && await WebhookService.validateUrl(url));
+    if (invalid) return res.status(400).json({ success: false, error: invalid });
+
+    if (url !== undefined) endpoint.url = url;
+    if (events !== undefined) endpoint.events = [...new Set(events)];
+    if (enabled !== undefined) endpoint.enabled = !!enabled;
+    endpoint.updatedAt = new Date();
+    await endpoint.save();
+
+    res.json({ success: true, webhook: serializeEndpoint(endpoint) });
+  } catch (error) {
+    console.error('❌ Update webhook error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update webhook' });
+  }
+};
+
+// 4. สร้าง secret ใหม่ (secret เดิมใช้ตรวจลายเซ็นไม่ได้ทันที)
+exports.rotateWebhookSecret = async (req, res) => {
+  try {
+    const app = await findDeveloperApp(req);
+    if (!app) return res.status(404).json({ success: false, error: 'App not found' });
+
+    const endpoint = await findEndpoint(app, req.params.webhookId);
+    if (!endpoint) return res.status(404).json({ success: false, error: 'Webhook not found' });
+
+    const secret = WebhookService.generateSecret();
+    endpoint.secret = secret;
+    endpoint.updatedAt = new Date();
+    await endpoint.save();
+
+    res.json({ success: true, message: 'Webhook secret rotated successfully', secret });
+  } catch (error) {
+    console.error('❌ Rotate webhook secret error:', error);
+    res.status(500).json({ success: false, error: 'Failed to rotate webhook secret' });
+  }
+};
+
+// 5. ลบ webhook (delivery ที่ค้างในคิวจะถูกปิดเป็น failed ตอนถึงรอบส่ง)
+exports.deleteWebhook = async (req, res) => {
+  try {
+    const app = await findDeveloperApp(req);
+    if (!app) return res.status(404).json({ success: false, error: 'App not found' });
+
+    const endpoint = await findEndpoint(app, req.params.webhookId);
+    if (!endpoint) return res.status(404).json({ success: false, error: 'Webhook not found' });
+
+    await endpoint.deleteOne();
+    res.json({ success: true, message: 'Webhook deleted successfully' });
+  } catch (error) {
+    console.error('❌ Delete webhook error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete webhook' });
+  }
+};
+
+// 6. ส่ง test event แล้วตอบผลการส่งครั้งแรก
+exports.sendTestEvent = async (req, res) => {
+  try {
+    const app = await findDeveloperApp(req);
+    if (!app) return res.status(404).json({ success: false, error: 'App not found' });
+
+    const endpoint = await findEndpoint(app, req.params.webhookId);
+    if (!endpoint) return res.status(404).json({ success: false, error: 'Webhook not found' });
+
+    const delivery = await WebhookService.sendTestEvent(endpoint);
+    res.json({ success: delivery.status === 'delivered', delivery: serializeDelivery(delivery) });
+  } catch (error) {
+    console.error('❌ Send test webhook error:', error);
+    res.status(500).json({ success: false, error: 'Failed to send test event' });
+  }
+};
+
+// 7. ประวัติการส่ง webhook ของแอป
+exports.listDeliveries = async (req, res) => {
+  try {
+    const app = await findDeveloperApp(req);
+    if (!app) return res.status(404).json({ success: false, error: 'App not found' });
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const filter = { clientId: app.clientId };
+    if (['pending', 'delivered', 'failed'].includes(req.query.status)) filter.status = req.query.status;
+    if (req.query.eventType) filter.eventType = String(req.query.eventType);
+    if (mongoose.isValidObjectId(req.query.webhookId)) filter.endpointId = req.query.webhookId;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      deliveries: deliveries.map(serializeDelivery),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('❌ Get webhook deliveries error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get webhook deliveries' });
+  }
+};
+
+// 8. รายละเอียด delivery รวม payload ที่ส่ง
+exports.getDelivery = async (req, res) => {
+  try {
+    const app = await findDeveloperApp(req);
+    if (!app) return res.status(404).json({ success: false, error: 'App not found' });
+
+    const delivery = mongoose.isValidObjectId(req.params.deliveryId)
+      && await WebhookDelivery.findOne({ _id: req.params.deliveryId, clientId: app.clientId });
+    if (!delivery) return res.status(404).json({ success: false, error: 'Delivery not found' });
+
+    res.json({ success: true, delivery: { ...serializeDelivery(delivery), payload: delivery.payload } });
+  } catch (error) {
+    console.error('❌ Get webhook delivery error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get webhook delivery' });
+  }
+};
+
+// 9. ส่ง delivery เดิมซ้ำ
+exports.redeliver = async (req, res) => {
+  try {
+    const app = await findDeveloperApp(req);
+    if (!app) return res.status(404).json({ success: false, error: 'App not found' });
+
+    const delivery = mongoose.isValidObjectId(req.params.deliveryId)
+      && await WebhookDelivery.findOne({ _id: req.params.deliveryId, clientId: app.clientId });
+    if (!delivery) return res.status(404).json({ success: false, error: 'Delivery not found' });
+
+    const result = await WebhookService.redeliver(delivery);
+    if (!result) return res.status(409).json({ success: false, error: 'Delivery is still queued for retry' });
+
+    res.json({ success: result.status === 'delivered', delivery: serializeDelivery(result) });
+  } catch (error) {
+    console.error('❌ Redeliver webhook error:', error);
+    res.status(500).json({ success: false, error: 'Failed to redeliver webhook' });
+  }
+};
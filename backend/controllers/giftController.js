@@ -0,0 +1,85 @@
+const GiftService = require('../models/GiftService');
+const { GIFTS } = require('../config/giftCatalog');
+const { createRewardNotification } = require('../models/NotificationService');
+
+const GIFT_ERRORS = {
+  chat_not_found: { status: 404, error: 'Chat not found' },
+  gift_not_found: { status: 400, error: 'Invalid gift ID' },
+  recipient_required: { status: 400, error: 'recipientId is required in group chats' },
+  recipient_not_in_chat: { status: 400, error: 'Recipient is not a member of this chat' },
+  self: { status: 400, error: 'You cannot send a gift to yourself' },
+  not_allowed: { status: 403, error: 'Gifts cannot be sent in this chat' },
+  insufficient_funds: { status: 400, error: 'ยอด Coin ไม่เพียงพอ' },
+  wallet_frozen: { status: 403, error: 'กระเป๋าเงินถูกระงับชั่วคราว กรุณาติดต่อฝ่ายสนับสนุน' },
+  recipient_unavailable: { status: 409, error: 'Recipient wallet is unavailable' },
+  duplicate: { status: 409, error: 'This gift has already been sent' }
+};
+
+// 1. แคตตาล็อกของขวัญ
+exports.listGifts = (req, res) => {
+  res.json({
+    success: true,
+    gifts: GIFTS.map(gift => ({ ...gift, recipientCoins: GiftService.splitPrice(gift.priceCoins).recipientCoins })),
+    platformFeePercent: GiftService.platformFeePercent
+  });
+};
+
+// 2. ส่งของขวัญในแชท
+exports.sendGift = async (req, res) => {
+  try {
+    const { giftId, recipientId, requestId } = req.body;
+    if (requestId !== undefined && (typeof requestId !== 'string' || !/^[\w-]{8,64}$/.test(requestId))) {
+      return res.status(400).json({ success: false, error: 'requestId must be 8-64 letters, digits, "_" or "-"' });
+    }
+
+    const result = await GiftService.sendGift(req.user, req.params.chatId, { giftId, recipientId, requestId });
+    if (result.status !== 'ok') {
+      const { status, error } = GIFT_ERRORS[result.status];
+      return res.status(status).json({ success: false, error, code: result.status });
+    }
+
+    const { gift, recipient, message } = result;
+
+    // 🎁 แจ้งผู้รับว่าได้รับของขวัญ (ยอดหลังหักค่าธรรมเนียม)
+    await createRewardNotification(recipient._id, {
+      rewardName: `${gift.sticker} ${gift.name}`,
+      points: result.recipientCoins,
+      description: `ของขวัญจาก ${req.user.username} (+${result.recipientCoins} Coins เข้ารายได้)`
+    });
+
+    // ⚡ แจ้งแอปมือถือของผู้รับผ่าน WebSocket ให้รีเฟรชยอดรายได้และเล่นแอนิเมชัน
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`wallet_${recipient._id}`).emit('wallet_updated', {
+        reason: 'gift_received',
+        amount: result.recipientCoins,
+        newBalance: result.recipientBalance,
+        earnedCoins: result.recipientEarnedCoins,
+        referenceId: result.referenceId,
+        from: { _id: req.user._id, username: req.user.username, userId: req.user.userId, profilePicture: req.user.profilePicture },
+        chatId: message.chatId,
+        gift: message.gift
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: {
+        id: message._id,
+        sender: req.user.username,
+        message: message.content,
+        timestamp: message.timestamp,
+        isMe: true,
+        isSystem: false,
+        messageType: 'gift',
+        gift: message.gift,
+        profilePicture: req.user.profilePicture,
+        phone: req.user.phone
+      },
+      newBalance: result.senderBalance
+    });
+  } catch (error) {
+    console.error('❌ Send gift error:', error);
+    res.status(500).json({ success: false, error: 'Failed to send gift' });
+  }
+};
@@ -0,0 +1,166 @@
+const OAuthApp = require('../models/OAuthApp');
+const OAuthService = require('../models/OAuthService');
+const OAuthUsageService = require('../models/OAuthUsageService');
+const PartnerPaymentService = require('../models/PartnerPaymentService');
+
+const { OAuthError } = OAuthService;
+
+// endpoint ฝั่งพาร์ทเนอร์ตอบ error ตามรูปแบบ OAuth เหมือน /api/oauth/token
+const sendOAuthError = (res, error, context) => {
+  if (error instanceof OAuthError) {
+    if (error.status === 401) res.set('WWW-Authenticate', 'Basic realm="oauth"');
+    return res.status(error.status).json({ error: error.error, error_description: error.description });
+  }
+
+  console.error(`❌ Partner payment ${context} error:`, error);
+  return res.status(500).json({ error: 'server_error' });
+};
+
+// ยืนยันตัวตนพาร์ทเนอร์ด้วย client secret และนับโควตา API ของแอป
+const authenticatePartner = async (req, res) => {
+  const app = await OAuthService.authenticateClient(req, { requireSecret: true });
+
+  const usage = await OAuthUsageService.consume(app);
+  if (!usage.allowed) {
+    res.set('Retry-After', String(usage.resetSeconds));
+    throw new OAuthError('rate_limit_exceeded', `Rate limit of ${usage.limit} requests per minute exceeded`, 429);
+  }
+
+  return app;
+};
+
+const getAppsByClientId = async (payments) => {
+  const apps = await OAuthApp.find({ clientId: { $in: payments.map(p => p.clientId) } }).select('clientId appName appLogo');
+  return new Map(apps.map(app => [app.clientId, app]));
+};
+
+// 1. [พาร์ทเนอร์] สร้างคำขอชำระเงิน
+exports.createPayment = async (req, res) => {
+  try {
+    const app = await authenticatePartner(req, res);
+    const { sub, order_id, amount, description } = req.body;
+
+    const { payment, created } = await PartnerPaymentService.createPayment(app, {
+      sub,
+      orderId: order_id,
+      amount,
+      description
+    });
+
+    res.status(created ? 201 : 200).json(PartnerPaymentService.serializeForPartner(payment));
+  } catch (error) {
+    sendOAuthError(res, error, 'create');
+  }
+};
+
+// 2. [พาร์ทเนอร์] ดูสถานะคำขอ (ใช้ตรวจซ้ำกรณีไม่ได้รับ webhook)
+exports.getPayment = async (req, res) => {
+  try {
+    const app = await authenticatePartner(req, res);
+    const payment = await PartnerPaymentService.getForPartner(app, req.params.paymentId);
+    if (!payment) return res.status(404).json({ error: 'not_found', error_description: 'Payment not found' });
+
+    res.json(PartnerPaymentService.serializeForPartner(payment));
+  } catch (error) {
+    sendOAuthError(res, error, 'status');
+  }
+};
+
+// 3. [ผู้ใช้] คำขอชำระเงินที่รอยืนยัน
+exports.listPaymentRequests = async (req, res) => {
+  try {
+    const payments = await PartnerPaymentService.listPendingForUser(req.user._id);
+    const apps = await getAppsByClientId(payments);
+
+    res.json({
+      success: true,
+      paymentRequests: payments.map(p => PartnerPaymentService.serializeForUser(p, apps.get(p.clientId)))
+    });
+  } catch (error) {
+    console.error('❌ Get payment requests error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get payment requests' });
+  }
+};
+
+// 4. [ผู้ใช้] รายละเอียดคำขอชำระเงิน
+exports.getPaymentRequest = async (req, res) => {
+  try {
+    const payment = await PartnerPaymentService.getForUser(req.user._id, req.params.paymentId);
+    if (!payment) return res.status(404).json({ success: false, error: 'Payment request not found' });
+
+    const apps = await getAppsByClientId([payment]);
+    res.json({ success: true, paymentRequest: PartnerPaymentService.serializeForUser(payment, apps.get(payment.clientId)) });
+  } catch (error) {
+    console.error('❌ Get payment request error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get payment request' });
+  }
+};
+
+const FAILURE_MESSAGES = {
+  insufficient_funds: 'ยอด Coin ไม่เพียงพอ',
+  wallet_frozen: 'กระเป๋าเงินถูกระงับชั่วคราว กรุณาติดต่อฝ่ายสนับสนุน',
+  scope_revoked: 'คุณยกเลิกสิทธิ์การชำระเงินของแอปนี้แล้ว',
+  payee_unavailable: 'ไม่สามารถโอนเงินให้แอปนี้ได้ในขณะนี้',
+  app_not_found: 'ไม่พบแอปพลิเคชัน',
+  internal_error: 'เกิดข้อผิดพลาดระหว่างชำระเงิน กรุณาลองใหม่'
+};
+
+// 5. [ผู้ใช้] ยืนยันชำระเงิน
+exports.approvePaymentRequest = async (req, res) => {
+  try {
+    const result = await PartnerPaymentService.approve(req.user._id, req.params.paymentId);
+
+    if (result.status === 'not_found') return res.status(404).json({ success: false, error: 'Payment request not found' });
+    if (result.status === 'expired') return res.status(410).json({ success: false, error: 'Payment request has expired' });
+    if (result.status === 'not_pending') {
+      return res.status(409).json({ success: false, error: `Payment request is already ${result.payment.status}` });
+    }
+    if (result.status === 'failed') {
+      return res.status(result.reason === 'internal_error' ? 500 : 400).json({
+        success: false,
+        error: FAILURE_MESSAGES[result.reason] || 'Payment failed',
+        code: result.reason
+      });
+    }
+
+    // ⚡ แจ้งแอปมือถือผ่าน WebSocket ให้รีเฟรชยอด Coin
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`wallet_${req.user._id}`).emit('wallet_updated', {
+        reason: 'partner_payment',
+        amount: -result.payment.amount,
+        newBalance: result.balanceAfter,
+        referenceId: result.payment._id.toString()
+      });
+    }
+
+    const apps = await getAppsByClientId([result.payment]);
+    res.json({
+      success: true,
+      message: 'ชำระเงินสำเร็จ',
+      paymentRequest: PartnerPaymentService.serializeForUser(result.payment, apps.get(result.payment.clientId)),
+      newBalance: result.balanceAfter
+    });
+  } catch (error) {
+    console.error('❌ Approve payment request error:', error);
+    res.status(500).json({ success: false, error: 'Failed to approve payment' });
+  }
+};
+
+// 6. [ผู้ใช้] ปฏิเสธคำขอชำระเงิน
+exports.declinePaymentRequest = async (req, res) => {
+  try {
+    const result = await PartnerPaymentService.decline(req.user._id, req.params.paymentId);
+
+    if (result.status === 'not_found') return res.status(404).json({ success: false, error: 'Payment request not found' });
+    if (result.status === 'expired') return res.status(410).json({ success: false, error: 'Payment request has expired' });
+    if (result.status === 'not_pending') {
+      return res.status(409).json({ success: false, error: `Payment request is already ${result.payment.status}` });
+    }
+
+    res.json({ success: true, message: 'Payment request declined' });
+  } catch (error) {
+    console.error('❌ Decline payment request error:', error);
+    res.status(500).json({ success: false, error: 'Failed to decline payment' });
+  }
+};
@@ -0,0 +1,99 @@
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { validationResult } = require('express-validator');
+const OneTimeCodeService = require('../models/OneTimeCodeService');
+const SmsService = require('../models/SmsService');
+
+// 1. ส่งรหัส OTP ไปยังเบอร์ที่ต้องการยืนยัน
+exports.sendOtp = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ success: false, error: errors.array()[0].msg });
+
+    const phone = req.body.phone.trim();
+
+    if (req.user.phoneVerified && req.user.phone === phone) {
+      return res.status(400).json({ success: false, error: 'This phone number is already verified' });
+    }
+
+    const taken = await User.exists({ _id: { $ne: req.user._id }, phone, phoneVerified: true });
+    if (taken) return res.status(409).json({ success: false, error: 'This phone number is already used by another account' });
+
+    const cooldown = await OneTimeCodeService.getCooldownSeconds(req.user._id, 'phone_verification');
+    if (cooldown > 0) {
+      return res.status(429).json({ success: false, error: `Please wait ${cooldown} seconds before requesting a new code`, retryAfter: cooldown });
+    }
+
+    const { code, expiresAt } = await OneTimeCodeService.issue({
+      userId: req.user._id,
+      purpose: 'phone_verification',
+      target: phone,
+      ipAddress: req.ip
+    });
+
+    const sent = await SmsService.send({
+      to: phone,
+      message: `รหัสยืนยันเบอร์โทรศัพท์ Chat Chat ของคุณคือ ${code} (หมดอายุใน 10 นาที) ห้ามบอกรหัสนี้กับผู้อื่น`
+    });
+    if (!sent) return res.status(503).json({ success: false, error: 'Failed to send SMS, please try again later' });
+
+    console.log('📱 Phone OTP sent for user:', req.user._id);
+
+    res.json({ success: true, message: 'Verification code sent', expiresAt });
+  } catch (error) {
+    console.error('❌ Send phone OTP error:', error);
+    res.status(500).json({ success: false, error: 'Failed to send verification code' });
+  }
+};
+
+// 2. ยืนยันรหัส OTP และบันทึกเบอร์เป็นเบอร์ที่ยืนยันแล้ว
+exports.verifyOtp = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ success: false, error: errors.array()[0].msg });
+
+    const phone = req.body.phone.trim();
+    const result = await OneTimeCodeService.verifyCode({
+      userId: req.user._id,
+      purpose: 'phone_verification',
+      code: req.body.code
+    });
+
+    if (result.status === 'too_many_attempts') {
+      return res.status(429).json({ success: false, error: 'Too many incorrect attempts, please request a new code' });
+    }
+    // รหัสต้องถูกส่งไปยังเบอร์เดียวกับที่ขอยืนยัน
+    if (result.status !== 'ok' || result.record.target !== phone) {
+      return res.status(400).json({ success: false, error: 'Invalid or expired verification code' });
+    }
+
+    const previousPhone = req.user.phone;
+    req.user.phone = phone;
+    req.user.phoneVerified = true;
+    req.user.phoneVerifiedAt = new Date();
+    req.user.updatedAt = new Date();
+
+    try {
+      await req.user.save();
+    } catch (error) {
+      // ผู้ใช้อื่นยืนยันเบอร์เดียวกันไปก่อนในช่วงเวลาเดียวกัน
+      if (error.code === 11000) return res.status(409).json({ success: false, error: 'This phone number is already used by another account' });
+      throw error;
+    }
+
+    await AuditLog.create({
+      userId: req.user._id,
+      action: 'phone_verified',
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+      metadata: { previousPhone: previousPhone || null }
+    });
+
+    console.log('✅ Phone verified for user:', req.user._id);
+
+    res.json({ success: true, message: 'Phone number verified successfully', phone, phoneVerified: true });
+  } catch (error) {
+    console.error('❌ Verify phone OTP error:', error);
+    res.status(500).json({ success: false, error: 'Failed to verify phone number' });
+  }
+};
@@ -0,0 +1,54 @@
+const LoginEvent = require('../models/LoginEvent');
+const Session = require('../models/Session');
+
+exports.getLoginHistory = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const filter = { userId: req.user._id };
+    if (['success', 'failure'].includes(req.query.result)) filter.result = req.query.result;
+
+    const [events, total] = await Promise.all([
+      LoginEvent.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      LoginEvent.countDocuments(filter)
+    ]);
+
+    // บอกว่า Session ของแต่ละรายการยังใช้งานอยู่หรือไม่ เพื่อให้ผู้ใช้กดออกจากระบบอุปกรณ์นั้นได้ (DELETE /api/sessions/:id)
+    const sessionIds = events.map(event => event.sessionId).filter(Boolean);
+    const activeSessions = await Session.find({
+      _id: { $in: sessionIds },
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).select('_id');
+    const activeSessionIds = new Set(activeSessions.map(session => session._id.toString()));
+
+    res.json({
+      success: true,
+      history: events.map(event => ({
+        id: event._id,
+        result: event.result,
+        method: event.method,
+        reason: event.reason,
+        ipAddress: event.ipAddress,
+        userAgent: event.userAgent,
+        location: event.location,
+        deviceName: event.deviceName,
+        platform: event.platform,
+        isNewDevice: event.isNewDevice,
+        sessionId: event.sessionId || null,
+        sessionActive: event.sessionId ? activeSessionIds.has(event.sessionId.toString()) : false,
+        isCurrentSession: !!event.sessionId && event.sessionId.toString() === req.authSession._id.toString(),
+        createdAt: event.createdAt
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get login history error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get login history' });
+  }
+};
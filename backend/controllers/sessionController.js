@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const SessionService = require('../models/SessionService');
+
+const formatSession = (session, currentSessionId) => ({
+  id: session._id,
+  deviceName: session.deviceName,
+  platform: session.platform,
+  ipAddress: session.ipAddress,
+  userAgent: session.userAgent,
+  lastSeenAt: session.lastSeenAt,
+  createdAt: session.createdAt,
+  isCurrent: session._id.toString() === currentSessionId.toString()
+});
+
+exports.listSessions = async (req, res) => {
+  try {
+    const sessions = await SessionService.listActiveSessions(req.user._id);
+    res.json({
+      success: true,
+      sessions: sessions.map(s => formatSession(s, req.authSession._id))
+    });
+  } catch (error) {
+    console.error('❌ List sessions error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch sessions' });
+  }
+};
+
+exports.revokeSession = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid session ID' });
+    }
+
+    const revoked = await SessionService.revokeSession(req.user._id, req.params.id);
+    if (!revoked) return res.status(404).json({ success: false, error: 'Session not found' });
+
+    console.log('🚪 Session revoked:', { userId: req.user._id, sessionId: req.params.id });
+    res.json({ success: true, message: 'Device logged out successfully' });
+  } catch (error) {
+    console.error('❌ Revoke session error:', error);
+    res.status(500).json({ success: false, error: 'Failed to revoke session' });
+  }
+};
+
+exports.revokeOtherSessions = async (req, res) => {
+  try {
+    const revokedCount = await SessionService.revokeOtherSessions(req.user._id, req.authSession._id);
+
+    console.log('🚪 Other sessions revoked:', { userId: req.user._id, revokedCount });
+    res.json({ success: true, message: 'Logged out of all other devices', revokedCount });
+  } catch (error) {
+    console.error('❌ Revoke other sessions error:', error);
+    res.status(500).json({ success: false, error: 'Failed to log out other devices' });
+  }
+};
@@ -0,0 +1,124 @@
+const TwoFactorService = require('../models/TwoFactorService');
+
+exports.getStatus = async (req, res) => {
+  const twoFactor = req.user.twoFactor || {};
+  res.json({
+    success: true,
+    enabled: !!twoFactor.enabled,
+    enabledAt: twoFactor.enabledAt || null,
+    backupCodesRemaining: twoFactor.enabled ? twoFactor.backupCodes.length : 0
+  });
+};
+
+// 1. เริ่มตั้งค่า: สร้าง Secret ใหม่ (ยังไม่เปิดใช้จนกว่าจะยืนยันรหัส)
+exports.setup = async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({ success: false, error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = TwoFactorService.generateSecret();
+    req.user.twoFactor.pendingSecret = secret;
+    await req.user.save();
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUrl: TwoFactorService.buildOtpAuthUrl(secret, req.user.email) // ให้แอปแปลงเป็น QR Code
+    });
+  } catch (error) {
+    console.error('❌ 2FA setup error:', error);
+    res.status(500).json({ success: false, error: 'Failed to start two-factor setup' });
+  }
+};
+
+// 2. ยืนยันรหัสแรกจากแอป Authenticator แล้วเปิดใช้งาน พร้อมออก Backup Codes
+exports.enable = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const { pendingSecret } = req.user.twoFactor || {};
+
+    if (!pendingSecret) {
+      return res.status(400).json({ success: false, error: 'Two-factor setup has not been started' });
+    }
+
+    const step = TwoFactorService.matchStep(pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({ success: false, error: 'Invalid two-factor authentication code' });
+    }
+
+    const { codes, hashes } = TwoFactorService.generateBackupCodes();
+
+    req.user.twoFactor = {
+      enabled: true,
+      secret: pendingSecret,
+      pendingSecret: undefined,
+      backupCodes: hashes,
+      lastUsedStep: step,
+      enabledAt: new Date()
+    };
+    await req.user.save();
+
+    console.log('🔐 2FA enabled for user:', req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      backupCodes: codes // แสดงให้ผู้ใช้เพียงครั้งเดียว
+    });
+  } catch (error) {
+    console.error('❌ 2FA enable error:', error);
+    res.status(500).json({ success: false, error: 'Failed to enable two-factor authentication' });
+  }
+};
+
+// 3. ปิดการใช้งาน (ต้องใช้รหัส TOTP หรือ Backup Code)
+exports.disable = async (req, res) => {
+  try {
+    const { code, backupCode } = req.body;
+
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({ success: false, error: 'Two-factor authentication is not enabled' });
+    }
+
+    const isValid = code
+      ? TwoFactorService.verifyTotp(req.user, code)
+      : TwoFactorService.consumeBackupCode(req.user, backupCode);
+
+    if (!isValid) {
+      return res.status(400).json({ success: false, error: 'Invalid two-factor authentication code' });
+    }
+
+    req.user.twoFactor = { enabled: false, backupCodes: [] };
+    await req.user.save();
+
+    console.log('🔓 2FA disabled for user:', req.user._id);
+
+    res.json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('❌ 2FA disable error:', error);
+    res.status(500).json({ success: false, error: 'Failed to disable two-factor authentication' });
+  }
+};
+
+// 4. สร้าง Backup Codes ชุดใหม่ (ชุดเดิมใช้ไม่ได้ทันที)
+exports.regenerateBackupCodes = async (req, res) => {
+  try {
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({ success: false, error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!TwoFactorService.verifyTotp(req.user, req.body.code)) {
+      return res.status(400).json({ success: false, error: 'Invalid two-factor authentication code' });
+    }
+
+    const { codes, hashes } = TwoFactorService.generateBackupCodes();
+    req.user.twoFactor.backupCodes = hashes;
+    await req.user.save();
+
+    res.json({ success: true, backupCodes: codes });
+  } catch (error) {
+    console.error('❌ 2FA backup codes error:', error);
+    res.status(500).json({ success: false, error: 'Failed to regenerate backup codes' });
+  }
+};
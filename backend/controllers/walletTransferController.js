@@ -0,0 +1,238 @@
+const AuditLog = require('../models/AuditLog');
+const EmailService = require('../models/EmailService');
+const OneTimeCodeService = require('../models/OneTimeCodeService');
+const WalletTransferService = require('../models/WalletTransferService');
+const { createWalletTransactionNotification } = require('../models/NotificationService');
+
+const RECIPIENT_ERRORS = {
+  not_found: { status: 404, error: 'Recipient not found' },
+  self: { status: 400, error: 'You cannot transfer coins to yourself' },
+  not_friend: { status: 403, error: 'You can only transfer coins to friends' }
+};
+
+const TRANSFER_ERRORS = {
+  insufficient_funds: { status: 400, error: 'ยอด Coin ไม่เพียงพอ' },
+  wallet_frozen: { status: 403, error: 'กระเป๋าเงินถูกระงับชั่วคราว กรุณาติดต่อฝ่ายสนับสนุน' },
+  daily_amount_exceeded: { status: 429, error: 'เกินวงเงินโอนต่อวัน' },
+  daily_count_exceeded: { status: 429, error: 'เกินจำนวนครั้งที่โอนได้ต่อวัน' },
+  recipient_unavailable: { status: 409, error: 'Recipient wallet is unavailable' },
+  duplicate: { status: 409, error: 'This transfer has already been processed' }
+};
+
+const CONFIRMATION_ERRORS = {
+  two_factor_required: 'Two-factor authentication code is required',
+  two_factor_invalid: 'Invalid two-factor authentication code',
+  pin_required: 'Wallet PIN is required',
+  pin_invalid: 'Invalid wallet PIN',
+  pin_locked: 'Wallet PIN is locked after too many attempts',
+  confirmation_setup_required: 'Set a wallet PIN or enable two-factor authentication to send this amount'
+};
+
+// 1. โอน Coins ให้เพื่อน
+exports.transferCoins = async (req, res) => {
+  try {
+    const { userId, amount, note, requestId, totpCode, pin } = req.body;
+    const coins = Number(amount);
+    const { dailyLimitCoins, confirmationThreshold } = WalletTransferService.limits;
+
+    if (!Number.isInteger(coins) || coins < 1 || coins > dailyLimitCoins) {
+      return res.status(400).json({ success: false, error: `Amount must be an integer between 1 and ${dailyLimitCoins}` });
+    }
+    if (requestId !== undefined && (typeof requestId !== 'string' || !/^[\w-]{8,64}$/.test(requestId))) {
+      return res.status(400).json({ success: false, error: 'requestId must be 8-64 letters, digits, "_" or "-"' });
+    }
+
+    const found = await WalletTransferService.findRecipient(req.user, userId);
+    if (found.status !== 'ok') {
+      const { status, error } = RECIPIENT_ERRORS[found.status];
+      return res.status(status).json({ success: false, error, code: found.status });
+    }
+    const { recipient } = found;
+
+    // 🔒 ยอดสูงต้องยืนยันด้วย 2FA (ถ้าเปิดไว้) หรือ PIN ของ Wallet
+    if (coins > confirmationThreshold) {
+      const confirmation = await WalletTransferService.verifyConfirmation(req.user, {
+        totpCode: req.headers['x-2fa-code'] || totpCode,
+        pin
+      });
+      if (!confirmation.ok) {
+        if (confirmation.retryAfterSeconds) res.set('Retry-After', String(confirmation.retryAfterSeconds));
+        return res.status(403).json({
+          success: false,
+          error: CONFIRMATION_ERRORS[confirmation.code],
+          code: confirmation.code,
+          confirmationThreshold
+        });
+      }
+    }
+
+    const result = await WalletTransferService.transfer(req.user, recipient, { amount: coins, note, requestId });
+    if (result.status !== 'ok') {
+      const { status, error } = TRANSFER_ERRORS[result.status];
+      return res.status(status).json({ success: false, error, code: result.status });
+    }
+
+    const time = new Date().toLocaleString('th-TH');
+    await createWalletTransactionNotification(req.user._id, {
+      bankName: 'ChatChat Wallet',
+      serviceType: 'coin_transfer_sent',
+      amount: coins,
+      time,
+      referenceId: result.referenceId,
+      counterpartyName: recipient.username,
+      note: result.note
+    });
+    await createWalletTransactionNotification(recipient._id, {
+      bankName: 'ChatChat Wallet',
+      serviceType: 'coin_transfer_received',
+      amount: coins,
+      time,
+      referenceId: result.referenceId,
+      counterpartyName: req.user.username,
+      note: result.note
+    });
+
+    // ⚡ แจ้งแอปมือถือของผู้รับผ่าน WebSocket ให้รีเฟรชยอด Coin
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`wallet_${recipient._id}`).emit('wallet_updated', {
+        reason: 'transfer_received',
+        amount: coins,
+        newBalance: result.recipientBalance,
+        referenceId: result.referenceId,
+        from: { _id: req.user._id, username: req.user.username, userId: req.user.userId, profilePicture: req.user.profilePicture },
+        note: result.note
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'โอนเหรียญสำเร็จ',
+      transfer: {
+        referenceId: result.referenceId,
+        transactionId: result.transactionId,
+        amount: coins,
+        note: result.note,
+        recipient: { _id: recipient._id, username: recipient.username, userId: recipient.userId, profilePicture: recipient.profilePicture }
+      },
+      newBalance: result.senderBalance,
+      dailyUsage: result.usage
+    });
+  } catch (error) {
+    console.error('❌ Coin transfer error:', error);
+    res.status(500).json({ success: false, error: 'Failed to transfer coins' });
+  }
+};
+
+// 2. วงเงินที่เหลือของวันนี้ (24 ชั่วโมงล่าสุด) และวิธียืนยันที่ต้องใช้
+exports.getTransferLimits = async (req, res) => {
+  try {
+    const limits = WalletTransferService.limits;
+    const usage = await WalletTransferService.getDailyUsage(req.user._id);
+
+    res.json({
+      success: true,
+      limits,
+      usage,
+      remaining: {
+        coins: Math.max(limits.dailyLimitCoins - usage.coins, 0),
+        count: Math.max(limits.dailyLimitCount - usage.count, 0)
+      },
+      confirmationMethod: req.user.twoFactor?.enabled
+        ? 'two_factor'
+        : (await WalletTransferService.hasPin(req.user._id) ? 'pin' : null)
+    });
+  } catch (error) {
+    console.error('❌ Get transfer limits error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get transfer limits' });
+  }
+};
+
+const REAUTH_ERRORS = {
+  reauth_required: 'Enter your current password or the code sent to your email to set a wallet PIN',
+  reauth_invalid: 'Incorrect password or verification code',
+  reauth_locked: 'Too many failed attempts, please try again later'
+};
+
+// 3. ตั้ง / เปลี่ยน PIN ของ Wallet (ตั้งครั้งแรกต้องส่งรหัสผ่านปัจจุบัน หรือรหัสจากข้อ 4)
+exports.setWalletPin = async (req, res) => {
+  try {
+    const { pin, currentPin, currentPassword, emailCode } = req.body;
+    const result = await WalletTransferService.setPin(req.user, { pin, currentPin, currentPassword, emailCode, ipAddress: req.ip });
+
+    if (result.status === 'invalid_pin') return res.status(400).json({ success: false, error: 'PIN must be 6 digits' });
+    if (result.status === 'wallet_not_found') return res.status(404).json({ success: false, error: 'Wallet not found' });
+    if (result.status === 'pin_locked') {
+      res.set('Retry-After', String(result.retryAfterSeconds));
+      return res.status(403).json({ success: false, error: CONFIRMATION_ERRORS.pin_locked, code: 'pin_locked' });
+    }
+    if (result.status === 'current_pin_invalid') {
+      return res.status(403).json({ success: false, error: 'Current PIN is incorrect', code: 'pin_invalid' });
+    }
+    if (REAUTH_ERRORS[result.status]) {
+      if (result.retryAfterSeconds) res.set('Retry-After', String(result.retryAfterSeconds));
+      return res.status(result.status === 'reauth_locked' ? 429 : 403).json({ success: false, error: REAUTH_ERRORS[result.status], code: result.status });
+    }
+
+    await AuditLog.create({
+      userId: req.user._id,
+      action: result.changed ? 'wallet_pin_changed' : 'wallet_pin_set',
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.json({ success: true, message: 'Wallet PIN updated successfully' });
+  } catch (error) {
+    console.error('❌ Set wallet PIN error:', error);
+    res.status(500).json({ success: false, error: 'Failed to set wallet PIN' });
+  }
+};
+
+// 4. ส่งรหัสยืนยันทางอีเมลสำหรับตั้ง PIN ครั้งแรก (บัญชีที่สมัครผ่าน Google/Apple และไม่มีรหัสผ่าน)
+exports.requestPinEmailCode = async (req, res) => {
+  try {
+    if (!req.user.email) return res.status(400).json({ success: false, error: 'No email address on this account' });
+
+    const cooldown = await OneTimeCodeService.getCooldownSeconds(req.user._id, 'wallet_pin');
+    if (cooldown > 0) {
+      res.set('Retry-After', String(cooldown));
+      return res.status(429).json({ success: false, error: 'Please wait before requesting another code', retryAfterSeconds: cooldown });
+    }
+
+    const { code, expiresAt } = await OneTimeCodeService.issue({
+      userId: req.user._id,
+      purpose: 'wallet_pin',
+      target: req.user.email,
+      ipAddress: req.ip
+    });
+
+    await EmailService.send({
+      to: req.user.email,
+      subject: `🔐 ${code} is your Chat Chat wallet PIN code`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="color: white; margin: 0;">🔐 Set Your Wallet PIN</h1>
+          </div>
+          <div style="background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px;">
+            <p style="color: #333; font-size: 16px; margin-bottom: 10px;">Hi ${EmailService.escapeHtml(req.user.username)},</p>
+            <p style="color: #555; font-size: 14px; margin-bottom: 20px;">Enter this code in the app to set your wallet PIN:</p>
+            <div style="text-align: center; margin: 30px 0; font-size: 32px; font-weight: bold; letter-spacing: 8px; color: #333;">${code}</div>
+            <p style="color: #777; font-size: 12px; margin-top: 20px; border-top: 1px solid #ddd; padding-top: 20px;">
+              ⏰ This code can be used once and will expire in <strong>10 minutes</strong>.
+            </p>
+            <p style="color: #999; font-size: 12px; margin-top: 15px;">
+              If you didn't try to set a wallet PIN, someone may have access to your account. Change your password and sign out other devices right away.
+            </p>
+          </div>
+        </div>
+      `,
+      text: `Hi ${req.user.username},\n\nYour Chat Chat wallet PIN code is: ${code}\n\nThis code can be used once and will expire in 10 minutes.\n\nIf you didn't try to set a wallet PIN, change your password and sign out other devices right away.`
+    });
+
+    res.json({ success: true, message: 'Verification code sent to your email', expiresAt });
+  } catch (error) {
+    console.error('❌ Request wallet PIN code error:', error);
+    res.status(500).json({ success: false, error: 'Failed to send verification code' });
+  }
+};
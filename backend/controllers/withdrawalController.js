@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const Wallet = require('../models/Wallet');
+const WithdrawalRequest = require('../models/WithdrawalRequest');
+const WithdrawalService = require('../models/WithdrawalService');
+const WalletTransferService = require('../models/WalletTransferService');
+
+const WITHDRAWAL_ERRORS = {
+  below_minimum: { status: 400, error: `ถอนได้ขั้นต่ำ ${WithdrawalService.config.minCoins} Coins` },
+  identity_required: { status: 403, error: 'Identity verification required' },
+  bank_not_found: { status: 400, error: 'Invalid bank code' },
+  invalid_account: { status: 400, error: 'Account number must be 10-15 digits and account name is required' },
+  open_request_exists: { status: 409, error: 'You already have a withdrawal in progress' },
+  insufficient_funds: { status: 400, error: 'ยอดรายได้ไม่เพียงพอ' },
+  wallet_frozen: { status: 403, error: 'กระเป๋าเงินถูกระงับชั่วคราว กรุณาติดต่อฝ่ายสนับสนุน' },
+  negative_balance: { status: 403, error: 'ยอด Coin ติดลบ กรุณาเติมเหรียญก่อนถอนรายได้' },
+  wallet_not_found: { status: 404, error: 'Wallet not found' }
+};
+
+const CONFIRMATION_ERRORS = {
+  two_factor_required: 'Two-factor authentication code is required',
+  two_factor_invalid: 'Invalid two-factor authentication code',
+  pin_required: 'Wallet PIN is required',
+  pin_invalid: 'Invalid wallet PIN',
+  pin_locked: 'Wallet PIN is locked after too many attempts',
+  confirmation_setup_required: 'Set a wallet PIN or enable two-factor authentication to withdraw'
+};
+
+const serializeWithdrawal = (request) => ({
+  id: request._id,
+  coins: request.coins,
+  feeCoins: request.feeCoins,
+  netCoins: request.netCoins,
+  payoutThb: request.payoutThb,
+  currency: request.currency,
+  bankAccount: {
+    bankCode: request.bankAccount.bankCode,
+    bankName: request.bankAccount.bankName,
+    accountNumber: `******${request.bankAccount.accountNumber.slice(-4)}`,
+    accountName: request.bankAccount.accountName
+  },
+  status: request.status,
+  reason: request.reason,
+  createdAt: request.createdAt,
+  paidAt: request.paidAt
+});
+
+// 1. ยอดรายได้ที่ถอนได้ เงื่อนไขการถอน และคำขอที่กำลังดำเนินการ
+exports.getEarnings = async (req, res) => {
+  try {
+    const [wallet, identity, openRequest] = await Promise.all([
+      Wallet.findOne({ userId: req.user._id }).select('coinPoints earnedCoins frozenAt'),
+      WithdrawalService.findVerifiedIdentity(req.user._id),
+      WithdrawalRequest.findOne({ userId: req.user._id, status: { $in: ['pending', 'approved', 'processing'] } })
+    ]);
+    const earnedCoins = wallet ? wallet.earnedCoins || 0 : 0;
+    const { minCoins } = WithdrawalService.config;
+    const walletBlocked = !!wallet && (!!wallet.frozenAt || wallet.coinPoints < 0);
+
+    res.json({
+      success: true,
+      earnedCoins,
+      withdrawal: {
+        ...WithdrawalService.config,
+        identityVerified: !!identity,
+        canWithdraw: !!identity && !openRequest && !walletBlocked && earnedCoins >= minCoins,
+        maxQuote: earnedCoins >= minCoins ? WithdrawalService.quote(earnedCoins) : null,
+        openRequest: openRequest ? serializeWithdrawal(openRequest) : null
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get earnings error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get earnings' });
+  }
+};
+
+// 2. ส่งคำขอถอนรายได้เข้าบัญชีธนาคาร (ต้องยืนยันด้วย 2FA หรือ PIN ทุกครั้ง)
+exports.requestWithdrawal = async (req, res) => {
+  try {
+    const { amount, bankCode, accountNumber, accountName, totpCode, pin } = req.body;
+    const coins = Number(amount);
+
+    const confirmation = await WalletTransferService.verifyConfirmation(req.user, {
+      totpCode: req.headers['x-2fa-code'] || totpCode,
+      pin
+    });
+    if (!confirmation.ok) {
+      if (confirmation.retryAfterSeconds) res.set('Retry-After', String(confirmation.retryAfterSeconds));
+      return res.status(403).json({ success: false, error: CONFIRMATION_ERRORS[confirmation.code], code: confirmation.code });
+    }
+
+    const result = await WithdrawalService.requestWithdrawal(req.user, { coins, bankCode, accountNumber, accountName });
+    if (result.status !== 'ok') {
+      const { status, error } = WITHDRAWAL_ERRORS[result.status];
+      return res.status(status).json({ success: false, error, code: result.status });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'ส่งคำขอถอนเงินแล้ว รอตรวจสอบ',
+      withdrawal: serializeWithdrawal(result.request),
+      earnedCoins: result.earnedCoins
+    });
+  } catch (error) {
+    console.error('❌ Request withdrawal error:', error);
+    res.status(500).json({ success: false, error: 'Failed to request withdrawal' });
+  }
+};
+
+// 3. ประวัติคำขอถอนเงิน
+exports.listWithdrawals = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const filter = { userId: req.user._id };
+
+    const [requests, total] = await Promise.all([
+      WithdrawalRequest.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      WithdrawalRequest.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      withdrawals: requests.map(serializeWithdrawal),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('❌ Get withdrawals error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get withdrawals' });
+  }
+};
+
+// 4. ยกเลิกคำขอที่ยังไม่ได้รับการอนุมัติ (คืน Coins เข้ารายได้)
+exports.cancelWithdrawal = async (req, res) => {
+  try {
+    const request = mongoose.isValidObjectId(req.params.id)
+      && await WithdrawalRequest.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!request) return res.status(404).json({ success: false, error: 'Withdrawal not found' });
+
+    const updated = await WithdrawalService.transition(request, 'cancel', { by: req.user._id });
+    if (!updated) {
+      return res.status(409).json({ success: false, error: `Cannot cancel a withdrawal that is ${request.status}` });
+    }
+
+    const wallet = await Wallet.findOne({ userId: req.user._id }).select('earnedCoins');
+    res.json({ success: true, withdrawal: serializeWithdrawal(updated), earnedCoins: wallet ? wallet.earnedCoins : 0 });
+  } catch (error) {
+    console.error('❌ Cancel withdrawal error:', error);
+    res.status(500).json({ success: false, error: 'Failed to cancel withdrawal' });
+  }
+};
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const SessionService = require('../models/SessionService');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 
@@ -12,6 +13,17 @@ const authenticateToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, JWT_SECRET);
+
+    // Token รุ่นเก่าที่ไม่มี sid ไม่สามารถเพิกถอนได้ จึงไม่รับอีกต่อไป
+    if (!decoded.sid) {
+      return res.status(401).json({ error: 'Session expired, please login again' });
+    }
+
+    const session = await SessionService.validateSession(decoded.sid, decoded.userId);
+    if (!session) {
+      return res.status(401).json({ error: 'Session has been revoked' });
+    }
+
     const user = await User.findById(decoded.userId);
 
     if (!user) {
@@ -19,8 +31,13 @@ const authenticateToken = async (req, res, next) => {
     }
 
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
+    // ให้ client รู้ว่าต้องเรียก /api/auth/refresh แทนการ login ใหม่
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Access token expired', code: 'token_expired' });
+    }
     return res.status(401).json({ error: 'Invalid token' });
   }
 };
@@ -0,0 +1,56 @@
+const OAuthApp = require('../models/OAuthApp');
+const OAuthService = require('../models/OAuthService');
+const OAuthUsageService = require('../models/OAuthUsageService');
+
+// ตรวจ Bearer access token ที่ออกให้แอปภายนอก (ไม่ใช่ token ของแอป ChatChat เอง) พร้อมนับการใช้งานและจำกัด rate ต่อแอป
+// ตอบ error ตามรูปแบบ RFC 6750 เพราะผู้เรียกเป็นระบบของพาร์ทเนอร์
+// options.scopes = scope ที่ต้องมีครบ, options.audience = 'user' | 'app' (ไม่ระบุ = รับทั้งสองแบบ)
+const requireOAuthToken = ({ scopes = [], audience } = {}) => async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization || '';
+    const accessToken = authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
+    if (!accessToken) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'invalid_request', error_description: 'Bearer access token is required' });
+    }
+
+    const record = await OAuthService.findActiveAccessToken(accessToken);
+    const app = record && await OAuthApp.findOne({ clientId: record.clientId });
+    if (!record || !app || app.status === 'suspended') {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({ error: 'invalid_token' });
+    }
+
+    const usage = await OAuthUsageService.consume(app);
+    res.set('X-RateLimit-Limit', String(usage.limit));
+    res.set('X-RateLimit-Remaining', String(usage.remaining));
+    if (!usage.allowed) {
+      res.set('Retry-After', String(usage.resetSeconds));
+      return res.status(429).json({ error: 'rate_limit_exceeded', error_description: `Rate limit of ${usage.limit} requests per minute exceeded` });
+    }
+
+    const isAppToken = record.grantType === 'client_credentials';
+    if ((audience === 'user' && isAppToken) || (audience === 'app' && !isAppToken)) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(403).json({
+        error: 'invalid_token',
+        error_description: audience === 'user' ? 'This endpoint requires a user access token' : 'This endpoint requires an app access token'
+      });
+    }
+
+    const granted = OAuthService.parseScope(record.scope);
+    if (scopes.some(scope => !granted.includes(scope))) {
+      res.set('WWW-Authenticate', `Bearer error="insufficient_scope", scope="${scopes.join(' ')}"`);
+      return res.status(403).json({ error: 'insufficient_scope', scope: scopes.join(' ') });
+    }
+
+    req.oauthToken = record;
+    req.oauthApp = app;
+    next();
+  } catch (error) {
+    console.error('❌ OAuth token check error:', error);
+    res.status(500).json({ error: 'server_error' });
+  }
+};
+
+module.exports = requireOAuthToken;
@@ -0,0 +1,34 @@
+const TwoFactorService = require('../models/TwoFactorService');
+
+// ใช้ต่อจาก authenticateToken กับ Route ที่อ่อนไหว (เปลี่ยนอีเมล, ใช้เหรียญ ฯลฯ)
+// ผู้ใช้ที่เปิด 2FA ต้องส่งรหัส TOTP ปัจจุบันมาทาง Header `X-2FA-Code` หรือ body `totpCode`
+const requireTwoFactor = async (req, res, next) => {
+  try {
+    if (!req.user.twoFactor?.enabled) return next();
+
+    const code = req.headers['x-2fa-code'] || req.body?.totpCode;
+    if (!code) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor authentication code is required',
+        code: 'two_factor_required'
+      });
+    }
+
+    if (!TwoFactorService.verifyTotp(req.user, code)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid two-factor authentication code',
+        code: 'two_factor_invalid'
+      });
+    }
+
+    await req.user.save();
+    next();
+  } catch (error) {
+    console.error('❌ Two-factor check error:', error);
+    res.status(500).json({ success: false, error: 'Failed to verify two-factor code' });
+  }
+};
+
+module.exports = requireTwoFactor;
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: { type: String, required: true }, // เช่น 'password_reset_requested', 'password_reset'
+  ipAddress: { type: String },
+  userAgent: { type: String },
+  metadata: { type: Map, of: mongoose.Schema.Types.Mixed },
+  createdAt: { type: Date, default: Date.now }
+});
+
+auditLogSchema.index({ userId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
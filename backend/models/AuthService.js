@@ -0,0 +1,209 @@
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const User = require('../models/User');
+const Wallet = require('../models/Wallet');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const SessionService = require('../models/SessionService');
+const LoginThrottleService = require('../models/LoginThrottleService');
+
+const WELCOME_MESSAGE = 'สวัสดี! ยินดีต้อนรับสู่ Connect App เราพร้อมให้ความช่วยเหลือเสมอ';
+
+/**
+ * รวมตรรกะการยืนยันตัวตนไว้ที่เดียว (hash รหัสผ่าน, สมัครสมาชิก, ออก Session)
+ * ใช้ร่วมกันระหว่าง controllers/authController.js และ server.js
+ * ไม่ผูกกับ Express เพื่อให้ทดสอบแยกได้
+ *
+ * หมายเหตุ: เมธอดอ้างถึงกันผ่าน `AuthService.` (ไม่ใช้ `this`) เพื่อให้ destructure ไปใช้ได้
+ */
+class AuthService {
+  static generateSalt() {
+    return bcrypt.genSaltSync(12);
+  }
+
+  static hashPassword(password, salt) {
+    return bcrypt.hashSync(password + salt, 12);
+  }
+
+  static verifyPassword(password, hash, salt) {
+    return bcrypt.compareSync(password + salt, hash);
+  }
+
+  static async createUserWallet(userId) {
+    try {
+      const existingWallet = await Wallet.findOne({ userId });
+
+      if (!existingWallet) {
+        const newWallet = new Wallet({
+          userId: userId,
+          balance: 0.0,
+          coinPoints: 0,
+          currency: 'THB'
+        });
+
+        await newWallet.save();
+        console.log('✅ Wallet created for user:', userId);
+        return newWallet;
+      }
+
+      return existingWallet;
+    } catch (error) {
+      console.error('❌ Error creating wallet:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * สร้างแชททางการกับบัญชี Support (และลบแชททางการที่ซ้ำกันออก)
+   */
+  static async createOfficialChat(userId) {
+    try {
+      const systemUser = await User.findOne({ userType: 'system' });
+
+      if (!systemUser) {
+        console.error('❌ System user not found');
+        return;
+      }
+
+      const existingOfficialChats = await Chat.find({
+        participants: {
+          $all: [userId, systemUser._id]
+        },
+        chatType: 'official',
+        isActive: true
+      }).sort({ createdAt: -1 });
+
+      if (existingOfficialChats.length === 0) {
+        const officialChat = new Chat({
+          participants: [userId, systemUser._id],
+          chatType: 'official',
+          title: 'Connect Support',
+          lastMessage: WELCOME_MESSAGE,
+          lastMessageTime: new Date(),
+          createdBy: systemUser._id
+        });
+
+        await officialChat.save();
+
+        const welcomeMessage = new Message({
+          chatId: officialChat._id,
+          senderId: systemUser._id,
+          messageType: 'system',
+          content: `${WELCOME_MESSAGE} 😊\n\nคุณสามารถสอบถามเกี่ยวกับการใช้งานแอป หรือรายงานปัญหาต่างๆ ได้ที่นี่`
+        });
+
+        await welcomeMessage.save();
+        console.log('✅ Official chat created for user:', userId);
+      } else if (existingOfficialChats.length > 1) {
+        console.log(`🔄 Found ${existingOfficialChats.length} official chats for user ${userId}, cleaning duplicates...`);
+
+        const latestChat = existingOfficialChats[0];
+        const chatsToDelete = existingOfficialChats.slice(1);
+
+        for (const chat of chatsToDelete) {
+          await Message.deleteMany({ chatId: chat._id });
+          await Chat.deleteOne({ _id: chat._id });
+          console.log(`🗑️ Deleted duplicate official chat: ${chat._id}`);
+        }
+
+        console.log(`✅ Kept latest official chat: ${latestChat._id} for user: ${userId}`);
+      }
+    } catch (error) {
+      console.error('❌ Error creating official chat:', error);
+    }
+  }
+
+  /**
+   * สมัครสมาชิกใหม่ พร้อมสร้าง Wallet และแชททางการ
+   * @returns {User|null} null ถ้าอีเมลนี้ถูกใช้แล้ว
+   */
+  static async registerUser({ username, email, password, phone, language = 'en', theme = 'white', pdpaConsent, consentTimestamp }) {
+    const normalizedEmail = email.trim().toLowerCase();
+
+    const existingUser = await User.findOne({ email: normalizedEmail });
+    if (existingUser) return null;
+
+    const salt = AuthService.generateSalt();
+
+    const newUser = new User({
+      username: username.trim(),
+      email: normalizedEmail,
+      phone: phone ? phone.trim() : '',
+      passwordHash: AuthService.hashPassword(password, salt),
+      passwordSalt: salt,
+      settings: { language, theme },
+      pdpaConsent,
+      consentTimestamp: consentTimestamp || new Date().toISOString()
+    });
+
+    await newUser.save();
+    await AuthService.createUserWallet(newUser._id);
+    await AuthService.createOfficialChat(newUser._id);
+
+    return newUser;
+  }
+
+  /**
+   * สมัครสมาชิกใหม่จากบัญชี Google/Apple (ไม่มีรหัสผ่าน ผู้ใช้ตั้งเองภายหลังผ่านลืมรหัสผ่านได้)
+   * @param {object} identity - ผลลัพธ์จาก FederatedIdentityService.verifyIdToken()
+   */
+  static async registerFederatedUser(identity, { language = 'en', theme = 'white', pdpaConsent, consentTimestamp }) {
+    const salt = AuthService.generateSalt();
+    let username = (identity.name || identity.email.split('@')[0]).trim().substring(0, 30);
+    if (username.length < 3) username = `user_${crypto.randomBytes(3).toString('hex')}`;
+
+    const newUser = new User({
+      username,
+      email: identity.email,
+      emailVerified: true,
+      passwordHash: AuthService.hashPassword(crypto.randomBytes(32).toString('hex'), salt),
+      passwordSalt: salt,
+      hasPassword: false,
+      federatedIdentities: [{ provider: identity.provider, subject: identity.subject, email: identity.email }],
+      settings: { language, theme },
+      pdpaConsent,
+      consentTimestamp: consentTimestamp || new Date().toISOString()
+    });
+
+    await newUser.save();
+    await AuthService.createUserWallet(newUser._id);
+    await AuthService.createOfficialChat(newUser._id);
+
+    return newUser;
+  }
+
+  /**
+   * ออก Session ใหม่หลังผ่านการยืนยันตัวตนครบทุกขั้นตอน
+   * @returns {{ session, authToken, refreshToken, expiresIn }}
+   */
+  static async startSession(user, deviceInfo) {
+    const tokens = await SessionService.createSession(user._id, deviceInfo);
+
+    user.lastLogin = new Date();
+    await user.save();
+    await LoginThrottleService.recordSuccess(user._id);
+
+    await AuthService.createOfficialChat(user._id);
+
+    return tokens;
+  }
+
+  /**
+   * ข้อมูลผู้ใช้ที่ส่งกลับหลัง login / register
+   */
+  static toAuthUser(user) {
+    return {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      phone: user.phone,
+      settings: user.settings,
+      profilePicture: user.profilePicture,
+      userId: user.userId,
+      pdpaConsent: user.pdpaConsent,
+      consentTimestamp: user.consentTimestamp
+    };
+  }
+}
+
+module.exports = AuthService;
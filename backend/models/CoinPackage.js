@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// แพ็กเกจเติมเหรียญ: ราคาและจำนวนเหรียญกำหนดที่เซิร์ฟเวอร์เท่านั้น ไคลเอนต์ส่งมาแค่ packageId
+const coinPackageSchema = new mongoose.Schema({
+  packageId: { type: String, required: true, unique: true, trim: true }, // เช่น 'pkg_300' (ใช้ใน API และ metadata ของ Stripe)
+  label: { type: String, required: true, trim: true },
+  priceThb: { type: Number, required: true, min: 1 },
+  coins: { type: Number, required: true, min: 1 },
+  bonusCoins: { type: Number, default: 0, min: 0 },
+  recommended: { type: Boolean, default: false },
+  sortOrder: { type: Number, default: 0 },
+  active: { type: Boolean, default: true },
+  // โปรโมชันช่วงเวลาจำกัด: ระหว่าง startsAt - endsAt ใช้ราคา/โบนัสนี้แทน (เว้นว่าง = ใช้ค่าปกติ)
+  promotion: {
+    label: { type: String, trim: true },
+    priceThb: { type: Number, min: 1 },
+    bonusCoins: { type: Number, min: 0 },
+    startsAt: { type: Date },
+    endsAt: { type: Date }
+  },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+coinPackageSchema.index({ active: 1, sortOrder: 1 });
+
+module.exports = mongoose.model('CoinPackage', coinPackageSchema);
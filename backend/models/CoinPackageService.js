@@ -0,0 +1,157 @@
+const CoinPackage = require('../models/CoinPackage');
+
+// แพ็กเกจเริ่มต้น (เดิมฝังอยู่ใน GET /api/wallet/coin-packages) ใช้ตั้งต้น collection ที่ยังว่าง
+// pkg_100 / pkg_500 / pkg_1000 ใช้ราคาและจำนวนเหรียญเดิมที่ /api/payment/create-intent เคยเก็บเงินจริง (฿35 / ฿150 / ฿290)
+// ปรับราคาภายหลังผ่าน PUT /api/admin/coin-packages/:packageId
+const DEFAULT_PACKAGES = [
+  { packageId: 'pkg_50', label: '50 Coins', priceThb: 50, coins: 50, bonusCoins: 0, sortOrder: 10 },
+  { packageId: 'pkg_100', label: '100 Coins', priceThb: 35, coins: 100, bonusCoins: 0, sortOrder: 20 },
+  { packageId: 'pkg_300', label: '300 Coins + 30 Bonus', priceThb: 300, coins: 300, bonusCoins: 30, recommended: true, sortOrder: 30 },
+  { packageId: 'pkg_500', label: '500 Coins', priceThb: 150, coins: 500, bonusCoins: 0, sortOrder: 40 },
+  { packageId: 'pkg_1000', label: '1000 Coins', priceThb: 290, coins: 1000, bonusCoins: 0, sortOrder: 50 }
+];
+
+const EDITABLE_FIELDS = ['label', 'priceThb', 'coins', 'bonusCoins', 'recommended', 'sortOrder', 'active'];
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value >= 1;
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * แคตตาล็อกแพ็กเกจเหรียญ: คำนวณราคาที่ต้องจ่ายและจำนวนเหรียญที่จะได้ (รวมโบนัสและโปรโมชันที่กำลังใช้อยู่) ฝั่งเซิร์ฟเวอร์
+ */
+class CoinPackageService {
+  static isPromotionActive(pkg, now = new Date()) {
+    const promotion = pkg.promotion;
+    if (!promotion || !promotion.startsAt || !promotion.endsAt) return false;
+    if (promotion.priceThb == null && promotion.bonusCoins == null) return false;
+    return promotion.startsAt <= now && now < promotion.endsAt;
+  }
+
+  /**
+   * ราคาและจำนวนเหรียญ ณ เวลานี้
+   * @returns {{ packageId, label, priceThb, coins, bonusCoins, totalCoins, promotion: object|null }}
+   */
+  static quote(pkg, now = new Date()) {
+    const promotionActive = this.isPromotionActive(pkg, now);
+    const priceThb = promotionActive && pkg.promotion.priceThb != null ? pkg.promotion.priceThb : pkg.priceThb;
+    const bonusCoins = promotionActive && pkg.promotion.bonusCoins != null ? pkg.promotion.bonusCoins : pkg.bonusCoins;
+
+    return {
+      packageId: pkg.packageId,
+      label: pkg.label,
+      priceThb,
+      coins: pkg.coins,
+      bonusCoins,
+      totalCoins: pkg.coins + bonusCoins,
+      promotion: promotionActive
+        ? { label: pkg.promotion.label, originalPriceThb: pkg.priceThb, endsAt: pkg.promotion.endsAt }
+        : null
+    };
+  }
+
+  /**
+   * รูปแบบเดิมของ GET /api/wallet/coin-packages (แอปมือถือใช้ amount / coinAmount / bonus / totalCoins)
+   */
+  static serializeForCatalog(pkg, now = new Date()) {
+    const quote = this.quote(pkg, now);
+    // เหรียญที่ได้เพิ่มเทียบกับราคา 1 Coin = 1 THB
+    const savingsPercent = Math.round((quote.totalCoins - quote.priceThb) / quote.priceThb * 100);
+
+    return {
+      id: quote.packageId,
+      label: quote.promotion && quote.promotion.label ? `${quote.label} (${quote.promotion.label})` : quote.label,
+      amount: quote.priceThb,
+      coinAmount: quote.coins,
+      bonus: quote.bonusCoins,
+      totalCoins: quote.totalCoins,
+      savings: `${Math.max(savingsPercent, 0)}%`,
+      recommended: pkg.recommended,
+      promotion: quote.promotion
+    };
+  }
+
+  static async listActive() {
+    return CoinPackage.find({ active: true }).sort({ sortOrder: 1, priceThb: 1 });
+  }
+
+  /**
+   * แพ็กเกจที่เปิดขายอยู่พร้อมราคา ณ ตอนนี้ @returns {object|null} quote หรือ null ถ้าไม่มี / ปิดขาย
+   */
+  static async getQuote(packageId) {
+    if (!packageId || typeof packageId !== 'string') return null;
+    const pkg = await CoinPackage.findOne({ packageId, active: true });
+    return pkg ? this.quote(pkg) : null;
+  }
+
+  /**
+   * metadata ที่แนบกับ PaymentIntent / Checkout Session: webhook เติมเหรียญตาม coinAmount และตรวจยอดจ่ายกับ priceThb
+   */
+  static buildStripeMetadata(userId, quote, type) {
+    return {
+      userId: userId.toString(),
+      packageId: quote.packageId,
+      coinAmount: quote.totalCoins.toString(),
+      priceThb: quote.priceThb.toString(),
+      type
+    };
+  }
+
+  /**
+   * ตรวจและคัดข้อมูลจาก body ของแอดมิน
+   * @returns {{ error?: string, values?: object }}
+   */
+  static parseInput(body, { partial = false } = {}) {
+    const values = {};
+
+    if (!partial || body.packageId !== undefined) {
+      if (typeof body.packageId !== 'string' || !/^[a-z0-9_-]{2,40}$/.test(body.packageId)) {
+        return { error: 'packageId must be 2-40 lowercase letters, digits, "_" or "-"' };
+      }
+      values.packageId = body.packageId;
+    }
+
+    for (const field of EDITABLE_FIELDS) {
+      if (body[field] === undefined) continue;
+      values[field] = body[field];
+    }
+
+    if (!partial && !values.label) return { error: 'label is required' };
+    if (values.label !== undefined && (typeof values.label !== 'string' || !values.label.trim())) return { error: 'label is required' };
+    if ((!partial || values.priceThb !== undefined) && !isPositiveInteger(values.priceThb)) return { error: 'priceThb must be a positive integer' };
+    if ((!partial || values.coins !== undefined) && !isPositiveInteger(values.coins)) return { error: 'coins must be a positive integer' };
+    if (values.bonusCoins !== undefined && !isNonNegativeInteger(values.bonusCoins)) return { error: 'bonusCoins must be a non-negative integer' };
+    if (values.sortOrder !== undefined && !Number.isInteger(values.sortOrder)) return { error: 'sortOrder must be an integer' };
+    if (values.recommended !== undefined) values.recommended = !!values.recommended;
+    if (values.active !== undefined) values.active = !!values.active;
+
+    if (body.promotion !== undefined) {
+      if (body.promotion === null) {
+        values.promotion = undefined;
+      } else {
+        const { label, priceThb, bonusCoins, startsAt, endsAt } = body.promotion;
+        const start = new Date(startsAt);
+        const end = new Date(endsAt);
+        if (isNaN(start) || isNaN(end) || start >= end) return { error: 'promotion needs a valid startsAt before endsAt' };
+        if (priceThb == null && bonusCoins == null) return { error: 'promotion must set priceThb or bonusCoins' };
+        if (priceThb != null && !isPositiveInteger(priceThb)) return { error: 'promotion.priceThb must be a positive integer' };
+        if (bonusCoins != null && !isNonNegativeInteger(bonusCoins)) return { error: 'promotion.bonusCoins must be a non-negative integer' };
+
+        values.promotion = { label: label ? String(label).trim() : undefined, priceThb, bonusCoins, startsAt: start, endsAt: end };
+      }
+    }
+
+    return { values };
+  }
+
+  /**
+   * Migration: ตั้งต้นแคตตาล็อกด้วยแพ็กเกจเดิมเมื่อ collection ยังว่าง
+   */
+  static async seedDefaultPackages() {
+    if (await CoinPackage.exists({})) return;
+
+    await CoinPackage.insertMany(DEFAULT_PACKAGES);
+    console.log('📦 Seeded default coin packages:', DEFAULT_PACKAGES.length);
+  }
+}
+
+module.exports = CoinPackageService;
@@ -0,0 +1,64 @@
+const sgMail = require('@sendgrid/mail');
+const nodemailer = require('nodemailer');
+
+let smtpTransport = null;
+
+class EmailService {
+  static getSender() {
+    return {
+      email: process.env.SENDGRID_FROM_EMAIL || 'noreply@chatchat.app',
+      name: process.env.SENDGRID_FROM_NAME || 'ChatChat App'
+    };
+  }
+
+  /**
+   * Escape ค่าที่มาจากผู้ใช้ (ชื่อ, ชื่ออุปกรณ์ ฯลฯ) ก่อนใส่ลงใน HTML ของอีเมล
+   */
+  static escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * ส่งอีเมลผ่าน SendGrid (ถ้าตั้งค่า SENDGRID_API_KEY) หรือ SMTP ผ่าน nodemailer (ถ้าตั้งค่า SMTP_HOST)
+   * API key ของ SendGrid ถูกตั้งไว้ตอนเริ่ม server.js แล้ว
+   * @returns {boolean} true เมื่อส่งสำเร็จ
+   */
+  static async send({ to, subject, html, text }) {
+    const sender = this.getSender();
+
+    try {
+      if (process.env.SENDGRID_API_KEY) {
+        await sgMail.send({ to, from: sender, subject, html, text });
+        console.log('✅ Email sent via SendGrid to:', to);
+        return true;
+      }
+
+      if (process.env.SMTP_HOST) {
+        if (!smtpTransport) {
+          smtpTransport = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT || '587', 10),
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+          });
+        }
+        await smtpTransport.sendMail({ to, from: `"${sender.name}" <${sender.email}>`, subject, html, text });
+        console.log('✅ Email sent via SMTP to:', to);
+        return true;
+      }
+
+      console.warn('⚠️ No email provider configured, skipping email to:', to);
+      return false;
+    } catch (error) {
+      console.error('❌ Failed to send email:', error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = EmailService;
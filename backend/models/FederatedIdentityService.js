@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+
+const JWKS_CACHE_TTL_MS = 60 * 60 * 1000; // เก็บ JWKS ไว้ 1 ชั่วโมง (ดึงใหม่ถ้าเจอ kid ที่ไม่รู้จัก)
+const JWKS_MIN_REFETCH_MS = 60 * 1000; // kid ที่ไม่รู้จักดึงใหม่ได้ไม่เกินนาทีละครั้งต่อ jwksUri (กัน token ปลอมทำให้ยิงไปหาผู้ให้บริการทุก request)
+
+const parseList = (value) => (value || '').split(',').map(v => v.trim()).filter(Boolean);
+
+/**
+ * ผู้ให้บริการที่รองรับ ตั้งค่าผ่าน env
+ * - *_CLIENT_IDS: audience ที่ยอมรับ (คั่นด้วย , เช่น web + android + ios)
+ * - *_JWKS_URI: ชี้ไปที่ file:///path/to/jwks.json ได้เพื่อใช้ key จำลองตอนพัฒนา
+ */
+const PROVIDERS = {
+  google: {
+    jwksUri: process.env.GOOGLE_JWKS_URI || 'https://www.googleapis.com/oauth2/v3/certs',
+    issuers: ['https://accounts.google.com', 'accounts.google.com'],
+    clientIds: parseList(process.env.GOOGLE_CLIENT_IDS || process.env.GOOGLE_CLIENT_ID)
+  },
+  apple: {
+    jwksUri: process.env.APPLE_JWKS_URI || 'https://appleid.apple.com/auth/keys',
+    issuers: ['https://appleid.apple.com'],
+    clientIds: parseList(process.env.APPLE_CLIENT_IDS || process.env.APPLE_CLIENT_ID)
+  }
+};
+
+const jwksCache = new Map(); // jwksUri -> { keys, fetchedAt }
+const jwksInFlight = new Map(); // jwksUri -> Promise ของการดึงที่กำลังทำอยู่ (request พร้อมกันใช้ผลเดียวกัน)
+
+class FederatedIdentityService {
+  static isSupported(provider) {
+    return Object.prototype.hasOwnProperty.call(PROVIDERS, provider);
+  }
+
+  static get providers() {
+    return Object.keys(PROVIDERS);
+  }
+
+  static async fetchJwks(jwksUri) {
+    if (jwksUri.startsWith('file://')) {
+      return JSON.parse(fs.readFileSync(new URL(jwksUri), 'utf8')).keys || [];
+    }
+
+    const response = await fetch(jwksUri);
+    if (!response.ok) throw new Error(`Failed to fetch JWKS from ${jwksUri}: ${response.status}`);
+
+    const body = await response.json();
+    return body.keys || [];
+  }
+
+  static refreshJwks(jwksUri) {
+    if (!jwksInFlight.has(jwksUri)) {
+      const refresh = this.fetchJwks(jwksUri)
+        .then((keys) => {
+          const cached = { keys, fetchedAt: Date.now() };
+          jwksCache.set(jwksUri, cached);
+          return cached;
+        })
+        .finally(() => jwksInFlight.delete(jwksUri));
+      jwksInFlight.set(jwksUri, refresh);
+    }
+    return jwksInFlight.get(jwksUri);
+  }
+
+  /**
+   * หา public key ตาม kid โดยใช้ cache และดึงใหม่เมื่อผู้ให้บริการหมุน key
+   * kid ที่ไม่รู้จักดึงใหม่ได้เมื่อดึงครั้งก่อนนานกว่า JWKS_MIN_REFETCH_MS เท่านั้น
+   */
+  static async getSigningKey(jwksUri, kid) {
+    let cached = jwksCache.get(jwksUri);
+    const age = cached ? Date.now() - cached.fetchedAt : Infinity;
+    const isStale = age > JWKS_CACHE_TTL_MS;
+    const isUnknownKid = cached && !cached.keys.some(k => k.kid === kid);
+
+    if (isStale || (isUnknownKid && age > JWKS_MIN_REFETCH_MS)) {
+      cached = await this.refreshJwks(jwksUri);
+    }
+
+    const jwk = cached.keys.find(k => k.kid === kid);
+    return jwk ? crypto.createPublicKey({ key: jwk, format: 'jwk' }) : null;
+  }
+
+  /**
+   * ตรวจ ID Token จากผู้ให้บริการ (ลายเซ็น, issuer, audience, วันหมดอายุ)
+   * @returns {{ provider, subject, email, emailVerified, name } | null} null ถ้า token ไม่ถูกต้อง
+   */
+  static async verifyIdToken(provider, idToken) {
+    const config = PROVIDERS[provider];
+    if (!config) return null;
+    if (config.clientIds.length === 0) throw new Error(`${provider} sign-in is not configured`);
+
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded?.header?.kid) return null;
+
+    const publicKey = await this.getSigningKey(config.jwksUri, decoded.header.kid);
+    if (!publicKey) return null;
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, publicKey, {
+        algorithms: ['RS256'],
+        issuer: config.issuers,
+        audience: config.clientIds
+      });
+    } catch (error) {
+      console.warn(`⚠️ Invalid ${provider} ID token:`, error.message);
+      return null;
+    }
+
+    return {
+      provider,
+      subject: String(claims.sub),
+      email: claims.email ? String(claims.email).trim().toLowerCase() : null,
+      // Apple ส่ง email_verified เป็น string "true"
+      emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+      name: claims.name || null
+    };
+  }
+
+  static findLinkedIdentity(user, provider) {
+    return (user.federatedIdentities || []).find(identity => identity.provider === provider);
+  }
+}
+
+module.exports = FederatedIdentityService;
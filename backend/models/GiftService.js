@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const LedgerService = require('../models/LedgerService');
+const { getGift } = require('../config/giftCatalog');
+
+const { LedgerError } = LedgerService;
+
+const PLATFORM_FEE_PERCENT = Math.min(Math.max(parseInt(process.env.GIFT_PLATFORM_FEE_PERCENT ?? 30, 10) || 0, 0), 99); // ผู้รับต้องได้อย่างน้อย 1 Coin
+
+/**
+ * ของขวัญในแชท: ผู้ส่งจ่ายราคาเต็ม ผู้รับได้ราคาหลังหักค่าธรรมเนียมแพลตฟอร์ม (ปัดเศษค่าธรรมเนียมลง)
+ * ยอดที่ผู้รับได้เข้าบัญชีรายได้ (earnings:) ไม่ใช่ Coins ที่ใช้จ่ายได้ เพื่อให้ถอนเป็นเงินได้เฉพาะรายได้จริง
+ * ตัดเหรียญ ลงสมุดบัญชี บันทึก Transaction และสร้างข้อความ gift ใน Mongo transaction เดียว
+ */
+class GiftService {
+  static get platformFeePercent() {
+    return PLATFORM_FEE_PERCENT;
+  }
+
+  static splitPrice(priceCoins) {
+    const platformFee = Math.floor(priceCoins * PLATFORM_FEE_PERCENT / 100);
+    return { platformFee, recipientCoins: priceCoins - platformFee };
+  }
+
+  /**
+   * ผู้รับของขวัญ: แชทเดี่ยว = อีกฝ่าย, แชทกลุ่ม = ต้องระบุ recipientId ที่เป็นสมาชิกกลุ่ม
+   * @returns {{ status: 'ok' | 'recipient_required' | 'recipient_not_in_chat' | 'self' | 'not_allowed', recipientId? }}
+   */
+  static resolveRecipient(chat, senderId, recipientId) {
+    if (chat.chatType === 'official') return { status: 'not_allowed' };
+
+    const others = chat.participants.filter(id => !id.equals(senderId));
+    let target;
+    if (chat.chatType === 'direct' && !recipientId) {
+      target = others[0];
+    } else {
+      if (!recipientId) return { status: 'recipient_required' };
+      if (!mongoose.isValidObjectId(recipientId)) return { status: 'recipient_not_in_chat' };
+      if (senderId.equals(recipientId)) return { status: 'self' };
+      target = others.find(id => id.equals(recipientId));
+    }
+
+    return target ? { status: 'ok', recipientId: target } : { status: 'recipient_not_in_chat' };
+  }
+
+  /**
+   * @param {string} [requestId] - id จากไคลเอนต์ กันกดส่งซ้ำ
+   * @returns {{ status: 'ok' | 'chat_not_found' | 'gift_not_found' | 'recipient_required' | 'recipient_not_in_chat'
+   *   | 'self' | 'not_allowed' | 'insufficient_funds' | 'wallet_frozen' | 'recipient_unavailable' | 'duplicate', ... }}
+   */
+  static async sendGift(sender, chatId, { giftId, recipientId, requestId }) {
+    const gift = getGift(giftId);
+    if (!gift) return { status: 'gift_not_found' };
+
+    if (!mongoose.isValidObjectId(chatId)) return { status: 'chat_not_found' };
+    const chat = await Chat.findOne({ _id: chatId, participants: sender._id, isActive: { $ne: false } });
+    if (!chat) return { status: 'chat_not_found' };
+
+    const target = this.resolveRecipient(chat, sender._id, recipientId);
+    if (target.status !== 'ok') return { status: target.status };
+
+    const recipient = await User.findById(target.recipientId).select('_id username userId profilePicture');
+    if (!recipient) return { status: 'recipient_not_in_chat' };
+
+    const giftRef = `GIFT_${requestId ? `${sender._id}_${requestId}` : new mongoose.Types.ObjectId()}`;
+    const { platformFee, recipientCoins } = this.splitPrice(gift.priceCoins);
+    const content = `${gift.sticker} ส่งของขวัญ ${gift.name} ให้ ${recipient.username}`;
+    const metadata = { giftId: gift.id, chatId: chat._id.toString(), fromUserId: sender._id.toString(), toUserId: recipient._id.toString() };
+
+    let result;
+    try {
+      result = await LedgerService.transact(async (session) => {
+        const { debitWallet, creditWallet } = await LedgerService.post({
+          referenceId: giftRef,
+          type: 'gift',
+          debitAccount: LedgerService.userAccount(sender._id),
+          creditAccount: LedgerService.earningsAccount(recipient._id),
+          amount: recipientCoins,
+          description: `ของขวัญ ${gift.name} จาก ${sender.username} ถึง ${recipient.username}`,
+          metadata
+        }, { session });
+
+        let senderWallet = debitWallet;
+        if (platformFee > 0) {
+          ({ debitWallet: senderWallet } = await LedgerService.post({
+            referenceId: `${giftRef}_FEE`,
+            type: 'gift',
+            debitAccount: LedgerService.userAccount(sender._id),
+            creditAccount: LedgerService.ACCOUNTS.GIFT_FEES,
+            amount: platformFee,
+            description: `ค่าธรรมเนียมของขวัญ ${gift.name}`,
+            metadata
+          }, { session }));
+        }
+
+        const [message] = await Message.create([{
+          chatId: chat._id,
+          senderId: sender._id,
+          messageType: 'gift',
+          content,
+          gift: {
+            giftId: gift.id,
+            name: gift.name,
+            sticker: gift.sticker,
+            animation: gift.animation,
+            priceCoins: gift.priceCoins,
+            recipientId: recipient._id,
+            recipientCoins,
+            platformFee,
+            referenceId: giftRef
+          }
+        }], { session });
+
+        await Transaction.create([
+          {
+            userId: sender._id,
+            walletId: senderWallet._id,
+            type: 'gift',
+            amount: gift.priceCoins,
+            currency: 'COIN',
+            description: `ส่งของขวัญ ${gift.name} ให้ ${recipient.username}`,
+            status: 'completed',
+            referenceId: `${giftRef}_OUT`,
+            metadata: { ...metadata, direction: 'out', messageId: message._id.toString(), platformFee }
+          },
+          {
+            userId: recipient._id,
+            walletId: creditWallet._id,
+            type: 'gift',
+            amount: recipientCoins,
+            currency: 'COIN',
+            description: `ได้รับของขวัญ ${gift.name} จาก ${sender.username}`,
+            status: 'completed',
+            referenceId: `${giftRef}_IN`,
+            metadata: { ...metadata, direction: 'in', messageId: message._id.toString(), platformFee }
+          }
+        ], { session, ordered: true });
+
+        // อัปเดตข้อความล่าสุดและจำนวนที่ยังไม่อ่านของสมาชิกคนอื่น
+        const unreadInc = {};
+        chat.participants.forEach(id => {
+          if (!id.equals(sender._id)) unreadInc[`unreadCount.${id}`] = 1;
+        });
+        await Chat.updateOne(
+          { _id: chat._id },
+          {
+            $set: { lastMessage: content, lastMessageTime: message.timestamp, [`unreadCount.${sender._id}`]: 0 },
+            $inc: unreadInc
+          },
+          { session }
+        );
+
+        return {
+          message,
+          senderBalance: senderWallet.coinPoints,
+          recipientBalance: creditWallet.coinPoints,
+          recipientEarnedCoins: creditWallet.earnedCoins
+        };
+      });
+    } catch (error) {
+      if (LedgerService.isDuplicate(error)) return { status: 'duplicate' };
+      if (error instanceof LedgerError) {
+        return { status: ['insufficient_funds', 'wallet_frozen'].includes(error.code) ? error.code : 'recipient_unavailable' };
+      }
+      throw error;
+    }
+
+    console.log('🎁 Gift sent:', { referenceId: giftRef, giftId: gift.id, from: sender._id, to: recipient._id, chatId: chat._id });
+    return { status: 'ok', gift, recipient, platformFee, recipientCoins, referenceId: giftRef, ...result };
+  }
+}
+
+module.exports = GiftService;
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// สมุดบัญชีคู่ (double-entry) ของ Coins: ทุกการเปลี่ยนยอดคือ entry หนึ่งรายการที่ย้ายยอดจาก debitAccount ไป creditAccount
+// บัญชีผู้ใช้คือ "user:<userId>" (ผูกกับ Wallet.coinPoints) และ "earnings:<userId>" (ผูกกับ Wallet.earnedCoins) ส่วนบัญชีระบบคือ "platform:<ชื่อ>" ซึ่งมียอดอยู่ในสมุดนี้อย่างเดียว
+// entry สร้างแล้วแก้ไขหรือลบไม่ได้ การแก้ยอดที่ผิดต้องลงรายการกลับด้าน (reversal) เท่านั้น
+const ledgerEntrySchema = new mongoose.Schema({
+  referenceId: { type: String, required: true, unique: true, immutable: true }, // กันลงรายการซ้ำ (idempotency key)
+  type: {
+    type: String,
+    enum: ['opening_balance', 'topup', 'manual_credit', 'reward', 'purchase', 'partner_payment', 'refund', 'transfer', 'gift', 'withdrawal'],
+    required: true,
+    immutable: true
+  },
+  debitAccount: { type: String, required: true, immutable: true }, // บัญชีที่ยอดลดลง
+  creditAccount: { type: String, required: true, immutable: true }, // บัญชีที่ยอดเพิ่มขึ้น
+  amount: { type: Number, required: true, min: 1, immutable: true },
+  currency: { type: String, default: 'COIN', immutable: true },
+  description: { type: String, required: true, immutable: true },
+  metadata: { type: Map, of: mongoose.Schema.Types.Mixed, immutable: true },
+  createdAt: { type: Date, default: Date.now, immutable: true }
+});
+
+ledgerEntrySchema.index({ debitAccount: 1, createdAt: -1 });
+ledgerEntrySchema.index({ creditAccount: 1, createdAt: -1 });
+
+const rejectMutation = function () {
+  throw new Error('Ledger entries are immutable; post a reversal entry instead');
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(op => ledgerEntrySchema.pre(op, rejectMutation));
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
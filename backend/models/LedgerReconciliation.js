@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// ผลการตรวจกระทบยอด Wallet.coinPoints / earnedCoins กับยอดรวมในสมุดบัญชี แต่ละรอบ
+const ledgerReconciliationSchema = new mongoose.Schema({
+  trigger: { type: String, enum: ['scheduled', 'manual'], default: 'scheduled' },
+  triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  status: { type: String, enum: ['running', 'balanced', 'drift', 'failed'], default: 'running' },
+  walletsChecked: { type: Number, default: 0 },
+  driftCount: { type: Number, default: 0 },
+  drifts: [{
+    _id: false,
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    account: { type: String }, // บัญชีในสมุดที่ยอดไม่ตรง (user:<id> หรือ earnings:<id>)
+    walletId: { type: mongoose.Schema.Types.ObjectId, ref: 'Wallet' },
+    walletBalance: { type: Number }, // null = มียอดในสมุดบัญชีแต่ไม่มี Wallet
+    ledgerBalance: { type: Number },
+    difference: { type: Number } // walletBalance - ledgerBalance
+  }],
+  error: { type: String },
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: { type: Date }
+});
+
+ledgerReconciliationSchema.index({ startedAt: -1 });
+
+module.exports = mongoose.model('LedgerReconciliation', ledgerReconciliationSchema);
@@ -0,0 +1,321 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const LedgerReconciliation = require('../models/LedgerReconciliation');
+const Wallet = require('../models/Wallet');
+
+const USER_ACCOUNT_PREFIX = 'user:';
+const EARNINGS_ACCOUNT_PREFIX = 'earnings:';
+const RECONCILE_INTERVAL_MS = (parseInt(process.env.LEDGER_RECONCILE_INTERVAL_MINUTES) || 24 * 60) * 60 * 1000;
+const MAX_REPORTED_DRIFTS = 1000;
+
+// บัญชีฝั่งระบบ (คู่บัญชีของ Wallet ผู้ใช้)
+const ACCOUNTS = {
+  OPENING_BALANCE: 'platform:opening_balance', // ยอดที่มีอยู่ก่อนเริ่มใช้สมุดบัญชี
+  STRIPE_TOPUP: 'platform:stripe_topup',
+  MANUAL_ADJUSTMENT: 'platform:manual_adjustment',
+  REWARDS: 'platform:rewards',
+  PACKAGE_SALES: 'platform:package_sales',
+  GIFT_FEES: 'platform:gift_fees', // ค่าธรรมเนียมที่หักจากของขวัญในแชท
+  WITHDRAWALS_PENDING: 'platform:withdrawals_pending', // Coins ที่กันไว้ระหว่างรอโอนเงินจริง
+  WITHDRAWALS_PAID: 'platform:withdrawals_paid',
+  WITHDRAWAL_FEES: 'platform:withdrawal_fees'
+};
+
+// บัญชีของผู้ใช้แต่ละแบบผูกกับฟิลด์ยอดใน Wallet: user: = Coins ที่ซื้อ/ใช้จ่ายได้, earnings: = รายได้ที่ถอนเป็นเงินได้
+const WALLET_FIELDS = {
+  [USER_ACCOUNT_PREFIX]: 'coinPoints',
+  [EARNINGS_ACCOUNT_PREFIX]: 'earnedCoins'
+};
+
+// ลงรายการไม่ได้ (โยนจากใน Mongo transaction เพื่อ abort)
+class LedgerError extends Error {
+  /**
+   * @param {'insufficient_funds' | 'wallet_frozen' | 'wallet_not_found' | 'duplicate_entry' | 'invalid_entry'} code
+   */
+  constructor(code, message, account) {
+    super(message || code);
+    this.code = code;
+    this.account = account;
+  }
+}
+
+// @returns {{ userId, field }|null} เจ้าของบัญชีและฟิลด์ใน Wallet (null สำหรับบัญชีระบบ)
+const walletLegOf = (account) => {
+  const prefix = Object.keys(WALLET_FIELDS).find(p => account.startsWith(p));
+  return prefix ? { userId: account.slice(prefix.length), field: WALLET_FIELDS[prefix] } : null;
+};
+
+/**
+ * สมุดบัญชี Coins: ทุกการเปลี่ยน Wallet.coinPoints / earnedCoins ต้องผ่าน post() ซึ่งลง LedgerEntry และ $inc ยอดใน transaction เดียวกัน
+ * ฝั่งที่ถูกหักใช้ $inc แบบมีเงื่อนไข (ยอด >= amount และ Wallet ไม่ถูกระงับ) จึงไม่มีทางใช้ยอดซ้ำหรือติดลบแม้มีหลาย request พร้อมกัน
+ * ยกเว้นการหักคืน (clawback) จากการคืนเงิน ซึ่งหักได้เสมอและติดธง negativeBalanceFlaggedAt เมื่อยอดติดลบ
+ */
+class LedgerService {
+  static get ACCOUNTS() {
+    return ACCOUNTS;
+  }
+
+  static userAccount(userId) {
+    return `${USER_ACCOUNT_PREFIX}${userId}`;
+  }
+
+  // รายได้จากของขวัญ แยกจาก Coins ที่ซื้อ ใช้ถอนเป็นเงิน (WithdrawalService)
+  static earningsAccount(userId) {
+    return `${EARNINGS_ACCOUNT_PREFIX}${userId}`;
+  }
+
+  /**
+   * รัน fn ใน Mongo transaction (withTransaction อาจเรียก fn ซ้ำเมื่อเกิด write conflict)
+   * @returns ค่าที่ fn คืนในรอบที่ commit สำเร็จ
+   */
+  static async transact(fn) {
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await fn(session);
+      });
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * ลงรายการหนึ่งคู่และปรับยอด Wallet ของบัญชีผู้ใช้ทั้งสองฝั่ง
+   * ถ้าไม่ส่ง session จะเปิด transaction ให้เอง ถ้าส่งมา ผู้เรียกต้องอยู่ใน transaction อยู่แล้ว
+   * @param {boolean} [options.clawback] - หักคืนได้แม้ยอดไม่พอหรือ Wallet ถูกระงับ (ใช้กับการคืนเงินเท่านั้น)
+   * @returns {{ entry, debitWallet: object|null, creditWallet: object|null }} Wallet หลังอัปเดต (null สำหรับบัญชีระบบ)
+   */
+  static async post(entry, { session, clawback = false } = {}) {
+    if (!session) return this.transact(txSession => this.post(entry, { session: txSession, clawback }));
+
+    const { debitAccount, creditAccount, amount, referenceId } = entry;
+    if (!Number.isInteger(amount) || amount < 1) throw new LedgerError('invalid_entry', 'Amount must be a positive integer');
+    if (!referenceId) throw new LedgerError('invalid_entry', 'referenceId is required');
+    if (debitAccount === creditAccount) throw new LedgerError('invalid_entry', 'Debit and credit accounts must differ');
+
+    if (await LedgerEntry.exists({ referenceId }).session(session)) {
+      throw new LedgerError('duplicate_entry', `Ledger entry ${referenceId} already exists`);
+    }
+
+    const now = new Date();
+    let debitWallet = null;
+    let creditWallet = null;
+
+    const debitLeg = walletLegOf(debitAccount);
+    if (debitLeg) {
+      debitWallet = await Wallet.findOneAndUpdate(
+        clawback
+          ? { userId: debitLeg.userId }
+          : { userId: debitLeg.userId, [debitLeg.field]: { $gte: amount }, frozenAt: null },
+        { $inc: { [debitLeg.field]: -amount }, $set: { updatedAt: now } },
+        { new: true, session }
+      );
+      if (!debitWallet) {
+        if (clawback) throw new LedgerError('wallet_not_found', 'Wallet not found', debitAccount);
+        if (await Wallet.exists({ userId: debitLeg.userId, frozenAt: { $ne: null } }).session(session)) {
+          throw new LedgerError('wallet_frozen', 'Wallet is frozen', debitAccount);
+        }
+        throw new LedgerError('insufficient_funds', 'Insufficient coin balance', debitAccount);
+      }
+      if (debitWallet[debitLeg.field] < 0 && !debitWallet.negativeBalanceFlaggedAt) {
+        debitWallet = await Wallet.findOneAndUpdate(
+          { _id: debitWallet._id },
+          { $set: { negativeBalanceFlaggedAt: now } },
+          { new: true, session }
+        );
+        console.warn('⚠️ Wallet balance went negative, flagged for review:', { userId: debitLeg.userId, account: debitAccount, referenceId });
+      }
+    }
+
+    const creditLeg = walletLegOf(creditAccount);
+    if (creditLeg) {
+      creditWallet = await Wallet.findOneAndUpdate(
+        { userId: creditLeg.userId },
+        { $inc: { [creditLeg.field]: amount }, $set: { updatedAt: now } },
+        { new: true, session }
+      );
+      if (!creditWallet) throw new LedgerError('wallet_not_found', 'Wallet not found', creditAccount);
+    }
+
+    const [created] = await LedgerEntry.create([{
+      referenceId,
+      type: entry.type,
+      debitAccount,
+      creditAccount,
+      amount,
+      description: entry.description,
+      metadata: entry.metadata,
+      createdAt: now
+    }], { session });
+
+    return { entry: created, debitWallet, creditWallet };
+  }
+
+  static isDuplicate(error) {
+    return (error instanceof LedgerError && error.code === 'duplicate_entry')
+      || (error && error.code === 11000 && /referenceId/.test(error.message));
+  }
+
+  /**
+   * ยอดคงเหลือตามสมุดบัญชี (เครดิตรวม - เดบิตรวม) ของบัญชีเดียว
+   */
+  static async getAccountBalance(account) {
+    const [result] = await LedgerEntry.aggregate([
+      { $match: { $or: [{ debitAccount: account }, { creditAccount: account }] } },
+      { $group: { _id: null, balance: { $sum: { $cond: [{ $eq: ['$creditAccount', account] }, '$amount', { $multiply: ['$amount', -1] }] } } } }
+    ]);
+    return result ? result.balance : 0;
+  }
+
+  /**
+   * ยอดตามสมุดบัญชีของทุกบัญชีผู้ใช้ (user: และ earnings:) @returns {Map<string, number>} account → ยอด
+   */
+  static async getUserAccountBalances() {
+    const rows = await LedgerEntry.aggregate([
+      { $project: { legs: [
+        { account: '$creditAccount', amount: '$amount' },
+        { account: '$debitAccount', amount: { $multiply: ['$amount', -1] } }
+      ] } },
+      { $unwind: '$legs' },
+      { $match: { 'legs.account': { $regex: `^(${Object.keys(WALLET_FIELDS).join('|')})` } } },
+      { $group: { _id: '$legs.account', balance: { $sum: '$legs.amount' } } }
+    ]).allowDiskUse(true);
+
+    return new Map(rows.map(row => [row._id, row.balance]));
+  }
+
+  /**
+   * ตรวจซ้ำทีละ Wallet ก่อนรายงาน: ยอดอาจต่างชั่วคราวเพราะมีรายการเข้ามาระหว่างที่ aggregate อยู่
+   * @returns {object|null} drift ที่ยืนยันแล้ว
+   */
+  static async confirmDrift(account) {
+    const { userId, field } = walletLegOf(account);
+    const before = await Wallet.findOne({ userId }).select(`${field} updatedAt`).lean();
+    const ledgerBalance = await this.getAccountBalance(account);
+    const after = await Wallet.findOne({ userId }).select(`${field} updatedAt`).lean();
+
+    // Wallet เปลี่ยนระหว่างตรวจ: ข้ามไปก่อน รอบถัดไปจะตรวจใหม่
+    if (before && after && before.updatedAt.getTime() !== after.updatedAt.getTime()) return null;
+
+    const walletBalance = after ? (after[field] || 0) : null;
+    if (walletBalance === ledgerBalance || (walletBalance === null && ledgerBalance === 0)) return null;
+
+    return {
+      userId,
+      account,
+      walletId: after ? after._id : undefined,
+      walletBalance,
+      ledgerBalance,
+      difference: (walletBalance || 0) - ledgerBalance
+    };
+  }
+
+  /**
+   * กระทบยอด Wallet.coinPoints / earnedCoins ทุกใบกับยอดในสมุดบัญชี แล้วบันทึกผลใน LedgerReconciliation
+   */
+  static async reconcile({ trigger = 'scheduled', triggeredBy } = {}) {
+    const run = await LedgerReconciliation.create({ trigger, triggeredBy });
+
+    try {
+      const ledgerBalances = await this.getUserAccountBalances();
+      const suspects = [];
+      let walletsChecked = 0;
+
+      const cursor = Wallet.find().select('userId coinPoints earnedCoins').lean().cursor();
+      for await (const wallet of cursor) {
+        walletsChecked++;
+        for (const [prefix, field] of Object.entries(WALLET_FIELDS)) {
+          const account = `${prefix}${wallet.userId}`;
+          const ledgerBalance = ledgerBalances.get(account) || 0;
+          ledgerBalances.delete(account);
+          if ((wallet[field] || 0) !== ledgerBalance) suspects.push(account);
+        }
+      }
+      // บัญชีที่มีรายการในสมุดแต่ไม่มี Wallet
+      for (const [account, balance] of ledgerBalances) {
+        if (balance !== 0) suspects.push(account);
+      }
+
+      const drifts = [];
+      for (const account of suspects) {
+        const drift = await this.confirmDrift(account);
+        if (drift) drifts.push(drift);
+      }
+
+      run.walletsChecked = walletsChecked;
+      run.driftCount = drifts.length;
+      run.drifts = drifts.slice(0, MAX_REPORTED_DRIFTS);
+      run.status = drifts.length > 0 ? 'drift' : 'balanced';
+    } catch (error) {
+      console.error('❌ Ledger reconciliation error:', error);
+      run.status = 'failed';
+      run.error = error.message;
+    }
+
+    run.finishedAt = new Date();
+    await run.save();
+
+    if (run.status === 'drift') {
+      console.warn('⚠️ Ledger drift detected:', { reconciliationId: run._id, driftCount: run.driftCount });
+    } else {
+      console.log('📒 Ledger reconciliation finished:', { status: run.status, walletsChecked: run.walletsChecked });
+    }
+    return run;
+  }
+
+  static startReconciliationJob() {
+    const timer = setInterval(() => {
+      this.reconcile().catch(error => console.error('❌ Ledger reconciliation job error:', error));
+    }, RECONCILE_INTERVAL_MS);
+    timer.unref();
+    console.log('📒 Ledger reconciliation job started');
+  }
+
+  /**
+   * Migration: Wallet ที่มีอยู่ก่อนใช้สมุดบัญชีได้ entry ยอดยกมา (opening_balance) เท่ากับ coinPoints ปัจจุบัน
+   * ผูกยอดแบบมีเงื่อนไขว่า coinPoints ยังไม่เปลี่ยน ถ้าเปลี่ยนระหว่างทางจะทำใหม่ตอนเปิดเซิร์ฟเวอร์ครั้งถัดไป
+   */
+  static async migrateOpeningBalances() {
+    const wallets = await Wallet.find({ ledgerOpenedAt: { $exists: false } }).select('userId coinPoints').lean();
+    let migrated = 0;
+
+    for (const wallet of wallets) {
+      try {
+        const opened = await this.transact(async (session) => {
+          const now = new Date();
+          const claimed = await Wallet.findOneAndUpdate(
+            { _id: wallet._id, coinPoints: wallet.coinPoints, ledgerOpenedAt: { $exists: false } },
+            { $set: { ledgerOpenedAt: now } },
+            { session }
+          );
+          if (!claimed) return false;
+          if (wallet.coinPoints === 0) return true;
+
+          const account = this.userAccount(wallet.userId);
+          const positive = wallet.coinPoints > 0;
+          await LedgerEntry.create([{
+            referenceId: `OPENING_${wallet._id}`,
+            type: 'opening_balance',
+            debitAccount: positive ? ACCOUNTS.OPENING_BALANCE : account,
+            creditAccount: positive ? account : ACCOUNTS.OPENING_BALANCE,
+            amount: Math.abs(wallet.coinPoints),
+            description: 'ยอดยกมาก่อนเริ่มใช้สมุดบัญชี',
+            createdAt: now
+          }], { session });
+          return true;
+        });
+        if (opened) migrated++;
+      } catch (error) {
+        console.error('❌ Ledger opening balance migration error:', { walletId: wallet._id, error: error.message });
+      }
+    }
+
+    if (migrated > 0) console.log('📒 Opened ledger accounts for existing wallets:', migrated);
+  }
+}
+
+LedgerService.LedgerError = LedgerError;
+
+module.exports = LedgerService;
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const loginEventSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // ไม่มีถ้าอีเมลไม่ตรงกับบัญชีใด
+  email: { type: String, lowercase: true, trim: true },
+  method: {
+    type: String,
+    enum: ['password', 'two_factor', 'google', 'apple', 'email_code'],
+    required: true
+  },
+  result: { type: String, enum: ['success', 'failure'], required: true },
+  reason: { type: String }, // สาเหตุที่ล้มเหลว เช่น 'invalid_password', 'locked'
+  ipAddress: { type: String },
+  userAgent: { type: String },
+  location: {
+    country: String,
+    region: String,
+    city: String
+  },
+  deviceFingerprint: { type: String },
+  deviceName: { type: String },
+  platform: { type: String },
+  sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Session' },
+  isNewDevice: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now, index: { expires: 180 * 24 * 60 * 60 } } // เก็บประวัติ 180 วัน
+});
+
+loginEventSchema.index({ userId: 1, createdAt: -1 });
+loginEventSchema.index({ userId: 1, deviceFingerprint: 1, result: 1 });
+
+module.exports = mongoose.model('LoginEvent', loginEventSchema);
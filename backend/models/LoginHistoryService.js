@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const LoginEvent = require('../models/LoginEvent');
+const EmailService = require('../models/EmailService');
+const { createSystemNotification } = require('../models/NotificationService');
+
+/**
+ * บันทึกประวัติการเข้าสู่ระบบ และแจ้งเตือนเมื่อมีการเข้าสู่ระบบจากอุปกรณ์ที่ไม่เคยเห็นมาก่อน
+ */
+class LoginHistoryService {
+  /**
+   * ตำแหน่งโดยประมาณจาก header ที่ CDN / Proxy ใส่มาให้ (ไม่เรียก GeoIP ภายนอก)
+   */
+  static getLocation(req) {
+    const header = (...names) => {
+      for (const name of names) {
+        const value = req.headers[name];
+        if (!value || value === 'XX') continue;
+        // header มาจาก client ได้ ค่าที่ decode ไม่ได้ (เช่น '%') ต้องไม่ทำให้การบันทึกประวัติล้มทั้งรายการ
+        try {
+          return decodeURIComponent(String(value));
+        } catch (error) {
+          return String(value);
+        }
+      }
+      return undefined;
+    };
+
+    return {
+      country: header('cf-ipcountry', 'x-vercel-ip-country', 'cloudfront-viewer-country', 'x-appengine-country'),
+      region: header('cf-region', 'x-vercel-ip-country-region', 'cloudfront-viewer-country-region', 'x-appengine-region'),
+      city: header('cf-ipcity', 'x-vercel-ip-city', 'cloudfront-viewer-city', 'x-appengine-city')
+    };
+  }
+
+  /**
+   * ลายนิ้วมืออุปกรณ์: ใช้ deviceId จากแอปถ้ามี ไม่เช่นนั้นใช้ platform + ชื่ออุปกรณ์ + user agent
+   */
+  static getDeviceFingerprint(req) {
+    const { deviceId, deviceName, platform } = req.body || {};
+    const source = deviceId || req.headers['x-device-id'] ||
+      [platform || 'unknown', deviceName || '', req.headers['user-agent'] || ''].join('|');
+
+    return crypto.createHash('sha256').update(String(source)).digest('hex');
+  }
+
+  static buildEvent(req, { user, email, method, result, reason }) {
+    const { deviceName, platform } = req.body || {};
+
+    return {
+      userId: user?._id,
+      email: user?.email || (email ? String(email) : undefined),
+      method,
+      result,
+      reason,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+      location: this.getLocation(req),
+      deviceFingerprint: this.getDeviceFingerprint(req),
+      deviceName: deviceName ? String(deviceName).substring(0, 100) : undefined,
+      platform: platform ? String(platform) : undefined
+    };
+  }
+
+  static async recordFailure(req, { user, email, method, reason }) {
+    try {
+      await LoginEvent.create(this.buildEvent(req, { user, email, method, result: 'failure', reason }));
+    } catch (error) {
+      console.error('❌ Failed to record login failure:', error.message);
+    }
+  }
+
+  /**
+   * บันทึกการเข้าสู่ระบบสำเร็จ และแจ้งเตือนถ้าเป็นอุปกรณ์ใหม่
+   * (ไม่แจ้งเตือนในการเข้าสู่ระบบครั้งแรกของบัญชี)
+   */
+  static async recordSuccess(req, { user, method, session }) {
+    try {
+      const event = this.buildEvent(req, { user, method, result: 'success' });
+
+      const [seenDevice, hasPreviousLogin] = await Promise.all([
+        LoginEvent.exists({ userId: user._id, deviceFingerprint: event.deviceFingerprint, result: 'success' }),
+        LoginEvent.exists({ userId: user._id, result: 'success' })
+      ]);
+
+      event.sessionId = session?._id;
+      event.isNewDevice = !seenDevice && !!hasPreviousLogin;
+      await LoginEvent.create(event);
+
+      if (event.isNewDevice) await this.sendNewDeviceAlert(user, event);
+    } catch (error) {
+      console.error('❌ Failed to record login success:', error.message);
+    }
+  }
+
+  static describeDevice(event) {
+    const location = [event.location.city, event.location.region, event.location.country].filter(Boolean).join(', ');
+    return {
+      device: event.deviceName || event.platform || event.userAgent || 'Unknown device',
+      location: location || 'Unknown location'
+    };
+  }
+
+  static async sendNewDeviceAlert(user, event) {
+    const { device, location } = this.describeDevice(event);
+    console.log('🆕 New device login for user:', user._id, device);
+
+    await createSystemNotification(user._id, {
+      alertType: 'warning',
+      message: `มีการเข้าสู่ระบบจากอุปกรณ์ใหม่ (${device}, ${location}) หากไม่ใช่คุณ กรุณาออกจากระบบอุปกรณ์นั้นและเปลี่ยนรหัสผ่านทันที`,
+      actionUrl: '/settings/sessions'
+    });
+
+    const sessionsUrl = `${process.env.FRONTEND_URL || 'https://localhost:3000'}/settings/sessions`;
+    const time = event.createdAt || new Date();
+    // ชื่ออุปกรณ์มาจาก request body และชื่อผู้ใช้ตั้งเองได้: escape ทุกค่าก่อนใส่ใน HTML
+    const escape = EmailService.escapeHtml;
+
+    await EmailService.send({
+      to: user.email,
+      subject: '🔔 New sign-in to your Chat Chat account',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="color: white; margin: 0;">🔔 New Sign-in Detected</h1>
+          </div>
+          <div style="background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px;">
+            <p style="color: #333; font-size: 16px; margin-bottom: 10px;">Hi ${escape(user.username)},</p>
+            <p style="color: #555; font-size: 14px; margin-bottom: 20px;">Your account was just signed in to from a device we haven't seen before:</p>
+            <ul style="color: #555; font-size: 14px;">
+              <li><strong>Device:</strong> ${escape(device)}</li>
+              <li><strong>Location:</strong> ${escape(location)}</li>
+              <li><strong>IP address:</strong> ${escape(event.ipAddress || 'Unknown')}</li>
+              <li><strong>Time:</strong> ${escape(time.toISOString())}</li>
+            </ul>
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${escape(sessionsUrl)}" style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 12px 40px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">Review Devices</a>
+            </div>
+            <p style="color: #999; font-size: 12px; margin-top: 15px;">
+              If this was you, you can ignore this email. If not, sign that device out and change your password right away.
+            </p>
+          </div>
+        </div>
+      `,
+      text: `Hi ${user.username},\n\nYour account was just signed in to from a new device:\n\nDevice: ${device}\nLocation: ${location}\nIP address: ${event.ipAddress || 'Unknown'}\nTime: ${time.toISOString()}\n\nIf this wasn't you, sign that device out at ${sessionsUrl} and change your password right away.`
+    });
+  }
+}
+
+module.exports = LoginHistoryService;
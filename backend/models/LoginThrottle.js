@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+const loginThrottleSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true }, // 'account:<userId>' หรือ 'ip:<ip>'
+  scope: { type: String, enum: ['account', 'ip'], required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  ipAddress: { type: String },
+  failures: { type: Number, default: 0 }, // จำนวนครั้งที่ผิดในรอบปัจจุบัน
+  lockCount: { type: Number, default: 0 }, // ถูกล็อกมาแล้วกี่ครั้ง (ใช้คำนวณ backoff)
+  lockedUntil: { type: Date },
+  lastFailureAt: { type: Date },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } } // ลืมประวัติเมื่อไม่มีการผิดพลาดนาน 24 ชม.
+});
+
+loginThrottleSchema.index({ scope: 1, lockedUntil: -1 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -0,0 +1,159 @@
+const LoginThrottle = require('../models/LoginThrottle');
+const { createSystemNotification } = require('../models/NotificationService');
+
+// นโยบายการล็อก: ผิดครบ maxFailures ภายใน FAILURE_WINDOW_MS → ล็อก baseLockMs × 2^(ครั้งที่ถูกล็อก - 1)
+const POLICIES = {
+  account: { maxFailures: 5, baseLockMs: 60 * 1000, maxLockMs: 24 * 60 * 60 * 1000 },
+  ip: { maxFailures: 20, baseLockMs: 5 * 60 * 1000, maxLockMs: 24 * 60 * 60 * 1000 }
+};
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const RECORD_TTL_MS = 24 * 60 * 60 * 1000;
+
+class LoginThrottleService {
+  static accountKey(userId) {
+    return `account:${userId}`;
+  }
+
+  static ipKey(ipAddress) {
+    return `ip:${ipAddress}`;
+  }
+
+  /**
+   * ตรวจว่า IP หรือบัญชีนี้ยังถูกล็อกอยู่หรือไม่
+   * @returns {{ locked: boolean, scope?: string, retryAfterSeconds?: number }}
+   */
+  static async check({ userId, ipAddress }) {
+    const keys = [];
+    if (ipAddress) keys.push(this.ipKey(ipAddress));
+    if (userId) keys.push(this.accountKey(userId));
+
+    const lock = await LoginThrottle.findOne({ key: { $in: keys }, lockedUntil: { $gt: new Date() } })
+      .sort({ lockedUntil: -1 });
+
+    if (!lock) return { locked: false };
+
+    return {
+      locked: true,
+      scope: lock.scope,
+      retryAfterSeconds: Math.ceil((lock.lockedUntil.getTime() - Date.now()) / 1000)
+    };
+  }
+
+  /**
+   * เพิ่มตัวนับความผิดพลาดของ key หนึ่ง และล็อกเมื่อครบเกณฑ์
+   * @returns {Date|null} เวลาที่ปลดล็อก ถ้าการผิดครั้งนี้ทำให้ถูกล็อก
+   */
+  static async incrementFailure(scope, key, extra = {}) {
+    const policy = POLICIES[scope];
+    const now = new Date();
+    const literalExtra = Object.fromEntries(Object.entries(extra).map(([field, value]) => [field, { $literal: value }]));
+
+    // นับแบบ atomic (upsert + pipeline) เพื่อไม่ให้ request ที่ผิดพร้อมกันทำตัวนับหาย
+    // เริ่มนับใหม่ถ้าครั้งล่าสุดที่ผิดเกินช่วงเวลาที่กำหนดแล้ว
+    const record = await LoginThrottle.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          key: { $literal: key },
+          scope: { $literal: scope },
+          ...literalExtra,
+          lockCount: { $ifNull: ['$lockCount', 0] },
+          failures: {
+            $cond: [
+              { $gt: ['$lastFailureAt', new Date(now.getTime() - FAILURE_WINDOW_MS)] },
+              { $add: [{ $ifNull: ['$failures', 0] }, 1] },
+              1
+            ]
+          },
+          lastFailureAt: now,
+          expiresAt: { $max: [{ $ifNull: ['$expiresAt', now] }, new Date(now.getTime() + RECORD_TTL_MS)] }
+        }
+      }],
+      { upsert: true, new: true }
+    );
+    if (record.failures < policy.maxFailures) return null;
+
+    // ครบเกณฑ์: ล็อกแบบมีเงื่อนไข (ถ้ามีหลาย request ครบพร้อมกัน มีเพียงรายการเดียวที่เพิ่ม lockCount)
+    const locked = await LoginThrottle.findOneAndUpdate(
+      { key, failures: { $gte: policy.maxFailures } },
+      [
+        { $set: { lockCount: { $add: ['$lockCount', 1] }, failures: 0 } },
+        {
+          $set: {
+            lockedUntil: {
+              $add: [now, { $min: [{ $multiply: [policy.baseLockMs, { $pow: [2, { $subtract: ['$lockCount', 1] }] }] }, policy.maxLockMs] }]
+            }
+          }
+        },
+        { $set: { expiresAt: { $add: ['$lockedUntil', RECORD_TTL_MS] } } }
+      ],
+      { new: true }
+    );
+    return locked ? locked.lockedUntil : null;
+  }
+
+  /**
+   * บันทึกการเข้าสู่ระบบที่ล้มเหลว (ทั้งต่อ IP และต่อบัญชีถ้าทราบผู้ใช้)
+   * แจ้งเตือนเจ้าของบัญชีเมื่อบัญชีถูกล็อก
+   */
+  static async recordFailure({ user, ipAddress }) {
+    if (ipAddress) {
+      const ipLockedUntil = await this.incrementFailure('ip', this.ipKey(ipAddress), { ipAddress });
+      if (ipLockedUntil) console.warn('🚫 Login throttled for IP:', ipAddress, 'until', ipLockedUntil.toISOString());
+    }
+
+    if (!user) return;
+
+    const accountLockedUntil = await this.incrementFailure('account', this.accountKey(user._id), { userId: user._id });
+    if (!accountLockedUntil) return;
+
+    const minutes = Math.ceil((accountLockedUntil.getTime() - Date.now()) / 60000);
+    console.warn('🔒 Account locked:', user._id, 'for', minutes, 'minutes');
+
+    try {
+      await createSystemNotification(user._id, {
+        alertType: 'critical',
+        message: `บัญชีของคุณถูกล็อกชั่วคราว ${minutes} นาที เนื่องจากมีการพยายามเข้าสู่ระบบผิดหลายครั้ง หากไม่ใช่คุณ กรุณาเปลี่ยนรหัสผ่านทันที`,
+        actionUrl: '/settings/security'
+      });
+    } catch (error) {
+      console.error('❌ Failed to send lockout notification:', error.message);
+    }
+  }
+
+  /**
+   * เข้าสู่ระบบสำเร็จ: ล้างตัวนับความผิดพลาดของบัญชี (ไม่ล้างของ IP)
+   * เก็บ lockCount ไว้จนกว่า record จะหมดอายุ เพื่อให้ backoff ยังเพิ่มขึ้นถ้าถูกล็อกซ้ำ
+   */
+  static async recordSuccess(userId) {
+    await LoginThrottle.updateOne(
+      { key: this.accountKey(userId) },
+      { $set: { failures: 0 }, $unset: { lastFailureAt: 1 } }
+    );
+  }
+
+  /**
+   * ปลดล็อกบัญชี (ใช้โดย Admin หรือหลังรีเซ็ตรหัสผ่าน)
+   * @returns {boolean} true ถ้ามีประวัติถูกลบ
+   */
+  static async unlockAccount(userId) {
+    const result = await LoginThrottle.deleteOne({ key: this.accountKey(userId) });
+    return result.deletedCount > 0;
+  }
+
+  static async unlockIp(ipAddress) {
+    const result = await LoginThrottle.deleteOne({ key: this.ipKey(ipAddress) });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * รายการบัญชี / IP ที่ยังถูกล็อกอยู่ (สำหรับหน้า Admin)
+   */
+  static async listActiveLocks() {
+    return LoginThrottle.find({ lockedUntil: { $gt: new Date() } })
+      .populate('userId', 'username email userId')
+      .sort({ lockedUntil: -1 });
+  }
+}
+
+module.exports = LoginThrottleService;
@@ -13,7 +13,7 @@ const messageSchema = new mongoose.Schema({
   },
   messageType: {
     type: String,
-    enum: ['text', 'image', 'file', 'system', 'deleted'],
+    enum: ['text', 'image', 'file', 'system', 'deleted', 'gift'],
     default: 'text'
   },
   content: { type: String, required: true },
@@ -23,7 +23,19 @@ const messageSchema = new mongoose.Schema({
   isDeleted: { type: Boolean, default: false },
   deletedAt: Date,
   deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-  originalContent: { type: String }
+  originalContent: { type: String },
+  // ข้อมูลของขวัญ (เฉพาะ messageType = 'gift' สร้างผ่าน POST /api/chats/:chatId/gifts เท่านั้น)
+  gift: {
+    giftId: String,
+    name: String,
+    sticker: String,
+    animation: String,
+    priceCoins: Number,
+    recipientId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    recipientCoins: Number, // ที่ผู้รับได้จริงหลังหักค่าธรรมเนียม
+    platformFee: Number,
+    referenceId: String
+  }
 });
 
 messageSchema.index({ chatId: 1, timestamp: -1 });
@@ -0,0 +1,502 @@
+const admin = require('firebase-admin');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+
+// ฟังก์ชันสร้างการแจ้งเตือนทั้งหมด ใช้ร่วมกันระหว่าง server.js, controllers/ และ routes/
+// (Firebase ถูก initialize ไว้ตอนเริ่ม server.js แล้ว)
+
+// ✅ ฟังก์ชันสร้างการแจ้งเตือน
+const createNotification = async ({
+  userId,
+  type,
+  title,
+  message,
+  icon = '🔔',
+  color = '#1FAE4B',
+  data = {},
+  priority = 'medium',
+  sourceId = null
+}) => {
+  try {
+    console.log('📨 Creating notification:', { userId, type, title });
+
+    const notification = new Notification({
+      userId,
+      type,
+      title,
+      message,
+      icon,
+      color,
+      data,
+      priority,
+      sourceId,
+      expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 วัน
+    });
+
+    await notification.save();
+
+    // ✅ ส่ง Push Notification (ถ้ามี Firebase setup)
+    await sendPushNotification(userId, {
+      title,
+      body: message,
+      data: {
+        type,
+        ...data,
+        notificationId: notification._id.toString()
+      }
+    });
+
+    console.log('✅ Notification created:', notification._id);
+    return notification;
+
+  } catch (error) {
+    console.error('❌ Error creating notification:', error);
+    throw error;
+  }
+};
+
+// ✅ ฟังก์ชันส่ง Push Notification
+const sendPushNotification = async (userId, payload) => {
+  try {
+    const user = await User.findById(userId);
+    if (!user || !user.fcmToken) {
+      console.log('📤 User not found or no FCM token for user:', userId);
+      return false;
+    }
+    const message = {
+      token: user.fcmToken,
+      notification: {
+        title: payload.title,
+        body: payload.body
+      },
+      data: payload.data
+    };
+    const response = await admin.messaging().send(message);
+    console.log('📤 Push notification sent successfully:', response);
+    return true;
+  } catch (error) {
+    console.error('❌ Error sending push notification:', error);
+    return false;
+  }
+};
+
+// =============================================
+// 🏦 WALLET NOTIFICATIONS
+// =============================================
+
+// หัวข้อการแจ้งเตือนถอนเงินตามสถานะคำขอ (WithdrawalService)
+const WITHDRAW_TITLES = {
+  pending: 'ส่งคำขอถอนเงินแล้ว',
+  approved: 'อนุมัติคำขอถอนเงินแล้ว',
+  paid: 'ถอนเงินสำเร็จ',
+  rejected: 'คำขอถอนเงินไม่ได้รับการอนุมัติ',
+  failed: 'โอนเงินไม่สำเร็จ'
+};
+
+// 💰 สร้างการแจ้งเตือนธุรกรรมกระเป๋าเงิน
+const createWalletTransactionNotification = async (userId, transactionData) => {
+  const { bankName, serviceType, amount, time, referenceId, counterpartyName, note, status } = transactionData;
+
+  let title, message, icon, color;
+
+  switch (serviceType) {
+    case 'scan_pay':
+      title = 'แสกนจ่าย';
+      message = `${bankName} เวลา ${time}`;
+      icon = '💰';
+      color = '#4CAF50'; // สีเขียว
+      break;
+    case 'transfer':
+      title = 'โอนเงิน';
+      message = `${bankName} จำนวน ${amount} THB`;
+      icon = '💸';
+      color = '#2196F3'; // สีฟ้า
+      break;
+    case 'topup':
+      title = 'เติมเงิน';
+      message = `${bankName} จำนวน ${amount} THB`;
+      icon = '📈';
+      color = '#FF9800'; // สีส้ม
+      break;
+    case 'coin_transfer_sent':
+      title = 'โอนเหรียญสำเร็จ';
+      message = `ส่ง ${amount} Coins ให้ ${counterpartyName}${note ? ` (${note})` : ''}`;
+      icon = '💸';
+      color = '#2196F3'; // สีฟ้า
+      break;
+    case 'coin_transfer_received':
+      title = 'ได้รับเหรียญ';
+      message = `${counterpartyName} ส่ง ${amount} Coins ให้คุณ${note ? ` (${note})` : ''}`;
+      icon = '🪙';
+      color = '#4CAF50'; // สีเขียว
+      break;
+    case 'withdraw':
+      title = WITHDRAW_TITLES[status] || 'ถอนเงิน';
+      message = `${bankName} จำนวน ${amount} THB${note ? ` (${note})` : ''}`;
+      icon = '🏧';
+      color = status === 'rejected' || status === 'failed' ? '#F44336' : '#9C27B0'; // แดงเมื่อไม่สำเร็จ ม่วงตามปกติ
+      break;
+    default:
+      title = 'ธุรกรรมกระเป๋าเงิน';
+      message = `${bankName} - ${serviceType}`;
+      icon = '💳';
+      color = '#607D8B'; // สีเทา
+  }
+
+  return await createNotification({
+    userId,
+    type: 'wallet_transaction',
+    title,
+    message,
+    icon,
+    color,
+    data: {
+      bankName,
+      serviceType,
+      amount,
+      time,
+      referenceId,
+      counterpartyName,
+      note,
+      status,
+      timestamp: new Date().toISOString()
+    },
+    priority: 'high',
+    sourceId: `wallet_${referenceId}`
+  });
+};
+
+// 🎯 สร้างการแจ้งเตือนคะแนนคอยน์
+const createCoinPointsNotification = async (userId, pointsData) => {
+  const { points, description, balanceAfter, type } = pointsData;
+
+  let title, message, icon;
+
+  if (type === 'earn') {
+    title = 'ได้รับคะแนนคอยน์';
+    message = `+${points} คะแนน (${description})`;
+    icon = '⭐';
+  } else if (type === 'redeem') {
+    title = 'ใช้คะแนนคอยน์';
+    message = `-${points} คะแนน (${description})`;
+    icon = '🎁';
+  } else {
+    title = 'คะแนนคอยน์';
+    message = `${description}`;
+    icon = '🪙';
+  }
+
+  return await createNotification({
+    userId,
+    type: 'wallet_points',
+    title,
+    message,
+    icon,
+    color: type === 'earn' ? '#FFC107' : '#E91E63',
+    data: {
+      points,
+      description,
+      balanceAfter,
+      type,
+      timestamp: new Date().toISOString()
+    },
+    priority: 'medium',
+    sourceId: `points_${Date.now()}`
+  });
+};
+
+// =============================================
+// 💬 CHAT NOTIFICATIONS
+// =============================================
+
+// 💬 สร้างการแจ้งเตือนข้อความใหม่
+const createChatMessageNotification = async (userId, chatData) => {
+  const { senderName, message, chatId, messageType } = chatData;
+
+  let icon = '💬';
+  let title = 'ข้อความใหม่';
+
+  if (messageType === 'image') {
+    icon = '🖼️';
+    title = 'รูปภาพใหม่';
+  } else if (messageType === 'voice') {
+    icon = '🎤';
+    title = 'ข้อความเสียง';
+  } else if (messageType === 'video') {
+    icon = '🎥';
+    title = 'วิดีโอใหม่';
+  }
+
+  return await createNotification({
+    userId,
+    type: 'chat_message',
+    title: `${senderName}: ${title}`,
+    message: messageType === 'text' ? message : `ส่ง${title.toLowerCase()}`,
+    icon,
+    color: '#1FAE4B', // สีเขียว Connect
+    data: {
+      senderName,
+      message,
+      chatId,
+      messageType,
+      timestamp: new Date().toISOString()
+    },
+    priority: 'urgent',
+    sourceId: `chat_${chatId}_${Date.now()}`
+  });
+};
+
+// 📞 สร้างการแจ้งเตือนการโทรเข้า
+const createCallNotification = async (userId, callData) => {
+  const { callerName, callType, callId } = callData;
+
+  const title = callType === 'video' ? 'วิดีโอคอลล์เข้า' : 'โทรศัพท์เข้า';
+  const icon = callType === 'video' ? '🎥' : '📞';
+
+  return await createNotification({
+    userId,
+    type: 'chat_call',
+    title: `${callerName}: ${title}`,
+    message: callType === 'video' ? 'วิดีโอคอลล์...' : 'กำลังโทร...',
+    icon,
+    color: '#FF5722', // สีส้ม
+    data: {
+      callerName,
+      callType,
+      callId,
+      timestamp: new Date().toISOString()
+    },
+    priority: 'urgent',
+    sourceId: `call_${callId}`
+  });
+};
+
+// =============================================
+// 👥 FRIEND NOTIFICATIONS
+// =============================================
+
+// 👥 สร้างการแจ้งเตือนคำขอเป็นเพื่อน
+const createFriendRequestNotification = async (userId, friendData) => {
+  const { requesterName, requesterId } = friendData;
+
+  return await createNotification({
+    userId,
+    type: 'friend_request',
+    title: 'คำขอเป็นเพื่อน',
+    message: `${requesterName} ส่งคำขอเป็นเพื่อน`,
+    icon: '👤',
+    color: '#3F51B5', // สีน้ำเงิน
+    data: {
+      requesterName,
+      requesterId,
+      timestamp: new Date().toISOString()
+    },
+    priority: 'high',
+    sourceId: `friend_request_${requesterId}`
+  });
+};
+
+// 🤝 สร้างการแจ้งเตือนยอมรับเพื่อน
+const createFriendAcceptNotification = async (userId, friendData) => {
+  const { friendName, friendId } = friendData;
+
+  return await createNotification({
+    userId,
+    type: 'friend_accept',
+    title: 'ยอมรับคำขอเป็นเพื่อน',
+    message: `${friendName} ยอมรับคำขอเป็นเพื่อนแล้ว`,
+    icon: '🤝',
+    color: '#4CAF50', // สีเขียว
+    data: {
+      friendName,
+      friendId,
+      timestamp: new Date().toISOString()
+    },
+    priority: 'medium',
+    sourceId: `friend_accept_${friendId}`
+  });
+};
+
+// =============================================
+// 👤 PROFILE NOTIFICATIONS
+// =============================================
+
+// 👁️ สร้างการแจ้งเตือนคนเยี่ยมชมโปรไฟล์
+const createProfileVisitNotification = async (userId, visitorData) => {
+  const { visitorName, visitorId } = visitorData;
+
+  return await createNotification({
+    userId,
+    type: 'profile_visit',
+    title: 'มีคนเยี่ยมชมโปรไฟล์',
+    message: `${visitorName} เยี่ยมชมโปรไฟล์ของคุณ`,
+    icon: '👁️',
+    color: '#9C27B0', // สีม่วง
+    data: {
+      visitorName,
+      visitorId,
+      timestamp: new Date().toISOString()
+    },
+    priority: 'low',
+    sourceId: `profile_visit_${visitorId}_${Date.now()}`
+  });
+};
+
+// ✏️ สร้างการแจ้งเตือนอัปเดตโปรไฟล์
+const createProfileUpdateNotification = async (userId, updateData) => {
+  const { field, oldValue, newValue } = updateData;
+
+  return await createNotification({
+    userId,
+    type: 'profile_update',
+    title: 'อัปเดตโปรไฟล์สำเร็จ',
+    message: `${field} ถูกเปลี่ยนจาก "${oldValue}" เป็น "${newValue}"`,
+    icon: '✏️',
+    color: '#FF9800', // สีส้ม
+    data: {
+      field,
+      oldValue,
+      newValue,
+      timestamp: new Date().toISOString()
+    },
+    priority: 'low',
+    sourceId: `profile_update_${Date.now()}`
+  });
+};
+
+// =============================================
+// 🏦 BANK SERVICE NOTIFICATIONS
+// =============================================
+
+// 🏦 สร้างการแจ้งเตือนใช้บริการธนาคาร
+const createBankServiceNotification = async (userId, bankData) => {
+  const { bankName, serviceType, deeplinkUrl } = bankData;
+
+  const serviceNames = {
+    'scan_pay': 'แสกนจ่าย',
+    'transfer': 'โอนเงิน',
+    'topup': 'เติมเงิน',
+    'withdraw': 'ถอนเงินสด'
+  };
+
+  const serviceName = serviceNames[serviceType] || 'บริการธนาคาร';
+
+  return await createNotification({
+    userId,
+    type: 'bank_service',
+    title: 'เริ่มใช้บริการธนาคาร',
+    message: `${bankName} - ${serviceName}`,
+    icon: '🏦',
+    color: '#2196F3', // สีฟ้า
+    data: {
+      bankName,
+      serviceType,
+      serviceName,
+      deeplinkUrl,
+      timestamp: new Date().toISOString()
+    },
+    priority: 'high',
+    sourceId: `bank_${bankName}_${Date.now()}`
+  });
+};
+
+// =============================================
+// 🆔 IDENTITY VERIFICATION NOTIFICATIONS
+// =============================================
+
+// ✅ สร้างการแจ้งเตือนยืนยันตัวตนสำเร็จ
+const createIdentityVerificationNotification = async (userId, verificationData) => {
+  const { method, rewardPoints } = verificationData;
+
+  const methodNames = {
+    'id_card': 'บัตรประชาชน',
+    'passport': 'พาสปอร์ต'
+  };
+
+  const methodName = methodNames[method] || 'ยืนยันตัวตน';
+
+  return await createNotification({
+    userId,
+    type: 'identity_verify',
+    title: 'ยืนยันตัวตนสำเร็จ! 🎉',
+    message: `ยืนยันตัวตนด้วย${methodName} สำเร็จ ได้รับ ${rewardPoints} คะแนน`,
+    icon: '✅',
+    color: '#4CAF50', // สีเขียว
+    data: {
+      method,
+      methodName,
+      rewardPoints,
+      timestamp: new Date().toISOString()
+    },
+    priority: 'high',
+    sourceId: `identity_verify_${userId}`
+  });
+};
+
+// =============================================
+// 🎁 REWARD NOTIFICATIONS
+// =============================================
+
+// 🎁 สร้างการแจ้งเตือนได้รับรางวัล
+const createRewardNotification = async (userId, rewardData) => {
+  const { rewardName, points, description } = rewardData;
+
+  return await createNotification({
+    userId,
+    type: 'reward_earned',
+    title: 'ได้รับรางวัล! 🎁',
+    message: `${rewardName} - ${description}`,
+    icon: '🎁',
+    color: '#FFC107', // สีเหลือง
+    data: {
+      rewardName,
+      points,
+      description,
+      timestamp: new Date().toISOString()
+    },
+    priority: 'medium',
+    sourceId: `reward_${Date.now()}`
+  });
+};
+
+// =============================================
+// 🚨 SYSTEM ALERT NOTIFICATIONS
+// =============================================
+
+// ⚡ สร้างการแจ้งเตือนระบบ
+const createSystemNotification = async (userId, systemData) => {
+  const { alertType, message, actionUrl } = systemData;
+
+  return await createNotification({
+    userId,
+    type: 'system_alert',
+    title: 'แจ้งเตือนระบบ',
+    message,
+    icon: '⚡',
+    color: '#FF5722', // สีแดงส้ม
+    data: {
+      alertType,
+      actionUrl,
+      timestamp: new Date().toISOString()
+    },
+    priority: alertType === 'critical' ? 'urgent' : 'high',
+    sourceId: `system_${Date.now()}`
+  });
+};
+
+module.exports = {
+  createNotification,
+  sendPushNotification,
+  createWalletTransactionNotification,
+  createCoinPointsNotification,
+  createChatMessageNotification,
+  createCallNotification,
+  createFriendRequestNotification,
+  createFriendAcceptNotification,
+  createProfileVisitNotification,
+  createProfileUpdateNotification,
+  createBankServiceNotification,
+  createIdentityVerificationNotification,
+  createRewardNotification,
+  createSystemNotification
+};
@@ -4,9 +4,35 @@ const oauthAppSchema = new mongoose.Schema({
   appName: { type: String, required: true }, // ชื่อแอป เช่น "Shopee", "Wongnai"
   appLogo: { type: String }, // URL โลโก้แอป
   clientId: { type: String, required: true, unique: true }, // รหัส Client ID
-  clientSecret: { type: String, required: true }, // รหัสลับ
+  // รหัสลับเก็บเป็น SHA-256 เท่านั้น (แสดงค่าจริงให้นักพัฒนาครั้งเดียวตอนสร้าง/รีเซ็ต) public client ไม่มี
+  clientSecretHash: { type: String, select: false, required: function () { return this.clientType !== 'public'; } },
+  clientSecretPrefix: { type: String }, // ตัวอักษรช่วงต้นของ secret ให้นักพัฒนาจำได้ว่าใช้ตัวไหนอยู่
   redirectUris: [{ type: String, required: true }], // URL ที่อนุญาตให้เด้งกลับไป
+  // public = แอปมือถือ / SPA ที่เก็บ secret ไม่ได้ ต้องใช้ PKCE และไม่ใช้ client_secret
+  clientType: { type: String, enum: ['confidential', 'public'], default: 'confidential' },
   developerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // เจ้าของแอป
+  rateLimitPerMinute: { type: Number, default: 120 }, // จำนวน request ต่อนาทีที่แอปเรียก API ได้
+  // บัญชีทางการของแอป: ข้อความที่ผู้ใช้ส่งถึงบัญชีนี้จะแจ้งแอปผ่าน webhook (แอดมินเป็นผู้กำหนด)
+  officialAccountId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: { unique: true, sparse: true } },
+  supportEmail: { type: String },
+  privacyUrl: { type: String },
+  tosUrl: { type: String },
+  // สถานะการตรวจสอบ: draft → in_review → approved (ถูกตีกลับ = กลับเป็น draft), suspended = แอดมินระงับ
+  status: { type: String, enum: ['draft', 'in_review', 'approved', 'suspended'], default: 'draft', index: true },
+  review: {
+    submittedAt: { type: Date },
+    reviewedAt: { type: Date },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: { type: String } // เหตุผลที่ตีกลับ / ระงับ ล่าสุด
+  },
+  reviewHistory: [{
+    action: { type: String, enum: ['submitted', 'resubmitted', 'approved', 'rejected', 'suspended', 'reinstated'] },
+    reason: { type: String },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: { type: Date, default: Date.now }
+  }],
+  // ผู้ใช้ที่ทดสอบแอปได้ก่อนผ่านการตรวจสอบ (ไม่นับเจ้าของแอป)
+  testUsers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
   createdAt: { type: Date, default: Date.now }
 });
 
@@ -0,0 +1,144 @@
+const OAuthApp = require('../models/OAuthApp');
+const User = require('../models/User');
+const { createSystemNotification } = require('../models/NotificationService');
+
+const MAX_TEST_USERS = parseInt(process.env.OAUTH_MAX_TEST_USERS) || 25;
+
+// การเปลี่ยนสถานะที่ทำได้: action → { from: สถานะเดิมที่อนุญาต, to: สถานะใหม่ }
+const TRANSITIONS = {
+  submitted: { from: ['draft'], to: 'in_review' },
+  resubmitted: { from: ['approved'], to: 'in_review' }, // แก้ข้อมูลที่ผู้ใช้เห็นบนหน้ายินยอม ต้องตรวจใหม่
+  approved: { from: ['in_review'], to: 'approved' },
+  rejected: { from: ['in_review'], to: 'draft' },
+  suspended: { from: ['draft', 'in_review', 'approved'], to: 'suspended' },
+  reinstated: { from: ['suspended'], to: 'approved' }
+};
+
+const DEVELOPER_MESSAGES = {
+  resubmitted: (app) => `แอป ${app.appName} ถูกส่งตรวจสอบใหม่เพราะมีการแก้ไขชื่อ โลโก้ หรือ Redirect URI ระหว่างนี้ใช้ได้เฉพาะเจ้าของแอปและ test users`,
+  approved: (app) => `แอป ${app.appName} ผ่านการตรวจสอบแล้ว ผู้ใช้ทุกคนเชื่อมต่อได้`,
+  rejected: (app, reason) => `แอป ${app.appName} ไม่ผ่านการตรวจสอบ: ${reason}`,
+  suspended: (app, reason) => `แอป ${app.appName} ถูกระงับการใช้งาน: ${reason}`,
+  reinstated: (app) => `แอป ${app.appName} กลับมาใช้งานได้แล้ว`
+};
+
+/**
+ * ขั้นตอนตรวจสอบแอปของนักพัฒนา: draft → in_review → approved (หรือถูกตีกลับเป็น draft) และ suspended โดยแอดมิน
+ * แอปที่ยังไม่ approved ใช้ OAuth ได้เฉพาะเจ้าของแอปและ test users ไม่เกิน MAX_TEST_USERS คน
+ */
+class OAuthAppReviewService {
+  static get maxTestUsers() {
+    return MAX_TEST_USERS;
+  }
+
+  static isActive(app) {
+    return app.status !== 'suspended';
+  }
+
+  /**
+   * ผู้ใช้คนนี้อนุญาตให้แอปเข้าถึงบัญชีได้หรือไม่
+   * @returns {{ allowed: boolean, reason?: 'suspended' | 'not_test_user' }}
+   */
+  static canAuthorize(app, userId) {
+    if (app.status === 'suspended') return { allowed: false, reason: 'suspended' };
+    if (app.status === 'approved') return { allowed: true };
+
+    const isOwner = app.developerId && app.developerId.equals(userId);
+    const isTestUser = (app.testUsers || []).some(id => id.equals(userId));
+    return isOwner || isTestUser ? { allowed: true } : { allowed: false, reason: 'not_test_user' };
+  }
+
+  /**
+   * เปลี่ยนสถานะแบบมีเงื่อนไข (กันแอดมินสองคนตัดสินพร้อมกัน) และบันทึกประวัติการตรวจสอบ
+   * @returns {object|null} แอปหลังอัปเดต หรือ null ถ้าสถานะปัจจุบันเปลี่ยนไม่ได้
+   */
+  static async transition(app, action, { by, reason } = {}) {
+    const { from, to } = TRANSITIONS[action];
+    const now = new Date();
+
+    const update = {
+      $set: { status: to, 'review.reason': reason || null },
+      $push: { reviewHistory: { action, reason, by, at: now } }
+    };
+    if (action === 'submitted' || action === 'resubmitted') {
+      update.$set['review.submittedAt'] = now;
+    } else {
+      update.$set['review.reviewedAt'] = now;
+      update.$set['review.reviewedBy'] = by;
+    }
+
+    const updated = await OAuthApp.findOneAndUpdate({ _id: app._id, status: { $in: from } }, update, { new: true });
+    if (!updated) return null;
+
+    if (DEVELOPER_MESSAGES[action] && updated.developerId) {
+      await createSystemNotification(updated.developerId, {
+        alertType: action === 'suspended' || action === 'rejected' ? 'warning' : 'info',
+        message: DEVELOPER_MESSAGES[action](updated, reason),
+        actionUrl: `/developer/apps/${updated._id}`
+      });
+    }
+
+    console.log('🧾 OAuth app review:', { clientId: updated.clientId, action, status: to });
+    return updated;
+  }
+
+  /**
+   * ฟิลด์ที่ผ่านการตรวจแล้วและถูกเปลี่ยน (ชื่อ โลโก้ Redirect URI) ถ้ามี แอปที่ approved ต้องกลับไปตรวจใหม่
+   * @returns {string[]} ชื่อฟิลด์ที่เปลี่ยน
+   */
+  static getReviewedChanges(app, { appName, appLogo, redirectUris }) {
+    const changes = [];
+    if (appName && appName !== app.appName) changes.push('appName');
+    if (appLogo && appLogo !== app.appLogo) changes.push('appLogo');
+    if (redirectUris && JSON.stringify(redirectUris) !== JSON.stringify([...app.redirectUris])) {
+      changes.push('redirectUris');
+    }
+    return changes;
+  }
+
+  /**
+   * ข้อมูลที่แอปต้องมีก่อนส่งตรวจ
+   * @returns {string|null} ข้อความ error
+   */
+  static getSubmissionError(app) {
+    if (!app.privacyUrl) return 'Privacy policy URL is required before submitting for review';
+    if (!app.supportEmail) return 'Support email is required before submitting for review';
+    if (!app.redirectUris || app.redirectUris.length === 0) return 'At least one redirect URI is required';
+    return null;
+  }
+
+  /**
+   * เพิ่ม test user ด้วยอีเมลหรือ userId ของ ChatChat
+   * @returns {{ status: 'ok' | 'not_found' | 'already_added' | 'limit_reached' | 'is_owner', user? }}
+   */
+  static async addTestUser(app, identifier) {
+    const user = await User.findOne({
+      $or: [{ email: String(identifier).toLowerCase() }, { userId: String(identifier) }]
+    }).select('_id username userId email');
+    if (!user) return { status: 'not_found' };
+    if (app.developerId && app.developerId.equals(user._id)) return { status: 'is_owner' };
+    if (app.testUsers.some(id => id.equals(user._id))) return { status: 'already_added' };
+
+    // เพิ่มเฉพาะถ้ายังไม่เต็มโควตา (เงื่อนไขอยู่ในคำสั่งเดียวกัน กันเพิ่มพร้อมกันจนเกิน)
+    const updated = await OAuthApp.findOneAndUpdate(
+      { _id: app._id, [`testUsers.${MAX_TEST_USERS - 1}`]: { $exists: false } },
+      { $addToSet: { testUsers: user._id } },
+      { new: true }
+    );
+    if (!updated) return { status: 'limit_reached' };
+
+    return { status: 'ok', user, app: updated };
+  }
+
+  /**
+   * Migration: แอปที่สร้างก่อนมีขั้นตอนตรวจสอบถือว่าผ่านแล้ว เพื่อไม่ให้พาร์ทเนอร์ที่ใช้งานอยู่หยุดทำงาน
+   */
+  static async migrateExistingApps() {
+    const result = await OAuthApp.updateMany({ status: { $exists: false } }, { $set: { status: 'approved' } });
+    if (result.modifiedCount > 0) {
+      console.log('🧾 Marked existing OAuth apps as approved:', result.modifiedCount);
+    }
+  }
+}
+
+module.exports = OAuthAppReviewService;
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// ตัวนับการใช้งาน API ของแอป: bucket รายนาที (ใช้จำกัด rate) และรายวัน (แสดงใน Developer Portal)
+const oauthAppUsageSchema = new mongoose.Schema({
+  clientId: { type: String, required: true },
+  period: { type: String, enum: ['minute', 'day'], required: true },
+  bucket: { type: String, required: true }, // เช่น '2026-10-19T10:31' หรือ '2026-10-19' (UTC)
+  requests: { type: Number, default: 0 },
+  rateLimited: { type: Number, default: 0 }, // จำนวน request ที่ถูกปฏิเสธเพราะเกินโควตา
+  tokensIssued: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } }
+});
+
+oauthAppUsageSchema.index({ clientId: 1, period: 1, bucket: 1 }, { unique: true });
+
+module.exports = mongoose.model('OAuthAppUsage', oauthAppUsageSchema);
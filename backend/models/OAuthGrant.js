@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// บันทึกความยินยอมของผู้ใช้ต่อแอป (หนึ่ง record ต่อผู้ใช้ + แอป) ใช้ข้ามหน้า Consent เมื่อขอ scope เดิมซ้ำ
+const oauthGrantSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  clientId: { type: String, required: true },
+  scopes: [{ type: String }],
+  grantedAt: { type: Date, default: Date.now }, // อนุญาตครั้งแรก
+  updatedAt: { type: Date, default: Date.now } // เพิ่ม scope ล่าสุด
+});
+
+oauthGrantSchema.index({ userId: 1, clientId: 1 }, { unique: true });
+
+module.exports = mongoose.model('OAuthGrant', oauthGrantSchema);
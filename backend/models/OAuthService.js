@@ -0,0 +1,509 @@
+const crypto = require('crypto');
+const OAuthApp = require('../models/OAuthApp');
+const OAuthToken = require('../models/OAuthToken');
+const OAuthGrant = require('../models/OAuthGrant');
+const User = require('../models/User');
+const OidcService = require('../models/OidcService');
+const WebhookService = require('../models/WebhookService');
+const { parseRequestedScope } = require('../config/oauthScopes');
+
+const AUTHORIZATION_CODE_TTL_MS = 5 * 60 * 1000; // Code อายุ 5 นาที
+const ACCESS_TOKEN_TTL_SECONDS = 60 * 60; // Access token อายุ 1 ชั่วโมง
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // Refresh token อายุ 30 วัน (นับใหม่ทุกครั้งที่หมุน)
+const LOOKUP_ID_LENGTH = 16; // ตัวอักษรช่วงต้นของ token ที่เก็บไว้ค้นหา record (ส่วนที่เหลือตรวจผ่าน hash)
+const SECRET_PREFIX_LENGTH = 8;
+
+/**
+ * Error ตามรูปแบบ OAuth 2.0 (RFC 6749 ข้อ 5.2) ให้ route แปลงเป็น { error, error_description }
+ */
+class OAuthError extends Error {
+  constructor(error, description, status = 400) {
+    super(description || error);
+    this.error = error;
+    this.description = description;
+    this.status = status;
+  }
+}
+
+class OAuthService {
+  static generateToken(bytes = 40) {
+    return crypto.randomBytes(bytes).toString('hex');
+  }
+
+  static safeEqual(a, b) {
+    const left = Buffer.from(String(a || ''));
+    const right = Buffer.from(String(b || ''));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+  }
+
+  static hashSecret(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('hex');
+  }
+
+  static getLookupId(token) {
+    return String(token || '').substring(0, LOOKUP_ID_LENGTH);
+  }
+
+  /**
+   * ค่าที่เก็บลง DB แทน token จริง เช่น field = 'accessToken' → { accessTokenId, accessTokenHash }
+   */
+  static hashedTokenFields(field, token) {
+    return {
+      [`${field}Id`]: this.getLookupId(token),
+      [`${field}Hash`]: this.hashSecret(token)
+    };
+  }
+
+  /**
+   * ค้นหา record จาก token: ค้นด้วย lookup id แล้วเทียบ hash แบบ constant-time
+   * @param {string} field - 'authorizationCode' | 'accessToken' | 'refreshToken'
+   * @param {object} filter - เงื่อนไขเพิ่มเติม เช่น { clientId }
+   */
+  static async findByToken(field, token, filter = {}) {
+    if (!token) return null;
+
+    const hash = this.hashSecret(token);
+    const candidates = await OAuthToken.find({ ...filter, [`${field}Id`]: this.getLookupId(token) });
+    return candidates.find(record => this.safeEqual(hash, record[`${field}Hash`])) || null;
+  }
+
+  /**
+   * สร้าง client secret ใหม่ ค่าจริงต้องส่งให้นักพัฒนาทันทีเพราะจะไม่แสดงอีก
+   * @returns {{ clientSecret, clientSecretHash, clientSecretPrefix }}
+   */
+  static generateClientSecret() {
+    const clientSecret = crypto.randomBytes(32).toString('hex');
+    return {
+      clientSecret,
+      clientSecretHash: this.hashSecret(clientSecret),
+      clientSecretPrefix: clientSecret.substring(0, SECRET_PREFIX_LENGTH)
+    };
+  }
+
+  /**
+   * redirect_uri ต้องตรงกับที่ลงทะเบียนไว้ทุกตัวอักษร (ไม่เทียบแค่ prefix)
+   */
+  static isRegisteredRedirectUri(app, redirectUri) {
+    return !!redirectUri && (app.redirectUris || []).includes(redirectUri);
+  }
+
+  /**
+   * ต่อ query string เข้ากับ redirect_uri อย่างถูกต้อง (รองรับ URI ที่มี query อยู่แล้ว)
+   */
+  static buildRedirectUrl(redirectUri, params) {
+    const url = new URL(redirectUri);
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null && value !== '') url.searchParams.set(key, value);
+    }
+    return url.toString();
+  }
+
+  /**
+   * ตรวจพารามิเตอร์ PKCE ตอนขอ authorization code
+   * public client ต้องส่ง code_challenge เสมอ และรองรับเฉพาะ S256
+   */
+  static validatePkceRequest(app, codeChallenge, codeChallengeMethod) {
+    if (!codeChallenge) {
+      if (app.clientType === 'public') throw new OAuthError('invalid_request', 'code_challenge is required for public clients');
+      return null;
+    }
+
+    if ((codeChallengeMethod || 'plain') !== 'S256') {
+      throw new OAuthError('invalid_request', 'Only the S256 code_challenge_method is supported');
+    }
+    if (!/^[A-Za-z0-9\-._~]{43,128}$/.test(codeChallenge)) {
+      throw new OAuthError('invalid_request', 'Invalid code_challenge');
+    }
+
+    return { codeChallenge, codeChallengeMethod: 'S256' };
+  }
+
+  static verifyCodeVerifier(codeVerifier, codeChallenge) {
+    if (!codeVerifier || !/^[A-Za-z0-9\-._~]{43,128}$/.test(codeVerifier)) return false;
+    const computed = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+    return this.safeEqual(computed, codeChallenge);
+  }
+
+  /**
+   * ดึง client credentials จาก Authorization: Basic (client_secret_basic) หรือ body (client_secret_post)
+   * ค่าใน Basic ที่ percent-encode ผิดรูปแบบถือว่ายืนยันตัวตนไม่ผ่าน (invalid_client)
+   */
+  static getClientCredentials(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Basic ')) {
+      const decoded = Buffer.from(header.substring(6), 'base64').toString('utf8');
+      const separator = decoded.indexOf(':');
+      if (separator !== -1) {
+        try {
+          return {
+            clientId: decodeURIComponent(decoded.substring(0, separator)),
+            clientSecret: decodeURIComponent(decoded.substring(separator + 1))
+          };
+        } catch (error) {
+          throw new OAuthError('invalid_client', 'Client authentication failed', 401);
+        }
+      }
+    }
+
+    return { clientId: req.body.client_id, clientSecret: req.body.client_secret };
+  }
+
+  /**
+   * ยืนยันตัวตนของแอปที่เรียก token / revoke / introspect endpoint
+   * confidential client ต้องส่ง secret ส่วน public client ยืนยันด้วย client_id (และ PKCE) เท่านั้น
+   * @param {object} options.requireSecret - บังคับให้ต้องมี secret แม้เป็น public client
+   */
+  static async authenticateClient(req, { requireSecret = false } = {}) {
+    const { clientId, clientSecret } = this.getClientCredentials(req);
+    if (!clientId) throw new OAuthError('invalid_client', 'Client authentication failed', 401);
+
+    const app = await OAuthApp.findOne({ clientId }).select('+clientSecretHash');
+    if (!app) throw new OAuthError('invalid_client', 'Client authentication failed', 401);
+    if (app.status === 'suspended') throw new OAuthError('invalid_client', 'This app has been suspended', 401);
+
+    if (app.clientType === 'public' && !requireSecret) return app;
+
+    if (!clientSecret || !app.clientSecretHash || !this.safeEqual(this.hashSecret(clientSecret), app.clientSecretHash)) {
+      throw new OAuthError('invalid_client', 'Client authentication failed', 401);
+    }
+
+    return app;
+  }
+
+  /**
+   * สร้าง authorization code หลังผู้ใช้กดอนุญาต
+   */
+  static async createAuthorizationCode({ userId, clientId, redirectUri, scope, pkce, nonce, authTime }) {
+    const authorizationCode = this.generateToken(20);
+
+    await OAuthToken.create({
+      ...this.hashedTokenFields('authorizationCode', authorizationCode),
+      userId,
+      clientId,
+      redirectUri,
+      scope,
+      codeChallenge: pkce?.codeChallenge,
+      codeChallengeMethod: pkce?.codeChallengeMethod,
+      nonce,
+      authTime,
+      expiresAt: new Date(Date.now() + AUTHORIZATION_CODE_TTL_MS)
+    });
+
+    return authorizationCode;
+  }
+
+  /**
+   * ใส่ access token + refresh token ชุดใหม่ลงใน record แล้วคืนค่าตามรูปแบบ RFC 6749 ข้อ 5.1
+   * ถ้า scope มี `openid` จะออก id_token ให้ด้วย
+   * @param {string} options.issuer - ค่า iss ของ id_token
+   */
+  static async issueTokens(record, { issuer } = {}) {
+    const accessToken = this.generateToken();
+    const refreshToken = this.generateToken();
+    const nonce = record.nonce;
+
+    record.authorizationCodeId = undefined;
+    record.authorizationCodeHash = undefined;
+    record.codeChallenge = undefined;
+    record.codeChallengeMethod = undefined;
+    record.nonce = undefined;
+    record.set(this.hashedTokenFields('accessToken', accessToken));
+    record.accessTokenExpiresAt = new Date(Date.now() + ACCESS_TOKEN_TTL_SECONDS * 1000);
+    record.set(this.hashedTokenFields('refreshToken', refreshToken));
+    record.familyId = record.familyId || record._id.toString();
+    record.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+    await record.save();
+
+    const response = {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: ACCESS_TOKEN_TTL_SECONDS,
+      refresh_token: refreshToken,
+      scope: record.scope
+    };
+
+    const scopes = this.parseScope(record.scope);
+    if (scopes.includes('openid')) {
+      const user = await User.findById(record.userId);
+      if (!user) throw new OAuthError('invalid_grant', 'User no longer exists');
+
+      response.id_token = await OidcService.signIdToken({
+        user,
+        clientId: record.clientId,
+        issuer,
+        scopes,
+        nonce,
+        authTime: record.authTime,
+        accessToken
+      });
+    }
+
+    return response;
+  }
+
+  static parseScope(scope) {
+    return String(scope || '').split(' ').filter(Boolean);
+  }
+
+  /**
+   * แลก authorization code เป็น token (code ใช้ได้ครั้งเดียว)
+   */
+  static async exchangeAuthorizationCode(app, { code, redirectUri, codeVerifier, issuer }) {
+    if (!code) throw new OAuthError('invalid_request', 'code is required');
+
+    // ลบ code ออกแบบมีเงื่อนไข (เฉพาะถ้ายังไม่ถูกลบ) เพื่อไม่ให้ request ที่แข่งกันแลก code เดียวกันได้สองครั้ง
+    const found = await this.findByToken('authorizationCode', code, { clientId: app.clientId });
+    const record = found && await OAuthToken.findOneAndUpdate(
+      { _id: found._id, authorizationCodeHash: found.authorizationCodeHash },
+      { $unset: { authorizationCodeId: 1, authorizationCodeHash: 1 } }
+    );
+
+    if (!record || record.expiresAt < new Date()) {
+      throw new OAuthError('invalid_grant', 'Code is invalid or expired');
+    }
+    if (record.redirectUri !== redirectUri) {
+      throw new OAuthError('invalid_grant', 'redirect_uri does not match the authorization request');
+    }
+    if (record.codeChallenge) {
+      if (!this.verifyCodeVerifier(codeVerifier, record.codeChallenge)) {
+        throw new OAuthError('invalid_grant', 'PKCE verification failed');
+      }
+    } else if (app.clientType === 'public') {
+      throw new OAuthError('invalid_grant', 'PKCE is required for public clients');
+    }
+
+    return this.issueTokens(record, { issuer });
+  }
+
+  /**
+   * หมุน refresh token: token เดิมใช้ได้ครั้งเดียว ถ้ามีการใช้ซ้ำจะยกเลิกทั้งตระกูล
+   * @param {string} requestedScope - ขอ scope ที่แคบลงได้ แต่ขอเพิ่มไม่ได้
+   */
+  static async refresh(app, { refreshToken, scope: requestedScope, issuer }) {
+    if (!refreshToken) throw new OAuthError('invalid_request', 'refresh_token is required');
+
+    const record = await this.findByToken('refreshToken', refreshToken, { clientId: app.clientId });
+    if (!record || record.revokedAt || record.expiresAt < new Date()) {
+      throw new OAuthError('invalid_grant', 'Refresh token is invalid or expired');
+    }
+
+    const claimed = await OAuthToken.findOneAndUpdate(
+      { _id: record._id, rotatedAt: null, revokedAt: null },
+      { $set: { rotatedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      console.warn('🚨 OAuth refresh token reuse detected, revoking token family:', {
+        clientId: app.clientId,
+        familyId: record.familyId
+      });
+      await this.revokeFamily(record.familyId);
+      throw new OAuthError('invalid_grant', 'Refresh token has already been used');
+    }
+
+    let scope = record.scope;
+    if (requestedScope) {
+      const granted = this.parseScope(record.scope);
+      const requested = this.parseScope(requestedScope);
+      if (requested.some(s => !granted.includes(s))) {
+        throw new OAuthError('invalid_scope', 'Requested scope exceeds the original grant');
+      }
+      scope = requested.join(' ');
+    }
+
+    const next = new OAuthToken({
+      userId: record.userId,
+      clientId: record.clientId,
+      redirectUri: record.redirectUri,
+      scope,
+      familyId: record.familyId,
+      authTime: record.authTime,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+    });
+
+    // access token เดิมของ record ที่ถูกหมุนใช้ไม่ได้อีก
+    claimed.accessTokenExpiresAt = new Date();
+    await claimed.save();
+
+    return this.issueTokens(next, { issuer });
+  }
+
+  /**
+   * client_credentials (RFC 6749 ข้อ 4.4): token ของแอปเองที่ไม่ผูกกับผู้ใช้ ใช้ได้เฉพาะ scope ระดับแอป
+   * ไม่มี refresh token (แอปขอใหม่ด้วย secret ได้ตลอด)
+   */
+  static async issueClientCredentials(app, { scope } = {}) {
+    if (app.clientType === 'public') {
+      throw new OAuthError('unauthorized_client', 'Public clients cannot use the client_credentials grant');
+    }
+
+    const { scopes, invalid } = parseRequestedScope(scope, 'app');
+    if (invalid.length > 0 || scopes.length === 0) {
+      throw new OAuthError('invalid_scope', `Scope not allowed for app tokens: ${invalid.join(' ') || scope}`);
+    }
+
+    const accessToken = this.generateToken();
+    const accessTokenExpiresAt = new Date(Date.now() + ACCESS_TOKEN_TTL_SECONDS * 1000);
+
+    await OAuthToken.create({
+      grantType: 'client_credentials',
+      ...this.hashedTokenFields('accessToken', accessToken),
+      accessTokenExpiresAt,
+      clientId: app.clientId,
+      scope: scopes.join(' '),
+      expiresAt: accessTokenExpiresAt
+    });
+
+    return {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: ACCESS_TOKEN_TTL_SECONDS,
+      scope: scopes.join(' ')
+    };
+  }
+
+  /**
+   * ผู้ใช้เคยอนุญาต scope ทั้งหมดนี้ให้แอปแล้วหรือไม่ (ใช้ข้ามหน้า Consent)
+   */
+  static async hasGrant(userId, clientId, scopes) {
+    const grant = await OAuthGrant.findOne({ userId, clientId });
+    return !!grant && scopes.every(scope => grant.scopes.includes(scope));
+  }
+
+  /**
+   * บันทึกความยินยอม (รวมกับ scope ที่เคยอนุญาตไว้)
+   */
+  static async recordGrant(userId, clientId, scopes) {
+    return OAuthGrant.findOneAndUpdate(
+      { userId, clientId },
+      {
+        $addToSet: { scopes: { $each: scopes } },
+        $set: { updatedAt: new Date() },
+        $setOnInsert: { grantedAt: new Date() }
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * ยกเลิกการเชื่อมต่อแอป: ลบความยินยอมและยกเลิกทุก token ที่แอปนี้ถืออยู่ของผู้ใช้
+   * @returns {boolean} false ถ้าไม่เคยอนุญาตแอปนี้
+   */
+  static async revokeGrant(userId, clientId) {
+    const grant = await OAuthGrant.findOneAndDelete({ userId, clientId });
+    if (!grant) return false;
+
+    await OAuthToken.updateMany({ userId, clientId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+    await WebhookService.enqueue(clientId, 'consent.revoked', {
+      sub: userId.toString(),
+      client_id: clientId,
+      revoked_at: Math.floor(Date.now() / 1000)
+    });
+    return true;
+  }
+
+  static async revokeFamily(familyId) {
+    if (!familyId) return 0;
+    const result = await OAuthToken.updateMany({ familyId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+    return result.modifiedCount;
+  }
+
+  /**
+   * ค้นหา token ของแอปนี้จากค่า token (ทั้ง access และ refresh)
+   * @returns {{ record, tokenType: 'access_token' | 'refresh_token' } | null}
+   */
+  static async findToken(token, clientId, tokenTypeHint) {
+    if (!token) return null;
+
+    const lookups = tokenTypeHint === 'refresh_token'
+      ? ['refresh_token', 'access_token']
+      : ['access_token', 'refresh_token'];
+
+    for (const tokenType of lookups) {
+      const field = tokenType === 'access_token' ? 'accessToken' : 'refreshToken';
+      const record = await this.findByToken(field, token, { clientId });
+      if (record) return { record, tokenType };
+    }
+
+    return null;
+  }
+
+  /**
+   * ยกเลิก token ตาม RFC 7009 (ยกเลิก refresh token = ยกเลิกทั้งตระกูล)
+   */
+  static async revokeToken(app, token, tokenTypeHint) {
+    const found = await this.findToken(token, app.clientId, tokenTypeHint);
+    if (!found) return false;
+
+    if (found.tokenType === 'refresh_token') {
+      await this.revokeFamily(found.record.familyId);
+    } else {
+      found.record.revokedAt = new Date();
+      await found.record.save();
+    }
+
+    return true;
+  }
+
+  static isActive(record, tokenType) {
+    if (record.revokedAt) return false;
+    if (tokenType === 'access_token') {
+      // token ที่ออกก่อนแยกอายุ access / refresh มีแค่ expiresAt (ใช้เป็นอายุของ access token เดิม)
+      const accessTokenExpiresAt = record.accessTokenExpiresAt || record.expiresAt;
+      return !!accessTokenExpiresAt && accessTokenExpiresAt > new Date();
+    }
+    return !record.rotatedAt && record.expiresAt > new Date();
+  }
+
+  /**
+   * ตรวจ Bearer access token สำหรับ resource endpoint (เช่น /userinfo)
+   */
+  static async findActiveAccessToken(accessToken) {
+    if (!accessToken) return null;
+
+    const record = await this.findByToken('accessToken', accessToken);
+    return record && this.isActive(record, 'access_token') ? record : null;
+  }
+
+  /**
+   * Migration: แปลง client secret / code / token ที่เคยเก็บเป็นข้อความธรรมดาให้เป็น hash
+   * เรียกตอนเริ่มเซิร์ฟเวอร์ได้ทุกครั้ง (ทำเฉพาะ record ที่ยังมี field เดิมอยู่)
+   */
+  static async migratePlaintextCredentials() {
+    let apps = 0;
+    for await (const doc of OAuthApp.collection.find({ clientSecret: { $type: 'string' } })) {
+      await OAuthApp.collection.updateOne(
+        { _id: doc._id },
+        {
+          $set: { clientSecretHash: this.hashSecret(doc.clientSecret), clientSecretPrefix: doc.clientSecret.substring(0, SECRET_PREFIX_LENGTH) },
+          $unset: { clientSecret: 1 }
+        }
+      );
+      apps++;
+    }
+
+    let tokens = 0;
+    for (const field of ['authorizationCode', 'accessToken', 'refreshToken']) {
+      for await (const doc of OAuthToken.collection.find({ [field]: { $type: 'string' } })) {
+        await OAuthToken.collection.updateOne(
+          { _id: doc._id },
+          { $set: this.hashedTokenFields(field, doc[field]), $unset: { [field]: 1 } }
+        );
+        tokens++;
+      }
+
+      // index ของ field เดิมไม่ได้ใช้แล้ว
+      await OAuthToken.collection.dropIndex(`${field}_1`).catch(() => {});
+    }
+
+    if (apps > 0 || tokens > 0) {
+      console.log('🔐 Hashed plaintext OAuth credentials:', { apps, tokens });
+    }
+  }
+}
+
+OAuthService.OAuthError = OAuthError;
+OAuthService.ACCESS_TOKEN_TTL_SECONDS = ACCESS_TOKEN_TTL_SECONDS;
+
+module.exports = OAuthService;
@@ -1,13 +1,35 @@
 const mongoose = require('mongoose');
 
+// หนึ่ง record = หนึ่งชุด token (authorization code → access token + refresh token)
+// การ refresh จะสร้าง record ใหม่ใน familyId เดียวกัน และทำเครื่องหมาย record เดิมว่าถูกหมุนแล้ว
+// ไม่เก็บค่า code / token จริง: เก็บ *Id (ตัวอักษรช่วงต้นของ token ใช้ค้นหา) คู่กับ *Hash (SHA-256 ของ token ทั้งตัว)
 const oauthTokenSchema = new mongoose.Schema({
-  authorizationCode: { type: String }, // รหัสชั่วคราวตอนผู้ใช้กดอนุญาต
-  accessToken: { type: String }, // รหัสสำหรับดึงข้อมูล
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // ไอดีผู้ใช้ที่กดอนุญาต
+  authorizationCodeId: { type: String }, // รหัสชั่วคราวตอนผู้ใช้กดอนุญาต
+  authorizationCodeHash: { type: String },
+  codeChallenge: { type: String }, // PKCE: BASE64URL(SHA256(code_verifier))
+  codeChallengeMethod: { type: String, enum: ['S256'] },
+  nonce: { type: String }, // OIDC: ค่าจากแอป ใส่กลับใน id_token เพื่อกัน replay
+  authTime: { type: Date }, // OIDC: เวลาที่ผู้ใช้เข้าสู่ระบบ (claim auth_time)
+  accessTokenId: { type: String }, // รหัสสำหรับดึงข้อมูล
+  accessTokenHash: { type: String },
+  accessTokenExpiresAt: { type: Date },
+  refreshTokenId: { type: String },
+  refreshTokenHash: { type: String },
+  familyId: { type: String, index: true }, // กลุ่มของ token ที่หมุนต่อกันมาจากการอนุญาตครั้งเดียว
+  rotatedAt: { type: Date, default: null }, // refresh token ถูกใช้ไปแล้ว (ใช้ซ้ำ = ถูกขโมย)
+  revokedAt: { type: Date, default: null },
+  grantType: { type: String, enum: ['authorization_code', 'client_credentials'], default: 'authorization_code' },
+  // ไอดีผู้ใช้ที่กดอนุญาต (token ของแอปเองจาก client_credentials ไม่มีผู้ใช้)
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: function () { return this.grantType !== 'client_credentials'; } },
   clientId: { type: String, required: true }, // แอปที่ขออนุญาต
   redirectUri: { type: String }, // เก็บ URL ส่งกลับ (ป้องกันการสวมรอย)
   scope: { type: String, default: 'profile email' },
-  expiresAt: { type: Date, required: true, index: { expires: 0 } } // ให้ระบบลบ token อัตโนมัติเมื่อหมดอายุ
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } } // ให้ระบบลบ record อัตโนมัติเมื่อ code / refresh token หมดอายุ
 });
 
+oauthTokenSchema.index({ authorizationCodeId: 1 }, { sparse: true });
+oauthTokenSchema.index({ accessTokenId: 1 }, { sparse: true });
+oauthTokenSchema.index({ refreshTokenId: 1 }, { sparse: true });
+
 module.exports = mongoose.model('OAuthToken', oauthTokenSchema);
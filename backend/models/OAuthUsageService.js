@@ -0,0 +1,70 @@
+const OAuthAppUsage = require('../models/OAuthAppUsage');
+
+const MINUTE_BUCKET_TTL_MS = 2 * 60 * 1000;
+const DAY_BUCKET_TTL_MS = 90 * 24 * 60 * 60 * 1000; // เก็บสถิติรายวัน 90 วัน
+
+class OAuthUsageService {
+  static minuteBucket(date = new Date()) {
+    return date.toISOString().substring(0, 16);
+  }
+
+  static dayBucket(date = new Date()) {
+    return date.toISOString().substring(0, 10);
+  }
+
+  static increment(clientId, period, bucket, inc, ttlMs) {
+    return OAuthAppUsage.findOneAndUpdate(
+      { clientId, period, bucket },
+      { $inc: inc, $setOnInsert: { expiresAt: new Date(Date.now() + ttlMs) } },
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * นับ request ของแอปและตรวจ rate limit แบบ fixed window รายนาที
+   * @returns {{ allowed: boolean, limit: number, remaining: number, resetSeconds: number }}
+   */
+  static async consume(app) {
+    const now = new Date();
+    const limit = app.rateLimitPerMinute || 120;
+
+    const minute = await this.increment(app.clientId, 'minute', this.minuteBucket(now), { requests: 1 }, MINUTE_BUCKET_TTL_MS);
+    const allowed = minute.requests <= limit;
+
+    await this.increment(
+      app.clientId,
+      'day',
+      this.dayBucket(now),
+      allowed ? { requests: 1 } : { rateLimited: 1 },
+      DAY_BUCKET_TTL_MS
+    );
+
+    return {
+      allowed,
+      limit,
+      remaining: Math.max(limit - minute.requests, 0),
+      resetSeconds: 60 - now.getUTCSeconds()
+    };
+  }
+
+  static async recordTokenIssued(clientId) {
+    await this.increment(clientId, 'day', this.dayBucket(), { tokensIssued: 1 }, DAY_BUCKET_TTL_MS);
+  }
+
+  /**
+   * สถิติรายวันย้อนหลัง (ล่าสุดก่อน) สำหรับ Developer Portal
+   */
+  static async getDailyUsage(clientId, days = 30) {
+    const since = this.dayBucket(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000));
+    const rows = await OAuthAppUsage.find({ clientId, period: 'day', bucket: { $gte: since } }).sort({ bucket: -1 });
+
+    return rows.map(row => ({
+      date: row.bucket,
+      requests: row.requests,
+      rateLimited: row.rateLimited,
+      tokensIssued: row.tokensIssued
+    }));
+  }
+}
+
+module.exports = OAuthUsageService;
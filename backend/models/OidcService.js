@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const OidcSigningKey = require('../models/OidcSigningKey');
+
+const ID_TOKEN_TTL_SECONDS = 60 * 60; // id_token อายุ 1 ชั่วโมง
+const KEY_ROTATION_MS = (parseInt(process.env.OIDC_KEY_ROTATION_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const RETIRED_KEY_GRACE_MS = 7 * 24 * 60 * 60 * 1000; // key เก่ายังอยู่ใน JWKS อีก 7 วันหลังปลดระวาง
+const KEY_CACHE_MS = 5 * 60 * 1000;
+
+let activeKeyCache = null; // { key, loadedAt }
+
+/**
+ * ชั้น OpenID Connect บน OAuth provider: จัดการ signing key (RS256 + หมุนอัตโนมัติ),
+ * ออก id_token และแปลงข้อมูลผู้ใช้เป็น claims ตาม scope ที่ได้รับอนุญาต
+ */
+class OidcService {
+  static getIssuer(req) {
+    return process.env.OIDC_ISSUER || `${req.protocol}://${req.get('host')}`;
+  }
+
+  static async createSigningKey() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const kid = crypto.randomBytes(8).toString('hex');
+
+    return OidcSigningKey.create({
+      kid,
+      publicJwk: { ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' },
+      privateKeyPem: privateKey.export({ type: 'pkcs8', format: 'pem' })
+    });
+  }
+
+  /**
+   * สร้าง key ใหม่และปลดระวาง key เดิม (key เดิมยังเผยแพร่ใน JWKS ระยะหนึ่งเพื่อให้ตรวจ id_token เก่าได้)
+   */
+  static async rotateSigningKey() {
+    const key = await this.createSigningKey();
+    const now = new Date();
+
+    await OidcSigningKey.updateMany(
+      { _id: { $ne: key._id }, status: 'active' },
+      { $set: { status: 'retired', retiredAt: now, expiresAt: new Date(now.getTime() + RETIRED_KEY_GRACE_MS) } }
+    );
+
+    activeKeyCache = null;
+    console.log('🔑 OIDC signing key rotated, new kid:', key.kid);
+    return key;
+  }
+
+  /**
+   * key ที่ใช้เซ็นอยู่ตอนนี้ (สร้างให้อัตโนมัติถ้ายังไม่มีหรืออายุครบรอบหมุนแล้ว)
+   */
+  static async getActiveSigningKey() {
+    if (activeKeyCache && Date.now() - activeKeyCache.loadedAt < KEY_CACHE_MS) return activeKeyCache.key;
+
+    let key = await OidcSigningKey.findOne({ status: 'active' })
+      .sort({ createdAt: -1 })
+      .select('+privateKeyPem');
+
+    if (!key || Date.now() - key.createdAt.getTime() > KEY_ROTATION_MS) {
+      key = await this.rotateSigningKey();
+    }
+
+    activeKeyCache = { key, loadedAt: Date.now() };
+    return key;
+  }
+
+  static async getJwks() {
+    const keys = await OidcSigningKey.find({}).sort({ createdAt: -1 });
+    return { keys: keys.map(key => key.publicJwk) };
+  }
+
+  /**
+   * at_hash = ครึ่งซ้ายของ SHA-256 ของ access token (OIDC Core ข้อ 3.1.3.6)
+   */
+  static atHash(accessToken) {
+    const digest = crypto.createHash('sha256').update(accessToken).digest();
+    return digest.subarray(0, digest.length / 2).toString('base64url');
+  }
+
+  /**
+   * claims ของผู้ใช้ที่แอปเห็นได้ตาม scope ที่ได้รับอนุญาต
+   * @param {string[]} scopes
+   */
+  static getScopedClaims(user, scopes) {
+    const claims = { sub: user._id.toString() };
+
+    if (scopes.includes('profile')) {
+      claims.name = user.username;
+      claims.preferred_username = user.userId || user.username;
+      claims.picture = user.profilePicture || '';
+      claims.updated_at = Math.floor((user.updatedAt || user.createdAt).getTime() / 1000);
+    }
+
+    if (scopes.includes('email')) {
+      claims.email = user.email;
+      claims.email_verified = !!user.emailVerified;
+    }
+
+    if (scopes.includes('phone') && user.phone) {
+      claims.phone_number = user.phone;
+      claims.phone_number_verified = !!user.phoneVerified;
+    }
+
+    return claims;
+  }
+
+  /**
+   * ออก id_token แบบ RS256
+   */
+  static async signIdToken({ user, clientId, issuer, scopes, nonce, authTime, accessToken }) {
+    const key = await this.getActiveSigningKey();
+
+    const payload = {
+      ...this.getScopedClaims(user, scopes),
+      auth_time: authTime ? Math.floor(new Date(authTime).getTime() / 1000) : undefined,
+      nonce: nonce || undefined,
+      at_hash: accessToken ? this.atHash(accessToken) : undefined
+    };
+
+    return jwt.sign(payload, key.privateKeyPem, {
+      algorithm: 'RS256',
+      keyid: key.kid,
+      issuer,
+      audience: clientId,
+      expiresIn: ID_TOKEN_TTL_SECONDS
+    });
+  }
+}
+
+module.exports = OidcService;
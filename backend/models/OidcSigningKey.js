@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+const oidcSigningKeySchema = new mongoose.Schema({
+  kid: { type: String, required: true, unique: true },
+  algorithm: { type: String, default: 'RS256' },
+  publicJwk: { type: mongoose.Schema.Types.Mixed, required: true }, // เผยแพร่ใน JWKS
+  privateKeyPem: { type: String, required: true, select: false }, // ใช้เซ็น id_token (ห้ามส่งออกนอก server)
+  status: { type: String, enum: ['active', 'retired'], default: 'active', index: true },
+  createdAt: { type: Date, default: Date.now },
+  retiredAt: { type: Date },
+  // key ที่ปลดระวางแล้วยังอยู่ใน JWKS จนกว่า id_token ที่เซ็นไว้จะหมดอายุ แล้วจึงถูกลบ
+  expiresAt: { type: Date, index: { expires: 0 } }
+});
+
+module.exports = mongoose.model('OidcSigningKey', oidcSigningKeySchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+const oneTimeCodeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: { type: String, enum: ['email_login', 'phone_verification', 'wallet_pin'], required: true },
+  target: { type: String, required: true }, // อีเมลหรือเบอร์โทรที่ส่งรหัสไป
+  codeHash: { type: String, required: true }, // SHA-256 ของรหัส 6 หลัก
+  linkTokenHash: { type: String, sparse: true, unique: true }, // SHA-256 ของ token ในลิงก์ (ถ้ามี)
+  attempts: { type: Number, default: 0 },
+  consumedAt: { type: Date, default: null },
+  ipAddress: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } }
+});
+
+oneTimeCodeSchema.index({ userId: 1, purpose: 1, createdAt: -1 });
+
+module.exports = mongoose.model('OneTimeCode', oneTimeCodeSchema);
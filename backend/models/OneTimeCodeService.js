@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const OneTimeCode = require('../models/OneTimeCode');
+
+const CODE_TTL_MS = 10 * 60 * 1000; // รหัสมีอายุ 10 นาที
+const RESEND_COOLDOWN_MS = 60 * 1000; // ขอรหัสใหม่ได้ทุก 1 นาที
+const MAX_ATTEMPTS = 5; // ใส่รหัสผิดได้ 5 ครั้งต่อรหัสหนึ่งชุด
+
+/**
+ * ออกและตรวจรหัสใช้ครั้งเดียว (OTP 6 หลัก และลิงก์) ที่เก็บไว้ฝั่ง server
+ * เก็บเฉพาะ hash ลง DB เหมือนลิงก์รีเซ็ตรหัสผ่าน
+ */
+class OneTimeCodeService {
+  static hash(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('hex');
+  }
+
+  static generateCode() {
+    return String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  }
+
+  /**
+   * เวลาที่ต้องรอก่อนขอรหัสใหม่ (วินาที) หรือ 0 ถ้าขอได้เลย
+   */
+  static async getCooldownSeconds(userId, purpose) {
+    const latest = await OneTimeCode.findOne({ userId, purpose }).sort({ createdAt: -1 });
+    if (!latest) return 0;
+
+    const elapsed = Date.now() - latest.createdAt.getTime();
+    return elapsed < RESEND_COOLDOWN_MS ? Math.ceil((RESEND_COOLDOWN_MS - elapsed) / 1000) : 0;
+  }
+
+  /**
+   * ออกรหัสใหม่ (รหัสเดิมที่ยังไม่ถูกใช้ของ purpose เดียวกันจะใช้ไม่ได้อีก)
+   * @param {boolean} withLink - สร้าง token สำหรับลิงก์เข้าสู่ระบบด้วยหรือไม่
+   * @returns {{ code: string, linkToken: string|null, expiresAt: Date }}
+   */
+  static async issue({ userId, purpose, target, ipAddress, withLink = false }) {
+    await OneTimeCode.deleteMany({ userId, purpose, consumedAt: null });
+
+    const code = this.generateCode();
+    const linkToken = withLink ? crypto.randomBytes(32).toString('hex') : null;
+    const expiresAt = new Date(Date.now() + CODE_TTL_MS);
+
+    await OneTimeCode.create({
+      userId,
+      purpose,
+      target,
+      codeHash: this.hash(code),
+      linkTokenHash: linkToken ? this.hash(linkToken) : undefined,
+      ipAddress,
+      expiresAt
+    });
+
+    return { code, linkToken, expiresAt };
+  }
+
+  /**
+   * ตรวจรหัส 6 หลักของผู้ใช้
+   * @returns {{ status: 'ok' | 'invalid' | 'expired' | 'too_many_attempts', record? }}
+   */
+  static async verifyCode({ userId, purpose, code }) {
+    const record = await OneTimeCode.findOne({ userId, purpose, consumedAt: null }).sort({ createdAt: -1 });
+    if (!record || record.expiresAt < new Date()) return { status: 'expired' };
+
+    // นับครั้งแบบ atomic เพื่อไม่ให้ request ที่ยิงพร้อมกันเดารหัสเกินจำนวนที่กำหนด
+    const counted = await OneTimeCode.findOneAndUpdate(
+      { _id: record._id, consumedAt: null, attempts: { $lt: MAX_ATTEMPTS } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!counted) return { status: 'too_many_attempts' };
+
+    const expected = Buffer.from(record.codeHash);
+    const actual = Buffer.from(this.hash(String(code || '').trim()));
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      return { status: counted.attempts >= MAX_ATTEMPTS ? 'too_many_attempts' : 'invalid' };
+    }
+
+    const consumed = await OneTimeCode.findOneAndUpdate(
+      { _id: record._id, consumedAt: null },
+      { $set: { consumedAt: new Date() } },
+      { new: true }
+    );
+
+    return consumed ? { status: 'ok', record: consumed } : { status: 'expired' };
+  }
+
+  /**
+   * ใช้ token จากลิงก์ (ใช้ได้ครั้งเดียว)
+   * @returns {OneTimeCode|null}
+   */
+  static async consumeLinkToken({ purpose, token }) {
+    return OneTimeCode.findOneAndUpdate(
+      { linkTokenHash: this.hash(token), purpose, consumedAt: null, expiresAt: { $gt: new Date() } },
+      { $set: { consumedAt: new Date() } },
+      { new: true }
+    );
+  }
+}
+
+module.exports = OneTimeCodeService;
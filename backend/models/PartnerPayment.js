@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// คำขอชำระเงินด้วย Coins จากแอปพาร์ทเนอร์ (Pay with ChatChat Coins)
+// พาร์ทเนอร์สร้างด้วย client credentials → ผู้ใช้กดยืนยันในแอป → โอน Coins ไปยัง Wallet ของเจ้าของแอป
+const partnerPaymentSchema = new mongoose.Schema({
+  clientId: { type: String, required: true, index: true }, // แอปที่ขอเก็บเงิน
+  developerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // ผู้รับเงิน (เจ้าของแอป)
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // ผู้จ่าย
+  orderId: { type: String, required: true }, // เลขคำสั่งซื้อฝั่งพาร์ทเนอร์ (กันสร้างซ้ำ)
+  amount: { type: Number, required: true, min: 1 }, // จำนวน Coins
+  description: { type: String, required: true },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'declined', 'failed', 'expired'],
+    default: 'pending'
+  },
+  failureReason: { type: String },
+  payerTransactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
+  payeeTransactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
+  expiresAt: { type: Date, required: true }, // หมดเวลาให้ผู้ใช้ยืนยัน
+  completedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+partnerPaymentSchema.index({ clientId: 1, orderId: 1 }, { unique: true });
+partnerPaymentSchema.index({ userId: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PartnerPayment', partnerPaymentSchema);
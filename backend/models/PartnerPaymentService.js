@@ -0,0 +1,293 @@
+const mongoose = require('mongoose');
+const PartnerPayment = require('../models/PartnerPayment');
+const OAuthApp = require('../models/OAuthApp');
+const OAuthService = require('../models/OAuthService');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const WebhookService = require('../models/WebhookService');
+const LedgerService = require('../models/LedgerService');
+const { createSystemNotification, createCoinPointsNotification } = require('../models/NotificationService');
+
+const { OAuthError } = OAuthService;
+const { LedgerError } = LedgerService;
+
+const PAYMENT_REQUEST_TTL_MS = 15 * 60 * 1000; // ผู้ใช้ต้องยืนยันภายใน 15 นาที
+const MAX_PAYMENT_COINS = parseInt(process.env.PARTNER_PAYMENT_MAX_COINS) || 100000;
+
+// เหตุผลที่การโอนล้มเหลว (โยนจากใน Mongo transaction เพื่อ abort)
+class PaymentFailure extends Error {
+  constructor(reason) {
+    super(reason);
+    this.reason = reason;
+  }
+}
+
+/**
+ * Pay with ChatChat Coins: พาร์ทเนอร์สร้างคำขอ → ผู้ใช้ยืนยันในแอป → โอน Coins จาก Wallet ผู้ใช้ไปยัง Wallet เจ้าของแอป
+ * ผลลัพธ์ทุกแบบ (completed / declined / failed / expired) แจ้งพาร์ทเนอร์ผ่าน webhook ที่สมัครรับ event payment.*
+ */
+class PartnerPaymentService {
+  /**
+   * รูปแบบที่ส่งให้พาร์ทเนอร์ (ทั้ง API และ webhook)
+   */
+  static serializeForPartner(payment) {
+    return {
+      id: payment._id.toString(),
+      order_id: payment.orderId,
+      status: payment.status,
+      amount: payment.amount,
+      currency: 'COIN',
+      description: payment.description,
+      sub: payment.userId.toString(),
+      failure_reason: payment.failureReason || undefined,
+      created_at: Math.floor(payment.createdAt.getTime() / 1000),
+      expires_at: Math.floor(payment.expiresAt.getTime() / 1000),
+      completed_at: payment.completedAt ? Math.floor(payment.completedAt.getTime() / 1000) : undefined
+    };
+  }
+
+  /**
+   * รูปแบบที่แสดงให้ผู้ใช้ในแอป ChatChat
+   */
+  static serializeForUser(payment, app) {
+    return {
+      id: payment._id,
+      app: { clientId: payment.clientId, appName: app ? app.appName : 'Deleted app', appLogo: app ? app.appLogo : null },
+      orderId: payment.orderId,
+      amount: payment.amount,
+      description: payment.description,
+      status: payment.status,
+      failureReason: payment.failureReason,
+      expiresAt: payment.expiresAt,
+      completedAt: payment.completedAt,
+      createdAt: payment.createdAt
+    };
+  }
+
+  /**
+   * พาร์ทเนอร์สร้างคำขอชำระเงิน (orderId ซ้ำด้วยข้อมูลเดิม = คืนคำขอเดิม)
+   * @param {object} app - OAuthApp ที่ยืนยันตัวตนด้วย client secret แล้ว
+   */
+  static async createPayment(app, { sub, orderId, amount, description }) {
+    if (!app.developerId) throw new OAuthError('unauthorized_client', 'App has no owner wallet to receive payments');
+    if (!orderId || String(orderId).length > 100) throw new OAuthError('invalid_request', 'order_id is required (max 100 characters)');
+    if (!description || String(description).length > 200) throw new OAuthError('invalid_request', 'description is required (max 200 characters)');
+
+    const coins = Number(amount);
+    if (!Number.isInteger(coins) || coins < 1 || coins > MAX_PAYMENT_COINS) {
+      throw new OAuthError('invalid_request', `amount must be an integer between 1 and ${MAX_PAYMENT_COINS}`);
+    }
+
+    if (!mongoose.isValidObjectId(sub)) throw new OAuthError('invalid_request', 'sub must be a ChatChat user id');
+    const user = await User.findById(sub).select('_id');
+    if (!user) throw new OAuthError('invalid_request', 'User not found');
+    if (user._id.equals(app.developerId)) throw new OAuthError('invalid_request', 'App owners cannot pay their own app');
+
+    if (!await OAuthService.hasGrant(user._id, app.clientId, ['wallet.pay'])) {
+      throw new OAuthError('insufficient_scope', 'User has not granted the wallet.pay scope to this app', 403);
+    }
+
+    const existing = await PartnerPayment.findOne({ clientId: app.clientId, orderId: String(orderId) });
+    if (existing) {
+      if (existing.userId.equals(user._id) && existing.amount === coins) return { payment: existing, created: false };
+      throw new OAuthError('invalid_request', 'order_id has already been used for a different payment', 409);
+    }
+
+    const payment = await PartnerPayment.create({
+      clientId: app.clientId,
+      developerId: app.developerId,
+      userId: user._id,
+      orderId: String(orderId),
+      amount: coins,
+      description: String(description),
+      expiresAt: new Date(Date.now() + PAYMENT_REQUEST_TTL_MS)
+    });
+
+    await createSystemNotification(user._id, {
+      alertType: 'info',
+      message: `${app.appName} ขอชำระเงิน ${coins} Coins (${payment.description}) กรุณายืนยันภายใน 15 นาที`,
+      actionUrl: `/wallet/payment-requests/${payment._id}`
+    });
+
+    console.log('🛒 Partner payment requested:', { clientId: app.clientId, paymentId: payment._id, amount: coins });
+    return { payment, created: true };
+  }
+
+  /**
+   * คำขอที่เลยเวลายืนยันแล้วเปลี่ยนเป็น expired (ทำตอนมีคนเปิดดู) แล้วแจ้งพาร์ทเนอร์
+   */
+  static async expireIfStale(payment) {
+    if (payment.status !== 'pending' || payment.expiresAt > new Date()) return payment;
+
+    const expired = await PartnerPayment.findOneAndUpdate(
+      { _id: payment._id, status: 'pending' },
+      { $set: { status: 'expired', updatedAt: new Date() } },
+      { new: true }
+    );
+    if (!expired) return PartnerPayment.findById(payment._id);
+
+    await this.notifyPartner(expired);
+    return expired;
+  }
+
+  static async getForPartner(app, paymentId) {
+    if (!mongoose.isValidObjectId(paymentId)) return null;
+    const payment = await PartnerPayment.findOne({ _id: paymentId, clientId: app.clientId });
+    return payment && this.expireIfStale(payment);
+  }
+
+  static async getForUser(userId, paymentId) {
+    if (!mongoose.isValidObjectId(paymentId)) return null;
+    const payment = await PartnerPayment.findOne({ _id: paymentId, userId });
+    return payment && this.expireIfStale(payment);
+  }
+
+  static async listPendingForUser(userId) {
+    return PartnerPayment.find({ userId, status: 'pending', expiresAt: { $gt: new Date() } }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * ผู้ใช้ยืนยันการชำระเงิน: ย้าย Coins และบันทึก Transaction ทั้งสองฝั่งใน Mongo transaction เดียว
+   * @returns {{ status: 'ok' | 'not_found' | 'not_pending' | 'expired' | 'failed', payment?, reason? }}
+   */
+  static async approve(userId, paymentId) {
+    const current = await this.getForUser(userId, paymentId);
+    if (!current) return { status: 'not_found' };
+    if (current.status === 'expired') return { status: 'expired', payment: current };
+
+    // จองคำขอไว้ก่อน กันการกดยืนยันซ้อนกันสองครั้ง
+    const payment = await PartnerPayment.findOneAndUpdate(
+      { _id: current._id, status: 'pending' },
+      { $set: { status: 'processing', updatedAt: new Date() } },
+      { new: true }
+    );
+    if (!payment) return { status: 'not_pending', payment: current };
+
+    const app = await OAuthApp.findOne({ clientId: payment.clientId });
+    let payerWallet;
+    let payeeWallet;
+    const session = await mongoose.startSession();
+
+    try {
+      if (!app) throw new PaymentFailure('app_not_found');
+      if (!await OAuthService.hasGrant(userId, payment.clientId, ['wallet.pay'])) throw new PaymentFailure('scope_revoked');
+
+      await session.withTransaction(async () => {
+        const now = new Date();
+        const metadata = { clientId: payment.clientId, orderId: payment.orderId, partnerPaymentId: payment._id.toString() };
+
+        try {
+          ({ debitWallet: payerWallet, creditWallet: payeeWallet } = await LedgerService.post({
+            referenceId: `OAPAY_${payment._id}`,
+            type: 'partner_payment',
+            debitAccount: LedgerService.userAccount(userId),
+            creditAccount: LedgerService.userAccount(payment.developerId),
+            amount: payment.amount,
+            description: `ชำระเงินให้ ${app.appName}: ${payment.description}`,
+            metadata
+          }, { session }));
+        } catch (error) {
+          if (error instanceof LedgerError) {
+            throw new PaymentFailure(['insufficient_funds', 'wallet_frozen'].includes(error.code) ? error.code : 'payee_unavailable');
+          }
+          throw error;
+        }
+
+        const [payerTx, payeeTx] = await Transaction.create([
+          {
+            userId,
+            walletId: payerWallet._id,
+            type: 'payment',
+            amount: payment.amount,
+            currency: 'COIN',
+            description: `ชำระเงินให้ ${app.appName}: ${payment.description}`,
+            status: 'completed',
+            referenceId: `OAPAY_${payment._id}_OUT`,
+            metadata
+          },
+          {
+            userId: payment.developerId,
+            walletId: payeeWallet._id,
+            type: 'payment_received',
+            amount: payment.amount,
+            currency: 'COIN',
+            description: `รับชำระเงินผ่าน ${app.appName}: ${payment.description}`,
+            status: 'completed',
+            referenceId: `OAPAY_${payment._id}_IN`,
+            metadata
+          }
+        ], { session, ordered: true });
+
+        payment.status = 'completed';
+        payment.payerTransactionId = payerTx._id;
+        payment.payeeTransactionId = payeeTx._id;
+        payment.completedAt = now;
+        payment.updatedAt = now;
+        await payment.save({ session });
+      });
+    } catch (error) {
+      // transaction ถูก abort แล้ว ยอดเงินไม่เปลี่ยน: ปิดคำขอเป็น failed เพื่อไม่ให้ค้างสถานะ processing
+      const reason = error instanceof PaymentFailure ? error.reason : 'internal_error';
+      if (reason === 'internal_error') console.error('❌ Partner payment transfer error:', error);
+
+      await PartnerPayment.updateOne(
+        { _id: payment._id },
+        { $set: { status: 'failed', failureReason: reason, updatedAt: new Date() } }
+      );
+      const failed = await PartnerPayment.findById(payment._id);
+      await this.notifyPartner(failed);
+
+      console.warn('⚠️ Partner payment failed:', { paymentId: payment._id, reason });
+      return { status: 'failed', reason, payment: failed };
+    } finally {
+      await session.endSession();
+    }
+
+    await createCoinPointsNotification(userId, {
+      points: payment.amount,
+      description: `ชำระเงินให้ ${app.appName}`,
+      balanceAfter: payerWallet.coinPoints,
+      type: 'redeem'
+    });
+    await createCoinPointsNotification(payment.developerId, {
+      points: payment.amount,
+      description: `รับชำระเงินผ่าน ${app.appName}`,
+      balanceAfter: payeeWallet.coinPoints,
+      type: 'earn'
+    });
+    await this.notifyPartner(payment);
+
+    console.log('✅ Partner payment completed:', { paymentId: payment._id, clientId: payment.clientId, amount: payment.amount });
+    return { status: 'ok', payment, balanceAfter: payerWallet.coinPoints };
+  }
+
+  /**
+   * ผู้ใช้ปฏิเสธคำขอ
+   * @returns {{ status: 'ok' | 'not_found' | 'not_pending' | 'expired', payment? }}
+   */
+  static async decline(userId, paymentId) {
+    const current = await this.getForUser(userId, paymentId);
+    if (!current) return { status: 'not_found' };
+    if (current.status === 'expired') return { status: 'expired', payment: current };
+
+    const payment = await PartnerPayment.findOneAndUpdate(
+      { _id: current._id, status: 'pending' },
+      { $set: { status: 'declined', updatedAt: new Date() } },
+      { new: true }
+    );
+    if (!payment) return { status: 'not_pending', payment: current };
+
+    await this.notifyPartner(payment);
+    return { status: 'ok', payment };
+  }
+
+  /**
+   * แจ้งผลไปยัง webhook ของแอป (payment.completed / payment.failed / payment.declined / payment.expired)
+   * ส่งผ่าน outbox ที่ retry เอง พาร์ทเนอร์ยังดึงสถานะจาก API ได้ถ้าพลาด
+   */
+  static async notifyPartner(payment) {
+    await WebhookService.enqueue(payment.clientId, `payment.${payment.status}`, this.serializeForPartner(payment));
+  }
+}
+
+module.exports = PartnerPaymentService;
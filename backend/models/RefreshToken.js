@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true }, // เก็บเฉพาะ SHA-256 ของ token
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sessionId: { // Session = "ตระกูล" ของ refresh token ที่หมุนต่อกันมา
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true,
+    index: true
+  },
+  usedAt: { type: Date }, // ถูกใช้หมุนไปแล้ว ถ้านำมาใช้ซ้ำ = ถูกขโมย
+  replacedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'RefreshToken' },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } }
+});
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  deviceName: { type: String, default: 'Unknown device' }, // ชื่อเครื่อง เช่น "iPhone 15 Pro"
+  platform: {
+    type: String,
+    enum: ['android', 'ios', 'web', 'unknown'],
+    default: 'unknown'
+  },
+  ipAddress: { type: String },
+  userAgent: { type: String },
+  fcmToken: { type: String }, // FCM token ของอุปกรณ์นี้ (ใช้ล้างเมื่อออกจากระบบ)
+  lastSeenAt: { type: Date, default: Date.now },
+  revokedAt: { type: Date }, // ถ้ามีค่า = session ถูกยกเลิกแล้ว token ใช้ไม่ได้
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } } // ให้ระบบลบ session อัตโนมัติเมื่อหมดอายุ
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1, lastSeenAt: -1 });
+
+module.exports = mongoose.model('Session', sessionSchema);
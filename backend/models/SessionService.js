@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 วัน นับจากการ refresh ครั้งล่าสุด
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60; // Access token อายุ 15 นาที
+const LAST_SEEN_THROTTLE_MS = 60 * 1000; // อัปเดต lastSeenAt อย่างมากนาทีละครั้ง
+const PLATFORMS = ['android', 'ios', 'web'];
+
+class SessionService {
+  /**
+   * ดึงข้อมูลอุปกรณ์จาก Request (body + headers) สำหรับบันทึกลง Session
+   * @param {object} req - Express request
+   */
+  static getDeviceInfo(req) {
+    const { deviceName, platform, fcmToken } = req.body || {};
+
+    return {
+      deviceName: deviceName ? String(deviceName).trim().substring(0, 100) : undefined,
+      platform: PLATFORMS.includes(platform) ? platform : 'unknown',
+      fcmToken: fcmToken || undefined,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    };
+  }
+
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * ออก Access Token อายุสั้นที่ผูกกับ Session (claim `sid`)
+   */
+  static signAccessToken(session) {
+    return jwt.sign(
+      { userId: session.userId.toString(), sid: session._id.toString() },
+      JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+    );
+  }
+
+  /**
+   * ออก Refresh Token แบบ opaque (เก็บเฉพาะ hash ลง DB)
+   */
+  static async issueRefreshToken(session) {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const record = await RefreshToken.create({
+      tokenHash: this.hashToken(refreshToken),
+      userId: session.userId,
+      sessionId: session._id,
+      expiresAt: session.expiresAt
+    });
+
+    return { refreshToken, record };
+  }
+
+  /**
+   * สร้าง Session ใหม่และออก Access Token + Refresh Token ที่ผูกกับ Session นั้น
+   * @param {ObjectId} userId - ไอดีผู้ใช้
+   * @param {object} deviceInfo - ผลลัพธ์จาก getDeviceInfo()
+   */
+  static async createSession(userId, deviceInfo = {}) {
+    const session = await Session.create({
+      userId,
+      ...deviceInfo,
+      expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+    });
+
+    const { refreshToken } = await this.issueRefreshToken(session);
+
+    return {
+      session,
+      authToken: this.signAccessToken(session),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS
+    };
+  }
+
+  /**
+   * หมุน Refresh Token: token เดิมใช้ได้ครั้งเดียว และได้ token ใหม่ในตระกูลเดียวกัน
+   * หากพบการใช้ token เก่าซ้ำ จะยกเลิกทั้ง Session (ทุก token ในตระกูล) ทันที
+   * @param {string} refreshToken - token ที่ client ส่งมา
+   * @returns {{ status: 'ok' | 'invalid' | 'reused', session?, authToken?, refreshToken?, expiresIn? }}
+   */
+  static async rotateRefreshToken(refreshToken) {
+    if (typeof refreshToken !== 'string') return { status: 'invalid' }; // กัน object / array จาก JSON body
+    const record = await RefreshToken.findOne({ tokenHash: this.hashToken(refreshToken) });
+    if (!record || record.expiresAt < new Date()) return { status: 'invalid' };
+
+    // ใช้เงื่อนไข usedAt: null เพื่อให้ request ที่แข่งกันใช้ token เดียวกันชนะได้เพียงหนึ่งเดียว
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { _id: record._id, usedAt: null },
+      { $set: { usedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      console.warn('🚨 Refresh token reuse detected, revoking session:', {
+        userId: record.userId,
+        sessionId: record.sessionId
+      });
+      await this.revokeSessions({ userId: record.userId, _id: record.sessionId });
+      return { status: 'reused' };
+    }
+
+    const session = await Session.findOne({ _id: record.sessionId, revokedAt: null });
+    if (!session || session.expiresAt < new Date()) return { status: 'invalid' };
+
+    // Sliding expiration: ใช้งานต่อเนื่องได้โดยไม่ต้อง login ใหม่
+    session.expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+    session.lastSeenAt = new Date();
+    await session.save();
+
+    const { refreshToken: nextRefreshToken, record: nextRecord } = await this.issueRefreshToken(session);
+    claimed.replacedBy = nextRecord._id;
+    await claimed.save();
+
+    return {
+      status: 'ok',
+      session,
+      authToken: this.signAccessToken(session),
+      refreshToken: nextRefreshToken,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS
+    };
+  }
+
+  /**
+   * ตรวจสอบว่า Session ใน Token ยังใช้งานได้ (ไม่ถูกยกเลิกและไม่หมดอายุ)
+   * @param {string} sessionId - ค่า `sid` ใน JWT
+   * @param {string} userId - ค่า `userId` ใน JWT
+   */
+  static async validateSession(sessionId, userId) {
+    const session = await Session.findOne({ _id: sessionId, userId, revokedAt: null });
+    if (!session || session.expiresAt < new Date()) return null;
+
+    // ไม่เขียน DB ทุก Request เพื่อลดภาระ
+    if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_THROTTLE_MS) {
+      session.lastSeenAt = new Date();
+      await session.save();
+    }
+
+    return session;
+  }
+
+  /**
+   * ดึงรายการ Session ที่ยังใช้งานอยู่ของผู้ใช้ (ล่าสุดก่อน)
+   */
+  static async listActiveSessions(userId) {
+    return Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .sort({ lastSeenAt: -1 });
+  }
+
+  /**
+   * ยกเลิก Session ตามเงื่อนไข และล้าง FCM token ของอุปกรณ์ที่ถูกออกจากระบบ
+   * @param {object} filter - เงื่อนไขเพิ่มเติม (ต้องมี userId เสมอ)
+   * @returns {number} จำนวน Session ที่ถูกยกเลิก
+   */
+  static async revokeSessions(filter) {
+    const sessions = await Session.find({ ...filter, revokedAt: null });
+    if (sessions.length === 0) return 0;
+
+    await Session.updateMany(
+      { _id: { $in: sessions.map(s => s._id) } },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    // ถ้า FCM token หลักของผู้ใช้เป็นของอุปกรณ์ที่ถูกยกเลิก ให้ล้างทิ้งเพื่อหยุดส่ง Push
+    const revokedFcmTokens = sessions.map(s => s.fcmToken).filter(Boolean);
+    if (revokedFcmTokens.length > 0) {
+      await User.updateOne(
+        { _id: filter.userId, fcmToken: { $in: revokedFcmTokens } },
+        { $set: { fcmToken: null } }
+      );
+    }
+
+    return sessions.length;
+  }
+
+  static async revokeSession(userId, sessionId) {
+    return this.revokeSessions({ userId, _id: sessionId });
+  }
+
+  static async revokeOtherSessions(userId, currentSessionId) {
+    return this.revokeSessions({ userId, _id: { $ne: currentSessionId } });
+  }
+
+  static async revokeAllSessions(userId) {
+    return this.revokeSessions({ userId });
+  }
+}
+
+module.exports = SessionService;
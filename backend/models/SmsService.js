@@ -0,0 +1,79 @@
+/**
+ * ส่ง SMS ผ่านผู้ให้บริการที่เลือกด้วย env SMS_PROVIDER (ค่าเริ่มต้น: console)
+ * ผู้ให้บริการทุกตัวต้องมีเมธอด `send({ to, message })` ที่ resolve เมื่อส่งสำเร็จ
+ * เพิ่มผู้ให้บริการใหม่ได้ด้วย SmsService.registerProvider(name, provider)
+ */
+const providers = {
+  // สำหรับพัฒนาบนเครื่อง: แสดงข้อความใน log แทนการส่งจริง
+  console: {
+    async send({ to, message }) {
+      console.log(`📱 [SMS:console] to ${to}: ${message}`);
+    }
+  },
+
+  // สำหรับทดสอบ: เก็บข้อความไว้ในหน่วยความจำให้ตรวจสอบได้
+  mock: {
+    sentMessages: [],
+    async send({ to, message }) {
+      this.sentMessages.push({ to, message, sentAt: new Date() });
+    }
+  },
+
+  twilio: {
+    async send({ to, message }) {
+      const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER } = process.env;
+      if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_FROM_NUMBER) {
+        throw new Error('Twilio SMS provider is not configured');
+      }
+
+      const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${TWILIO_ACCOUNT_SID}/Messages.json`, {
+        method: 'POST',
+        headers: {
+          Authorization: 'Basic ' + Buffer.from(`${TWILIO_ACCOUNT_SID}:${TWILIO_AUTH_TOKEN}`).toString('base64'),
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({ To: to, From: TWILIO_FROM_NUMBER, Body: message })
+      });
+
+      if (!response.ok) throw new Error(`Twilio responded with ${response.status}`);
+    }
+  }
+};
+
+class SmsService {
+  static registerProvider(name, provider) {
+    if (typeof provider?.send !== 'function') throw new Error('SMS provider must implement send({ to, message })');
+    providers[name] = provider;
+  }
+
+  static getProvider() {
+    const name = process.env.SMS_PROVIDER || 'console';
+    const provider = providers[name];
+    if (!provider) throw new Error(`Unknown SMS provider: ${name}`);
+    return provider;
+  }
+
+  /**
+   * แปลงเบอร์ในประเทศ (0XXXXXXXXX) เป็นรูปแบบ E.164 ตามรหัสประเทศเริ่มต้น
+   */
+  static toE164(phone) {
+    if (phone.startsWith('+')) return phone;
+    const countryCode = process.env.SMS_DEFAULT_COUNTRY_CODE || '66';
+    return phone.startsWith('0') ? `+${countryCode}${phone.substring(1)}` : `+${phone}`;
+  }
+
+  /**
+   * @returns {boolean} true เมื่อส่งสำเร็จ
+   */
+  static async send({ to, message }) {
+    try {
+      await this.getProvider().send({ to: this.toE164(to), message });
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to send SMS:', error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = SmsService;
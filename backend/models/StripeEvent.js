@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Event store ของ Stripe webhook: บันทึกทุก event ตาม id ก่อนตอบ 200 แล้วค่อยประมวลผลจาก collection นี้ (retry ได้ ไม่หายแม้ process ล่ม)
+const stripeEventSchema = new mongoose.Schema({
+  eventId: { type: String, required: true, unique: true }, // evt_... ของ Stripe (Stripe ส่งซ้ำได้ บันทึกครั้งเดียว)
+  type: { type: String, required: true },
+  livemode: { type: Boolean, default: false },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true }, // event ทั้งก้อนที่ตรวจลายเซ็นแล้ว
+  status: { type: String, enum: ['pending', 'processed', 'ignored', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lastAttemptAt: { type: Date },
+  error: { type: String }, // ข้อผิดพลาดล่าสุด
+  processedAt: { type: Date },
+  stripeCreatedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+stripeEventSchema.index({ status: 1, nextAttemptAt: 1 });
+stripeEventSchema.index({ type: 1, createdAt: -1 });
+
+module.exports = mongoose.model('StripeEvent', stripeEventSchema);
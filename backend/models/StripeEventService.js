@@ -0,0 +1,459 @@
+const mongoose = require('mongoose');
+const StripeEvent = require('../models/StripeEvent');
+const LedgerEntry = require('../models/LedgerEntry');
+const LedgerService = require('../models/LedgerService');
+const Wallet = require('../models/Wallet');
+const Transaction = require('../models/Transaction');
+const WithdrawalService = require('../models/WithdrawalService');
+const { createSystemNotification, createCoinPointsNotification } = require('../models/NotificationService');
+
+const { LedgerError } = LedgerService;
+
+const MAX_ATTEMPTS = 8; // retry ห่างขึ้นเรื่อยๆ 30 วิ → 1 → 2 → ... → 64 นาที
+const RETRY_BASE_MS = 30 * 1000;
+const CLAIM_LEASE_MS = 2 * 60 * 1000; // กันไม่ให้ worker หลายตัวประมวลผล event เดียวกันพร้อมกัน
+const WORKER_INTERVAL_MS = 15 * 1000;
+const WORKER_BATCH_SIZE = 50;
+
+let workerRunning = false;
+let socketServer = null;
+
+// ประมวลผลไม่ได้และ retry ไปก็ไม่ช่วย (ข้อมูลไม่ครบ / ไม่พบ Wallet) → failed ทันที รอแอดมินตรวจ
+class StripeEventFailure extends Error {}
+
+const emitToWallet = (userId, eventName, payload) => {
+  if (socketServer) socketServer.to(`wallet_${userId}`).emit(eventName, payload);
+};
+
+/**
+ * Stripe webhook แบบ idempotent: event ถูกบันทึกตาม id ก่อนตอบ Stripe แล้วประมวลผลจาก event store พร้อม retry
+ * การเติมเหรียญผูกกับ PaymentIntent (ledger referenceId `TOPUP_<paymentIntentId>`) จึงบวกได้ครั้งเดียว
+ * แม้ได้ทั้ง payment_intent.succeeded และ checkout.session.completed ของการจ่ายเดียวกัน
+ */
+class StripeEventService {
+  static getRetryDelayMs(attempts) {
+    return RETRY_BASE_MS * Math.pow(2, attempts - 1);
+  }
+
+  /**
+   * บันทึก event ที่ตรวจลายเซ็นแล้ว (จองไว้ให้ผู้เรียกประมวลผลต่อทันที worker จะไม่หยิบซ้อน)
+   * @returns {{ stripeEvent, created: boolean }} created = false เมื่อ Stripe ส่ง event เดิมซ้ำ
+   */
+  static async record(event) {
+    try {
+      const stripeEvent = await StripeEvent.create({
+        eventId: event.id,
+        type: event.type,
+        livemode: !!event.livemode,
+        payload: event,
+        stripeCreatedAt: event.created ? new Date(event.created * 1000) : undefined,
+        nextAttemptAt: new Date(Date.now() + CLAIM_LEASE_MS)
+      });
+      return { stripeEvent, created: true };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return { stripeEvent: await StripeEvent.findOne({ eventId: event.id }), created: false };
+    }
+  }
+
+  /**
+   * ประมวลผล event หนึ่งครั้งและอัปเดตผล (processed / ignored / นัด retry / failed)
+   */
+  static async attempt(stripeEvent) {
+    stripeEvent.attempts += 1;
+    stripeEvent.lastAttemptAt = new Date();
+
+    try {
+      stripeEvent.status = await this.handle(stripeEvent.payload);
+      stripeEvent.processedAt = new Date();
+      stripeEvent.error = undefined;
+      stripeEvent.nextAttemptAt = undefined;
+    } catch (error) {
+      stripeEvent.error = error.message;
+
+      if (error instanceof StripeEventFailure || stripeEvent.attempts >= MAX_ATTEMPTS) {
+        stripeEvent.status = 'failed';
+        stripeEvent.nextAttemptAt = undefined;
+        console.warn('⚠️ Stripe event failed:', { eventId: stripeEvent.eventId, type: stripeEvent.type, error: error.message });
+      } else {
+        stripeEvent.nextAttemptAt = new Date(Date.now() + this.getRetryDelayMs(stripeEvent.attempts));
+        console.error('❌ Stripe event processing error, will retry:', { eventId: stripeEvent.eventId, error });
+      }
+    }
+
+    return stripeEvent.save();
+  }
+
+  /**
+   * ประมวลผล event ที่ถึงเวลาแล้ว (จองด้วยการเลื่อน nextAttemptAt ออกไปก่อน)
+   */
+  static async processDue(batchSize = WORKER_BATCH_SIZE) {
+    if (workerRunning) return 0;
+    workerRunning = true;
+
+    let processed = 0;
+    try {
+      while (processed < batchSize) {
+        const now = new Date();
+        const stripeEvent = await StripeEvent.findOneAndUpdate(
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_LEASE_MS) } },
+          { sort: { nextAttemptAt: 1 }, new: true }
+        );
+        if (!stripeEvent) break;
+
+        await this.attempt(stripeEvent);
+        processed++;
+      }
+    } finally {
+      workerRunning = false;
+    }
+
+    return processed;
+  }
+
+  /**
+   * @param io - socket.io server สำหรับแจ้งแอปมือถือ (ห้อง wallet_<userId>)
+   */
+  static startWorker(io) {
+    socketServer = io;
+    const timer = setInterval(() => {
+      this.processDue().catch(error => console.error('❌ Stripe event worker error:', error));
+    }, WORKER_INTERVAL_MS);
+    timer.unref();
+    console.log('💳 Stripe event worker started');
+  }
+
+  /**
+   * แอดมินสั่งประมวลผล event ที่ failed ใหม่ (นับ attempts ต่อจากเดิม)
+   * @returns {object|null} event หลังประมวลผล หรือ null ถ้าไม่ได้อยู่ในสถานะ failed
+   */
+  static async retry(stripeEvent) {
+    const claimed = await StripeEvent.findOneAndUpdate(
+      { _id: stripeEvent._id, status: 'failed' },
+      { $set: { status: 'pending', nextAttemptAt: new Date(Date.now() + CLAIM_LEASE_MS) } },
+      { new: true }
+    );
+    if (!claimed) return null;
+    return this.attempt(claimed);
+  }
+
+  /**
+   * @returns {Promise<'processed' | 'ignored'>}
+   */
+  static async handle(event) {
+    const object = event.data.object;
+
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+        return this.handlePaymentIntentSucceeded(object);
+      case 'checkout.session.completed':
+      case 'checkout.session.async_payment_succeeded':
+        return this.handleCheckoutSessionPaid(object);
+      case 'payment_intent.payment_failed':
+        return this.handlePaymentFailed(event.id, object);
+      case 'charge.refunded':
+        return this.handleChargeRefunded(object);
+      case 'charge.dispute.created':
+        return this.handleDisputeCreated(object);
+      default:
+        return 'ignored';
+    }
+  }
+
+  static async handlePaymentIntentSucceeded(paymentIntent) {
+    const { userId, coinAmount, priceThb } = paymentIntent.metadata || {};
+    // PaymentIntent ที่ Checkout Session สร้างแบบไม่มี metadata: เติมเหรียญตอน checkout.session.completed แทน
+    if (!userId || !coinAmount) return 'ignored';
+
+    return this.creditTopup({
+      paymentIntentId: paymentIntent.id,
+      userId,
+      coins: parseInt(coinAmount, 10),
+      amountPaidThb: paymentIntent.amount_received / 100,
+      expectedThb: priceThb
+    });
+  }
+
+  static async handleCheckoutSessionPaid(session) {
+    // PromptPay ใน Checkout จ่ายทีหลังได้: รอ checkout.session.async_payment_succeeded
+    if (session.mode !== 'payment' || session.payment_status !== 'paid') return 'ignored';
+
+    const { userId, coinAmount, priceThb } = session.metadata || {};
+    if (!userId || !coinAmount) return 'ignored';
+
+    return this.creditTopup({
+      paymentIntentId: session.payment_intent || session.id,
+      userId,
+      coins: parseInt(coinAmount, 10),
+      amountPaidThb: session.amount_total / 100,
+      expectedThb: priceThb
+    });
+  }
+
+  /**
+   * เติมเหรียญครั้งเดียวต่อ PaymentIntent: ลงสมุดบัญชี + บวกเหรียญ + บันทึก Transaction ใน Mongo transaction เดียว
+   */
+  static async creditTopup({ paymentIntentId, userId, coins, amountPaidThb, expectedThb }) {
+    if (!mongoose.isValidObjectId(userId) || !Number.isInteger(coins) || coins < 1) {
+      throw new StripeEventFailure(`Invalid top-up metadata for ${paymentIntentId}`);
+    }
+    // ยอดที่จ่ายจริงต้องไม่น้อยกว่าราคาแพ็กเกจที่เซิร์ฟเวอร์กำหนดตอนสร้างรายการ
+    if (expectedThb !== undefined && amountPaidThb < Number(expectedThb)) {
+      throw new StripeEventFailure(`Paid ${amountPaidThb} THB but package price is ${expectedThb} THB for ${paymentIntentId}`);
+    }
+
+    let wallet;
+    try {
+      wallet = await LedgerService.transact(async (session) => {
+        const { creditWallet } = await LedgerService.post({
+          referenceId: `TOPUP_${paymentIntentId}`,
+          type: 'topup',
+          debitAccount: LedgerService.ACCOUNTS.STRIPE_TOPUP,
+          creditAccount: LedgerService.userAccount(userId),
+          amount: coins,
+          description: `Stripe Top-up: ${coins} Coins`,
+          metadata: { paymentIntentId, amountPaidThb }
+        }, { session });
+
+        await Transaction.create([{
+          userId,
+          walletId: creditWallet._id,
+          type: 'topup',
+          amount: amountPaidThb,
+          description: `Stripe Top-up: ${coins} Coins`,
+          status: 'completed',
+          referenceId: paymentIntentId
+        }], { session });
+
+        return creditWallet;
+      });
+    } catch (error) {
+      if (LedgerService.isDuplicate(error)) {
+        console.log(`ℹ️ [Stripe] Payment ${paymentIntentId} was already credited`);
+        return 'processed';
+      }
+      if (error instanceof LedgerError && error.code === 'wallet_not_found') {
+        throw new StripeEventFailure(`Wallet not found for user ${userId}`);
+      }
+      throw error;
+    }
+
+    console.log(`✅ [Stripe] Successfully added ${coins} coins to user ${userId}`);
+
+    // ⚡ ส่งสัญญาณผ่าน WebSocket แจ้งแอปมือถือว่าได้เหรียญเรียบร้อยแล้ว
+    emitToWallet(userId, 'payment_success', {
+      success: true,
+      coinAmount: coins,
+      newBalance: wallet.coinPoints,
+      referenceId: paymentIntentId
+    });
+    return 'processed';
+  }
+
+  /**
+   * การชำระเงินไม่สำเร็จ: บันทึก Transaction สถานะ failed และแจ้งผู้ใช้ (ครั้งเดียวต่อ event)
+   */
+  static async handlePaymentFailed(eventId, paymentIntent) {
+    const { userId, coinAmount } = paymentIntent.metadata || {};
+    if (!mongoose.isValidObjectId(userId)) return 'ignored';
+
+    const wallet = await Wallet.findOne({ userId }).select('_id');
+    if (!wallet) return 'ignored';
+
+    const amountThb = paymentIntent.amount / 100;
+    const reason = (paymentIntent.last_payment_error && paymentIntent.last_payment_error.message) || 'Payment failed';
+
+    const result = await Transaction.updateOne(
+      { referenceId: `STRIPE_FAILED_${eventId}` },
+      {
+        $setOnInsert: {
+          userId,
+          walletId: wallet._id,
+          type: 'topup',
+          amount: amountThb,
+          description: `Stripe Top-up: ${coinAmount || 0} Coins`,
+          status: 'failed',
+          referenceId: `STRIPE_FAILED_${eventId}`,
+          metadata: { paymentIntentId: paymentIntent.id, reason }
+        }
+      },
+      { upsert: true }
+    );
+    if (result.upsertedCount === 0) return 'processed';
+
+    await createSystemNotification(userId, {
+      alertType: 'warning',
+      message: `การชำระเงิน ${amountThb} บาท ไม่สำเร็จ: ${reason}`,
+      actionUrl: '/wallet'
+    });
+    emitToWallet(userId, 'payment_failed', {
+      success: false,
+      error: reason,
+      referenceId: paymentIntent.id
+    });
+
+    console.warn('⚠️ [Stripe] Payment failed:', { paymentIntentId: paymentIntent.id, userId, reason });
+    return 'processed';
+  }
+
+  /**
+   * คืนเงิน (เต็มจำนวนหรือบางส่วน) จาก Dashboard หรือจากแอดมินผ่าน /api/admin/stripe/refunds
+   */
+  static async handleChargeRefunded(charge) {
+    const result = await this.clawbackRefund(charge);
+    return result.status === 'not_topup' ? 'ignored' : 'processed';
+  }
+
+  /**
+   * หักเหรียญคืนตามสัดส่วนยอดที่คืน ส่วนที่หักไปแล้วจากการคืนครั้งก่อนไม่หักซ้ำ และปรับ Transaction การเติมเงินเดิม
+   * เหรียญที่ใช้ไปแล้วยังหักคืนได้ (ยอดติดลบ และ Wallet ถูกติดธงให้แอดมินตรวจ)
+   * @returns {{ status: 'ok' | 'not_topup' | 'nothing_to_claw_back', userId?, coins?, newBalance?, negativeBalance? }}
+   */
+  static async clawbackRefund(charge) {
+    if (!charge.payment_intent) return { status: 'not_topup' };
+
+    const topup = await LedgerEntry.findOne({ referenceId: `TOPUP_${charge.payment_intent}` });
+    if (!topup) return { status: 'not_topup' }; // ไม่ใช่การเติมเหรียญ หรือยังไม่เคยเติมให้
+
+    const userAccount = topup.creditAccount;
+    const userId = userAccount.split(':')[1];
+    const targetCoins = Math.min(topup.amount, Math.round(topup.amount * charge.amount_refunded / charge.amount));
+
+    const refundedThb = charge.amount_refunded / 100;
+    const fullyRefunded = charge.refunded || charge.amount_refunded >= charge.amount;
+    // อ้างอิงตามยอดสะสมที่ต้องหักของ payment intent นี้ route คืนเงินของแอดมินกับ webhook ที่มาพร้อมกันจะชนกันที่ referenceId เดียว
+    const referenceId = `REFUND_${charge.payment_intent}_${targetCoins}`;
+    let coins = 0;
+    let wallet;
+    try {
+      wallet = await LedgerService.transact(async (session) => {
+        // เขียน Wallet ก่อนเพื่อจองแถวไว้ การหักคืนที่ทำพร้อมกันจะ write conflict แล้ว retry มาเห็นยอดที่หักไปแล้ว
+        const locked = await Wallet.updateOne({ userId }, { $set: { updatedAt: new Date() } }, { session });
+        if (!locked.matchedCount) throw new LedgerError('wallet_not_found', 'Wallet not found', userAccount);
+
+        const [clawedBack] = await LedgerEntry.aggregate([
+          { $match: { type: 'refund', 'metadata.paymentIntentId': charge.payment_intent } },
+          { $group: { _id: null, total: { $sum: '$amount' } } }
+        ]).session(session);
+        coins = targetCoins - (clawedBack ? clawedBack.total : 0);
+        if (coins <= 0) return null;
+
+        const { debitWallet } = await LedgerService.post({
+          referenceId,
+          type: 'refund',
+          debitAccount: userAccount,
+          creditAccount: LedgerService.ACCOUNTS.STRIPE_TOPUP,
+          amount: coins,
+          description: `Stripe refund: ${coins} Coins`,
+          metadata: { paymentIntentId: charge.payment_intent, chargeId: charge.id, refundedThb }
+        }, { session, clawback: true });
+
+        await Transaction.create([{
+          userId,
+          walletId: debitWallet._id,
+          type: 'refund',
+          amount: refundedThb,
+          description: `Stripe refund: ${coins} Coins`,
+          status: 'completed',
+          referenceId,
+          metadata: { paymentIntentId: charge.payment_intent, chargeId: charge.id }
+        }], { session });
+
+        // Transaction การเติมเงินเดิม: คืนเต็มจำนวน = refunded, คืนบางส่วนคงเป็น completed พร้อมยอดที่คืนแล้ว
+        await Transaction.updateOne(
+          { referenceId: charge.payment_intent, type: 'topup' },
+          {
+            $set: {
+              status: fullyRefunded ? 'refunded' : 'completed',
+              'metadata.refundedThb': refundedThb,
+              'metadata.refundReferenceId': referenceId,
+              updatedAt: new Date()
+            }
+          },
+          { session }
+        );
+
+        return debitWallet;
+      });
+    } catch (error) {
+      if (LedgerService.isDuplicate(error)) return { status: 'nothing_to_claw_back', userId };
+      if (error instanceof LedgerError && error.code === 'wallet_not_found') {
+        throw new StripeEventFailure(`Wallet not found for user ${userId}`);
+      }
+      throw error;
+    }
+    if (!wallet) return { status: 'nothing_to_claw_back', userId };
+
+    const negativeBalance = wallet.coinPoints < 0;
+    await createCoinPointsNotification(userId, {
+      points: coins,
+      description: 'คืนเงินการเติมเหรียญผ่าน Stripe',
+      balanceAfter: wallet.coinPoints,
+      type: 'redeem'
+    });
+    if (negativeBalance) {
+      await createSystemNotification(userId, {
+        alertType: 'warning',
+        message: `ยอด Coin ของคุณติดลบ ${Math.abs(wallet.coinPoints)} Coins หลังหักคืนจากการคืนเงิน กรุณาเติมเหรียญเพื่อชำระยอดค้าง`,
+        actionUrl: '/wallet'
+      });
+    }
+    emitToWallet(userId, 'wallet_updated', {
+      reason: 'refund',
+      amount: -coins,
+      newBalance: wallet.coinPoints,
+      referenceId: charge.payment_intent
+    });
+
+    console.log('↩️ [Stripe] Refund clawed back:', { paymentIntentId: charge.payment_intent, userId, coins, newBalance: wallet.coinPoints });
+    return { status: 'ok', userId, coins, newBalance: wallet.coinPoints, negativeBalance };
+  }
+
+  /**
+   * ผู้ถือบัตรโต้แย้งการชำระเงิน (chargeback): ระงับ Wallet ทันทีกันการใช้/โอน/ถอนเหรียญ จนกว่าแอดมินจะตรวจและปลดล็อก
+   * คำขอถอนที่ยังไม่เข้ารอบโอนถูกปฏิเสธ ส่วนที่อยู่ในไฟล์โอนแล้วถูกพักไว้
+   */
+  static async handleDisputeCreated(dispute) {
+    if (!dispute.payment_intent) return 'ignored';
+
+    const topup = await LedgerEntry.findOne({ referenceId: `TOPUP_${dispute.payment_intent}` });
+    if (!topup) return 'ignored';
+    const userId = topup.creditAccount.split(':')[1];
+
+    await Transaction.updateOne(
+      { referenceId: dispute.payment_intent, type: 'topup' },
+      { $set: { 'metadata.disputeId': dispute.id, 'metadata.disputeReason': dispute.reason, updatedAt: new Date() } }
+    );
+
+    // ระงับเฉพาะ Wallet ที่ยังไม่ถูกระงับ (event ซ้ำหรือมีหลาย dispute ไม่แจ้งซ้ำ)
+    const wallet = await Wallet.findOneAndUpdate(
+      { userId, frozenAt: null },
+      { $set: { frozenAt: new Date(), frozenReason: `Stripe dispute: ${dispute.reason}`, frozenReference: dispute.id } },
+      { new: true }
+    );
+    // ทำทุกครั้ง (ไม่ขึ้นกับว่าเพิ่งระงับหรือไม่) event ที่ retry หลังระงับไปแล้วจะยังจัดการคำขอถอนที่ค้างอยู่
+    await WithdrawalService.holdForFrozenWallet(userId, { reason: `Stripe dispute ${dispute.id}` });
+    if (!wallet) return 'processed';
+
+    const amountThb = dispute.amount / 100;
+    await createSystemNotification(userId, {
+      alertType: 'warning',
+      message: `กระเป๋าเงินของคุณถูกระงับชั่วคราว เนื่องจากมีการโต้แย้งการชำระเงิน ${amountThb} บาท กับผู้ออกบัตร ระหว่างนี้ใช้จ่าย โอน และถอนเหรียญไม่ได้`,
+      actionUrl: '/wallet'
+    });
+    emitToWallet(userId, 'wallet_updated', {
+      reason: 'wallet_frozen',
+      amount: 0,
+      newBalance: wallet.coinPoints,
+      referenceId: dispute.id
+    });
+
+    console.warn('🧊 [Stripe] Wallet frozen due to dispute:', { disputeId: dispute.id, paymentIntentId: dispute.payment_intent, userId });
+    return 'processed';
+  }
+}
+
+StripeEventService.StripeEventFailure = StripeEventFailure;
+
+module.exports = StripeEventService;
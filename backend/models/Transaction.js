@@ -13,7 +13,7 @@ const transactionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['topup', 'transfer', 'payment', 'withdraw', 'reward', 'exchange'],
+    enum: ['topup', 'transfer', 'payment', 'payment_received', 'withdraw', 'reward', 'exchange', 'refund', 'gift'],
     required: true
   },
   amount: { type: Number, required: true },
@@ -21,7 +21,7 @@ const transactionSchema = new mongoose.Schema({
   description: { type: String, required: true },
   status: {
     type: String, 
-    enum: ['pending', 'completed', 'failed', 'cancelled'],
+    enum: ['pending', 'completed', 'failed', 'cancelled', 'refunded'],
     default: 'pending'
   },
   referenceId: { type: String, unique: true },
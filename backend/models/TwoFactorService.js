@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // ยอมรับคลาดเคลื่อนได้ ±1 ช่วง (±30 วินาที)
+const BACKUP_CODE_COUNT = 10;
+const ISSUER = process.env.TOTP_ISSUER || 'ChatChat';
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+const CHALLENGE_TOKEN_TTL = '5m';
+
+class TwoFactorService {
+  static base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+
+    return output;
+  }
+
+  static base32Decode(input) {
+    const cleaned = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) throw new Error('Invalid base32 character');
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * สร้าง Secret ใหม่ (160 bits ตามที่ RFC 4226 แนะนำ)
+   */
+  static generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * สร้าง URI สำหรับแปลงเป็น QR Code ให้แอป Authenticator สแกน
+   */
+  static buildOtpAuthUrl(secret, accountName) {
+    const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+  }
+
+  /**
+   * คำนวณรหัส TOTP ของช่วงเวลา (step) ที่กำหนด ตาม RFC 6238
+   */
+  static generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+  }
+
+  static currentStep() {
+    return Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  }
+
+  /**
+   * ตรวจรหัส TOTP และคืนค่า step ที่ตรงกัน (หรือ null ถ้าไม่ถูกต้อง)
+   * @param {string} secret - Base32 secret
+   * @param {string} code - รหัส 6 หลักจากผู้ใช้
+   * @param {number} lastUsedStep - step ล่าสุดที่เคยใช้แล้ว (กันการใช้รหัสเดิมซ้ำ)
+   */
+  static matchStep(secret, code, lastUsedStep = -1) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const now = this.currentStep();
+    for (let step = now - TOTP_WINDOW; step <= now + TOTP_WINDOW; step++) {
+      if (step <= lastUsedStep) continue;
+      const expected = this.generateCode(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+    }
+
+    return null;
+  }
+
+  static hashBackupCode(code) {
+    return crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toUpperCase()).digest('hex');
+  }
+
+  /**
+   * สร้าง Backup Codes ใหม่ คืนค่าทั้งแบบ plain (แสดงผู้ใช้ครั้งเดียว) และแบบ hash (เก็บลง DB)
+   */
+  static generateBackupCodes() {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+      return `${raw.substring(0, 5)}-${raw.substring(5)}`;
+    });
+
+    return { codes, hashes: codes.map(code => this.hashBackupCode(code)) };
+  }
+
+  /**
+   * ตรวจรหัส TOTP ของผู้ใช้ และบันทึก step ที่ใช้แล้ว (ไม่ save ให้ผู้เรียก save เอง)
+   */
+  static verifyTotp(user, code) {
+    if (!user.twoFactor?.enabled || !user.twoFactor.secret) return false;
+
+    const step = this.matchStep(user.twoFactor.secret, code, user.twoFactor.lastUsedStep ?? -1);
+    if (step === null) return false;
+
+    user.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  /**
+   * ออก Challenge Token หลังผ่านรหัสผ่านแล้ว ใช้แลกเป็น Auth Token เมื่อยืนยัน 2FA สำเร็จ
+   */
+  static signChallengeToken(userId) {
+    return jwt.sign({ userId: userId.toString(), purpose: '2fa_challenge' }, JWT_SECRET, { expiresIn: CHALLENGE_TOKEN_TTL });
+  }
+
+  /**
+   * @returns {string|null} userId ถ้า token ถูกต้องและยังไม่หมดอายุ
+   */
+  static verifyChallengeToken(token) {
+    try {
+      const decoded = jwt.verify(token, JWT_SECRET);
+      return decoded.purpose === '2fa_challenge' ? decoded.userId : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * ตรวจ Backup Code และลบออกจากรายการเมื่อใช้แล้ว (ไม่ save ให้ผู้เรียก save เอง)
+   */
+  static consumeBackupCode(user, code) {
+    if (!user.twoFactor?.enabled || !code) return false;
+
+    const hash = this.hashBackupCode(String(code));
+    const index = user.twoFactor.backupCodes.indexOf(hash);
+    if (index === -1) return false;
+
+    user.twoFactor.backupCodes.splice(index, 1);
+    return true;
+  }
+}
+
+module.exports = TwoFactorService;
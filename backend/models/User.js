@@ -18,13 +18,25 @@ const userSchema = new mongoose.Schema({
   emailVerified: { type: Boolean, default: false },
   emailVerificationToken: { type: String, sparse: true },
   emailVerificationTokenExpiry: { type: Date, sparse: true },
+  passwordResetTokenHash: { type: String, sparse: true }, // SHA-256 ของลิงก์รีเซ็ตรหัสผ่าน (ใช้ได้ครั้งเดียว)
+  passwordResetTokenExpiry: { type: Date },
+  passwordResetRequestedAt: { type: Date },
   phone: {
     type: String,
     trim: true,
     sparse: true
   },
+  phoneVerified: { type: Boolean, default: false }, // ยืนยันผ่าน SMS OTP แล้ว (ค้นหาด้วยเบอร์ได้เฉพาะเบอร์ที่ยืนยันแล้ว)
+  phoneVerifiedAt: Date,
   passwordHash: { type: String, required: true },
   passwordSalt: { type: String, required: true },
+  hasPassword: { type: Boolean, default: true }, // false = สมัครผ่าน Google/Apple และยังไม่เคยตั้งรหัสผ่านเอง
+  federatedIdentities: [{
+    provider: { type: String, enum: ['google', 'apple'], required: true },
+    subject: { type: String, required: true }, // claim `sub` จากผู้ให้บริการ
+    email: String,
+    linkedAt: { type: Date, default: Date.now }
+  }],
   authToken: String,
   tokenExpiry: Date,
   userType: { type: String, default: 'user' },
@@ -56,6 +68,14 @@ const userSchema = new mongoose.Schema({
   updatedAt: { type: Date, default: Date.now },
   lastLogin: Date,
   failedLoginAttempts: { type: Number, default: 0 },
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: String, // Base32 TOTP secret ที่ยืนยันแล้ว
+    pendingSecret: String, // Secret ที่รอผู้ใช้ยืนยันรหัสครั้งแรก
+    backupCodes: [String], // SHA-256 ของ Backup Codes ที่ยังไม่ถูกใช้
+    lastUsedStep: Number, // กันการใช้รหัส TOTP เดิมซ้ำ
+    enabledAt: Date
+  },
   isActive: { type: Boolean, default: true },
   pdpaConsent: { type: Boolean, default: false },
   consentTimestamp: Date,
@@ -81,5 +101,11 @@ userSchema.index({ email: 1 });
 userSchema.index({ userId: 1 });
 userSchema.index({ createdAt: -1 });
 userSchema.index({ phone: 1 });
+// เบอร์ที่ยืนยันแล้วต้องไม่ซ้ำกัน (เบอร์ที่ยังไม่ยืนยันซ้ำได้)
+userSchema.index({ phone: 1, phoneVerified: 1 }, { unique: true, partialFilterExpression: { phoneVerified: true } });
+userSchema.index(
+  { 'federatedIdentities.provider': 1, 'federatedIdentities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'federatedIdentities.subject': { $exists: true } } }
+);
 
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -9,7 +9,16 @@ const walletSchema = new mongoose.Schema({
   },
   balance: { type: Number, default: 0.0 },
   coinPoints: { type: Number, default: 0 },
+  earnedCoins: { type: Number, default: 0 }, // รายได้จากของขวัญ แยกจาก Coins ที่ซื้อ ถอนเป็นเงินได้ (ผูกกับบัญชี earnings:<userId>)
   currency: { type: String, default: 'THB' },
+  pinHash: { type: String, select: false }, // PIN 6 หลักสำหรับยืนยันการโอนยอดสูง (bcrypt)
+  pinFailedAttempts: { type: Number, default: 0 },
+  pinLockedUntil: { type: Date },
+  frozenAt: { type: Date }, // ระงับการใช้จ่าย/โอน/ถอน (เช่น มีการโต้แย้งการชำระเงินกับ Stripe) จนกว่าแอดมินจะปลดล็อก
+  frozenReason: { type: String },
+  frozenReference: { type: String }, // เช่น Stripe dispute id
+  negativeBalanceFlaggedAt: { type: Date }, // ยอดติดลบจากการหักคืนเหรียญที่ใช้ไปแล้ว รอแอดมินตรวจ
+  ledgerOpenedAt: { type: Date, default: Date.now }, // เวลาที่ยอด coinPoints เริ่มผูกกับสมุดบัญชี (LedgerEntry)
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
@@ -0,0 +1,298 @@
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Wallet = require('../models/Wallet');
+const Transaction = require('../models/Transaction');
+const FriendRequest = require('../models/FriendRequest');
+const LedgerEntry = require('../models/LedgerEntry');
+const LedgerService = require('../models/LedgerService');
+const TwoFactorService = require('../models/TwoFactorService');
+const AuthService = require('../models/AuthService');
+const LoginThrottleService = require('../models/LoginThrottleService');
+const OneTimeCodeService = require('../models/OneTimeCodeService');
+const { createSystemNotification } = require('../models/NotificationService');
+
+const { LedgerError } = LedgerService;
+
+const DAILY_LIMIT_COINS = parseInt(process.env.WALLET_TRANSFER_DAILY_LIMIT) || 10000;
+const DAILY_LIMIT_COUNT = parseInt(process.env.WALLET_TRANSFER_DAILY_COUNT) || 20;
+const CONFIRM_THRESHOLD = parseInt(process.env.WALLET_TRANSFER_CONFIRM_THRESHOLD) || 1000; // โอนเกินนี้ต้องยืนยันด้วย 2FA หรือ PIN
+const LIMIT_WINDOW_MS = 24 * 60 * 60 * 1000; // นับวงเงินย้อนหลัง 24 ชั่วโมง
+const MAX_NOTE_LENGTH = 140;
+const PIN_PATTERN = /^\d{6}$/;
+const PIN_MAX_FAILURES = 5;
+const PIN_LOCK_MS = 15 * 60 * 1000;
+
+// โอนไม่ได้ (โยนจากใน Mongo transaction เพื่อ abort)
+class TransferFailure extends Error {
+  constructor(reason) {
+    super(reason);
+    this.reason = reason;
+  }
+}
+
+/**
+ * โอน Coins ระหว่างเพื่อน: ตัด/เพิ่มยอดผ่านสมุดบัญชี (LedgerService) ใน Mongo transaction เดียว
+ * วงเงินรายวันตรวจภายใน transaction เดียวกับการตัดยอด (ทุกการโอนแก้ Wallet ผู้ส่งใบเดียวกัน จึงไม่มีสองรายการผ่านวงเงินพร้อมกัน)
+ */
+class WalletTransferService {
+  static get limits() {
+    return {
+      dailyLimitCoins: DAILY_LIMIT_COINS,
+      dailyLimitCount: DAILY_LIMIT_COUNT,
+      confirmationThreshold: CONFIRM_THRESHOLD
+    };
+  }
+
+  /**
+   * ยอดและจำนวนครั้งที่โอนออกใน 24 ชั่วโมงที่ผ่านมา
+   */
+  static async getDailyUsage(userId, session) {
+    const [usage] = await LedgerEntry.aggregate([
+      {
+        $match: {
+          type: 'transfer',
+          debitAccount: LedgerService.userAccount(userId),
+          createdAt: { $gte: new Date(Date.now() - LIMIT_WINDOW_MS) }
+        }
+      },
+      { $group: { _id: null, coins: { $sum: '$amount' }, count: { $sum: 1 } } }
+    ]).session(session || null);
+
+    return { coins: usage ? usage.coins : 0, count: usage ? usage.count : 0 };
+  }
+
+  /**
+   * ผู้รับตาม User ID (ที่ผู้ใช้ตั้งเอง) หรือ _id และต้องเป็นเพื่อนกันแล้ว
+   * @returns {{ status: 'ok' | 'not_found' | 'self' | 'not_friend', recipient? }}
+   */
+  static async findRecipient(sender, identifier) {
+    if (!identifier || typeof identifier !== 'string') return { status: 'not_found' };
+
+    const conditions = [{ userId: identifier }];
+    if (mongoose.isValidObjectId(identifier)) conditions.push({ _id: identifier });
+    const recipient = await User.findOne({ $or: conditions }).select('_id username userId profilePicture');
+
+    if (!recipient) return { status: 'not_found' };
+    if (recipient._id.equals(sender._id)) return { status: 'self' };
+
+    const friendship = await FriendRequest.exists({
+      status: 'accepted',
+      $or: [
+        { fromUser: sender._id, toUser: recipient._id },
+        { fromUser: recipient._id, toUser: sender._id }
+      ]
+    });
+    if (!friendship) return { status: 'not_friend' };
+
+    return { status: 'ok', recipient };
+  }
+
+  /**
+   * ยืนยันการโอนยอดสูง: ผู้ที่เปิด 2FA ใช้รหัส TOTP ผู้ที่ไม่ได้เปิดใช้ PIN ของ Wallet
+   * @returns {{ ok: boolean, code?: string, retryAfterSeconds?: number }}
+   */
+  static async verifyConfirmation(user, { totpCode, pin }) {
+    if (user.twoFactor?.enabled) {
+      if (!totpCode) return { ok: false, code: 'two_factor_required' };
+      if (!TwoFactorService.verifyTotp(user, totpCode)) return { ok: false, code: 'two_factor_invalid' };
+      await user.save();
+      return { ok: true };
+    }
+
+    return this.verifyPin(user._id, pin);
+  }
+
+  /**
+   * ตรวจ PIN ของ Wallet (ผิดครบ PIN_MAX_FAILURES ครั้ง ล็อก 15 นาที)
+   * @returns {{ ok: boolean, code?: 'confirmation_setup_required' | 'pin_required' | 'pin_invalid' | 'pin_locked', retryAfterSeconds?: number }}
+   */
+  static async verifyPin(userId, pin) {
+    const wallet = await Wallet.findOne({ userId }).select('+pinHash pinLockedUntil');
+    if (!wallet || !wallet.pinHash) return { ok: false, code: 'confirmation_setup_required' };
+    const lockedResult = (lockedUntil) => ({
+      ok: false,
+      code: 'pin_locked',
+      retryAfterSeconds: Math.max(Math.ceil((lockedUntil - Date.now()) / 1000), 1)
+    });
+    if (wallet.pinLockedUntil && wallet.pinLockedUntil > new Date()) return lockedResult(wallet.pinLockedUntil);
+    if (!pin) return { ok: false, code: 'pin_required' };
+
+    // จองสิทธิ์เดาหนึ่งครั้งแบบ atomic ก่อนตรวจ: request ที่ยิงพร้อมกันจึงเดาได้ไม่เกิน PIN_MAX_FAILURES ครั้งต่อรอบล็อก
+    const now = new Date();
+    const counted = await Wallet.findOneAndUpdate(
+      {
+        _id: wallet._id,
+        pinFailedAttempts: { $lt: PIN_MAX_FAILURES },
+        $or: [{ pinLockedUntil: null }, { pinLockedUntil: { $lte: now } }]
+      },
+      { $inc: { pinFailedAttempts: 1 } },
+      { new: true }
+    ).select('pinFailedAttempts pinLockedUntil');
+    if (!counted) {
+      const current = await Wallet.findById(wallet._id).select('pinLockedUntil');
+      return lockedResult(current && current.pinLockedUntil > now ? current.pinLockedUntil : new Date(now.getTime() + PIN_LOCK_MS));
+    }
+
+    if (!PIN_PATTERN.test(String(pin)) || !await bcrypt.compare(String(pin), wallet.pinHash)) {
+      if (counted.pinFailedAttempts < PIN_MAX_FAILURES) return { ok: false, code: 'pin_invalid' };
+
+      const lockedUntil = new Date(Date.now() + PIN_LOCK_MS);
+      await Wallet.updateOne({ _id: wallet._id }, { $set: { pinFailedAttempts: 0, pinLockedUntil: lockedUntil } });
+      return lockedResult(lockedUntil);
+    }
+
+    await Wallet.updateOne({ _id: wallet._id }, { $set: { pinFailedAttempts: 0 } });
+    return { ok: true };
+  }
+
+  static async hasPin(userId) {
+    const wallet = await Wallet.findOne({ userId }).select('+pinHash');
+    return !!(wallet && wallet.pinHash);
+  }
+
+  /**
+   * ยืนยันตัวตนซ้ำก่อนตั้ง PIN ครั้งแรก (token ที่ถูกขโมยอย่างเดียวต้องตั้ง PIN เองไม่ได้)
+   * ใช้รหัสผ่านปัจจุบัน (นับรวมกับการล็อกบัญชีของการเข้าสู่ระบบ) หรือรหัสจากอีเมล (purpose 'wallet_pin')
+   * @returns {{ ok: boolean, code?: 'reauth_required' | 'reauth_invalid' | 'reauth_locked', retryAfterSeconds?: number }}
+   */
+  static async verifyReauthentication(user, { currentPassword, emailCode, ipAddress }) {
+    if (currentPassword && user.hasPassword !== false) {
+      const throttle = await LoginThrottleService.check({ userId: user._id, ipAddress });
+      if (throttle.locked) return { ok: false, code: 'reauth_locked', retryAfterSeconds: throttle.retryAfterSeconds };
+
+      if (AuthService.verifyPassword(String(currentPassword), user.passwordHash, user.passwordSalt)) return { ok: true };
+      await LoginThrottleService.recordFailure({ user, ipAddress });
+      return { ok: false, code: 'reauth_invalid' };
+    }
+
+    if (emailCode) {
+      const result = await OneTimeCodeService.verifyCode({ userId: user._id, purpose: 'wallet_pin', code: emailCode });
+      return result.status === 'ok' ? { ok: true } : { ok: false, code: 'reauth_invalid' };
+    }
+
+    return { ok: false, code: 'reauth_required' };
+  }
+
+  /**
+   * ตั้งหรือเปลี่ยน PIN: ตั้งครั้งแรกต้องยืนยันตัวตนซ้ำ เปลี่ยนต้องยืนยัน PIN เดิม แล้วแจ้งเจ้าของบัญชีทุกครั้ง
+   * @returns {{ status: 'ok' | 'invalid_pin' | 'current_pin_invalid' | 'pin_locked' | 'wallet_not_found'
+   *   | 'reauth_required' | 'reauth_invalid' | 'reauth_locked', changed?: boolean, retryAfterSeconds?: number }}
+   */
+  static async setPin(user, { pin, currentPin, currentPassword, emailCode, ipAddress }) {
+    if (!PIN_PATTERN.test(String(pin || ''))) return { status: 'invalid_pin' };
+
+    const wallet = await Wallet.findOne({ userId: user._id }).select('+pinHash pinFailedAttempts pinLockedUntil');
+    if (!wallet) return { status: 'wallet_not_found' };
+
+    const changed = !!wallet.pinHash;
+    if (changed) {
+      const check = await this.verifyPin(user._id, currentPin);
+      if (!check.ok) return { status: check.code === 'pin_locked' ? 'pin_locked' : 'current_pin_invalid', retryAfterSeconds: check.retryAfterSeconds };
+    } else {
+      const reauth = await this.verifyReauthentication(user, { currentPassword, emailCode, ipAddress });
+      if (!reauth.ok) return { status: reauth.code, retryAfterSeconds: reauth.retryAfterSeconds };
+    }
+
+    // ตั้งครั้งแรกแบบมีเงื่อนไข: กันสอง request ตั้ง PIN แรกทับกัน
+    const updated = await Wallet.findOneAndUpdate(
+      changed ? { _id: wallet._id } : { _id: wallet._id, pinHash: null },
+      { $set: { pinHash: await bcrypt.hash(String(pin), 12), pinFailedAttempts: 0, updatedAt: new Date() }, $unset: { pinLockedUntil: 1 } }
+    );
+    if (!updated) return { status: 'current_pin_invalid' };
+
+    try {
+      await createSystemNotification(user._id, {
+        alertType: 'warning',
+        message: changed
+          ? 'PIN ของกระเป๋าเงินถูกเปลี่ยนแล้ว หากไม่ใช่คุณ กรุณาเปลี่ยนรหัสผ่านและออกจากระบบอุปกรณ์อื่นทันที'
+          : 'มีการตั้ง PIN ของกระเป๋าเงิน หากไม่ใช่คุณ กรุณาเปลี่ยนรหัสผ่านและออกจากระบบอุปกรณ์อื่นทันที',
+        actionUrl: '/settings/security'
+      });
+    } catch (error) {
+      console.error('❌ Failed to send wallet PIN notification:', error.message);
+    }
+
+    return { status: 'ok', changed };
+  }
+
+  /**
+   * โอน Coins ให้เพื่อน (ตรวจผู้รับและการยืนยันมาก่อนแล้ว)
+   * @param {string} [requestId] - id จากไคลเอนต์ กันกดโอนซ้ำ
+   * @returns {{ status: 'ok' | 'insufficient_funds' | 'wallet_frozen' | 'daily_amount_exceeded' | 'daily_count_exceeded' | 'recipient_unavailable' | 'duplicate', ... }}
+   */
+  static async transfer(sender, recipient, { amount, note, requestId }) {
+    const transferId = requestId ? `${sender._id}_${requestId}` : new mongoose.Types.ObjectId().toString();
+    const referenceId = `P2P_${transferId}`;
+    const cleanNote = note ? String(note).trim().substring(0, MAX_NOTE_LENGTH) : undefined;
+
+    let result;
+    try {
+      result = await LedgerService.transact(async (session) => {
+        const usage = await this.getDailyUsage(sender._id, session);
+        if (usage.count + 1 > DAILY_LIMIT_COUNT) throw new TransferFailure('daily_count_exceeded');
+        if (usage.coins + amount > DAILY_LIMIT_COINS) throw new TransferFailure('daily_amount_exceeded');
+
+        const metadata = {
+          fromUserId: sender._id.toString(),
+          toUserId: recipient._id.toString(),
+          note: cleanNote
+        };
+
+        const { debitWallet, creditWallet } = await LedgerService.post({
+          referenceId,
+          type: 'transfer',
+          debitAccount: LedgerService.userAccount(sender._id),
+          creditAccount: LedgerService.userAccount(recipient._id),
+          amount,
+          description: `โอนเหรียญจาก ${sender.username} ถึง ${recipient.username}`,
+          metadata
+        }, { session });
+
+        const [senderTx] = await Transaction.create([
+          {
+            userId: sender._id,
+            walletId: debitWallet._id,
+            type: 'transfer',
+            amount,
+            currency: 'COIN',
+            description: `โอนเหรียญให้ ${recipient.username}${cleanNote ? `: ${cleanNote}` : ''}`,
+            status: 'completed',
+            referenceId: `${referenceId}_OUT`,
+            metadata: { ...metadata, direction: 'out' }
+          },
+          {
+            userId: recipient._id,
+            walletId: creditWallet._id,
+            type: 'transfer',
+            amount,
+            currency: 'COIN',
+            description: `รับเหรียญจาก ${sender.username}${cleanNote ? `: ${cleanNote}` : ''}`,
+            status: 'completed',
+            referenceId: `${referenceId}_IN`,
+            metadata: { ...metadata, direction: 'in' }
+          }
+        ], { session, ordered: true });
+
+        return {
+          transactionId: senderTx._id,
+          senderBalance: debitWallet.coinPoints,
+          recipientBalance: creditWallet.coinPoints,
+          usage: { coins: usage.coins + amount, count: usage.count + 1 }
+        };
+      });
+    } catch (error) {
+      if (error instanceof TransferFailure) return { status: error.reason };
+      if (LedgerService.isDuplicate(error)) return { status: 'duplicate' };
+      if (error instanceof LedgerError) {
+        return { status: ['insufficient_funds', 'wallet_frozen'].includes(error.code) ? error.code : 'recipient_unavailable' };
+      }
+      throw error;
+    }
+
+    console.log('💸 Coin transfer completed:', { referenceId, from: sender._id, to: recipient._id, amount });
+    return { status: 'ok', referenceId, note: cleanNote, ...result };
+  }
+}
+
+module.exports = WalletTransferService;
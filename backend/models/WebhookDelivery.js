@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Outbox + ประวัติการส่ง webhook: สร้าง record ก่อนส่งเสมอ แล้ว worker ส่งและ retry จาก collection นี้
+const webhookDeliverySchema = new mongoose.Schema({
+  clientId: { type: String, required: true },
+  endpointId: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookEndpoint', required: true },
+  eventId: { type: String, required: true },
+  eventType: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true }, // event ทั้งก้อนตามที่ส่งให้ปลายทาง
+  status: { type: String, enum: ['pending', 'delivered', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lastAttemptAt: { type: Date },
+  responseStatus: { type: Number }, // HTTP status ล่าสุดจากปลายทาง
+  error: { type: String }, // ข้อผิดพลาดล่าสุด (timeout, connection refused, non-2xx)
+  durationMs: { type: Number },
+  deliveredAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } } // เก็บประวัติ 30 วัน
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ clientId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// ปลายทาง webhook ของแอปพาร์ทเนอร์ (แอปหนึ่งมีได้หลาย URL แต่ละ URL เลือก event ที่ต้องการรับ)
+const webhookEndpointSchema = new mongoose.Schema({
+  clientId: { type: String, required: true, index: true },
+  url: { type: String, required: true },
+  secret: { type: String, required: true, select: false }, // ใช้เซ็น HMAC (เก็บค่าจริงเพราะต้องใช้เซ็นทุกครั้ง)
+  events: [{ type: String }], // ชื่อ event จาก config/webhookEvents
+  enabled: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
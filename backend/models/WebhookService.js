@@ -0,0 +1,311 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const https = require('https');
+const net = require('net');
+const OAuthApp = require('../models/OAuthApp');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { TEST_EVENT } = require('../config/webhookEvents');
+
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const MAX_ATTEMPTS = 8; // retry ห่างขึ้นเรื่อยๆ 30 วิ → 1 → 2 → ... → 64 นาที (รวมราว 2 ชั่วโมง)
+const RETRY_BASE_MS = 30 * 1000;
+const CLAIM_LEASE_MS = 60 * 1000; // กันไม่ให้ worker หลายตัวส่ง delivery เดียวกันพร้อมกัน
+const WORKER_INTERVAL_MS = 15 * 1000;
+const WORKER_BATCH_SIZE = 50;
+const DELIVERY_LOG_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// ปลายทางที่ห้ามส่ง webhook ไป (กัน SSRF เข้าเครือข่ายภายในและ cloud metadata เช่น 169.254.169.254)
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const isBlockedAddress = (address) => {
+  const family = net.isIPv4(address) ? 'ipv4' : 'ipv6';
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) ตรวจตาม IPv4 ที่ซ่อนอยู่
+  const mapped = family === 'ipv6' && address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  return BLOCKED_ADDRESSES.check(address, family);
+};
+
+let workerRunning = false;
+
+/**
+ * Webhook ของแอปพาร์ทเนอร์: บันทึกลง outbox (WebhookDelivery) ก่อน แล้วส่งพร้อมลายเซ็น HMAC-SHA256 และ retry แบบ exponential
+ * พาร์ทเนอร์ตรวจด้วย header `X-ChatChat-Signature: t=<unix>,v1=<hex>` โดย v1 = HMAC(secret, `${t}.${rawBody}`)
+ */
+class WebhookService {
+  static generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  static sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  static buildEvent(type, data) {
+    return {
+      id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+      type,
+      created: Math.floor(Date.now() / 1000),
+      data
+    };
+  }
+
+  /**
+   * ปลายทางต้องเป็น https และทุก IP ที่ host resolve ได้ต้องเป็น public address
+   * (ห้าม localhost / private / link-local / metadata) ตรวจตอนบันทึกและก่อนส่งทุกครั้ง
+   * @returns {Promise<{ error: string } | { addresses: Array<{ address: string, family: number }> }>}
+   */
+  static async resolveUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return { error: 'Webhook URL is invalid' };
+    }
+
+    if (parsed.protocol !== 'https:') return { error: 'Webhook URL must use https' };
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+      addresses = net.isIP(hostname)
+        ? [{ address: hostname, family: net.isIP(hostname) }]
+        : await dns.lookup(hostname, { all: true, verbatim: true });
+    } catch (error) {
+      return { error: 'Webhook URL host could not be resolved' };
+    }
+
+    if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+      return { error: 'Webhook URL must point to a public address' };
+    }
+    return { addresses };
+  }
+
+  /**
+   * @returns {Promise<string|null>} ข้อความ error หรือ null ถ้าใช้ได้
+   */
+  static async validateUrl(url) {
+    const { error } = await this.resolveUrl(url);
+    return error || null;
+  }
+
+  /**
+   * POST ไปยัง IP ที่ตรวจแล้วเท่านั้น (ไม่ resolve DNS ซ้ำ กัน DNS rebinding) ส่วน TLS ยังตรวจใบรับรองกับ hostname เดิม
+   * ไม่ตาม redirect
+   * @returns {Promise<number>} HTTP status
+   */
+  static post(url, addresses, { headers, body }) {
+    const lookup = (hostname, options, callback) => {
+      if (options.all) return callback(null, addresses);
+      return callback(null, addresses[0].address, addresses[0].family);
+    };
+
+    return new Promise((resolve, reject) => {
+      const request = https.request(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup,
+        timeout: DELIVERY_TIMEOUT_MS
+      }, (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      });
+      request.on('timeout', () => {
+        const error = new Error('Request timed out');
+        error.name = 'TimeoutError';
+        request.destroy(error);
+      });
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  static getRetryDelayMs(attempts) {
+    return RETRY_BASE_MS * Math.pow(2, attempts - 1);
+  }
+
+  /**
+   * ใส่ event ลง outbox ของทุก endpoint ที่สมัครรับ event นี้ แล้วเริ่มส่งทันทีในเบื้องหลัง
+   * @returns {Array} delivery ที่สร้าง
+   */
+  static async enqueue(clientId, type, data) {
+    const endpoints = await WebhookEndpoint.find({ clientId, enabled: true, events: type }).select('_id');
+    if (endpoints.length === 0) return [];
+
+    const event = this.buildEvent(type, data);
+    const deliveries = await WebhookDelivery.insertMany(endpoints.map(endpoint => ({
+      clientId,
+      endpointId: endpoint._id,
+      eventId: event.id,
+      eventType: type,
+      payload: event,
+      expiresAt: new Date(Date.now() + DELIVERY_LOG_TTL_MS)
+    })));
+
+    setImmediate(() => {
+      this.processDue().catch(error => console.error('❌ Webhook worker error:', error));
+    });
+
+    return deliveries;
+  }
+
+  /**
+   * ส่ง delivery หนึ่งครั้งและอัปเดตผล (สำเร็จ / นัด retry / ล้มเหลวถาวร)
+   */
+  static async attempt(delivery) {
+    const endpoint = await WebhookEndpoint.findById(delivery.endpointId).select('+secret');
+    const now = new Date();
+
+    if (!endpoint || (!endpoint.enabled && delivery.eventType !== TEST_EVENT)) {
+      delivery.status = 'failed';
+      delivery.error = endpoint ? 'Endpoint is disabled' : 'Endpoint was deleted';
+      delivery.nextAttemptAt = undefined;
+      return delivery.save();
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(now.getTime() / 1000);
+    const startedAt = Date.now();
+
+    delivery.attempts += 1;
+    delivery.lastAttemptAt = now;
+
+    try {
+      const resolved = await this.resolveUrl(endpoint.url);
+      if (resolved.error) throw new Error(resolved.error);
+
+      const status = await this.post(endpoint.url, resolved.addresses, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'ChatChat-Webhooks/1.0',
+          'X-ChatChat-Event': delivery.eventType,
+          'X-ChatChat-Delivery': delivery._id.toString(),
+          'X-ChatChat-Signature': `t=${timestamp},v1=${this.sign(endpoint.secret, timestamp, body)}`
+        },
+        body
+      });
+
+      delivery.responseStatus = status;
+      if (status < 200 || status >= 300) throw new Error(`Endpoint responded with ${status}`);
+
+      delivery.status = 'delivered';
+      delivery.deliveredAt = new Date();
+      delivery.error = undefined;
+      delivery.nextAttemptAt = undefined;
+    } catch (error) {
+      delivery.error = error.name === 'TimeoutError' ? 'Request timed out' : error.message;
+
+      if (delivery.attempts >= MAX_ATTEMPTS) {
+        delivery.status = 'failed';
+        delivery.nextAttemptAt = undefined;
+        console.warn('⚠️ Webhook delivery gave up:', { deliveryId: delivery._id, clientId: delivery.clientId, type: delivery.eventType });
+      } else {
+        delivery.nextAttemptAt = new Date(Date.now() + this.getRetryDelayMs(delivery.attempts));
+      }
+    }
+
+    delivery.durationMs = Date.now() - startedAt;
+    return delivery.save();
+  }
+
+  /**
+   * ส่ง delivery ที่ถึงเวลาแล้ว (จองด้วยการเลื่อน nextAttemptAt ออกไปก่อนส่ง)
+   */
+  static async processDue(batchSize = WORKER_BATCH_SIZE) {
+    if (workerRunning) return 0;
+    workerRunning = true;
+
+    let processed = 0;
+    try {
+      while (processed < batchSize) {
+        const now = new Date();
+        const delivery = await WebhookDelivery.findOneAndUpdate(
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_LEASE_MS) } },
+          { sort: { nextAttemptAt: 1 }, new: true }
+        );
+        if (!delivery) break;
+
+        await this.attempt(delivery);
+        processed++;
+      }
+    } finally {
+      workerRunning = false;
+    }
+
+    return processed;
+  }
+
+  static startDeliveryWorker() {
+    const timer = setInterval(() => {
+      this.processDue().catch(error => console.error('❌ Webhook worker error:', error));
+    }, WORKER_INTERVAL_MS);
+    timer.unref();
+    console.log('📬 Webhook delivery worker started');
+  }
+
+  /**
+   * ส่ง test event ไปยัง endpoint เดียวแล้วรอผลครั้งแรก (ถ้าไม่สำเร็จจะ retry ต่อในเบื้องหลังเหมือน event จริง)
+   */
+  static async sendTestEvent(endpoint) {
+    const event = this.buildEvent(TEST_EVENT, {
+      message: 'This is a test event from ChatChat',
+      endpoint_id: endpoint._id.toString()
+    });
+
+    // จองไว้ตั้งแต่สร้าง ไม่ให้ worker หยิบไปส่งซ้อนกับการส่งตรงนี้
+    const delivery = await WebhookDelivery.create({
+      clientId: endpoint.clientId,
+      endpointId: endpoint._id,
+      eventId: event.id,
+      eventType: TEST_EVENT,
+      payload: event,
+      nextAttemptAt: new Date(Date.now() + CLAIM_LEASE_MS),
+      expiresAt: new Date(Date.now() + DELIVERY_LOG_TTL_MS)
+    });
+
+    return this.attempt(delivery);
+  }
+
+  /**
+   * ส่ง delivery ที่จบไปแล้ว (delivered / failed) อีกครั้ง เช่นหลังพาร์ทเนอร์แก้เซิร์ฟเวอร์
+   * @returns {object|null} null ถ้ายังอยู่ในคิว (worker จะส่งเอง)
+   */
+  static async redeliver(delivery) {
+    const claimed = await WebhookDelivery.findOneAndUpdate(
+      { _id: delivery._id, status: { $ne: 'pending' } },
+      { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(Date.now() + CLAIM_LEASE_MS) } },
+      { new: true }
+    );
+    return claimed && this.attempt(claimed);
+  }
+
+  /**
+   * ผู้ใช้ส่งข้อความในแชทที่มีบัญชีทางการของแอปพาร์ทเนอร์อยู่ → แจ้งแอปนั้น
+   */
+  static async notifyOfficialAccountMessage(chat, message, sender) {
+    const recipients = chat.participants.filter(id => !id.equals(sender._id));
+    const apps = await OAuthApp.find({ officialAccountId: { $in: recipients } }).select('clientId officialAccountId');
+
+    for (const app of apps) {
+      await this.enqueue(app.clientId, 'official_account.message_received', {
+        message_id: message._id.toString(),
+        chat_id: chat._id.toString(),
+        official_account_id: app.officialAccountId.toString(),
+        sender: { sub: sender._id.toString(), name: sender.username },
+        message_type: message.messageType,
+        text: message.messageType === 'text' ? message.content : undefined,
+        sent_at: Math.floor((message.timestamp || message.createdAt || new Date()).getTime() / 1000)
+      });
+    }
+  }
+}
+
+module.exports = WebhookService;
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// คำขอถอนรายได้ (Wallet.earnedCoins) เป็นเงินเข้าบัญชีธนาคาร
+// pending → approved (แอดมินอนุมัติ) → processing (อยู่ในไฟล์โอนเงินรอบ batchId) → paid / failed
+// ยอด Coins ถูกกันไว้ที่ platform:withdrawals_pending ตั้งแต่ส่งคำขอ และคืนเข้ารายได้เมื่อ rejected / cancelled / failed
+const withdrawalRequestSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  walletId: { type: mongoose.Schema.Types.ObjectId, ref: 'Wallet', required: true },
+  coins: { type: Number, required: true, min: 1 }, // ยอดที่หักจากรายได้ (รวมค่าธรรมเนียม)
+  feeCoins: { type: Number, required: true, min: 0 },
+  netCoins: { type: Number, required: true, min: 1 },
+  payoutThb: { type: Number, required: true }, // ยอดเงินที่โอนจริง
+  currency: { type: String, default: 'THB' },
+  bankAccount: {
+    bankCode: { type: String, required: true },
+    bankName: { type: String, required: true },
+    accountNumber: { type: String, required: true },
+    accountName: { type: String, required: true }
+  },
+  identityVerificationId: { type: mongoose.Schema.Types.ObjectId, ref: 'IdentityVerification', required: true },
+  identityName: { type: String }, // ชื่อจากการยืนยันตัวตน ให้แอดมินเทียบกับชื่อบัญชี
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'processing', 'paid', 'rejected', 'cancelled', 'failed'],
+    default: 'pending'
+  },
+  reason: { type: String }, // เหตุผลที่ปฏิเสธ / โอนไม่สำเร็จ
+  batchId: { type: String }, // รอบไฟล์โอนเงิน (CSV) ที่คำขอนี้อยู่
+  payoutReference: { type: String }, // เลขอ้างอิงการโอนจากธนาคาร
+  statusHistory: [{
+    _id: false,
+    status: { type: String, required: true },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: { type: String },
+    at: { type: Date, default: Date.now }
+  }],
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewedAt: { type: Date },
+  batchedAt: { type: Date },
+  paidAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+withdrawalRequestSchema.index({ userId: 1, createdAt: -1 });
+withdrawalRequestSchema.index({ status: 1, createdAt: 1 });
+withdrawalRequestSchema.index({ batchId: 1 });
+
+module.exports = mongoose.model('WithdrawalRequest', withdrawalRequestSchema);
@@ -0,0 +1,328 @@
+const mongoose = require('mongoose');
+const Wallet = require('../models/Wallet');
+const Transaction = require('../models/Transaction');
+const BankService = require('../models/BankService');
+const IdentityVerification = require('../models/IdentityVerification');
+const WithdrawalRequest = require('../models/WithdrawalRequest');
+const LedgerService = require('../models/LedgerService');
+const { createWalletTransactionNotification } = require('../models/NotificationService');
+
+const { LedgerError, ACCOUNTS } = LedgerService;
+
+const MIN_COINS = parseInt(process.env.WITHDRAWAL_MIN_COINS) || 1000;
+const FEE_PERCENT = Math.min(Math.max(parseFloat(process.env.WITHDRAWAL_FEE_PERCENT ?? 3) || 0, 0), 50);
+const MIN_FEE_COINS = parseInt(process.env.WITHDRAWAL_MIN_FEE_COINS ?? 20, 10) || 0;
+const THB_PER_COIN = parseFloat(process.env.WITHDRAWAL_THB_PER_COIN) || 1;
+const BATCH_MAX_SIZE = parseInt(process.env.WITHDRAWAL_BATCH_MAX_SIZE) || 500;
+const ACCOUNT_NUMBER_PATTERN = /^\d{10,15}$/;
+const OPEN_STATUSES = ['pending', 'approved', 'processing'];
+
+// การเปลี่ยนสถานะที่ทำได้: action → { from: สถานะเดิมที่อนุญาต, to: สถานะใหม่, release: คืน Coins เข้ารายได้, requiresActiveWallet: ห้ามทำขณะ Wallet ถูกระงับ }
+const TRANSITIONS = {
+  approve: { from: ['pending'], to: 'approved', requiresActiveWallet: true },
+  reject: { from: ['pending', 'approved'], to: 'rejected', release: true },
+  cancel: { from: ['pending'], to: 'cancelled', release: true },
+  paid: { from: ['processing'], to: 'paid', requiresActiveWallet: true },
+  failed: { from: ['processing'], to: 'failed', release: true }
+};
+
+// ทำรายการไม่ได้ (โยนจากใน Mongo transaction เพื่อ abort)
+class WithdrawalFailure extends Error {
+  constructor(reason) {
+    super(reason);
+    this.reason = reason;
+  }
+}
+
+// ค่าใน CSV: ครอบด้วย " เมื่อจำเป็น และกันสูตรใน Excel (ค่าที่ขึ้นต้นด้วย = + - @)
+const csvCell = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * ถอนรายได้ (Wallet.earnedCoins) เป็นเงิน: ต้องยืนยันตัวตนแล้ว ยอดขั้นต่ำ MIN_COINS และหักค่าธรรมเนียม
+ * ส่งคำขอ = ย้าย Coins จาก earnings:<userId> ไปกันไว้ที่ platform:withdrawals_pending
+ * โอนสำเร็จ = ย้ายยอดที่กันไว้ไป withdrawals_paid และ withdrawal_fees / ไม่สำเร็จ = คืนเข้ารายได้
+ */
+class WithdrawalService {
+  static get config() {
+    return {
+      minCoins: MIN_COINS,
+      feePercent: FEE_PERCENT,
+      minFeeCoins: MIN_FEE_COINS,
+      thbPerCoin: THB_PER_COIN
+    };
+  }
+
+  static quote(coins) {
+    const feeCoins = Math.min(Math.max(Math.ceil(coins * FEE_PERCENT / 100), MIN_FEE_COINS), coins - 1);
+    const netCoins = coins - feeCoins;
+    return { coins, feeCoins, netCoins, payoutThb: Math.round(netCoins * THB_PER_COIN * 100) / 100 };
+  }
+
+  static findVerifiedIdentity(userId) {
+    return IdentityVerification.findOne({ userId, status: 'verified' }).sort({ verifiedAt: -1 });
+  }
+
+  /**
+   * ส่งคำขอถอนเงิน (มีคำขอที่ยังไม่เสร็จได้ครั้งละหนึ่งรายการ)
+   * @returns {{ status: 'ok' | 'below_minimum' | 'identity_required' | 'bank_not_found' | 'invalid_account'
+   *   | 'open_request_exists' | 'insufficient_funds' | 'wallet_frozen' | 'negative_balance' | 'wallet_not_found', request?, earnedCoins? }}
+   */
+  static async requestWithdrawal(user, { coins, bankCode, accountNumber, accountName }) {
+    if (!Number.isInteger(coins) || coins < MIN_COINS) return { status: 'below_minimum' };
+
+    const identity = await this.findVerifiedIdentity(user._id);
+    if (!identity) return { status: 'identity_required' };
+
+    const bank = await BankService.findOne({ code: String(bankCode || ''), isActive: true });
+    if (!bank) return { status: 'bank_not_found' };
+
+    const cleanAccountNumber = String(accountNumber || '').replace(/[\s-]/g, '');
+    const cleanAccountName = String(accountName || '').trim().substring(0, 100);
+    if (!ACCOUNT_NUMBER_PATTERN.test(cleanAccountNumber) || !cleanAccountName) return { status: 'invalid_account' };
+
+    const wallet = await Wallet.findOne({ userId: user._id }).select('_id coinPoints');
+    if (!wallet) return { status: 'wallet_not_found' };
+    // ยอด Coins ติดลบจากการคืนเงิน: ต้องเติมให้กลับมาเป็นบวกก่อนจึงถอนรายได้ได้
+    if (wallet.coinPoints < 0) return { status: 'negative_balance' };
+
+    const quote = this.quote(coins);
+    const requestId = new mongoose.Types.ObjectId();
+    const referenceId = `WITHDRAWAL_${requestId}`;
+
+    let result;
+    try {
+      result = await LedgerService.transact(async (session) => {
+        // ตรวจใน transaction เดียวกับการหักยอด: คำขอพร้อมกันแก้ Wallet ใบเดียวกันจึงผ่านได้ทีละรายการ
+        if (await WithdrawalRequest.exists({ userId: user._id, status: { $in: OPEN_STATUSES } }).session(session)) {
+          throw new WithdrawalFailure('open_request_exists');
+        }
+
+        const { debitWallet } = await LedgerService.post({
+          referenceId,
+          type: 'withdrawal',
+          debitAccount: LedgerService.earningsAccount(user._id),
+          creditAccount: ACCOUNTS.WITHDRAWALS_PENDING,
+          amount: coins,
+          description: `กันยอดถอนเงินเข้าบัญชี ${bank.name}`,
+          metadata: { withdrawalId: requestId.toString() }
+        }, { session });
+
+        const [request] = await WithdrawalRequest.create([{
+          _id: requestId,
+          userId: user._id,
+          walletId: debitWallet._id,
+          ...quote,
+          bankAccount: { bankCode: bank.code, bankName: bank.name, accountNumber: cleanAccountNumber, accountName: cleanAccountName },
+          identityVerificationId: identity._id,
+          identityName: identity.fullName,
+          statusHistory: [{ status: 'pending', by: user._id }]
+        }], { session });
+
+        await Transaction.create([{
+          userId: user._id,
+          walletId: debitWallet._id,
+          type: 'withdraw',
+          amount: coins,
+          currency: 'COIN',
+          description: `ถอนรายได้ ${quote.payoutThb} THB เข้าบัญชี ${bank.name}`,
+          status: 'pending',
+          referenceId,
+          metadata: { withdrawalId: requestId.toString(), feeCoins: quote.feeCoins, payoutThb: quote.payoutThb }
+        }], { session });
+
+        return { request, earnedCoins: debitWallet.earnedCoins };
+      });
+    } catch (error) {
+      if (error instanceof WithdrawalFailure) return { status: error.reason };
+      if (error instanceof LedgerError && ['insufficient_funds', 'wallet_frozen'].includes(error.code)) return { status: error.code };
+      throw error;
+    }
+
+    console.log('🏧 Withdrawal requested:', { withdrawalId: requestId, userId: user._id, coins, payoutThb: quote.payoutThb });
+    await this.notify(result.request);
+    return { status: 'ok', ...result };
+  }
+
+  /**
+   * เปลี่ยนสถานะแบบมีเงื่อนไข (กันแอดมินสองคนทำรายการเดียวกันพร้อมกัน) พร้อมลงสมุดบัญชีในรอบเดียวกัน
+   * อนุมัติ / ยืนยันโอนไม่ได้ขณะ Wallet ถูกระงับ (โยน LedgerError 'wallet_frozen')
+   * @param {'approve' | 'reject' | 'cancel' | 'paid' | 'failed'} action
+   * @returns {object|null} คำขอหลังอัปเดต หรือ null ถ้าสถานะปัจจุบันเปลี่ยนไม่ได้
+   */
+  static async transition(request, action, { by, reason, payoutReference } = {}) {
+    const { from, to, release, requiresActiveWallet } = TRANSITIONS[action];
+    const referenceId = `WITHDRAWAL_${request._id}`;
+
+    const updated = await LedgerService.transact(async (session) => {
+      const now = new Date();
+      if (requiresActiveWallet) {
+        // เขียน Wallet แบบมีเงื่อนไขใน transaction เดียวกัน การระงับที่เกิดพร้อมกันจะชนกันแทนที่จะหลุดผ่าน
+        const active = await Wallet.updateOne({ _id: request.walletId, frozenAt: null }, { $set: { updatedAt: now } }, { session });
+        if (!active.matchedCount) throw new LedgerError('wallet_frozen', 'Wallet is frozen', LedgerService.userAccount(request.userId));
+      }
+
+      const $set = { status: to, updatedAt: now };
+      if (reason) $set.reason = reason;
+      if (action === 'approve' || action === 'reject') Object.assign($set, { reviewedBy: by, reviewedAt: now });
+      if (action === 'paid') Object.assign($set, { paidAt: now, payoutReference });
+
+      const doc = await WithdrawalRequest.findOneAndUpdate(
+        { _id: request._id, status: { $in: from } },
+        { $set, $push: { statusHistory: { status: to, by, reason, at: now } } },
+        { new: true, session }
+      );
+      if (!doc) return null;
+
+      const metadata = { withdrawalId: doc._id.toString() };
+      if (release) {
+        await LedgerService.post({
+          referenceId: `${referenceId}_RETURN`,
+          type: 'withdrawal',
+          debitAccount: ACCOUNTS.WITHDRAWALS_PENDING,
+          creditAccount: LedgerService.earningsAccount(doc.userId),
+          amount: doc.coins,
+          description: `คืนยอดถอนเงิน (${to})`,
+          metadata
+        }, { session });
+      }
+      if (action === 'paid') {
+        await LedgerService.post({
+          referenceId: `${referenceId}_PAYOUT`,
+          type: 'withdrawal',
+          debitAccount: ACCOUNTS.WITHDRAWALS_PENDING,
+          creditAccount: ACCOUNTS.WITHDRAWALS_PAID,
+          amount: doc.netCoins,
+          description: `โอนเงิน ${doc.payoutThb} THB เข้าบัญชี ${doc.bankAccount.bankName}`,
+          metadata: { ...metadata, payoutReference }
+        }, { session });
+        if (doc.feeCoins > 0) {
+          await LedgerService.post({
+            referenceId: `${referenceId}_FEE`,
+            type: 'withdrawal',
+            debitAccount: ACCOUNTS.WITHDRAWALS_PENDING,
+            creditAccount: ACCOUNTS.WITHDRAWAL_FEES,
+            amount: doc.feeCoins,
+            description: 'ค่าธรรมเนียมถอนเงิน',
+            metadata
+          }, { session });
+        }
+      }
+
+      const txStatus = { paid: 'completed', failed: 'failed' }[to] || (release ? 'cancelled' : null);
+      if (txStatus) {
+        await Transaction.updateOne({ referenceId }, { $set: { status: txStatus, updatedAt: now } }, { session });
+      }
+
+      return doc;
+    });
+    if (!updated) return null;
+
+    console.log('🏧 Withdrawal status changed:', { withdrawalId: updated._id, action, status: to });
+    if (action !== 'cancel') await this.notify(updated);
+    return updated;
+  }
+
+  /**
+   * สร้างรอบโอนเงิน: ย้ายคำขอที่ approved (เก่าก่อน) ไม่เกิน BATCH_MAX_SIZE รายการเป็น processing ภายใต้ batchId เดียวกัน
+   * @returns {{ batchId: string, requests: object[] }} requests ว่างถ้าไม่มีคำขอรอโอน
+   */
+  static async createBatch(by) {
+    const now = new Date();
+    const batchId = `PAYOUT_${now.toISOString().slice(0, 10).replace(/-/g, '')}_${new mongoose.Types.ObjectId().toString().slice(-8)}`;
+
+    // Wallet ที่ถูกระงับหลังอนุมัติ (ยังไม่ถูกปฏิเสธ) ไม่ถูกดึงเข้ารอบโอน
+    const frozenWalletIds = await Wallet.find({ frozenAt: { $ne: null } }).distinct('_id');
+    const candidates = await WithdrawalRequest.find({ status: 'approved', walletId: { $nin: frozenWalletIds } })
+      .sort({ createdAt: 1 })
+      .limit(BATCH_MAX_SIZE)
+      .select('_id');
+    if (candidates.length === 0) return { batchId, requests: [] };
+
+    // อัปเดตแบบมีเงื่อนไข: คำขอที่ถูกปฏิเสธหรือถูกดึงเข้ารอบอื่นไปก่อนจะไม่ติดมาในรอบนี้
+    await WithdrawalRequest.updateMany(
+      { _id: { $in: candidates.map(c => c._id) }, status: 'approved' },
+      {
+        $set: { status: 'processing', batchId, batchedAt: now, updatedAt: now },
+        $push: { statusHistory: { status: 'processing', by, at: now } }
+      }
+    );
+
+    const requests = await this.getBatch(batchId);
+    console.log('🏧 Payout batch created:', { batchId, count: requests.length });
+    return { batchId, requests };
+  }
+
+  /**
+   * เมื่อ Wallet ถูกระงับ (dispute หรือแอดมิน): ปฏิเสธคำขอที่ยังไม่เข้ารอบโอนและคืน Coins เข้ารายได้
+   * คำขอที่อยู่ในไฟล์โอนแล้ว (processing) ถูกพักไว้ ยืนยันโอนไม่ได้จนกว่าจะปลดระงับ แอดมินแจ้งโอนไม่สำเร็จได้
+   * @returns {{ rejected: object[], held: object[] }}
+   */
+  static async holdForFrozenWallet(userId, { by, reason } = {}) {
+    const requests = await WithdrawalRequest.find({ userId, status: { $in: OPEN_STATUSES } });
+    const rejected = [];
+    const held = [];
+    for (const request of requests) {
+      if (request.status === 'processing') {
+        held.push(request);
+        continue;
+      }
+      const updated = await this.transition(request, 'reject', { by, reason: `กระเป๋าเงินถูกระงับ: ${reason}` });
+      if (updated) rejected.push(updated);
+    }
+
+    if (requests.length > 0) {
+      console.warn('🧊 Open withdrawals handled for frozen wallet:', { userId, rejected: rejected.length, held: held.map(r => r._id) });
+    }
+    return { rejected, held };
+  }
+
+  static getBatch(batchId) {
+    return WithdrawalRequest.find({ batchId }).sort({ createdAt: 1 }).populate('userId', 'username userId email');
+  }
+
+  /**
+   * ไฟล์โอนเงินของรอบ สำหรับอัปโหลดเข้าระบบ bulk transfer ของธนาคาร
+   */
+  static toCsv(batchId, requests) {
+    const header = ['batch_id', 'withdrawal_id', 'bank_code', 'bank_name', 'account_number', 'account_name',
+      'amount_thb', 'currency', 'user_id', 'username', 'identity_name', 'requested_at'];
+    const rows = requests.map(request => [
+      batchId,
+      request._id,
+      request.bankAccount.bankCode,
+      request.bankAccount.bankName,
+      request.bankAccount.accountNumber,
+      request.bankAccount.accountName,
+      request.payoutThb.toFixed(2),
+      request.currency,
+      request.userId && request.userId.userId,
+      request.userId && request.userId.username,
+      request.identityName,
+      request.createdAt.toISOString()
+    ]);
+    return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+  }
+
+  // แจ้งผู้ใช้ตามสถานะคำขอ (แจ้งไม่สำเร็จไม่กระทบรายการที่ commit แล้ว)
+  static async notify(request) {
+    try {
+      await createWalletTransactionNotification(request.userId._id || request.userId, {
+        bankName: request.bankAccount.bankName,
+        serviceType: 'withdraw',
+        status: request.status,
+        amount: request.payoutThb,
+        time: new Date().toLocaleString('th-TH'),
+        referenceId: `WITHDRAWAL_${request._id}`,
+        note: request.status === 'rejected' || request.status === 'failed' ? request.reason : undefined
+      });
+    } catch (error) {
+      console.error('❌ Withdrawal notification error:', { withdrawalId: request._id, error: error.message });
+    }
+  }
+}
+
+module.exports = WithdrawalService;
@@ -7,13 +7,28 @@ document.addEventListener('DOMContentLoaded', () => {
   const redirectUri = container.dataset.redirectUri;
   const state = container.dataset.state;
   const scope = container.dataset.scope;
+  const nonce = container.dataset.nonce;
+  const codeChallenge = container.dataset.codeChallenge;
+  const codeChallengeMethod = container.dataset.codeChallengeMethod;
+  const prompt = container.dataset.prompt;
 
-  const token = localStorage.getItem('chatchat_oauth_token');
-  if (token) { 
-    document.getElementById('consent-section').style.display = 'block'; 
-  } else { 
-    document.getElementById('login-section').style.display = 'block'; 
-  }
+  let challengeToken = null;
+
+  const showConsent = (authToken) => {
+    localStorage.setItem('chatchat_oauth_token', authToken);
+    document.getElementById('login-section').style.display = 'none';
+    document.getElementById('two-factor-section').style.display = 'none';
+    checkExistingGrant();
+  };
+
+  // เคยอนุญาต scope เหล่านี้แล้ว: ข้ามหน้า Consent (เว้นแต่แอปขอ prompt=consent)
+  const checkExistingGrant = () => {
+    if (prompt === 'consent') {
+      document.getElementById('consent-section').style.display = 'block';
+      return;
+    }
+    submitConsent(false, 'none');
+  };
 
   // ทำงานเมื่อกดปุ่ม "เข้าสู่ระบบ"
   document.getElementById('btnLogin')?.addEventListener('click', async () => {
@@ -29,10 +44,13 @@ document.addEventListener('DOMContentLoaded', () => {
         body: JSON.stringify({ email, password }) 
       });
       const data = await res.json();
-      if (data.success) {
-        localStorage.setItem('chatchat_oauth_token', data.authToken);
+      if (data.success && data.twoFactorRequired) {
+        // บัญชีเปิด 2FA ไว้ ต้องยืนยันรหัส TOTP ก่อน
+        challengeToken = data.challengeToken;
         document.getElementById('login-section').style.display = 'none';
-        document.getElementById('consent-section').style.display = 'block';
+        document.getElementById('two-factor-section').style.display = 'block';
+      } else if (data.success) {
+        showConsent(data.authToken);
       } else { 
         errorDiv.innerText = data.error || 'เข้าสู่ระบบไม่สำเร็จ'; 
         errorDiv.style.display = 'block'; 
@@ -43,14 +61,49 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
+  // ทำงานเมื่อกดปุ่ม "ยืนยัน" รหัส 2FA
+  document.getElementById('btnVerify2fa')?.addEventListener('click', async () => {
+    const code = document.getElementById('totp-code').value;
+    const errorDiv = document.getElementById('two-factor-error');
+    errorDiv.style.display = 'none';
+
+    try {
+      const res = await fetch('/api/auth/2fa/verify', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ challengeToken, code })
+      });
+      const data = await res.json();
+      if (data.success) {
+        showConsent(data.authToken);
+      } else {
+        errorDiv.innerText = data.error || 'รหัสไม่ถูกต้อง';
+        errorDiv.style.display = 'block';
+      }
+    } catch (e) {
+      errorDiv.innerText = 'ไม่สามารถเชื่อมต่อเซิร์ฟเวอร์ได้';
+      errorDiv.style.display = 'block';
+    }
+  });
+
   // ฟังก์ชันส่วนกลางเมื่อกดยืนยัน (อนุญาต หรือ ปฏิเสธ)
-  const submitConsent = async (approved) => {
+  const submitConsent = async (approved, promptMode) => {
     const token = localStorage.getItem('chatchat_oauth_token');
     try {
       const res = await fetch('/api/oauth/authorize', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer ' + token },
-        body: JSON.stringify({ client_id: clientId, redirect_uri: redirectUri, state: state, scope: scope, approved })
+        body: JSON.stringify({
+          client_id: clientId,
+          redirect_uri: redirectUri,
+          state: state,
+          scope: scope,
+          nonce: nonce,
+          code_challenge: codeChallenge,
+          code_challenge_method: codeChallengeMethod,
+          prompt: promptMode,
+          approved
+        })
       });
       
       if (res.status === 401) {
@@ -61,7 +114,9 @@ document.addEventListener('DOMContentLoaded', () => {
       }
       
       const data = await res.json();
-      if (data.success && data.redirect_url) { 
+      if (data.success && data.consentRequired) {
+        document.getElementById('consent-section').style.display = 'block';
+      } else if (data.success && data.redirect_url) { 
         window.location.href = data.redirect_url; 
       } else { 
         alert(data.error || 'เกิดข้อผิดพลาดในการประมวลผล'); 
@@ -74,4 +129,10 @@ document.addEventListener('DOMContentLoaded', () => {
   // ทำงานเมื่อกด "อนุญาต" หรือ "ปฏิเสธ"
   document.getElementById('btnAllow')?.addEventListener('click', () => submitConsent(true));
   document.getElementById('btnDeny')?.addEventListener('click', () => submitConsent(false));
+
+  if (localStorage.getItem('chatchat_oauth_token')) {
+    checkExistingGrant();
+  } else {
+    document.getElementById('login-section').style.display = 'block';
+  }
 });
\ No newline at end of file
@@ -2,8 +2,9 @@ const express = require('express');
 const router = express.Router();
 const { body } = require('express-validator');
 const authController = require('../controllers/authController');
+const authenticateToken = require('../middlewares/auth');
 
-// ✅ ตัวแปล Validator ดึงมาจาก server.js เดิม
+// ✅ Validator ของระบบยืนยันตัวตน (ใช้ที่นี่ที่เดียว)
 const validateRegistration = [
   body('username')
     .isLength({ min: 3, max: 30 })
@@ -17,6 +18,12 @@ const validateRegistration = [
   body('password')
     .isLength({ min: 6 })
     .withMessage('Password must be at least 6 characters'),
+  body('phone')
+    .optional()
+    .isLength({ min: 10, max: 15 })
+    .withMessage('Phone number must be between 10-15 characters')
+    .matches(/^[0-9]+$/)
+    .withMessage('Phone number must contain only numbers'),
   body('pdpa_consent')
     .isBoolean()
     .withMessage('PDPA consent must be a boolean value')
@@ -34,7 +41,45 @@ const validateLogin = [
     .withMessage('Password is required')
 ];
 
+const validateEmail = [
+  body('email')
+    .isEmail()
+    .withMessage('Must be a valid email')
+    .normalizeEmail()
+];
+
+// ยืนยันด้วยลิงก์ (token) ไม่ต้องส่งอีเมล แต่ถ้าส่งมาต้อง normalize แบบเดียวกับตอนขอรหัส
+const validateEmailCode = [
+  body('email')
+    .optional({ checkFalsy: true })
+    .isEmail()
+    .withMessage('Must be a valid email')
+    .normalizeEmail()
+];
+
+const validateResetPassword = [
+  body('token')
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters')
+];
+
 router.post('/register', validateRegistration, authController.register);
 router.post('/login', validateLogin, authController.login);
+router.post('/logout', authenticateToken, authController.logout);
+router.post('/auth/2fa/verify', authController.verifyTwoFactor);
+router.post('/auth/refresh', authController.refresh);
+router.post('/auth/forgot-password', validateEmail, authController.forgotPassword);
+router.post('/auth/reset-password', validateResetPassword, authController.resetPassword);
+router.post('/auth/email-code', validateEmail, authController.requestEmailCode);
+router.post('/auth/email-code/verify', validateEmailCode, authController.verifyEmailCode);
+
+// 🔗 Sign in with Google / Apple และการเชื่อมบัญชีจากหน้าโปรไฟล์
+router.post('/auth/oauth/:provider', authController.oauthLogin);
+router.get('/profile/linked-accounts', authenticateToken, authController.getLinkedAccounts);
+router.post('/profile/linked-accounts/:provider', authenticateToken, authController.linkAccount);
+router.delete('/profile/linked-accounts/:provider', authenticateToken, authController.unlinkAccount);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const authenticateToken = require('../middlewares/auth');
+const requireTwoFactor = require('../middlewares/requireTwoFactor');
+const developerWebhookController = require('../controllers/developerWebhookController');
+
+// Webhook ของแอป (Developer Portal) mount ที่ /api/developer/apps/:id/webhooks
+router.get('/', authenticateToken, developerWebhookController.listWebhooks);
+router.post('/', authenticateToken, developerWebhookController.createWebhook);
+
+router.get('/deliveries', authenticateToken, developerWebhookController.listDeliveries);
+router.get('/deliveries/:deliveryId', authenticateToken, developerWebhookController.getDelivery);
+router.post('/deliveries/:deliveryId/redeliver', authenticateToken, developerWebhookController.redeliver);
+
+router.put('/:webhookId', authenticateToken, developerWebhookController.updateWebhook);
+router.delete('/:webhookId', authenticateToken, developerWebhookController.deleteWebhook);
+router.post('/:webhookId/rotate-secret', authenticateToken, requireTwoFactor, developerWebhookController.rotateWebhookSecret);
+router.post('/:webhookId/test', authenticateToken, developerWebhookController.sendTestEvent);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const authenticateToken = require('../middlewares/auth');
+const giftController = require('../controllers/giftController');
+
+// ของขวัญในแชท (ตัด Coins ผู้ส่ง → ผู้รับหลังหักค่าธรรมเนียม และสร้างข้อความประเภท gift)
+router.get('/gifts', authenticateToken, giftController.listGifts);
+router.post('/chats/:chatId/gifts', authenticateToken, giftController.sendGift);
+
+module.exports = router;
@@ -1,15 +1,43 @@
 const express = require('express');
 const router = express.Router();
-const crypto = require('crypto');
 const OAuthApp = require('../models/OAuthApp');
-const OAuthToken = require('../models/OAuthToken');
 const User = require('../models/User');
+const OAuthService = require('../models/OAuthService');
+const OidcService = require('../models/OidcService');
+const OAuthGrant = require('../models/OAuthGrant');
+const { SCOPES, parseRequestedScope, describeScopes } = require('../config/oauthScopes');
+const OAuthUsageService = require('../models/OAuthUsageService');
+const OAuthAppReviewService = require('../models/OAuthAppReviewService');
 const authMiddleware = require('../middlewares/auth'); // นำ Middleware มาใช้
+const requireOAuthToken = require('../middlewares/requireOAuthToken');
+
+const { OAuthError } = OAuthService;
+
+// Token / Revoke / Introspect ตามมาตรฐานส่งข้อมูลแบบ application/x-www-form-urlencoded
+router.use(express.urlencoded({ extended: false }));
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// ตอบกลับ error ของ token endpoint ตาม RFC 6749 ข้อ 5.2
+const sendOAuthError = (res, error, context) => {
+  if (error instanceof OAuthError) {
+    if (error.status === 401) res.set('WWW-Authenticate', 'Basic realm="oauth"');
+    return res.status(error.status).json({ error: error.error, error_description: error.description });
+  }
+
+  console.error(`OAuth ${context} Error:`, error);
+  return res.status(500).json({ error: 'server_error' });
+};
 
 // 0. แสดงหน้าเว็บ Consent สำหรับให้ผู้ใช้ Login และกดยืนยัน (GET)
 router.get('/authorize', async (req, res) => {
   try {
-    const { client_id, redirect_uri, response_type, scope, state } = req.query;
+    const { client_id, redirect_uri, response_type, scope, state, nonce, prompt, code_challenge, code_challenge_method } = req.query;
 
     // ตรวจสอบพารามิเตอร์เบื้องต้น
     if (!client_id || !redirect_uri) {
@@ -21,6 +49,44 @@ router.get('/authorize', async (req, res) => {
     if (!app) {
       return res.status(400).send('Invalid Client ID');
     }
+    if (app.status === 'suspended') {
+      return res.status(403).send('This app has been suspended');
+    }
+
+    // redirect_uri ไม่ตรงกับที่ลงทะเบียนไว้: ห้าม redirect กลับไป (ป้องกัน open redirect / ขโมย code)
+    if (!OAuthService.isRegisteredRedirectUri(app, redirect_uri)) {
+      return res.status(400).send('Invalid redirect_uri');
+    }
+
+    // ตั้งแต่จุดนี้ error อื่นๆ ส่งกลับไปที่ redirect_uri ตาม RFC 6749 ข้อ 4.1.2.1
+    if (response_type !== 'code') {
+      return res.redirect(OAuthService.buildRedirectUrl(redirect_uri, { error: 'unsupported_response_type', state }));
+    }
+
+    try {
+      OAuthService.validatePkceRequest(app, code_challenge, code_challenge_method);
+    } catch (error) {
+      if (!(error instanceof OAuthError)) throw error;
+      return res.redirect(OAuthService.buildRedirectUrl(redirect_uri, { error: error.error, error_description: error.description, state }));
+    }
+
+    const { scopes, invalid } = parseRequestedScope(scope);
+    if (invalid.length > 0) {
+      return res.redirect(OAuthService.buildRedirectUrl(redirect_uri, {
+        error: 'invalid_scope',
+        error_description: `Unknown scope: ${invalid.join(' ')}`,
+        state
+      }));
+    }
+
+    // แอปที่ผ่านการตรวจสอบแสดงป้าย "ยืนยันแล้ว" ส่วนแอปที่ยังไม่ผ่านแจ้งเตือนผู้ใช้ (เชื่อมต่อได้เฉพาะ test users)
+    const reviewBadgeHtml = app.status === 'approved'
+      ? '<div class="badge badge-verified">✔ แอปที่ได้รับการยืนยันจาก ChatChat</div>'
+      : '<div class="badge badge-unverified">แอปนี้ยังไม่ผ่านการตรวจสอบจาก ChatChat</div>';
+
+    const scopeListHtml = describeScopes(scopes)
+      .map(s => `<li><b>${escapeHtml(s.title)}</b><span>${escapeHtml(s.description)}</span></li>`)
+      .join('');
 
     // สร้าง HTML แบบฝัง (Stand-alone) สำหรับหน้า Consent
     const html = `
@@ -29,7 +95,7 @@ router.get('/authorize', async (req, res) => {
     <head>
       <meta charset="UTF-8">
       <meta name="viewport" content="width=device-width, initial-scale=1.0">
-      <title>Authorize ${app.appName}</title>
+      <title>Authorize ${escapeHtml(app.appName)}</title>
       <style>
         body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f4f7f6; display: flex; justify-content: center; align-items: center; height: 100vh; margin: 0; }
         .container { background-color: white; padding: 30px; border-radius: 12px; box-shadow: 0 4px 20px rgba(0,0,0,0.08); width: 100%; max-width: 380px; text-align: center; }
@@ -45,16 +111,23 @@ router.get('/authorize', async (req, res) => {
         .input-group label { display: block; margin-bottom: 5px; color: #444; font-size: 14px; font-weight: bold; }
         .input-group input { width: 100%; padding: 10px; border: 1px solid #ccc; border-radius: 8px; box-sizing: border-box; font-size: 15px; }
         .input-group input:focus { outline: none; border-color: #1FAE4B; }
-        #login-section, #consent-section { display: none; }
+        #login-section, #two-factor-section, #consent-section { display: none; }
+        .scope-list { list-style: none; padding: 0; margin: 0 0 25px; text-align: left; }
+        .scope-list li { padding: 10px 0; border-bottom: 1px solid #eee; font-size: 14px; color: #333; }
+        .scope-list li span { display: block; color: #888; font-size: 13px; margin-top: 2px; }
+        .badge { display: inline-block; padding: 4px 10px; border-radius: 12px; font-size: 12px; font-weight: bold; margin-bottom: 15px; }
+        .badge-verified { background-color: #e8f7ee; color: #1FAE4B; }
+        .badge-unverified { background-color: #fff4e5; color: #e08a00; }
       </style>
     </head>
     <body>
       <div class="container">
-        <img src="${app.appLogo || 'https://via.placeholder.com/80'}" alt="App Logo" class="app-logo" onerror="this.src='https://via.placeholder.com/80'">
+        <img src="${escapeHtml(app.appLogo || 'https://via.placeholder.com/80')}" alt="App Logo" class="app-logo" onerror="this.src='https://via.placeholder.com/80'">
         <h2>เชื่อมต่อด้วย ChatChat</h2>
+        ${reviewBadgeHtml}
         
         <div id="login-section">
-          <p>กรุณาเข้าสู่ระบบเพื่ออนุญาตให้<br><b>${app.appName}</b> เข้าถึงข้อมูลของคุณ</p>
+          <p>กรุณาเข้าสู่ระบบเพื่ออนุญาตให้<br><b>${escapeHtml(app.appName)}</b> เข้าถึงข้อมูลของคุณ</p>
           <div class="input-group">
             <label>อีเมล</label>
             <input type="email" id="email" placeholder="you@example.com">
@@ -67,15 +140,26 @@ router.get('/authorize', async (req, res) => {
           <div id="login-error" style="color: #f44336; margin-top: 10px; display: none; font-size: 14px;">อีเมลหรือรหัสผ่านไม่ถูกต้อง</div>
         </div>
 
+        <div id="two-factor-section">
+          <p>กรุณากรอกรหัส 6 หลักจากแอป Authenticator ของคุณ</p>
+          <div class="input-group">
+            <label>รหัสยืนยันตัวตน (2FA)</label>
+            <input type="text" id="totp-code" inputmode="numeric" maxlength="6" placeholder="123456">
+          </div>
+          <button class="btn btn-allow" id="btnVerify2fa">ยืนยัน</button>
+          <div id="two-factor-error" style="color: #f44336; margin-top: 10px; display: none; font-size: 14px;">รหัสไม่ถูกต้อง</div>
+        </div>
+
         <div id="consent-section">
-          <p>แอปพลิเคชัน <b>${app.appName}</b><br>ต้องการขอสิทธิ์เข้าถึงข้อมูลโปรไฟล์พื้นฐานของคุณ</p>
+          <p>แอปพลิเคชัน <b>${escapeHtml(app.appName)}</b><br>ต้องการขอสิทธิ์ต่อไปนี้</p>
+          <ul class="scope-list">${scopeListHtml}</ul>
           <button class="btn btn-allow" id="btnAllow">อนุญาตให้เข้าถึง (Allow)</button>
           <button class="btn btn-deny" id="btnDeny">ปฏิเสธ (Deny)</button>
         </div>
       </div>
 
       <!-- ซ่อนข้อมูลที่ต้องใช้ใน Data Attributes -->
-      <div id="oauth-data" style="display: none;" data-client-id="${client_id}" data-redirect-uri="${redirect_uri}" data-state="${state || ''}" data-scope="${scope || ''}"></div>
+      <div id="oauth-data" style="display: none;" data-client-id="${escapeHtml(client_id)}" data-redirect-uri="${escapeHtml(redirect_uri)}" data-state="${escapeHtml(state)}" data-scope="${escapeHtml(scopes.join(' '))}" data-prompt="${escapeHtml(prompt)}" data-nonce="${escapeHtml(nonce)}" data-code-challenge="${escapeHtml(code_challenge)}" data-code-challenge-method="${escapeHtml(code_challenge_method)}"></div>
       <!-- โหลด Script จากไฟล์ภายนอกเพื่อหลีกเลี่ยงข้อจำกัด CSP -->
       <script src="/public/js/oauth-consent.js"></script>
     </body>
@@ -91,7 +175,7 @@ router.get('/authorize', async (req, res) => {
 // 1. รับการกด "อนุญาต" หรือ "ปฏิเสธ" จากแอป ChatChat
 router.post('/authorize', authMiddleware, async (req, res) => {
   try {
-    const { client_id, redirect_uri, state, scope, approved } = req.body;
+    const { client_id, redirect_uri, state, scope, nonce, prompt, approved, code_challenge, code_challenge_method } = req.body;
     const userId = req.user._id; // ดึงจาก authMiddleware
 
     // เช็คว่าแอป (client_id) นี้มีจริงไหม
@@ -100,30 +184,65 @@ router.post('/authorize', authMiddleware, async (req, res) => {
       return res.status(400).json({ success: false, error: 'ไม่พบแอปพลิเคชัน (Invalid Client ID)' });
     }
 
+    if (!OAuthService.isRegisteredRedirectUri(app, redirect_uri)) {
+      return res.status(400).json({ success: false, error: 'redirect_uri ไม่ตรงกับที่ลงทะเบียนไว้ (Invalid redirect_uri)' });
+    }
+
+    const access = OAuthAppReviewService.canAuthorize(app, userId);
+    if (!access.allowed) {
+      return res.status(403).json({
+        success: false,
+        error: access.reason === 'suspended'
+          ? 'แอปนี้ถูกระงับการใช้งาน (App suspended)'
+          : 'แอปนี้อยู่ระหว่างพัฒนาและเปิดให้เฉพาะผู้ทดสอบเท่านั้น (App not approved)',
+        code: access.reason
+      });
+    }
+
+    const { scopes, invalid } = parseRequestedScope(scope);
+    if (invalid.length > 0) {
+      return res.status(400).json({ success: false, error: `ไม่รู้จัก scope: ${invalid.join(' ')} (Invalid scope)` });
+    }
+
+    // prompt=none: ตรวจว่าเคยอนุญาตครบทุก scope แล้วหรือไม่ ถ้ายังต้องแสดงหน้า Consent
+    const skipConsent = prompt === 'none' && await OAuthService.hasGrant(userId, client_id, scopes);
+    if (prompt === 'none' && !skipConsent) {
+      return res.json({ success: true, consentRequired: true });
+    }
+
     // ถ้าผู้ใช้กด "ปฏิเสธ"
-    if (!approved) {
+    if (!approved && !skipConsent) {
       return res.json({ 
         success: true, 
-        redirect_url: `${redirect_uri}?error=access_denied&state=${state}` 
+        redirect_url: OAuthService.buildRedirectUrl(redirect_uri, { error: 'access_denied', state })
       });
     }
 
-    // ถ้ากดอนุญาต ให้สร้าง Authorization Code ชั่วคราว (อายุ 5 นาที)
-    const authorizationCode = crypto.randomBytes(20).toString('hex');
-    const expiresAt = new Date(Date.now() + 5 * 60000); // หมดอายุใน 5 นาที
+    let pkce;
+    try {
+      pkce = OAuthService.validatePkceRequest(app, code_challenge, code_challenge_method);
+    } catch (error) {
+      if (!(error instanceof OAuthError)) throw error;
+      return res.status(400).json({ success: false, error: error.description });
+    }
+
+    if (!skipConsent) await OAuthService.recordGrant(userId, client_id, scopes);
 
-    await OAuthToken.create({
-      authorizationCode,
+    // ถ้ากดอนุญาต ให้สร้าง Authorization Code ชั่วคราว (อายุ 5 นาที)
+    const authorizationCode = await OAuthService.createAuthorizationCode({
       userId,
       clientId: client_id,
-      scope,
-      expiresAt
+      redirectUri: redirect_uri,
+      scope: scopes.join(' '),
+      pkce,
+      nonce,
+      authTime: req.authSession.createdAt
     });
 
     // ส่ง URL ให้ Flutter เด้งกลับไปหาแอปที่ 3 พร้อม Code
     return res.json({
       success: true,
-      redirect_url: `${redirect_uri}?code=${authorizationCode}&state=${state}`
+      redirect_url: OAuthService.buildRedirectUrl(redirect_uri, { code: authorizationCode, state })
     });
 
   } catch (error) {
@@ -132,78 +251,114 @@ router.post('/authorize', authMiddleware, async (req, res) => {
   }
 });
 
-// 2. แอปที่ 3 (Third-party) เอา Code มาแลกเป็น Access Token
+// 2. แอปที่ 3 (Third-party) เอา Code มาแลกเป็น Access Token, ใช้ Refresh Token ขอ Token ใหม่ หรือขอ App Token (client_credentials)
 router.post('/token', async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.set('Pragma', 'no-cache');
+
   try {
-    const { client_id, client_secret, code, grant_type, redirect_uri } = req.body;
+    const { grant_type, code, redirect_uri, code_verifier, refresh_token, scope } = req.body;
 
-    if (grant_type !== 'authorization_code') {
+    if (!['authorization_code', 'refresh_token', 'client_credentials'].includes(grant_type)) {
       return res.status(400).json({ error: 'unsupported_grant_type' });
     }
 
     // เช็คความถูกต้องของแอปที่ 3 (App Authentication)
-    const app = await OAuthApp.findOne({ clientId: client_id, clientSecret: client_secret });
-    if (!app) {
-      return res.status(401).json({ error: 'invalid_client' });
+    const app = await OAuthService.authenticateClient(req);
+    const issuer = OidcService.getIssuer(req);
+
+    const usage = await OAuthUsageService.consume(app);
+    if (!usage.allowed) {
+      res.set('Retry-After', String(usage.resetSeconds));
+      return res.status(429).json({ error: 'rate_limit_exceeded', error_description: `Rate limit of ${usage.limit} requests per minute exceeded` });
     }
 
-    // เช็ค Authorization Code
-    const tokenRecord = await OAuthToken.findOne({ authorizationCode: code, clientId: client_id });
-    if (!tokenRecord || tokenRecord.expiresAt < new Date()) {
-      return res.status(400).json({ error: 'invalid_grant', error_description: 'Code is invalid or expired' });
+    let tokens;
+    if (grant_type === 'authorization_code') {
+      tokens = await OAuthService.exchangeAuthorizationCode(app, { code, redirectUri: redirect_uri, codeVerifier: code_verifier, issuer });
+    } else if (grant_type === 'refresh_token') {
+      tokens = await OAuthService.refresh(app, { refreshToken: refresh_token, scope, issuer });
+    } else {
+      tokens = await OAuthService.issueClientCredentials(app, { scope });
     }
 
-    // สร้าง Access Token ใหม่ (อายุ 30 วัน)
-    const accessToken = crypto.randomBytes(40).toString('hex');
-    
-    // อัปเดต Database: ลบ Code ทิ้ง และใส่ Access Token เข้าไปแทน
-    tokenRecord.authorizationCode = undefined;
-    tokenRecord.accessToken = accessToken;
-    tokenRecord.expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000); // 30 วัน
-    await tokenRecord.save();
+    await OAuthUsageService.recordTokenIssued(app.clientId);
 
     // ตอบกลับตามมาตรฐาน OAuth 2.0
-    return res.json({
-      access_token: accessToken,
-      token_type: 'Bearer',
-      expires_in: 30 * 24 * 60 * 60 // 30 วัน เป็นวินาที
-    });
+    return res.json(tokens);
 
   } catch (error) {
-    console.error('OAuth Token Error:', error);
-    res.status(500).json({ error: 'server_error' });
+    sendOAuthError(res, error, 'Token');
   }
 });
 
-// 3. แอปที่ 3 นำ Access Token มาดึงข้อมูลผู้ใช้
-router.get('/userinfo', async (req, res) => {
+// 2.1 ยกเลิก Token (RFC 7009)
+router.post('/revoke', async (req, res) => {
   try {
-    // ดึง token จาก Header: "Authorization: Bearer <token>"
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
+    const { token, token_type_hint } = req.body;
+    if (!token) return res.status(400).json({ error: 'invalid_request', error_description: 'token is required' });
+
+    const app = await OAuthService.authenticateClient(req);
+    await OAuthService.revokeToken(app, token, token_type_hint);
 
-    const accessToken = authHeader.split(' ')[1];
-    const tokenRecord = await OAuthToken.findOne({ accessToken });
+    // ตอบ 200 เสมอแม้ไม่พบ token เพื่อไม่ให้ใช้เดาว่า token ไหนมีอยู่จริง
+    return res.status(200).end();
 
-    if (!tokenRecord || tokenRecord.expiresAt < new Date()) {
-      return res.status(401).json({ error: 'invalid_token' });
+  } catch (error) {
+    sendOAuthError(res, error, 'Revoke');
+  }
+});
+
+// 2.2 ตรวจสอบสถานะ Token (RFC 7662) สำหรับ Resource Server ของพาร์ทเนอร์
+router.post('/introspect', async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+
+  try {
+    const { token, token_type_hint } = req.body;
+    if (!token) return res.status(400).json({ error: 'invalid_request', error_description: 'token is required' });
+
+    const app = await OAuthService.authenticateClient(req, { requireSecret: true });
+    const found = await OAuthService.findToken(token, app.clientId, token_type_hint);
+
+    if (!found || !OAuthService.isActive(found.record, found.tokenType)) {
+      return res.json({ active: false });
     }
 
+    const { record, tokenType } = found;
+    // token แบบ client_credentials ไม่มีผู้ใช้ ให้ sub เป็น client_id ของแอปเอง
+    const user = record.userId ? await User.findById(record.userId).select('userId username') : null;
+    const expiresAt = tokenType === 'access_token' ? record.accessTokenExpiresAt : record.expiresAt;
+
+    return res.json({
+      active: true,
+      scope: record.scope,
+      client_id: record.clientId,
+      username: user ? user.userId || user.username : undefined,
+      token_type: tokenType === 'access_token' ? 'Bearer' : 'refresh_token',
+      grant_type: record.grantType,
+      exp: Math.floor(expiresAt.getTime() / 1000),
+      iat: Math.floor(record.createdAt.getTime() / 1000),
+      sub: record.userId ? record.userId.toString() : record.clientId
+    });
+
+  } catch (error) {
+    sendOAuthError(res, error, 'Introspect');
+  }
+});
+
+// 3. แอปที่ 3 นำ Access Token มาดึงข้อมูลผู้ใช้
+router.get('/userinfo', requireOAuthToken({ audience: 'user' }), async (req, res) => {
+  try {
+    const tokenRecord = req.oauthToken;
+
     // ดึงข้อมูลผู้ใช้จากฐานข้อมูล
     const user = await User.findById(tokenRecord.userId);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // ตอบกลับข้อมูลตามที่ขอ (ห้ามส่ง Password ไปเด็ดขาด)
-    return res.json({
-      sub: user._id.toString(), // มาตรฐาน OAuth ใช้ 'sub' สำหรับ ID ผู้ใช้
-      name: user.username,
-      email: user.email,
-      picture: user.profilePicture || ''
-    });
+    // ตอบกลับเฉพาะ claims ตาม scope ที่ผู้ใช้อนุญาต (ห้ามส่ง Password ไปเด็ดขาด)
+    return res.json(OidcService.getScopedClaims(user, OAuthService.parseScope(tokenRecord.scope)));
 
   } catch (error) {
     console.error('OAuth UserInfo Error:', error);
@@ -211,4 +366,63 @@ router.get('/userinfo', async (req, res) => {
   }
 });
 
+// 3.1 แอปดูโควตาและสถิติการใช้งาน API ของตัวเองด้วย App Token
+router.get('/app/usage', requireOAuthToken({ audience: 'app', scopes: ['app.usage.read'] }), async (req, res) => {
+  try {
+    const app = req.oauthApp;
+    const days = Math.min(parseInt(req.query.days) || 7, 30);
+
+    res.json({
+      client_id: app.clientId,
+      rate_limit_per_minute: app.rateLimitPerMinute,
+      usage: await OAuthUsageService.getDailyUsage(app.clientId, days)
+    });
+  } catch (error) {
+    console.error('OAuth App Usage Error:', error);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// 4. แอปที่เชื่อมต่อกับบัญชี (Connected Apps) ของผู้ใช้
+router.get('/grants', authMiddleware, async (req, res) => {
+  try {
+    const grants = await OAuthGrant.find({ userId: req.user._id }).sort({ updatedAt: -1 });
+    const apps = await OAuthApp.find({ clientId: { $in: grants.map(g => g.clientId) } })
+      .select('clientId appName appLogo');
+    const appsByClientId = new Map(apps.map(app => [app.clientId, app]));
+
+    res.json({
+      success: true,
+      grants: grants.map(grant => {
+        const app = appsByClientId.get(grant.clientId);
+        return {
+          clientId: grant.clientId,
+          appName: app ? app.appName : 'Deleted app',
+          appLogo: app ? app.appLogo : null,
+          scopes: describeScopes(grant.scopes.filter(s => SCOPES[s])),
+          grantedAt: grant.grantedAt,
+          updatedAt: grant.updatedAt
+        };
+      })
+    });
+  } catch (error) {
+    console.error('❌ Get OAuth grants error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get connected apps' });
+  }
+});
+
+// 5. ยกเลิกการเชื่อมต่อแอป (ลบความยินยอม + ยกเลิกทุก token ของแอปนั้น)
+router.delete('/grants/:clientId', authMiddleware, async (req, res) => {
+  try {
+    const revoked = await OAuthService.revokeGrant(req.user._id, req.params.clientId);
+    if (!revoked) return res.status(404).json({ success: false, error: 'Connected app not found' });
+
+    console.log('🔌 OAuth grant revoked:', { userId: req.user._id, clientId: req.params.clientId });
+    res.json({ success: true, message: 'App access revoked successfully' });
+  } catch (error) {
+    console.error('❌ Revoke OAuth grant error:', error);
+    res.status(500).json({ success: false, error: 'Failed to revoke app access' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const partnerPaymentController = require('../controllers/partnerPaymentController');
+
+// Pay with ChatChat Coins สำหรับเซิร์ฟเวอร์ของพาร์ทเนอร์ (ยืนยันตัวตนด้วย client_id + client_secret)
+router.use(express.urlencoded({ extended: false }));
+
+router.post('/', partnerPaymentController.createPayment);
+router.get('/:paymentId', partnerPaymentController.getPayment);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const authenticateToken = require('../middlewares/auth');
+const requireTwoFactor = require('../middlewares/requireTwoFactor');
+const partnerPaymentController = require('../controllers/partnerPaymentController');
+
+// คำขอชำระเงินจากแอปพาร์ทเนอร์ที่ผู้ใช้ต้องยืนยันในแอป ChatChat
+router.get('/', authenticateToken, partnerPaymentController.listPaymentRequests);
+router.get('/:paymentId', authenticateToken, partnerPaymentController.getPaymentRequest);
+router.post('/:paymentId/approve', authenticateToken, requireTwoFactor, partnerPaymentController.approvePaymentRequest);
+router.post('/:paymentId/decline', authenticateToken, partnerPaymentController.declinePaymentRequest);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const authenticateToken = require('../middlewares/auth');
+const phoneController = require('../controllers/phoneController');
+
+const validatePhone = body('phone')
+  .isLength({ min: 10, max: 15 })
+  .withMessage('Phone number must be between 10-15 characters')
+  .matches(/^[0-9]+$/)
+  .withMessage('Phone number must contain only numbers');
+
+router.post('/send-otp', authenticateToken, [validatePhone], phoneController.sendOtp);
+router.post('/verify', authenticateToken, [
+  validatePhone,
+  body('code').matches(/^\d{6}$/).withMessage('Verification code must be 6 digits')
+], phoneController.verifyOtp);
+
+module.exports = router;
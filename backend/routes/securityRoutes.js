@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const authenticateToken = require('../middlewares/auth');
+const securityController = require('../controllers/securityController');
+
+router.get('/login-history', authenticateToken, securityController.getLoginHistory);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const authenticateToken = require('../middlewares/auth');
+const sessionController = require('../controllers/sessionController');
+
+// 📱 รายการอุปกรณ์ที่เข้าสู่ระบบอยู่
+router.get('/', authenticateToken, sessionController.listSessions);
+// 🚪 ออกจากระบบทุกอุปกรณ์ยกเว้นเครื่องปัจจุบัน
+router.post('/logout-others', authenticateToken, sessionController.revokeOtherSessions);
+// 🚪 ออกจากระบบอุปกรณ์ที่เลือก
+router.delete('/:id', authenticateToken, sessionController.revokeSession);
+
+module.exports = router;
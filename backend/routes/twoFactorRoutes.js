@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const authenticateToken = require('../middlewares/auth');
+const twoFactorController = require('../controllers/twoFactorController');
+
+router.get('/status', authenticateToken, twoFactorController.getStatus);
+router.post('/setup', authenticateToken, twoFactorController.setup);
+router.post('/enable', authenticateToken, twoFactorController.enable);
+router.post('/disable', authenticateToken, twoFactorController.disable);
+router.post('/backup-codes', authenticateToken, twoFactorController.regenerateBackupCodes);
+
+module.exports = router;
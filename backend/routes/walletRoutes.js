@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const authenticateToken = require('../middlewares/auth');
+const requireTwoFactor = require('../middlewares/requireTwoFactor');
+const walletTransferController = require('../controllers/walletTransferController');
+const withdrawalController = require('../controllers/withdrawalController');
+
+// โอน Coins ระหว่างเพื่อน (การยืนยันด้วย 2FA/PIN ตรวจใน controller เฉพาะยอดที่เกินเกณฑ์)
+router.post('/transfer', authenticateToken, walletTransferController.transferCoins);
+router.get('/transfer/limits', authenticateToken, walletTransferController.getTransferLimits);
+router.put('/pin', authenticateToken, requireTwoFactor, walletTransferController.setWalletPin);
+router.post('/pin/email-code', authenticateToken, walletTransferController.requestPinEmailCode);
+
+// รายได้จากของขวัญและการถอนเป็นเงิน (การยืนยันด้วย 2FA/PIN ตรวจใน controller)
+router.get('/earnings', authenticateToken, withdrawalController.getEarnings);
+router.get('/withdrawals', authenticateToken, withdrawalController.listWithdrawals);
+router.post('/withdrawals', authenticateToken, withdrawalController.requestWithdrawal);
+router.post('/withdrawals/:id/cancel', authenticateToken, withdrawalController.cancelWithdrawal);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const OidcService = require('../models/OidcService');
+const { scopesFor } = require('../config/oauthScopes');
+
+// OpenID Connect Discovery 1.0
+router.get('/openid-configuration', (req, res) => {
+  const issuer = OidcService.getIssuer(req);
+
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/api/oauth/authorize`,
+    token_endpoint: `${issuer}/api/oauth/token`,
+    userinfo_endpoint: `${issuer}/api/oauth/userinfo`,
+    jwks_uri: `${issuer}/.well-known/jwks.json`,
+    revocation_endpoint: `${issuer}/api/oauth/revoke`,
+    introspection_endpoint: `${issuer}/api/oauth/introspect`,
+    response_types_supported: ['code'],
+    grant_types_supported: ['authorization_code', 'refresh_token', 'client_credentials'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    scopes_supported: scopesFor('user'),
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+    code_challenge_methods_supported: ['S256'],
+    claims_supported: [
+      'sub', 'iss', 'aud', 'exp', 'iat', 'auth_time', 'nonce', 'at_hash',
+      'name', 'preferred_username', 'picture', 'updated_at',
+      'email', 'email_verified', 'phone_number', 'phone_number_verified'
+    ]
+  });
+});
+
+// Public keys สำหรับตรวจลายเซ็น id_token (รวม key ที่เพิ่งปลดระวาง)
+router.get('/jwks.json', async (req, res) => {
+  try {
+    // ให้มี active key เสมอ เพื่อไม่ให้ JWKS ว่างก่อน id_token ใบแรก
+    await OidcService.getActiveSigningKey();
+
+    res.set('Cache-Control', 'public, max-age=600');
+    res.json(await OidcService.getJwks());
+  } catch (error) {
+    console.error('❌ JWKS error:', error);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,6 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const helmet = require('helmet');
 const multer = require('multer');
@@ -42,7 +40,6 @@ io.on('connection', (socket) => {
 });
 
 const PORT = process.env.PORT || 30001;
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 
 // ✅ Import Configurations & Middlewares
 const connectDB = require('./config/db');
@@ -101,7 +98,7 @@ app.use(cors({
 // =============================================
 // 💳 STRIPE WEBHOOK (Must be before express.json)
 // =============================================
-app.post('/api/payment/webhook', express.raw({ type: 'application/json' }), (req, res) => {
+app.post('/api/payment/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
   const sig = req.headers['stripe-signature'];
   let event;
 
@@ -113,59 +110,26 @@ app.post('/api/payment/webhook', express.raw({ type: 'application/json' }), (req
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
+  // 🗃️ บันทึก event ลง event store ก่อนตอบ 200 (บันทึกไม่ได้ = ตอบ 500 ให้ Stripe ส่งมาใหม่ เหรียญไม่หาย)
+  let recorded;
+  try {
+    recorded = await StripeEventService.record(event);
+  } catch (error) {
+    console.error('❌ Failed to store Stripe event:', error);
+    return res.status(500).json({ received: false });
+  }
+
   // ⚡ ตอบกลับ 200 OK ทันที เพื่อจบการเชื่อมต่อกับ Stripe ลดคอขวดและคืนทรัพยากรเซิร์ฟเวอร์
   res.json({ received: true });
 
-  // โยนงานการบวกเหรียญไปทำงานในระบบพื้นหลัง (Background Job)
-  if (event.type === 'payment_intent.succeeded') {
-    const paymentIntent = event.data.object;
-    
-    // รันแบบ Asynchronous ไม่ต้องรอ await
-    processPaymentSuccess(paymentIntent).catch(err => {
-      console.error('❌ Error processing successful payment:', err);
+  // ประมวลผลในพื้นหลัง ถ้าล้มเหลว worker จะ retry จาก event store (event ที่ส่งซ้ำไม่ประมวลผลซ้ำ)
+  if (recorded.created) {
+    StripeEventService.attempt(recorded.stripeEvent).catch(err => {
+      console.error('❌ Error processing Stripe event:', err);
     });
   }
 });
 
-// 🔄 ฟังก์ชัน Background Job สำหรับเพิ่มคอยน์
-const processPaymentSuccess = async (paymentIntent) => {
-  const { userId, coinAmount } = paymentIntent.metadata;
-  const amountPaidThb = paymentIntent.amount / 100;
-
-  // ใช้ mongoose.model ดึงเพื่อป้องกัน ReferenceError กรณี Schema ยังโหลดไม่เสร็จ
-  const WalletModel = mongoose.model('Wallet');
-  const TransactionModel = mongoose.model('Transaction');
-
-  const wallet = await WalletModel.findOne({ userId });
-  if (wallet) {
-    wallet.coinPoints += parseInt(coinAmount, 10);
-    await wallet.save();
-
-    await TransactionModel.create({
-      userId,
-      walletId: wallet._id,
-      type: 'topup',
-      amount: amountPaidThb,
-      description: `Stripe Top-up: ${coinAmount} Coins`,
-      status: 'completed',
-      referenceId: paymentIntent.id
-    });
-    console.log(`✅ [Background] Successfully added ${coinAmount} coins to user ${userId}`);
-
-    // ⚡ ส่งสัญญาณผ่าน WebSocket แจ้งแอปมือถือว่าได้เหรียญเรียบร้อยแล้ว
-    const io = app.get('io');
-    if (io) {
-      io.to(`wallet_${userId}`).emit('payment_success', {
-        success: true,
-        coinAmount: parseInt(coinAmount, 10),
-        newBalance: wallet.coinPoints,
-        referenceId: paymentIntent.id
-      });
-      console.log(`⚡ [WebSocket] Notified user ${userId} of payment success`);
-    }
-  }
-};
-
 app.use(express.json({ limit: '10mb' }));
 // Serve uploaded files
 app.use('/uploads', express.static('uploads'));
@@ -293,6 +257,15 @@ const mediaUpload = multer({
 const User = require('./models/User');
 const Wallet = require('./models/Wallet');
 const Transaction = require('./models/Transaction');
+const LedgerEntry = require('./models/LedgerEntry');
+const LedgerService = require('./models/LedgerService');
+const LedgerReconciliation = require('./models/LedgerReconciliation');
+const StripeEvent = require('./models/StripeEvent');
+const StripeEventService = require('./models/StripeEventService');
+const CoinPackage = require('./models/CoinPackage');
+const CoinPackageService = require('./models/CoinPackageService');
+const WithdrawalRequest = require('./models/WithdrawalRequest');
+const WithdrawalService = require('./models/WithdrawalService');
 const IdentityVerification = require('./models/IdentityVerification');
 const Reward = require('./models/Reward');
 const BankService = require('./models/BankService');
@@ -307,461 +280,34 @@ const MediaUpload = require('./models/MediaUpload');
 const UploadProgress = require('./models/UploadProgress');
 const Story = require('./models/Story');
 const Notification = require('./models/Notification');
-
-// ✅ ฟังก์ชันสร้างการแจ้งเตือน
-const createNotification = async ({
-  userId,
-  type,
-  title,
-  message,
-  icon = '🔔',
-  color = '#1FAE4B',
-  data = {},
-  priority = 'medium',
-  sourceId = null
-}) => {
-  try {
-    console.log('📨 Creating notification:', { userId, type, title });
-
-    const notification = new Notification({
-      userId,
-      type,
-      title,
-      message,
-      icon,
-      color,
-      data,
-      priority,
-      sourceId,
-      expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 วัน
-    });
-
-    await notification.save();
-
-    // ✅ ส่ง Push Notification (ถ้ามี Firebase setup)
-    await sendPushNotification(userId, {
-      title,
-      body: message,
-      data: {
-        type,
-        ...data,
-        notificationId: notification._id.toString()
-      }
-    });
-
-    console.log('✅ Notification created:', notification._id);
-    return notification;
-
-  } catch (error) {
-    console.error('❌ Error creating notification:', error);
-    throw error;
-  }
-};
-
-// ✅ ฟังก์ชันส่ง Push Notification
-const sendPushNotification = async (userId, payload) => {
-  try {
-    const user = await User.findById(userId);
-    if (!user || !user.fcmToken) {
-      console.log('📤 User not found or no FCM token for user:', userId);
-      return false;
-    }
-    const message = {
-      token: user.fcmToken,
-      notification: {
-        title: payload.title,
-        body: payload.body
-      },
-      data: payload.data
-    };
-    const response = await admin.messaging().send(message);
-    console.log('📤 Push notification sent successfully:', response);
-    return true;
-  } catch (error) {
-    console.error('❌ Error sending push notification:', error);
-    return false;
-  }
-};
-
-// =============================================
-// 🏦 WALLET NOTIFICATIONS
-// =============================================
-
-// 💰 สร้างการแจ้งเตือนธุรกรรมกระเป๋าเงิน
-const createWalletTransactionNotification = async (userId, transactionData) => {
-  const { bankName, serviceType, amount, time, referenceId } = transactionData;
-
-  let title, message, icon, color;
-
-  switch (serviceType) {
-    case 'scan_pay':
-      title = 'แสกนจ่าย';
-      message = `${bankName} เวลา ${time}`;
-      icon = '💰';
-      color = '#4CAF50'; // สีเขียว
-      break;
-    case 'transfer':
-      title = 'โอนเงิน';
-      message = `${bankName} จำนวน ${amount} THB`;
-      icon = '💸';
-      color = '#2196F3'; // สีฟ้า
-      break;
-    case 'topup':
-      title = 'เติมเงิน';
-      message = `${bankName} จำนวน ${amount} THB`;
-      icon = '📈';
-      color = '#FF9800'; // สีส้ม
-      break;
-    case 'withdraw':
-      title = 'ถอนเงิน';
-      message = `${bankName} จำนวน ${amount} THB`;
-      icon = '🏧';
-      color = '#9C27B0'; // สีม่วง
-      break;
-    default:
-      title = 'ธุรกรรมกระเป๋าเงิน';
-      message = `${bankName} - ${serviceType}`;
-      icon = '💳';
-      color = '#607D8B'; // สีเทา
-  }
-
-  return await createNotification({
-    userId,
-    type: 'wallet_transaction',
-    title,
-    message,
-    icon,
-    color,
-    data: {
-      bankName,
-      serviceType,
-      amount,
-      time,
-      referenceId,
-      timestamp: new Date().toISOString()
-    },
-    priority: 'high',
-    sourceId: `wallet_${referenceId}`
-  });
-};
-
-// 🎯 สร้างการแจ้งเตือนคะแนนคอยน์
-const createCoinPointsNotification = async (userId, pointsData) => {
-  const { points, description, balanceAfter, type } = pointsData;
-
-  let title, message, icon;
-
-  if (type === 'earn') {
-    title = 'ได้รับคะแนนคอยน์';
-    message = `+${points} คะแนน (${description})`;
-    icon = '⭐';
-  } else if (type === 'redeem') {
-    title = 'ใช้คะแนนคอยน์';
-    message = `-${points} คะแนน (${description})`;
-    icon = '🎁';
-  } else {
-    title = 'คะแนนคอยน์';
-    message = `${description}`;
-    icon = '🪙';
-  }
-
-  return await createNotification({
-    userId,
-    type: 'wallet_points',
-    title,
-    message,
-    icon,
-    color: type === 'earn' ? '#FFC107' : '#E91E63',
-    data: {
-      points,
-      description,
-      balanceAfter,
-      type,
-      timestamp: new Date().toISOString()
-    },
-    priority: 'medium',
-    sourceId: `points_${Date.now()}`
-  });
-};
-
-// =============================================
-// 💬 CHAT NOTIFICATIONS
-// =============================================
-
-// 💬 สร้างการแจ้งเตือนข้อความใหม่
-const createChatMessageNotification = async (userId, chatData) => {
-  const { senderName, message, chatId, messageType } = chatData;
-
-  let icon = '💬';
-  let title = 'ข้อความใหม่';
-
-  if (messageType === 'image') {
-    icon = '🖼️';
-    title = 'รูปภาพใหม่';
-  } else if (messageType === 'voice') {
-    icon = '🎤';
-    title = 'ข้อความเสียง';
-  } else if (messageType === 'video') {
-    icon = '🎥';
-    title = 'วิดีโอใหม่';
-  }
-
-  return await createNotification({
-    userId,
-    type: 'chat_message',
-    title: `${senderName}: ${title}`,
-    message: messageType === 'text' ? message : `ส่ง${title.toLowerCase()}`,
-    icon,
-    color: '#1FAE4B', // สีเขียว Connect
-    data: {
-      senderName,
-      message,
-      chatId,
-      messageType,
-      timestamp: new Date().toISOString()
-    },
-    priority: 'urgent',
-    sourceId: `chat_${chatId}_${Date.now()}`
-  });
-};
-
-// 📞 สร้างการแจ้งเตือนการโทรเข้า
-const createCallNotification = async (userId, callData) => {
-  const { callerName, callType, callId } = callData;
-
-  const title = callType === 'video' ? 'วิดีโอคอลล์เข้า' : 'โทรศัพท์เข้า';
-  const icon = callType === 'video' ? '🎥' : '📞';
-
-  return await createNotification({
-    userId,
-    type: 'chat_call',
-    title: `${callerName}: ${title}`,
-    message: callType === 'video' ? 'วิดีโอคอลล์...' : 'กำลังโทร...',
-    icon,
-    color: '#FF5722', // สีส้ม
-    data: {
-      callerName,
-      callType,
-      callId,
-      timestamp: new Date().toISOString()
-    },
-    priority: 'urgent',
-    sourceId: `call_${callId}`
-  });
-};
-
-// =============================================
-// 👥 FRIEND NOTIFICATIONS
-// =============================================
-
-// 👥 สร้างการแจ้งเตือนคำขอเป็นเพื่อน
-const createFriendRequestNotification = async (userId, friendData) => {
-  const { requesterName, requesterId } = friendData;
-
-  return await createNotification({
-    userId,
-    type: 'friend_request',
-    title: 'คำขอเป็นเพื่อน',
-    message: `${requesterName} ส่งคำขอเป็นเพื่อน`,
-    icon: '👤',
-    color: '#3F51B5', // สีน้ำเงิน
-    data: {
-      requesterName,
-      requesterId,
-      timestamp: new Date().toISOString()
-    },
-    priority: 'high',
-    sourceId: `friend_request_${requesterId}`
-  });
-};
-
-// 🤝 สร้างการแจ้งเตือนยอมรับเพื่อน
-const createFriendAcceptNotification = async (userId, friendData) => {
-  const { friendName, friendId } = friendData;
-
-  return await createNotification({
-    userId,
-    type: 'friend_accept',
-    title: 'ยอมรับคำขอเป็นเพื่อน',
-    message: `${friendName} ยอมรับคำขอเป็นเพื่อนแล้ว`,
-    icon: '🤝',
-    color: '#4CAF50', // สีเขียว
-    data: {
-      friendName,
-      friendId,
-      timestamp: new Date().toISOString()
-    },
-    priority: 'medium',
-    sourceId: `friend_accept_${friendId}`
-  });
-};
-
-// =============================================
-// 👤 PROFILE NOTIFICATIONS
-// =============================================
-
-// 👁️ สร้างการแจ้งเตือนคนเยี่ยมชมโปรไฟล์
-const createProfileVisitNotification = async (userId, visitorData) => {
-  const { visitorName, visitorId } = visitorData;
-
-  return await createNotification({
-    userId,
-    type: 'profile_visit',
-    title: 'มีคนเยี่ยมชมโปรไฟล์',
-    message: `${visitorName} เยี่ยมชมโปรไฟล์ของคุณ`,
-    icon: '👁️',
-    color: '#9C27B0', // สีม่วง
-    data: {
-      visitorName,
-      visitorId,
-      timestamp: new Date().toISOString()
-    },
-    priority: 'low',
-    sourceId: `profile_visit_${visitorId}_${Date.now()}`
-  });
-};
-
-// ✏️ สร้างการแจ้งเตือนอัปเดตโปรไฟล์
-const createProfileUpdateNotification = async (userId, updateData) => {
-  const { field, oldValue, newValue } = updateData;
-
-  return await createNotification({
-    userId,
-    type: 'profile_update',
-    title: 'อัปเดตโปรไฟล์สำเร็จ',
-    message: `${field} ถูกเปลี่ยนจาก "${oldValue}" เป็น "${newValue}"`,
-    icon: '✏️',
-    color: '#FF9800', // สีส้ม
-    data: {
-      field,
-      oldValue,
-      newValue,
-      timestamp: new Date().toISOString()
-    },
-    priority: 'low',
-    sourceId: `profile_update_${Date.now()}`
-  });
-};
-
-// =============================================
-// 🏦 BANK SERVICE NOTIFICATIONS
-// =============================================
-
-// 🏦 สร้างการแจ้งเตือนใช้บริการธนาคาร
-const createBankServiceNotification = async (userId, bankData) => {
-  const { bankName, serviceType, deeplinkUrl } = bankData;
-
-  const serviceNames = {
-    'scan_pay': 'แสกนจ่าย',
-    'transfer': 'โอนเงิน',
-    'topup': 'เติมเงิน',
-    'withdraw': 'ถอนเงินสด'
-  };
-
-  const serviceName = serviceNames[serviceType] || 'บริการธนาคาร';
-
-  return await createNotification({
-    userId,
-    type: 'bank_service',
-    title: 'เริ่มใช้บริการธนาคาร',
-    message: `${bankName} - ${serviceName}`,
-    icon: '🏦',
-    color: '#2196F3', // สีฟ้า
-    data: {
-      bankName,
-      serviceType,
-      serviceName,
-      deeplinkUrl,
-      timestamp: new Date().toISOString()
-    },
-    priority: 'high',
-    sourceId: `bank_${bankName}_${Date.now()}`
-  });
-};
-
-// =============================================
-// 🆔 IDENTITY VERIFICATION NOTIFICATIONS
-// =============================================
-
-// ✅ สร้างการแจ้งเตือนยืนยันตัวตนสำเร็จ
-const createIdentityVerificationNotification = async (userId, verificationData) => {
-  const { method, rewardPoints } = verificationData;
-
-  const methodNames = {
-    'id_card': 'บัตรประชาชน',
-    'passport': 'พาสปอร์ต'
-  };
-
-  const methodName = methodNames[method] || 'ยืนยันตัวตน';
-
-  return await createNotification({
-    userId,
-    type: 'identity_verify',
-    title: 'ยืนยันตัวตนสำเร็จ! 🎉',
-    message: `ยืนยันตัวตนด้วย${methodName} สำเร็จ ได้รับ ${rewardPoints} คะแนน`,
-    icon: '✅',
-    color: '#4CAF50', // สีเขียว
-    data: {
-      method,
-      methodName,
-      rewardPoints,
-      timestamp: new Date().toISOString()
-    },
-    priority: 'high',
-    sourceId: `identity_verify_${userId}`
-  });
-};
-
-// =============================================
-// 🎁 REWARD NOTIFICATIONS
-// =============================================
-
-// 🎁 สร้างการแจ้งเตือนได้รับรางวัล
-const createRewardNotification = async (userId, rewardData) => {
-  const { rewardName, points, description } = rewardData;
-
-  return await createNotification({
-    userId,
-    type: 'reward_earned',
-    title: 'ได้รับรางวัล! 🎁',
-    message: `${rewardName} - ${description}`,
-    icon: '🎁',
-    color: '#FFC107', // สีเหลือง
-    data: {
-      rewardName,
-      points,
-      description,
-      timestamp: new Date().toISOString()
-    },
-    priority: 'medium',
-    sourceId: `reward_${Date.now()}`
-  });
-};
-
-// =============================================
-// 🚨 SYSTEM ALERT NOTIFICATIONS
-// =============================================
-
-// ⚡ สร้างการแจ้งเตือนระบบ
-const createSystemNotification = async (userId, systemData) => {
-  const { alertType, message, actionUrl } = systemData;
-
-  return await createNotification({
-    userId,
-    type: 'system_alert',
-    title: 'แจ้งเตือนระบบ',
-    message,
-    icon: '⚡',
-    color: '#FF5722', // สีแดงส้ม
-    data: {
-      alertType,
-      actionUrl,
-      timestamp: new Date().toISOString()
-    },
-    priority: alertType === 'critical' ? 'urgent' : 'high',
-    sourceId: `system_${Date.now()}`
-  });
-};
+const SessionService = require('./models/SessionService');
+const LoginThrottleService = require('./models/LoginThrottleService');
+const AuditLog = require('./models/AuditLog');
+const OidcService = require('./models/OidcService');
+const {
+  generateSalt,
+  hashPassword,
+  verifyPassword,
+  createUserWallet,
+  createOfficialChat
+} = require('./models/AuthService');
+
+const {
+  createNotification,
+  sendPushNotification,
+  createWalletTransactionNotification,
+  createCoinPointsNotification,
+  createChatMessageNotification,
+  createCallNotification,
+  createFriendRequestNotification,
+  createFriendAcceptNotification,
+  createProfileVisitNotification,
+  createProfileUpdateNotification,
+  createBankServiceNotification,
+  createIdentityVerificationNotification,
+  createRewardNotification,
+  createSystemNotification
+} = require('./models/NotificationService');
 
 // =============================================
 // 🔧 UTILITY FUNCTIONS
@@ -807,35 +353,6 @@ const generateUserId = async () => {
   return userId;
 };
 
-const generateSalt = () => bcrypt.genSaltSync(12);
-const hashPassword = (password, salt) => bcrypt.hashSync(password + salt, 12);
-const verifyPassword = (password, hash, salt) => bcrypt.compareSync(password + salt, hash);
-const generateAuthToken = (userId) => jwt.sign({ userId }, JWT_SECRET, { expiresIn: '30d' });
-
-const createUserWallet = async (userId) => {
-  try {
-    const existingWallet = await Wallet.findOne({ userId });
-
-    if (!existingWallet) {
-      const newWallet = new Wallet({
-        userId: userId,
-        balance: 0.0,
-        coinPoints: 0,
-        currency: 'THB'
-      });
-
-      await newWallet.save();
-      console.log('✅ Wallet created for user:', userId);
-      return newWallet;
-    }
-
-    return existingWallet;
-  } catch (error) {
-    console.error('❌ Error creating wallet:', error);
-    throw error;
-  }
-};
-
 const initializeBankServices = async () => {
   try {
     const bankServices = [
@@ -1007,7 +524,7 @@ const createAdminUser = async () => {
       await createUserWallet(adminUser._id);
       console.log('✅ Admin user created');
 
-      const adminToken = generateAuthToken(adminUser._id);
+      const { authToken: adminToken } = await SessionService.createSession(adminUser._id, { deviceName: 'Server bootstrap' });
       console.log('🔑 Admin Token:', adminToken);
     } else {
       console.log('✅ Admin user already exists');
@@ -1017,65 +534,6 @@ const createAdminUser = async () => {
   }
 };
 
-const createOfficialChat = async (userId) => {
-  try {
-    const systemUser = await User.findOne({ userType: 'system' });
-
-    if (!systemUser) {
-      console.error('❌ System user not found');
-      return;
-    }
-
-    const existingOfficialChats = await Chat.find({
-      participants: {
-        $all: [userId, systemUser._id]
-      },
-      chatType: 'official',
-      isActive: true
-    }).sort({ createdAt: -1 });
-
-    if (existingOfficialChats.length === 0) {
-      const officialChat = new Chat({
-        participants: [userId, systemUser._id],
-        chatType: 'official',
-        title: 'Connect Support',
-        lastMessage: 'สวัสดี! ยินดีต้อนรับสู่ Connect App เราพร้อมให้ความช่วยเหลือเสมอ',
-        lastMessageTime: new Date(),
-        createdBy: systemUser._id
-      });
-
-      await officialChat.save();
-
-      const welcomeMessage = new Message({
-        chatId: officialChat._id,
-        senderId: systemUser._id,
-        messageType: 'system',
-        content: 'สวัสดี! ยินดีต้อนรับสู่ Connect App เราพร้อมให้ความช่วยเหลือเสมอ 😊\n\nคุณสามารถสอบถามเกี่ยวกับการใช้งานแอป หรือรายงานปัญหาต่างๆ ได้ที่นี่'
-      });
-
-      await welcomeMessage.save();
-      console.log('✅ Official chat created for user:', userId);
-    } else if (existingOfficialChats.length > 1) {
-      console.log(`🔄 Found ${existingOfficialChats.length} official chats for user ${userId}, cleaning duplicates...`);
-
-      const latestChat = existingOfficialChats[0];
-      const chatsToDelete = existingOfficialChats.slice(1);
-
-      for (const chat of chatsToDelete) {
-        await Message.deleteMany({ chatId: chat._id });
-        await Chat.deleteOne({ _id: chat._id });
-        console.log(`🗑️ Deleted duplicate official chat: ${chat._id}`);
-      }
-
-      console.log(`✅ Kept latest official chat: ${latestChat._id} for user: ${userId}`);
-    } else {
-      console.log('✅ Official chat already exists for user:', userId, 'chatId:', existingOfficialChats[0]._id);
-    }
-  } catch (error) {
-    console.error('❌ Error creating official chat:', error);
-  }
-};
-
 const ensureAllUsersHaveOfficialChat = async () => {
   try {
     console.log('🔍 Checking official chats for existing users...');
@@ -1181,67 +639,9 @@ const sendRecoveryEmail = async (email, recoveryId, securityQuestion) => {
 // 🔐 AUTHENTICATION MIDDLEWARE
 // =============================================
 
-const authenticateToken = async (req, res, next) => {
-  try {
-    const token = req.headers.authorization?.replace('Bearer ', '');
-
-    if (!token) {
-      return res.status(401).json({ error: 'Access token required' });
-    }
-
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await User.findById(decoded.userId);
-
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid token' });
-    }
-
-    req.user = user;
-    next();
-  } catch (error) {
-    return res.status(401).json({ error: 'Invalid token' });
-  }
-};
-
-// =============================================
-// ✅ INPUT VALIDATION MIDDLEWARE
-// =============================================
-
-const validateRegistration = [
-  body('username')
-    .isLength({ min: 3, max: 30 })
-    .withMessage('Username must be between 3-30 characters')
-    .trim()
-    .escape(),
-  body('email')
-    .isEmail()
-    .withMessage('Must be a valid email')
-    .normalizeEmail(),
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters'),
-  body('phone')
-    .optional()
-    .isLength({ min: 10, max: 15 })
-    .withMessage('Phone number must be between 10-15 characters')
-    .matches(/^[0-9]+$/)
-    .withMessage('Phone number must contain only numbers'),
-  body('pdpa_consent')
-    .isBoolean()
-    .withMessage('PDPA consent must be a boolean value')
-    .equals('true')
-    .withMessage('PDPA consent is required for registration')
-];
-
-const validateLogin = [
-  body('email')
-    .isEmail()
-    .withMessage('Must be a valid email')
-    .normalizeEmail(),
-  body('password')
-    .notEmpty()
-    .withMessage('Password is required')
-];
+// ใช้ Middleware เดียวกับ routes/ เพื่อให้ทุก Route ตรวจสอบ Session เหมือนกัน
+const authenticateToken = require('./middlewares/auth');
+const requireTwoFactor = require('./middlewares/requireTwoFactor');
 
 // =============================================
 // 🚀 API ROUTES - WALLET & IDENTITY
@@ -1253,31 +653,71 @@ app.use('/api', require('./routes/authRoutes'));
 // ✅ OAuth Routes
 app.use('/api/oauth', require('./routes/oauth'));
 
+// ✅ OpenID Connect Discovery + JWKS
+app.use('/.well-known', require('./routes/wellKnown'));
+
+// ✅ Session (Device) Routes
+app.use('/api/sessions', require('./routes/sessionRoutes'));
+
+// ✅ Two-Factor Authentication Routes
+app.use('/api/2fa', require('./routes/twoFactorRoutes'));
+
+// ✅ Phone Verification (SMS OTP) Routes
+app.use('/api/user/phone', require('./routes/phoneRoutes'));
+
+// ✅ Security (Login History) Routes
+app.use('/api/security', require('./routes/securityRoutes'));
+
+// ✅ Pay with ChatChat Coins (พาร์ทเนอร์สร้างคำขอ / ผู้ใช้ยืนยันในแอป)
+app.use('/api/oauth/payments', require('./routes/partnerPaymentRoutes'));
+app.use('/api/wallet/payment-requests', require('./routes/paymentRequestRoutes'));
+
+// ✅ โอน Coins ระหว่างเพื่อน และ PIN ของ Wallet
+app.use('/api/wallet', require('./routes/walletRoutes'));
+
+// ✅ ของขวัญในแชท (GET /api/gifts, POST /api/chats/:chatId/gifts)
+app.use('/api', require('./routes/giftRoutes'));
+
 // =============================================
 // 🛠️ DEVELOPER PORTAL API
 // =============================================
 const OAuthApp = require('./models/OAuthApp');
+const OAuthService = require('./models/OAuthService');
+const OAuthUsageService = require('./models/OAuthUsageService');
+const WebhookService = require('./models/WebhookService');
+const WebhookEndpoint = require('./models/WebhookEndpoint');
+const OAuthAppReviewService = require('./models/OAuthAppReviewService');
+
+// 0. Webhook ของแอป (ลงทะเบียน URL, สมัครรับ event, ประวัติการส่ง, ส่ง test event)
+app.use('/api/developer/apps/:id/webhooks', require('./routes/developerWebhookRoutes'));
 
 // 1. สร้างแอปใหม่ (Developer Portal)
 app.post('/api/developer/apps', authenticateToken, async (req, res) => {
   try {
     const { appName, redirectUris, appLogo } = req.body;
+    const clientType = req.body.clientType === 'public' ? 'public' : 'confidential';
 
-    // สุ่มสร้าง Client ID และ Client Secret
+    // สุ่มสร้าง Client ID และ Client Secret (public client เช่นแอปมือถือ ใช้ PKCE แทน secret)
     const clientId = crypto.randomBytes(16).toString('hex');
-    const clientSecret = crypto.randomBytes(32).toString('hex');
+    const secret = clientType === 'confidential' ? OAuthService.generateClientSecret() : {};
 
     const newApp = new OAuthApp({
       appName,
       appLogo,
       redirectUris,
+      clientType,
       clientId,
-      clientSecret,
+      clientSecretHash: secret.clientSecretHash,
+      clientSecretPrefix: secret.clientSecretPrefix,
       developerId: req.user._id
     });
 
     await newApp.save();
-    res.status(201).json({ success: true, app: newApp });
+
+    // เก็บเฉพาะ hash: ค่าจริงของ secret แสดงได้ครั้งนี้ครั้งเดียว
+    const appJson = newApp.toJSON();
+    delete appJson.clientSecretHash;
+    res.status(201).json({ success: true, app: { ...appJson, clientSecret: secret.clientSecret } });
   } catch (error) {
     console.error('❌ Create OAuth App error:', error);
     res.status(500).json({ success: false, error: 'Failed to create app' });
@@ -1295,6 +735,33 @@ app.get('/api/developer/apps', authenticateToken, async (req, res) => {
   }
 });
 
+// 2.1 ดึงข้อมูลแอปเดียวพร้อมโควตาและสถิติการใช้งาน API (Developer Portal)
+app.get('/api/developer/apps/:id', authenticateToken, async (req, res) => {
+  try {
+    const oauthApp = mongoose.isValidObjectId(req.params.id)
+      && await OAuthApp.findOne({ _id: req.params.id, developerId: req.user._id });
+    if (!oauthApp) return res.status(404).json({ success: false, error: 'App not found' });
+
+    const days = Math.min(parseInt(req.query.days) || 30, 90);
+    const daily = await OAuthUsageService.getDailyUsage(oauthApp.clientId, days);
+    const today = daily.find(d => d.date === OAuthUsageService.dayBucket()) || { requests: 0, rateLimited: 0, tokensIssued: 0 };
+
+    res.json({
+      success: true,
+      app: oauthApp,
+      testUserLimit: OAuthAppReviewService.maxTestUsers,
+      usage: {
+        rateLimitPerMinute: oauthApp.rateLimitPerMinute,
+        today,
+        daily
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get OAuth App error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch app' });
+  }
+});
+
 // 3. ดึงข้อมูลโปรไฟล์นักพัฒนา (Developer Portal)
 app.get('/api/developer/profile', authenticateToken, async (req, res) => {
   try {
@@ -1320,6 +787,8 @@ app.put('/api/developer/apps/:id', authenticateToken, async (req, res) => {
 
     if (!app) return res.status(404).json({ success: false, error: 'App not found' });
 
+    const reviewedChanges = OAuthAppReviewService.getReviewedChanges(app, { appName, appLogo, redirectUris });
+
     if (appName) app.appName = appName;
     if (redirectUris) app.redirectUris = redirectUris;
     if (appLogo) app.appLogo = appLogo;
@@ -1328,6 +797,16 @@ app.put('/api/developer/apps/:id', authenticateToken, async (req, res) => {
     if (tosUrl) app.tosUrl = tosUrl;
 
     await app.save();
+
+    // แอปที่ผ่านการตรวจแล้วแก้ชื่อ โลโก้ หรือ Redirect URI: กลับไปรอแอดมินตรวจใหม่
+    if (app.status === 'approved' && reviewedChanges.length > 0) {
+      const resubmitted = await OAuthAppReviewService.transition(app, 'resubmitted', {
+        by: req.user._id,
+        reason: `Changed ${reviewedChanges.join(', ')}`
+      });
+      if (resubmitted) return res.json({ success: true, app: resubmitted, reviewRequired: true });
+    }
+
     res.json({ success: true, app });
   } catch (error) {
     console.error('❌ Update OAuth App error:', error);
@@ -1336,56 +815,142 @@ app.put('/api/developer/apps/:id', authenticateToken, async (req, res) => {
 });
 
 // 5. รีเซ็ต Client Secret (Developer Portal)
-app.post('/api/developer/apps/:id/reset-secret', authenticateToken, async (req, res) => {
+app.post('/api/developer/apps/:id/reset-secret', authenticateToken, requireTwoFactor, async (req, res) => {
   try {
     const app = await OAuthApp.findOne({ _id: req.params.id, developerId: req.user._id });
     if (!app) return res.status(404).json({ success: false, error: 'App not found' });
+    if (app.clientType === 'public') return res.status(400).json({ success: false, error: 'Public clients do not use a client secret' });
 
-    // สร้าง Secret ใหม่
-    app.clientSecret = crypto.randomBytes(32).toString('hex');
+    // สร้าง Secret ใหม่ (secret เดิมใช้ไม่ได้ทันที และค่าใหม่แสดงได้ครั้งนี้ครั้งเดียว)
+    const { clientSecret, clientSecretHash, clientSecretPrefix } = OAuthService.generateClientSecret();
+    app.clientSecretHash = clientSecretHash;
+    app.clientSecretPrefix = clientSecretPrefix;
     await app.save();
 
-    res.json({ success: true, message: 'Secret reset successfully', clientSecret: app.clientSecret });
+    res.json({ success: true, message: 'Secret reset successfully', clientSecret, clientSecretPrefix });
   } catch (error) {
     console.error('❌ Reset Secret error:', error);
     res.status(500).json({ success: false, error: 'Failed to reset secret' });
   }
 });
 
-// 6. ลบแอป (Developer Portal)
-app.delete('/api/developer/apps/:id', authenticateToken, async (req, res) => {
+// 5.1 ส่งแอปให้แอดมินตรวจสอบ (ก่อนผ่านการตรวจ ใช้ได้เฉพาะเจ้าของแอปและ test users)
+app.post('/api/developer/apps/:id/submit-review', authenticateToken, async (req, res) => {
   try {
-    const app = await OAuthApp.findOneAndDelete({ _id: req.params.id, developerId: req.user._id });
+    const app = await OAuthApp.findOne({ _id: req.params.id, developerId: req.user._id });
     if (!app) return res.status(404).json({ success: false, error: 'App not found' });
+    if (app.status !== 'draft') return res.status(409).json({ success: false, error: `App is already ${app.status}` });
 
-    res.json({ success: true, message: 'App deleted successfully' });
+    const submissionError = OAuthAppReviewService.getSubmissionError(app);
+    if (submissionError) return res.status(400).json({ success: false, error: submissionError });
+
+    const updated = await OAuthAppReviewService.transition(app, 'submitted', { by: req.user._id });
+    if (!updated) return res.status(409).json({ success: false, error: 'App status has changed, please refresh' });
+
+    res.json({ success: true, message: 'App submitted for review', app: updated });
   } catch (error) {
-    console.error('❌ Delete OAuth App error:', error);
-    res.status(500).json({ success: false, error: 'Failed to delete app' });
+    console.error('❌ Submit app review error:', error);
+    res.status(500).json({ success: false, error: 'Failed to submit app for review' });
   }
 });
 
-// 💰 Get Wallet Information
-app.get('/api/wallet', authenticateToken, async (req, res) => {
+// 5.2 รายชื่อ test users ของแอป
+app.get('/api/developer/apps/:id/test-users', authenticateToken, async (req, res) => {
   try {
-    console.log('💰 Fetching wallet for user:', req.user._id);
+    const app = await OAuthApp.findOne({ _id: req.params.id, developerId: req.user._id })
+      .populate('testUsers', 'username userId email profilePicture');
+    if (!app) return res.status(404).json({ success: false, error: 'App not found' });
 
-    const wallet = await Wallet.findOne({ userId: req.user._id });
+    res.json({ success: true, testUsers: app.testUsers, limit: OAuthAppReviewService.maxTestUsers });
+  } catch (error) {
+    console.error('❌ Get test users error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch test users' });
+  }
+});
 
-    if (!wallet) {
-      const newWallet = await createUserWallet(req.user._id);
-      return res.json({
-        success: true,
-        wallet: {
-          balance: newWallet.balance,
-          coinPoints: newWallet.coinPoints,
-          currency: newWallet.currency
-        }
-      });
+// 5.3 เพิ่ม test user ด้วยอีเมลหรือ User ID
+app.post('/api/developer/apps/:id/test-users', authenticateToken, async (req, res) => {
+  try {
+    const { identifier } = req.body;
+    if (!identifier) return res.status(400).json({ success: false, error: 'Email or User ID is required' });
+
+    const app = await OAuthApp.findOne({ _id: req.params.id, developerId: req.user._id });
+    if (!app) return res.status(404).json({ success: false, error: 'App not found' });
+
+    const result = await OAuthAppReviewService.addTestUser(app, identifier);
+    if (result.status === 'not_found') return res.status(404).json({ success: false, error: 'User not found' });
+    if (result.status === 'is_owner') return res.status(400).json({ success: false, error: 'App owners can always use their own app' });
+    if (result.status === 'already_added') return res.status(409).json({ success: false, error: 'User is already a test user' });
+    if (result.status === 'limit_reached') {
+      return res.status(400).json({ success: false, error: `Unapproved apps can have at most ${OAuthAppReviewService.maxTestUsers} test users` });
     }
 
-    const identityVerification = await IdentityVerification.findOne({
-      userId: req.user._id
+    res.status(201).json({
+      success: true,
+      testUser: { _id: result.user._id, username: result.user.username, userId: result.user.userId, email: result.user.email }
+    });
+  } catch (error) {
+    console.error('❌ Add test user error:', error);
+    res.status(500).json({ success: false, error: 'Failed to add test user' });
+  }
+});
+
+// 5.4 ลบ test user (ยกเลิกการเชื่อมต่อและ token ที่ผู้ใช้คนนั้นให้แอปไว้ด้วย ถ้าแอปยังไม่ผ่านการตรวจ)
+app.delete('/api/developer/apps/:id/test-users/:userId', authenticateToken, async (req, res) => {
+  try {
+    const app = await OAuthApp.findOneAndUpdate(
+      { _id: req.params.id, developerId: req.user._id, testUsers: req.params.userId },
+      { $pull: { testUsers: req.params.userId } },
+      { new: true }
+    );
+    if (!app) return res.status(404).json({ success: false, error: 'Test user not found' });
+
+    if (app.status !== 'approved') await OAuthService.revokeGrant(req.params.userId, app.clientId);
+
+    res.json({ success: true, message: 'Test user removed successfully' });
+  } catch (error) {
+    console.error('❌ Remove test user error:', error);
+    res.status(500).json({ success: false, error: 'Failed to remove test user' });
+  }
+});
+
+// 6. ลบแอป (Developer Portal)
+app.delete('/api/developer/apps/:id', authenticateToken, async (req, res) => {
+  try {
+    const app = await OAuthApp.findOneAndDelete({ _id: req.params.id, developerId: req.user._id });
+    if (!app) return res.status(404).json({ success: false, error: 'App not found' });
+
+    await WebhookEndpoint.deleteMany({ clientId: app.clientId });
+
+    res.json({ success: true, message: 'App deleted successfully' });
+  } catch (error) {
+    console.error('❌ Delete OAuth App error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete app' });
+  }
+});
+
+// 💰 Get Wallet Information
+app.get('/api/wallet', authenticateToken, async (req, res) => {
+  try {
+    console.log('💰 Fetching wallet for user:', req.user._id);
+
+    const wallet = await Wallet.findOne({ userId: req.user._id });
+
+    if (!wallet) {
+      const newWallet = await createUserWallet(req.user._id);
+      return res.json({
+        success: true,
+        wallet: {
+          balance: newWallet.balance,
+          coinPoints: newWallet.coinPoints,
+          earnedCoins: newWallet.earnedCoins,
+          currency: newWallet.currency
+        }
+      });
+    }
+
+    const identityVerification = await IdentityVerification.findOne({
+      userId: req.user._id
     });
 
     res.json({
@@ -1393,7 +958,9 @@ app.get('/api/wallet', authenticateToken, async (req, res) => {
       wallet: {
         balance: wallet.balance,
         coinPoints: wallet.coinPoints,
-        currency: wallet.currency
+        earnedCoins: wallet.earnedCoins || 0,
+        currency: wallet.currency,
+        frozen: !!wallet.frozenAt
       },
       identityVerification: identityVerification ? {
         status: identityVerification.status,
@@ -1517,59 +1084,9 @@ app.get('/api/wallet/coin-packages', async (req, res) => {
   try {
     console.log('📦 Fetching coin packages');
 
-    // ✅ กำหนด packages เงิน (ราคา 1:1 = coin + bonus)
-    const coinPackages = [
-      {
-        id: 'pkg_50',
-        label: '50 Coins',
-        amount: 50,           // ฿50
-        coinAmount: 50,       // 50 coins
-        bonus: 0,             // ไม่มีโบนัส
-        totalCoins: 50,       // รวม coins
-        savings: '0%',
-        recommended: false
-      },
-      {
-        id: 'pkg_100',
-        label: '100 Coins',
-        amount: 100,          // ฿100
-        coinAmount: 100,      // 100 coins
-        bonus: 0,             // ไม่มีโบนัส
-        totalCoins: 100,      // รวม coins
-        savings: '0%',
-        recommended: false
-      },
-      {
-        id: 'pkg_300',
-        label: '300 Coins + 30 Bonus',
-        amount: 300,          // ฿300
-        coinAmount: 300,      // 300 coins
-        bonus: 30,            // 🎁 แถม 30
-        totalCoins: 330,      // รวม coins
-        savings: '10%',
-        recommended: true     // ⭐ แนะนำ
-      },
-      {
-        id: 'pkg_500',
-        label: '500 Coins + 50 Bonus',
-        amount: 500,          // ฿500
-        coinAmount: 500,      // 500 coins
-        bonus: 50,            // 🎁 แถม 50
-        totalCoins: 550,      // รวม coins
-        savings: '10%',
-        recommended: false
-      },
-      {
-        id: 'pkg_1000',
-        label: '1000 Coins + 150 Bonus',
-        amount: 1000,         // ฿1000
-        coinAmount: 1000,     // 1000 coins
-        bonus: 150,           // 🎁 แถม 150
-        totalCoins: 1150,     // รวม coins
-        savings: '15%',
-        recommended: false
-      }
-    ];
+    // ✅ แพ็กเกจมาจาก collection CoinPackage (แอดมินจัดการราคา/โบนัส/โปรโมชันได้)
+    const now = new Date();
+    const coinPackages = (await CoinPackageService.listActive()).map(pkg => CoinPackageService.serializeForCatalog(pkg, now));
 
     res.json({
       success: true,
@@ -1588,16 +1105,24 @@ app.get('/api/wallet/coin-packages', async (req, res) => {
   }
 });
 
-// �💰 Add Coin Points
+// 💰 Add Coin Points (แอดมินเท่านั้น: เหรียญที่เพิ่มเองส่งเป็นของขวัญเข้ารายได้ที่ถอนเป็นเงินได้)
 app.post('/api/wallet/add-coins', authenticateToken, [
   body('points')
     .isInt({ min: 1, max: 10000 })
-    .withMessage('Points must be between 1-10000'),
+    .withMessage('Points must be between 1-10000')
+    .toInt(),
   body('description')
     .notEmpty()
     .withMessage('Description is required')
 ], async (req, res) => {
   try {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Admin only.'
+      });
+    }
+
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -1610,27 +1135,41 @@ app.post('/api/wallet/add-coins', authenticateToken, [
 
     console.log('💰 Adding coin points for user:', req.user._id, 'points:', points);
 
-    const wallet = await Wallet.findOne({ userId: req.user._id });
-    if (!wallet) {
-      return res.status(404).json({
-        success: false,
-        error: 'Wallet not found'
-      });
+    const referenceId = `MANUAL_${new mongoose.Types.ObjectId()}`;
+    let wallet;
+    let reward;
+    try {
+      ({ wallet, reward } = await LedgerService.transact(async (session) => {
+        const { creditWallet } = await LedgerService.post({
+          referenceId,
+          type: 'manual_credit',
+          debitAccount: LedgerService.ACCOUNTS.MANUAL_ADJUSTMENT,
+          creditAccount: LedgerService.userAccount(req.user._id),
+          amount: points,
+          description
+        }, { session });
+
+        const [createdReward] = await Reward.create([{
+          userId: req.user._id,
+          type: 'earn',
+          points: points,
+          description: description,
+          balanceAfter: creditWallet.coinPoints,
+          referenceId
+        }], { session });
+
+        return { wallet: creditWallet, reward: createdReward };
+      }));
+    } catch (error) {
+      if (error instanceof LedgerService.LedgerError && error.code === 'wallet_not_found') {
+        return res.status(404).json({
+          success: false,
+          error: 'Wallet not found'
+        });
+      }
+      throw error;
     }
 
-    wallet.coinPoints += points;
-    await wallet.save();
-
-    const reward = new Reward({
-      userId: req.user._id,
-      type: 'earn',
-      points: points,
-      description: description,
-      balanceAfter: wallet.coinPoints,
-      referenceId: `MANUAL_${Date.now()}`
-    });
-    await reward.save();
-
     // ✅ เพิ่มการแจ้งเตือนคะแนนคอยน์
     await createCoinPointsNotification(req.user._id, {
       points: points,
@@ -1663,16 +1202,20 @@ app.post('/api/wallet/add-coins', authenticateToken, [
 });
 
 // 📦 Purchase Package
-app.post('/api/packages/purchase', authenticateToken, async (req, res) => {
+app.post('/api/packages/purchase', authenticateToken, requireTwoFactor, async (req, res) => {
   try {
-    const { packageName, price } = req.body;
+    const { packageName } = req.body;
+    const price = Number(req.body.price);
     const userId = req.user._id;
 
-    // 1. ดึงข้อมูล User และ Wallet ปัจจุบัน
+    if (!packageName || typeof packageName !== 'string' || !Number.isInteger(price) || price < 1) {
+      return res.status(400).json({ success: false, error: 'ข้อมูลแพ็กเกจไม่ถูกต้อง' });
+    }
+
+    // 1. ดึงข้อมูล User ปัจจุบัน
     const user = await User.findById(userId);
-    const wallet = await Wallet.findOne({ userId });
 
-    // 2. ป้องกันบัค "ซื้อซ้ำ": เช็คว่าแพ็กเกจเดิมยังไม่หมดอายุใช่ไหม?
+    // 2. ป้องกันบัค "ซื้อซ้ำ": เช็คว่าแพ็กเกจเดิมยังไม่หมดอายุใช่ไหม? (เช็คซ้ำแบบมีเงื่อนไขอีกครั้งตอนตัดเงิน)
     if (user.activePackage && user.activePackage.expiresAt > new Date()) {
       return res.status(400).json({ 
         success: false, 
@@ -1680,33 +1223,76 @@ app.post('/api/packages/purchase', authenticateToken, async (req, res) => {
       });
     }
 
-    // 3. เช็คยอด Coin ว่าพอไหม
-    if (!wallet || wallet.coinPoints < price) {
-      return res.status(400).json({ success: false, error: 'ยอด Coin ไม่เพียงพอ' });
-    }
-
-    // 4. หัก Coin และคำนวณวันหมดอายุ (สมมติแยกตามชื่อแพ็กเกจ)
-    wallet.coinPoints -= price;
-    await wallet.save();
-
+    // 3. คำนวณวันหมดอายุ (สมมติแยกตามชื่อแพ็กเกจ)
     let durationMonths = 1;
     if (packageName.toLowerCase().includes('silver')) durationMonths = 3;
     else if (packageName.toLowerCase().includes('gold')) durationMonths = 6;
     else if (packageName.toLowerCase().includes('platinum')) durationMonths = 12;
 
-    const expiresAt = new Date();
+    const purchasedAt = new Date();
+    const expiresAt = new Date(purchasedAt);
     expiresAt.setMonth(expiresAt.getMonth() + durationMonths);
 
-    // 5. อัปเดตโปรไฟล์ User (ให้กรอบและป้ายสัญลักษณ์เปลี่ยนไปตามแพ็กเกจ)
-    user.activePackage = {
-      name: packageName,
-      purchasedAt: new Date(),
-      expiresAt: expiresAt
-    };
-    user.frameType = packageName.split(' ')[0].toLowerCase(); // เช่น 'silver', 'gold' 
-    await user.save();
+    // 4. หัก Coin + อัปเดตแพ็กเกจ + บันทึกประวัติ ใน Mongo transaction เดียว
+    // (ยอดไม่พอ หรือมีอีก request ซื้อแพ็กเกจสำเร็จไปก่อน = ไม่ตัดเงิน)
+    let wallet;
+    try {
+      wallet = await LedgerService.transact(async (session) => {
+        const referenceId = `PKG_${new mongoose.Types.ObjectId()}`;
+        const { debitWallet } = await LedgerService.post({
+          referenceId,
+          type: 'purchase',
+          debitAccount: LedgerService.userAccount(userId),
+          creditAccount: LedgerService.ACCOUNTS.PACKAGE_SALES,
+          amount: price,
+          description: `ซื้อแพ็กเกจ ${packageName}`,
+          metadata: { packageName }
+        }, { session });
+
+        // 5. อัปเดตโปรไฟล์ User (ให้กรอบและป้ายสัญลักษณ์เปลี่ยนไปตามแพ็กเกจ)
+        const updatedUser = await User.findOneAndUpdate(
+          { _id: userId, 'activePackage.expiresAt': { $not: { $gt: purchasedAt } } },
+          {
+            $set: {
+              activePackage: { name: packageName, purchasedAt, expiresAt },
+              frameType: packageName.split(' ')[0].toLowerCase() // เช่น 'silver', 'gold'
+            }
+          },
+          { session }
+        );
+        if (!updatedUser) throw new Error('PACKAGE_ALREADY_ACTIVE');
+
+        // 6. บันทึกประวัติการใช้จ่าย
+        await Transaction.create([{
+          userId,
+          walletId: debitWallet._id,
+          type: 'payment',
+          amount: price,
+          currency: 'COIN',
+          description: `ซื้อแพ็กเกจ ${packageName}`,
+          status: 'completed',
+          referenceId
+        }], { session });
+
+        return debitWallet;
+      });
+    } catch (error) {
+      if (error instanceof LedgerService.LedgerError && error.code === 'insufficient_funds') {
+        return res.status(400).json({ success: false, error: 'ยอด Coin ไม่เพียงพอ' });
+      }
+      if (error instanceof LedgerService.LedgerError && error.code === 'wallet_frozen') {
+        return res.status(403).json({ success: false, error: 'กระเป๋าเงินถูกระงับชั่วคราว กรุณาติดต่อฝ่ายสนับสนุน', code: 'wallet_frozen' });
+      }
+      if (error.message === 'PACKAGE_ALREADY_ACTIVE') {
+        return res.status(400).json({
+          success: false,
+          error: 'คุณมีแพ็กเกจที่ใช้งานอยู่แล้ว ไม่สามารถซื้อเพิ่มได้จนกว่าจะหมดอายุ'
+        });
+      }
+      throw error;
+    }
 
-    // 6. ส่ง Email ใบเสร็จยืนยันตัวตนด้วย SendGrid
+    // 7. ส่ง Email ใบเสร็จยืนยันตัวตนด้วย SendGrid
     if (process.env.SENDGRID_API_KEY) {
       const emailHtml = `
         <div style="font-family: Arial, sans-serif; padding: 20px; color: #333;">
@@ -1738,19 +1324,6 @@ app.post('/api/packages/purchase', authenticateToken, async (req, res) => {
       sgMail.send(msg).then(() => console.log('📧 SendGrid Email sent')).catch(err => console.error('SendGrid Error:', err));
     }
 
-    // 7. บันทึกประวัติการใช้จ่าย
-    const TransactionModel = mongoose.model('Transaction');
-    await TransactionModel.create({
-      userId: req.user._id,
-      walletId: wallet._id,
-      type: 'payment',
-      amount: price,
-      currency: 'COIN',
-      description: `ซื้อแพ็กเกจ ${packageName}`,
-      status: 'completed',
-      referenceId: `PKG_${Date.now()}`
-    });
-
     res.status(200).json({ 
       success: true, 
       message: 'ชำระเงินและสมัครแพ็กเกจสำเร็จ',
@@ -1768,15 +1341,9 @@ app.post('/api/payment/create-intent', authenticateToken, async (req, res) => {
   try {
     const { packageId } = req.body;
 
-    // 🔒 จำกัดรายการสินค้าไว้ที่ Backend ป้องกันการยิง request แก้ไขราคาก่อนถึง Stripe
-    const coinPackages = {
-      'pkg_100': { priceThb: 35, coins: 100 },
-      'pkg_500': { priceThb: 150, coins: 500 },
-      'pkg_1000': { priceThb: 290, coins: 1000 },
-    };
-
-    const selectedPackage = coinPackages[packageId];
-    if (!selectedPackage) {
+    // 🔒 ราคามาจากแคตตาล็อก CoinPackage ฝั่ง Backend เท่านั้น ป้องกันการยิง request แก้ไขราคาก่อนถึง Stripe
+    const quote = await CoinPackageService.getQuote(packageId);
+    if (!quote) {
       return res.status(400).json({ success: false, error: 'Invalid package ID' });
     }
 
@@ -1784,21 +1351,19 @@ app.post('/api/payment/create-intent', authenticateToken, async (req, res) => {
 
     // สร้าง Payment Intent ไปยัง Stripe
     const paymentIntent = await stripe.paymentIntents.create({
-      amount: selectedPackage.priceThb * 100, // Stripe บังคับให้ระบุเป็นจำนวนที่ย่อยที่สุด (เช่น 1 บาท = 100 สตางค์)
+      amount: quote.priceThb * 100, // Stripe บังคับให้ระบุเป็นจำนวนที่ย่อยที่สุด (เช่น 1 บาท = 100 สตางค์)
       currency: 'thb',
       // เปิดรองรับทั้งการตัดบัตรและพร้อมเพย์
       payment_method_types: ['card', 'promptpay'], 
-      metadata: {
-        userId: req.user._id.toString(), // ฝังข้อมูลไอดีผู้ใช้ เพื่อให้ Webhook รู้ว่าต้องเติมเงินให้ใคร
-        coinAmount: selectedPackage.coins
-      }
+      // ฝังข้อมูลไอดีผู้ใช้และแพ็กเกจ เพื่อให้ Webhook รู้ว่าต้องเติมเงินให้ใครเท่าไร
+      metadata: CoinPackageService.buildStripeMetadata(req.user._id, quote, 'coin_topup')
     });
 
     res.json({
       success: true,
       clientSecret: paymentIntent.client_secret,
-      amountThb: selectedPackage.priceThb,
-      coins: selectedPackage.coins
+      amountThb: quote.priceThb,
+      coins: quote.totalCoins
     });
 
   } catch (error) {
@@ -1813,17 +1378,18 @@ app.post('/api/payment/create-intent', authenticateToken, async (req, res) => {
 // 💳 Create Stripe Session (PromptPay) สำหรับแอปพลิเคชัน
 app.post('/api/wallet/stripe/create-session', authenticateToken, async (req, res) => {
   try {
-    const { amount, coinAmount, method, email } = req.body;
+    const { packageId, email } = req.body;
 
-    if (!amount || !coinAmount) {
-      return res.status(400).json({ success: false, error: 'Amount and coinAmount are required' });
+    const quote = await CoinPackageService.getQuote(packageId);
+    if (!quote) {
+      return res.status(400).json({ success: false, error: 'Invalid package ID' });
     }
 
-    console.log(`💳 Creating Stripe PromptPay session for user ${req.user._id}, Amount: ${amount}, Coins: ${coinAmount}`);
+    console.log(`💳 Creating Stripe PromptPay session for user ${req.user._id}, Package: ${quote.packageId}, Amount: ${quote.priceThb}, Coins: ${quote.totalCoins}`);
 
     // สร้างและ Confirm Payment Intent ทันทีเพื่อให้ Stripe ออก QR Code ให้
     const paymentIntent = await stripe.paymentIntents.create({
-      amount: parseInt(amount) * 100, // แปลงบาทเป็นสตางค์ (Stripe ใช้หน่วยย่อยที่สุด)
+      amount: quote.priceThb * 100, // แปลงบาทเป็นสตางค์ (Stripe ใช้หน่วยย่อยที่สุด)
       currency: 'thb',
       payment_method_types: ['promptpay'],
       payment_method_data: {
@@ -1834,11 +1400,7 @@ app.post('/api/wallet/stripe/create-session', authenticateToken, async (req, res
       },
       confirm: true, // บังคับ Confirm เพื่อให้สร้าง URL จ่ายเงินทันที
       return_url: 'https://chatchat-backend.onrender.com', // จำเป็นต้องใส่เมื่อบังคับ confirm แบบ Redirect
-      metadata: {
-        userId: req.user._id.toString(),
-        coinAmount: coinAmount.toString(),
-        type: 'promptpay'
-      }
+      metadata: CoinPackageService.buildStripeMetadata(req.user._id, quote, 'promptpay')
     });
 
     // ดึงลิงก์ Voucher ที่มีรูป QR Code ของ PromptPay ออกมา
@@ -1859,24 +1421,21 @@ app.post('/api/wallet/stripe/create-session', authenticateToken, async (req, res
 // 💳 POST /api/wallet/stripe/create-intent (สำหรับบัตรเครดิต)
 app.post('/api/wallet/stripe/create-intent', authenticateToken, async (req, res) => {
   try {
-    const { amount, coinAmount, email } = req.body;
+    const { packageId, email } = req.body;
 
-    if (!amount || !coinAmount) {
-      return res.status(400).json({ success: false, error: 'Amount and coinAmount are required' });
+    const quote = await CoinPackageService.getQuote(packageId);
+    if (!quote) {
+      return res.status(400).json({ success: false, error: 'Invalid package ID' });
     }
 
-    console.log(`💳 Creating Stripe Credit Card intent for user ${req.user._id}, Amount: ${amount}`);
+    console.log(`💳 Creating Stripe Credit Card intent for user ${req.user._id}, Package: ${quote.packageId}, Amount: ${quote.priceThb}`);
 
     const paymentIntent = await stripe.paymentIntents.create({
-      amount: parseInt(amount) * 100, // สตางค์
+      amount: quote.priceThb * 100, // สตางค์
       currency: 'thb',
       payment_method_types: ['card'],
       receipt_email: email || req.user.email,
-      metadata: { 
-        userId: req.user._id.toString(), 
-        coinAmount: coinAmount.toString(), 
-        type: 'credit_card' 
-      }
+      metadata: CoinPackageService.buildStripeMetadata(req.user._id, quote, 'credit_card')
     });
 
     // สำหรับบัตรเครดิต เราต้องการแค่ส่ง Client Secret ไปให้แอปเอาไปเข้า Payment Sheet
@@ -1896,12 +1455,10 @@ app.post('/api/wallet/stripe/create-intent', authenticateToken, async (req, res)
 
 // 💳 Create Stripe Checkout Session (แบบไดนามิก - ไม่ต้องสร้างสินค้าใน Dashboard)
 app.post('/api/wallet/stripe/checkout-session', authenticateToken, [
-  body('amount')
-    .isFloat({ min: 1, max: 1000000 })
-    .withMessage('Amount must be between 1-1000000'),
-  body('coinAmount')
-    .isInt({ min: 1 })
-    .withMessage('Coin amount must be a positive integer')
+  body('packageId')
+    .isString()
+    .notEmpty()
+    .withMessage('packageId is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -1909,10 +1466,13 @@ app.post('/api/wallet/stripe/checkout-session', authenticateToken, [
       return res.status(400).json({ success: false, error: errors.array()[0].msg });
     }
 
-    const { amount, coinAmount } = req.body;
+    const quote = await CoinPackageService.getQuote(req.body.packageId);
+    if (!quote) {
+      return res.status(400).json({ success: false, error: 'Invalid package ID' });
+    }
     const userId = req.user._id.toString();
 
-    console.log(`💳 Creating Stripe Checkout Session for user ${userId}, Amount: ${amount} THB, Coins: ${coinAmount}`);
+    console.log(`💳 Creating Stripe Checkout Session for user ${userId}, Package: ${quote.packageId}, Amount: ${quote.priceThb} THB, Coins: ${quote.totalCoins}`);
 
     // สร้าง Checkout Session ด้วยสินค้าแบบไดนามิก (ไม่ต้องสร้างใน Dashboard)
     const session = await stripe.checkout.sessions.create({
@@ -1922,11 +1482,11 @@ app.post('/api/wallet/stripe/checkout-session', authenticateToken, [
           price_data: {
             currency: 'thb',
             product_data: {
-              name: `Coin Package - ${coinAmount} Coins`,
-              description: `Topup wallet with ${coinAmount} coins`,
+              name: `Coin Package - ${quote.totalCoins} Coins`,
+              description: `Topup wallet with ${quote.totalCoins} coins`,
               images: ['https://via.placeholder.com/300x300?text=Coins'], // สามารถใส่ URL รูปสินค้าเอง
             },
-            unit_amount: Math.round(parseFloat(amount) * 100), // แปลงบาทเป็นสตางค์
+            unit_amount: quote.priceThb * 100, // แปลงบาทเป็นสตางค์
           },
           quantity: 1,
         },
@@ -1935,10 +1495,10 @@ app.post('/api/wallet/stripe/checkout-session', authenticateToken, [
       success_url: `${process.env.FRONTEND_URL || 'https://localhost:3000'}/payment-success?session_id={CHECKOUT_SESSION_ID}`,
       cancel_url: `${process.env.FRONTEND_URL || 'https://localhost:3000'}/payment-cancel`,
       customer_email: req.user.email,
-      metadata: {
-        userId: userId,
-        coinAmount: coinAmount.toString(),
-        type: 'coin_topup',
+      metadata: CoinPackageService.buildStripeMetadata(userId, quote, 'coin_topup'),
+      // ส่ง metadata ต่อไปที่ PaymentIntent ด้วย เพื่อให้ผูกการคืนเงิน (charge.refunded) กับผู้ใช้ได้
+      payment_intent_data: {
+        metadata: CoinPackageService.buildStripeMetadata(userId, quote, 'coin_topup'),
       },
     });
 
@@ -1970,12 +1530,10 @@ app.post('/api/wallet/stripe/checkout-session', authenticateToken, [
 
 // 💳 Create Stripe Payment Link (แบบไดนามิก - ส่งลิงก์โดยตรง)
 app.post('/api/wallet/stripe/payment-link', authenticateToken, [
-  body('amount')
-    .isFloat({ min: 1, max: 1000000 })
-    .withMessage('Amount must be between 1-1000000'),
-  body('coinAmount')
-    .isInt({ min: 1 })
-    .withMessage('Coin amount must be a positive integer')
+  body('packageId')
+    .isString()
+    .notEmpty()
+    .withMessage('packageId is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -1983,10 +1541,13 @@ app.post('/api/wallet/stripe/payment-link', authenticateToken, [
       return res.status(400).json({ success: false, error: errors.array()[0].msg });
     }
 
-    const { amount, coinAmount } = req.body;
+    const quote = await CoinPackageService.getQuote(req.body.packageId);
+    if (!quote) {
+      return res.status(400).json({ success: false, error: 'Invalid package ID' });
+    }
     const userId = req.user._id.toString();
 
-    console.log(`💳 Creating Stripe Payment Link for user ${userId}, Amount: ${amount} THB, Coins: ${coinAmount}`);
+    console.log(`💳 Creating Stripe Payment Link for user ${userId}, Package: ${quote.packageId}, Amount: ${quote.priceThb} THB, Coins: ${quote.totalCoins}`);
 
     // สร้าง Payment Link ด้วยสินค้าแบบไดนามิก
     const paymentLink = await stripe.paymentLinks.create({
@@ -1995,18 +1556,18 @@ app.post('/api/wallet/stripe/payment-link', authenticateToken, [
           price_data: {
             currency: 'thb',
             product_data: {
-              name: `Coin Package - ${coinAmount} Coins`,
-              description: `Topup wallet with ${coinAmount} coins via Payment Link`,
+              name: `Coin Package - ${quote.totalCoins} Coins`,
+              description: `Topup wallet with ${quote.totalCoins} coins via Payment Link`,
             },
-            unit_amount: Math.round(parseFloat(amount) * 100), // สตางค์
+            unit_amount: quote.priceThb * 100, // สตางค์
           },
           quantity: 1,
         },
       ],
-      metadata: {
-        userId: userId,
-        coinAmount: coinAmount.toString(),
-        type: 'coin_topup',
+      metadata: CoinPackageService.buildStripeMetadata(userId, quote, 'coin_topup'),
+      // ส่ง metadata ต่อไปที่ PaymentIntent ด้วย เพื่อให้ผูกการคืนเงิน (charge.refunded) กับผู้ใช้ได้
+      payment_intent_data: {
+        metadata: CoinPackageService.buildStripeMetadata(userId, quote, 'coin_topup'),
       },
     });
 
@@ -2035,12 +1596,10 @@ app.post('/api/wallet/stripe/payment-link', authenticateToken, [
 
 // ✅ NEW Endpoint: /api/wallet/promptpay/payment (ใช้ Stripe PromptPay)
 app.post('/api/wallet/promptpay/payment', authenticateToken, [
-  body('amount')
-    .isFloat({ min: 1, max: 1000000 })
-    .withMessage('Amount must be between 1-1000000'),
-  body('coinAmount')
-    .isInt({ min: 1 })
-    .withMessage('Coin amount must be a positive integer')
+  body('packageId')
+    .isString()
+    .notEmpty()
+    .withMessage('packageId is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -2048,15 +1607,18 @@ app.post('/api/wallet/promptpay/payment', authenticateToken, [
       return res.status(400).json({ success: false, error: errors.array()[0].msg });
     }
 
-    const { amount, coinAmount } = req.body;
+    const quote = await CoinPackageService.getQuote(req.body.packageId);
+    if (!quote) {
+      return res.status(400).json({ success: false, error: 'Invalid package ID' });
+    }
     const userId = req.user._id.toString();
 
-    console.log(`💳 Creating Stripe PromptPay Payment for user ${userId}, Amount: ${amount} THB, Coins: ${coinAmount}`);
+    console.log(`💳 Creating Stripe PromptPay Payment for user ${userId}, Package: ${quote.packageId}, Amount: ${quote.priceThb} THB, Coins: ${quote.totalCoins}`);
 
     // ✅ ใช้ Stripe Payment Intent สำหรับ PromptPay
     // Stripe จะตรวจสอบการชำระโดยอัตโนมัติ
     const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(parseFloat(amount) * 100), // แปลงบาทเป็นสตางค์
+      amount: quote.priceThb * 100, // แปลงบาทเป็นสตางค์
       currency: 'thb',
       payment_method_types: ['promptpay'],
         payment_method_data: {
@@ -2068,12 +1630,8 @@ app.post('/api/wallet/promptpay/payment', authenticateToken, [
       confirm: true, // บังคับ confirm เพื่อให้ Stripe สร้าง QR Code
       return_url: `${process.env.FRONTEND_URL || 'https://localhost:3000'}/promptpay-success?payment_intent={PAYMENT_INTENT}`,
       receipt_email: req.user.email,
-      metadata: {
-        userId: userId,
-        coinAmount: coinAmount.toString(),
-        type: 'promptpay_topup'
-      },
-      description: `PromptPay Top-up: ${coinAmount} coins`
+      metadata: CoinPackageService.buildStripeMetadata(userId, quote, 'promptpay_topup'),
+      description: `PromptPay Top-up: ${quote.totalCoins} coins`
     });
 
     console.log('✅ Stripe PromptPay Payment Intent created:', {
@@ -2096,8 +1654,9 @@ app.post('/api/wallet/promptpay/payment', authenticateToken, [
       clientSecret: paymentIntent.client_secret,
       qrCodeUrl: qrCodeUrl, // ✅ QR Code จาก Stripe
       status: paymentIntent.status, // 'requires_payment_method' → 'succeeded'
-      amount: amount,
-      coinAmount: coinAmount
+      packageId: quote.packageId,
+      amount: quote.priceThb,
+      coinAmount: quote.totalCoins
     });
 
   } catch (error) {
@@ -2351,22 +1910,37 @@ app.post('/api/identity/face-scan/:verificationId', authenticateToken, [
       identityVerification.status = 'verified';
       identityVerification.verifiedAt = new Date();
 
-      const wallet = await Wallet.findOne({ userId: req.user._id });
-      if (wallet) {
-        const rewardPoints = 100;
-        wallet.coinPoints += rewardPoints;
-        await wallet.save();
-
-        const reward = new Reward({
-          userId: req.user._id,
-          type: 'earn',
-          points: rewardPoints,
-          description: 'รางวัลการยืนยันตัวตนสำเร็จ',
-          balanceAfter: wallet.coinPoints,
-          referenceId: `VERIFY_${verificationId}`
+      const rewardPoints = 100;
+      let rewarded = false;
+      try {
+        // referenceId ต่อ verification กันได้รางวัลซ้ำเมื่อส่ง step สุดท้ายซ้ำ
+        await LedgerService.transact(async (session) => {
+          const { creditWallet } = await LedgerService.post({
+            referenceId: `VERIFY_${verificationId}`,
+            type: 'reward',
+            debitAccount: LedgerService.ACCOUNTS.REWARDS,
+            creditAccount: LedgerService.userAccount(req.user._id),
+            amount: rewardPoints,
+            description: 'รางวัลการยืนยันตัวตนสำเร็จ'
+          }, { session });
+
+          await Reward.create([{
+            userId: req.user._id,
+            type: 'earn',
+            points: rewardPoints,
+            description: 'รางวัลการยืนยันตัวตนสำเร็จ',
+            balanceAfter: creditWallet.coinPoints,
+            referenceId: `VERIFY_${verificationId}`
+          }], { session });
         });
-        await reward.save();
+        rewarded = true;
+      } catch (error) {
+        const skipped = LedgerService.isDuplicate(error)
+          || (error instanceof LedgerService.LedgerError && error.code === 'wallet_not_found');
+        if (!skipped) throw error;
+      }
 
+      if (rewarded) {
         // ✅ สร้างการแจ้งเตือนยืนยันตัวตนสำเร็จ
         await createIdentityVerificationNotification(req.user._id, {
           method: identityVerification.verificationMethod,
@@ -2585,191 +2159,7 @@ app.post('/api/bank/launch', authenticateToken, [
 // =============================================
 // 🔐 AUTHENTICATION & PROFILE API ROUTES
 // =============================================
-
-// 👤 User Registration
-app.post('/api/register', validateRegistration, async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        error: errors.array()[0].msg
-      });
-    }
-
-    const {
-      username,
-      email,
-      password,
-      phone,
-      language = 'en',
-      theme = 'white',
-      pdpa_consent,
-      consent_timestamp
-    } = req.body;
-
-    console.log('👤 User registration attempt:', {
-      username,
-      email, 
-      phone,
-      pdpa_consent,
-      consent_timestamp 
-    });
-
-    if (!pdpa_consent) {
-      return res.status(400).json({
-        success: false,
-        error: 'PDPA consent is required for registration'
-      });
-    }
-
-    const existingUser = await User.findOne({ email });
-    if (!existingUser) {
-      const salt = generateSalt();
-      const passwordHash = hashPassword(password, salt);
-      const authToken = generateAuthToken(new mongoose.Types.ObjectId());
-
-      const newUser = new User({
-        username: username.trim(),
-        email: email.trim().toLowerCase(),
-        phone: phone ? phone.trim() : '',
-        passwordHash,
-        passwordSalt: salt,
-        authToken,
-        tokenExpiry: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
-        settings: {
-          language: language,
-          theme: theme
-        },
-        pdpaConsent: pdpa_consent,
-        consentTimestamp: consent_timestamp || new Date().toISOString()
-      });
-
-      await newUser.save();
-
-      await createUserWallet(newUser._id);
-
-      await createOfficialChat(newUser._id);
-
-      console.log('✅ User registered successfully with PDPA consent:', newUser._id);
-
-      res.status(201).json({
-        success: true,
-        message: 'User registered successfully',
-        user: {
-          id: newUser._id,
-          username: newUser.username,
-          email: newUser.email,
-          phone: newUser.phone,
-          settings: newUser.settings,
-          pdpaConsent: newUser.pdpaConsent,
-          consentTimestamp: newUser.consentTimestamp
-        },
-        authToken
-      });
-    } else {
-      return res.status(400).json({
-        success: false,
-        error: 'Email already registered'
-      });
-    }
-
-  } catch (error) {
-    console.error('❌ Registration error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Registration failed: ' + error.message
-    });
-  }
-});
-
-// 🔐 User Login
-app.post('/api/login', validateLogin, async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        error: errors.array()[0].msg
-      });
-    }
-
-    const { email, password } = req.body;
-
-    console.log('🔐 Login attempt for email:', email);
-
-    const user = await User.findOne({ email: email.trim().toLowerCase() });
-    if (user) {
-      if (user.failedLoginAttempts >= 5) {
-        const lockoutTime = 15 * 60 * 1000;
-        const timeSinceLastAttempt = Date.now() - (user.lastLogin?.getTime() || 0);
-
-        if (timeSinceLastAttempt < lockoutTime) {
-          return res.status(429).json({
-            success: false,
-            error: 'Account temporarily locked due to too many failed attempts'
-          });
-        } else {
-          user.failedLoginAttempts = 0;
-        }
-      }
-
-      const isValid = verifyPassword(password, user.passwordHash, user.passwordSalt);
-      if (isValid) {
-        const authToken = generateAuthToken(user._id);
-
-        user.authToken = authToken;
-        user.tokenExpiry = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-        user.lastLogin = new Date();
-        user.failedLoginAttempts = 0;
-        await user.save();
-
-        await createOfficialChat(user._id);
-
-        console.log('✅ Login successful for user:', user._id);
-
-        res.json({
-          success: true,
-          message: 'Login successful',
-          user: {
-            id: user._id,
-            username: user.username,
-            email: user.email,
-            phone: user.phone,
-            settings: user.settings,
-            profilePicture: user.profilePicture,
-            userId: user.userId,
-            pdpaConsent: user.pdpaConsent
-          },
-          authToken
-        });
-      } else {
-        user.failedLoginAttempts += 1;
-        user.lastLogin = new Date();
-        await user.save();
-
-        console.log('❌ Invalid password for user:', email);
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid email or password'
-        });
-      }
-    } else {
-      console.log('❌ User not found:', email);
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid email or password'
-      });
-    }
-
-  } catch (error) {
-    console.error('❌ Login error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Login failed'
-    });
-  }
-});
+// ℹ️ /api/register, /api/login, /api/logout อยู่ที่ routes/authRoutes.js → controllers/authController.js
 
 // 👤 Get User Profile
 app.post('/api/system/support-account', async (req, res) => {
@@ -2836,6 +2226,7 @@ app.get('/api/profile', authenticateToken, async (req, res) => {
         email: req.user.email,
         emailVerified: req.user.emailVerified,
         phone: req.user.phone,
+        phoneVerified: req.user.phoneVerified,
         settings: req.user.settings,
         profilePicture: req.user.profilePicture,
         userId: req.user.userId,
@@ -2858,12 +2249,16 @@ app.get('/api/profile', authenticateToken, async (req, res) => {
         socials: req.user.socials,
         activePackage: req.user.activePackage,
         frameType: req.user.frameType,
-        badgeUrl: req.user.badgeUrl
+        badgeUrl: req.user.badgeUrl,
+        hasPassword: req.user.hasPassword !== false,
+        linkedProviders: (req.user.federatedIdentities || []).map(identity => identity.provider)
       },
       wallet: wallet ? {
         balance: wallet.balance,
         coinPoints: wallet.coinPoints,
-        currency: wallet.currency
+        earnedCoins: wallet.earnedCoins || 0,
+        currency: wallet.currency,
+        frozen: !!wallet.frozenAt
       } : null,
       identityVerification: identityVerification ? {
         status: identityVerification.status,
@@ -2964,7 +2359,12 @@ app.put('/api/profile', authenticateToken, [
 
     // --- Other Profile Fields Update ---
     if (profilePicture !== undefined) req.user.profilePicture = profilePicture;
-    if (phone !== undefined) req.user.phone = phone.trim();
+    // เปลี่ยนเบอร์แล้วต้องยืนยันใหม่ผ่าน /api/user/phone/send-otp
+    if (phone !== undefined && phone.trim() !== req.user.phone) {
+      req.user.phone = phone.trim();
+      req.user.phoneVerified = false;
+      req.user.phoneVerifiedAt = undefined;
+    }
     if (coverImage !== undefined) req.user.coverImage = coverImage;
     if (bio !== undefined) req.user.bio = bio;
     if (aboutMe !== undefined) req.user.aboutMe = aboutMe;
@@ -3277,7 +2677,7 @@ app.get('/api/recovery/info', authenticateToken, async (req, res) => {
 });
 
 // 🔄 Update Recovery ID
-app.put('/api/recovery/update', authenticateToken, [
+app.put('/api/recovery/update', authenticateToken, requireTwoFactor, [
   body('currentAnswer')
     .notEmpty()
     .withMessage('Current security answer is required'),
@@ -3878,11 +3278,11 @@ app.get('/api/users/search', authenticateToken, async (req, res) => {
         { username: { $regex: searchTerm, $options: 'i' } },
         { email: { $regex: searchTerm, $options: 'i' } },
         { userId: { $regex: searchTerm, $options: 'i' } },
-        { phone: { $regex: searchTerm, $options: 'i' } }
+        { phone: { $regex: searchTerm, $options: 'i' }, phoneVerified: true }
       ],
       isActive: true
     })
-    .select('username email userId profilePicture userType lastLogin createdAt phone')
+    .select('username email userId profilePicture userType lastLogin createdAt phone phoneVerified')
     .limit(20);
 
     console.log('✅ Found', users.length, 'users for query:', searchTerm);
@@ -3891,7 +3291,7 @@ app.get('/api/users/search', authenticateToken, async (req, res) => {
       id: user.userId || user._id.toString(),
       name: user.username,
       email: user.email,
-      phone: user.phone,
+      phone: user.phoneVerified ? user.phone : null,
       avatar: user.profilePicture || '👤',
       isOnline: user.lastLogin && (Date.now() - user.lastLogin.getTime() < 5 * 60 * 1000),
       mutualFriends: 0,
@@ -4632,6 +4032,7 @@ app.get('/api/chats/:chatId/messages', authenticateToken, async (req, res) => {
           isMe: isMe,
           isSystem: isSystem,
           messageType: msg.messageType,
+          gift: msg.messageType === 'gift' ? msg.gift : undefined,
           isDeleted: false,
           profilePicture: msg.senderId.profilePicture,
           senderId: msg.senderId.userId || msg.senderId._id.toString(),
@@ -4667,6 +4068,14 @@ app.post('/api/chats/:chatId/messages', authenticateToken, async (req, res) => {
     const { chatId } = req.params;
     const { content, messageType = 'text' } = req.body;
 
+    // ข้อความของขวัญต้องผ่าน POST /api/chats/:chatId/gifts (ตัดเหรียญจริง) เท่านั้น
+    if (messageType === 'gift') {
+      return res.status(400).json({
+        success: false,
+        error: 'Use POST /api/chats/:chatId/gifts to send gifts'
+      });
+    }
+
     console.log('📤 Sending message to chat:', chatId);
 
     const chat = await Chat.findOne({
@@ -4713,6 +4122,11 @@ app.post('/api/chats/:chatId/messages', authenticateToken, async (req, res) => {
         }
       });
 
+      // แจ้งแอปพาร์ทเนอร์ถ้าแชทนี้มีบัญชีทางการของแอปอยู่ (ไม่รอผล ไม่ให้กระทบการส่งข้อความ)
+      WebhookService.notifyOfficialAccountMessage(chat, newMessage, req.user).catch(error => {
+        console.error('❌ Official account webhook error:', error);
+      });
+
       console.log('✅ Message sent successfully');
 
       res.json({
@@ -5278,46 +4692,21 @@ app.post('/api/friend/push-notification', authenticateToken, async (req, res) =>
 // ⚙️ SETTINGS & OTHER ROUTES
 // =============================================
 
-// 🚪 User Logout
-app.post('/api/logout', authenticateToken, async (req, res) => {
+// ⚙️ Get App Settings
+app.get('/api/settings', async (req, res) => {
   try {
-    console.log('🚪 User logout:', req.user._id);
+    console.log('📥 Received request for app settings');
 
-    req.user.authToken = null;
-    req.user.tokenExpiry = null;
-    await req.user.save();
+    let settings = await AppSettings.findOne({ type: 'default_settings' });
 
-    console.log('✅ User logged out successfully');
-
-    res.json({
-      success: true,
-      message: 'Logged out successfully'
-    });
-
-  } catch (error) {
-    console.error('❌ Logout error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Logout failed'
-    });
-  }
-});
-
-// ⚙️ Get App Settings
-app.get('/api/settings', async (req, res) => {
-  try {
-    console.log('📥 Received request for app settings');
-
-    let settings = await AppSettings.findOne({ type: 'default_settings' });
-
-    if (!settings) {
-      console.log('🆕 Creating new default settings');
-      settings = await AppSettings.create({
-        type: 'default_settings',
-        language: 'en',
-        theme: 'white'
-      });
-    }
+    if (!settings) {
+      console.log('🆕 Creating new default settings');
+      settings = await AppSettings.create({
+        type: 'default_settings',
+        language: 'en',
+        theme: 'white'
+      });
+    }
 
     const mourningSettings = await MourningSettings.findOne({ type: 'mourning_settings' });
     const isMourning = mourningSettings?.isMourningPeriod || false;
@@ -5587,6 +4976,11 @@ const fcmTokenUpdateHandler = async (req, res) => {
     req.user.updatedAt = new Date();
     await req.user.save();
 
+    // 📱 ผูก FCM token กับ Session ของอุปกรณ์นี้ด้วย
+    req.authSession.fcmToken = fcmToken;
+    req.authSession.platform = platform;
+    await req.authSession.save();
+
     console.log('✅ FCM token updated successfully for user:', req.user._id);
 
     // ✅ สร้างการแจ้งเตือนระบบ
@@ -5884,7 +5278,7 @@ app.put('/api/user/change-id', authenticateToken, [
 });
 
 // 📧 Change Email
-app.post('/api/user/change-email', authenticateToken, [
+app.post('/api/user/change-email', authenticateToken, requireTwoFactor, [
   body('newEmail')
     .isEmail()
     .withMessage('Must be a valid email')
@@ -7524,6 +6918,935 @@ app.post('/api/agora/token', authenticateToken, async (req, res) => {
   }
 });
 
+// 📦 จัดการแคตตาล็อกแพ็กเกจเหรียญ (รวมแพ็กเกจที่ปิดขาย)
+app.get('/api/admin/coin-packages', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Admin only.'
+      });
+    }
+
+    const now = new Date();
+    const packages = await CoinPackage.find().sort({ sortOrder: 1, priceThb: 1 });
+
+    res.json({
+      success: true,
+      packages: packages.map(pkg => ({ ...pkg.toObject(), currentQuote: CoinPackageService.quote(pkg, now) }))
+    });
+  } catch (error) {
+    console.error('❌ Get admin coin packages error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get coin packages'
+    });
+  }
+});
+
+app.post('/api/admin/coin-packages', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Admin only.'
+      });
+    }
+
+    const { error, values } = CoinPackageService.parseInput(req.body);
+    if (error) return res.status(400).json({ success: false, error });
+
+    if (await CoinPackage.exists({ packageId: values.packageId })) {
+      return res.status(409).json({ success: false, error: 'packageId already exists' });
+    }
+
+    const coinPackage = await CoinPackage.create({ ...values, createdBy: req.user._id, updatedBy: req.user._id });
+
+    await AuditLog.create({
+      userId: req.user._id,
+      action: 'coin_package_created',
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+      metadata: { packageId: coinPackage.packageId, priceThb: coinPackage.priceThb, coins: coinPackage.coins }
+    });
+
+    res.status(201).json({ success: true, package: coinPackage });
+  } catch (error) {
+    console.error('❌ Create coin package error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create coin package'
+    });
+  }
+});
+
+// แก้ไขราคา/โบนัส/โปรโมชัน (packageId เปลี่ยนไม่ได้ เพราะผูกกับ metadata ของรายการ Stripe ที่เกิดไปแล้ว)
+app.put('/api/admin/coin-packages/:packageId', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Admin only.'
+      });
+    }
+
+    // packageId มาจาก URL เท่านั้น ห้ามเปลี่ยนผ่าน body
+    const changes = { ...req.body };
+    delete changes.packageId;
+    const { error, values } = CoinPackageService.parseInput(changes, { partial: true });
+    if (error) return res.status(400).json({ success: false, error });
+
+    const coinPackage = await CoinPackage.findOne({ packageId: req.params.packageId });
+    if (!coinPackage) return res.status(404).json({ success: false, error: 'Coin package not found' });
+
+    Object.assign(coinPackage, values, { updatedBy: req.user._id, updatedAt: new Date() });
+    await coinPackage.save();
+
+    await AuditLog.create({
+      userId: req.user._id,
+      action: 'coin_package_updated',
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+      metadata: { packageId: coinPackage.packageId, changes: values }
+    });
+
+    res.json({ success: true, package: coinPackage });
+  } catch (error) {
+    console.error('❌ Update coin package error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update coin package'
+    });
+  }
+});
+
+// ลบ = ปิดขาย (เก็บไว้อ้างอิงรายการที่ซื้อไปแล้ว)
+app.delete('/api/admin/coin-packages/:packageId', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Admin only.'
+      });
+    }
+
+    const coinPackage = await CoinPackage.findOneAndUpdate(
+      { packageId: req.params.packageId },
+      { $set: { active: false, updatedBy: req.user._id, updatedAt: new Date() } },
+      { new: true }
+    );
+    if (!coinPackage) return res.status(404).json({ success: false, error: 'Coin package not found' });
+
+    await AuditLog.create({
+      userId: req.user._id,
+      action: 'coin_package_deactivated',
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+      metadata: { packageId: coinPackage.packageId }
+    });
+
+    res.json({ success: true, message: 'Coin package deactivated', package: coinPackage });
+  } catch (error) {
+    console.error('❌ Deactivate coin package error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to deactivate coin package'
+    });
+  }
+});
+
+// 💳 Stripe event store: ดู event ที่ประมวลผลไม่สำเร็จ (ค่าเริ่มต้น = failed)
+app.get('/api/admin/stripe-events', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Admin only.'
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const status = ['pending', 'processed', 'ignored', 'failed'].includes(req.query.status) ? req.query.status : 'failed';
+    const filter = { status };
+    if (req.query.type) filter.type = String(req.query.type);
+
+    const [events, total] = await Promise.all([
+      StripeEvent.find(filter)
+        .select('-payload')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      StripeEvent.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      events,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('❌ Get Stripe events error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get Stripe events'
+    });
+  }
+});
+
+// ประมวลผล event ที่ failed ใหม่ (เช่น หลังแก้ข้อมูล Wallet ของผู้ใช้แล้ว)
+app.post('/api/admin/stripe-events/:eventId/retry', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Admin only.'
+      });
+    }
+
+    const stripeEvent = await StripeEvent.findOne({ eventId: req.params.eventId });
+    if (!stripeEvent) return res.status(404).json({ success: false, error: 'Stripe event not found' });
+
+    const result = await StripeEventService.retry(stripeEvent);
+    if (!result) return res.status(409).json({ success: false, error: `Only failed events can be retried (event is ${stripeEvent.status})` });
+
+    await AuditLog.create({
+      userId: req.user._id,
+      action: 'stripe_event_retry',
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+      metadata: { eventId: result.eventId, type: result.type, status: result.status }
+    });
+
+    const event = await StripeEvent.findById(result._id).select('-payload');
+    res.json({ success: result.status !== 'failed', event });
+  } catch (error) {
+    console.error('❌ Retry Stripe event error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry Stripe event'
+    });
+  }
+});
+
+// ↩️ คืนเงินการเติมเหรียญผ่าน Stripe (เต็มจำนวนหรือบางส่วน) แล้วหักเหรียญคืนทันที
+// charge.refunded ที่ตามมาจาก webhook จะไม่หักซ้ำ (หักเฉพาะส่วนที่ยังไม่ได้หัก)
+app.post('/api/admin/stripe/refunds', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Admin only.'
+      });
+    }
+
+    const paymentIntentId = typeof req.body.paymentIntentId === 'string' ? req.body.paymentIntentId : '';
+    const reason = req.body.reason ? String(req.body.reason).trim().substring(0, 500) : undefined;
+    if (!/^pi_\w+$/.test(paymentIntentId)) {
+      return res.status(400).json({ success: false, error: 'paymentIntentId is required' });
+    }
+
+    let amount;
+    if (req.body.amountThb !== undefined) {
+      const amountThb = Number(req.body.amountThb);
+      if (!Number.isFinite(amountThb) || amountThb <= 0) {
+        return res.status(400).json({ success: false, error: 'amountThb must be a positive number' });
+      }
+      amount = Math.round(amountThb * 100);
+    }
+
+    const topup = await LedgerEntry.findOne({ referenceId: `TOPUP_${paymentIntentId}` });
+    if (!topup) return res.status(404).json({ success: false, error: 'Top-up not found for this payment' });
+
+    let refund;
+    try {
+      refund = await stripe.refunds.create({
+        payment_intent: paymentIntentId,
+        amount,
+        reason: 'requested_by_customer',
+        metadata: { refundedBy: req.user._id.toString(), note: reason || '' }
+      });
+    } catch (error) {
+      if (error.type === 'StripeInvalidRequestError') {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      throw error;
+    }
+
+    // หักเหรียญไม่สำเร็จตรงนี้ไม่เป็นไร: event charge.refunded จะ retry ให้
+    let clawback = null;
+    try {
+      const charge = await stripe.charges.retrieve(refund.charge);
+      clawback = await StripeEventService.clawbackRefund(charge);
+    } catch (error) {
+      console.error('❌ Refund clawback error (will retry from webhook):', { refundId: refund.id, error: error.message });
+    }
+
+    await AuditLog.create({
+      userId: req.user._id,
+      action: 'stripe_refund_created',
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+      metadata: {
+        refundId: refund.id,
+        paymentIntentId,
+        amountThb: refund.amount / 100,
+        reason,
+        coinsClawedBack: clawback && clawback.coins,
+        negativeBalance: clawback && clawback.negativeBalance
+      }
+    });
+
+    res.json({
+      success: true,
+      refund: { id: refund.id, amountThb: refund.amount / 100, status: refund.status, chargeId: refund.charge },
+      clawback
+    });
+  } catch (error) {
+    console.error('❌ Create Stripe refund error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create refund'
+    });
+  }
+});
+
+// 🧊 Wallet ที่ถูกระงับ (dispute) หรือยอดติดลบจากการหักคืน รอแอดมินตรวจ
+app.get('/api/admin/wallets/flagged', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Admin only.'
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const conditions = {
+      frozen: { frozenAt: { $ne: null } },
+      negative_balance: { negativeBalanceFlaggedAt: { $ne: null } }
+    };
+    const filter = conditions[req.query.flag] || { $or: Object.values(conditions) };
+
+    const [wallets, total] = await Promise.all([
+      Wallet.find(filter)
+        .populate('userId', 'username userId email')
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Wallet.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      wallets,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('❌ Get flagged wallets error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get flagged wallets'
+    });
+  }
+});
+
+// ระงับ / ปลดระงับ Wallet และปิดธงยอดติดลบหลังตรวจแล้ว
+app.post('/api/admin/wallets/:userId/:action(freeze|unfreeze|clear-negative-flag)', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Admin only.'
+      });
+    }
+
+    const { action } = req.params;
+    const reason = req.body.reason ? String(req.body.reason).trim().substring(0, 500) : undefined;
+    if (action === 'freeze' && !reason) {
+      return res.status(400).json({ success: false, error: 'Reason is required' });
+    }
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(404).json({ success: false, error: 'Wallet not found' });
+    }
+
+    const updates = {
+      freeze: [{ frozenAt: null }, { $set: { frozenAt: new Date(), frozenReason: reason, frozenReference: `admin:${req.user._id}` } }],
+      unfreeze: [{ frozenAt: { $ne: null } }, { $unset: { frozenAt: 1, frozenReason: 1, frozenReference: 1 } }],
+      'clear-negative-flag': [{ negativeBalanceFlaggedAt: { $ne: null } }, { $unset: { negativeBalanceFlaggedAt: 1 } }]
+    };
+    const [condition, update] = updates[action];
+
+    const wallet = await Wallet.findOneAndUpdate({ userId: req.params.userId, ...condition }, update, { new: true });
+    if (!wallet) {
+      const exists = await Wallet.exists({ userId: req.params.userId });
+      return exists
+        ? res.status(409).json({ success: false, error: `Wallet is not in a state that allows ${action}` })
+        : res.status(404).json({ success: false, error: 'Wallet not found' });
+    }
+
+    // 🧊 ระงับแล้ว: ปฏิเสธคำขอถอนที่ยังไม่เข้ารอบโอน และพักคำขอที่อยู่ในไฟล์โอนแล้ว
+    const withdrawals = action === 'freeze'
+      ? await WithdrawalService.holdForFrozenWallet(wallet.userId, { by: req.user._id, reason })
+      : null;
+
+    await AuditLog.create({
+      userId: req.user._id,
+      action: `wallet_${action.replace(/-/g, '_')}`,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+      metadata: {
+        walletUserId: req.params.userId,
+        reason,
+        coinPoints: wallet.coinPoints,
+        rejectedWithdrawals: withdrawals ? withdrawals.rejected.map(r => r._id.toString()) : undefined,
+        heldWithdrawals: withdrawals ? withdrawals.held.map(r => r._id.toString()) : undefined
+      }
+    });
+
+    if (action !== 'clear-negative-flag') {
+      await createSystemNotification(wallet.userId, {
+        alertType: action === 'freeze' ? 'warning' : 'info',
+        message: action === 'freeze'
+          ? `กระเป๋าเงินของคุณถูกระงับชั่วคราว: ${reason}`
+          : 'กระเป๋าเงินของคุณกลับมาใช้งานได้ตามปกติแล้ว',
+        actionUrl: '/wallet'
+      });
+
+      const io = req.app.get('io');
+      if (io) {
+        io.to(`wallet_${wallet.userId}`).emit('wallet_updated', {
+          reason: action === 'freeze' ? 'wallet_frozen' : 'wallet_unfrozen',
+          amount: 0,
+          newBalance: wallet.coinPoints
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      wallet,
+      heldWithdrawals: withdrawals ? withdrawals.held.map(r => r._id) : undefined
+    });
+  } catch (error) {
+    console.error('❌ Update wallet flag error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update wallet'
+    });
+  }
+});
+
+// 📒 ผลการกระทบยอด Wallet กับสมุดบัญชี (ล่าสุดก่อน)
+app.get('/api/admin/ledger/reconciliations', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Admin only.'
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const [reconciliations, total] = await Promise.all([
+      LedgerReconciliation.find()
+        .select('-drifts')
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      LedgerReconciliation.countDocuments()
+    ]);
+
+    res.json({
+      success: true,
+      reconciliations,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('❌ Get ledger reconciliations error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get ledger reconciliations'
+    });
+  }
+});
+
+app.get('/api/admin/ledger/reconciliations/:id', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Admin only.'
+      });
+    }
+
+    const reconciliation = mongoose.isValidObjectId(req.params.id)
+      && await LedgerReconciliation.findById(req.params.id).populate('drifts.userId', 'username userId email');
+    if (!reconciliation) return res.status(404).json({ success: false, error: 'Reconciliation not found' });
+
+    res.json({ success: true, reconciliation });
+  } catch (error) {
+    console.error('❌ Get ledger reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get ledger reconciliation'
+    });
+  }
+});
+
+// สั่งกระทบยอดทันที (ปกติรันอัตโนมัติวันละครั้ง)
+app.post('/api/admin/ledger/reconcile', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Admin only.'
+      });
+    }
+
+    const reconciliation = await LedgerService.reconcile({ trigger: 'manual', triggeredBy: req.user._id });
+
+    await AuditLog.create({
+      userId: req.user._id,
+      action: 'ledger_reconcile',
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+      metadata: { reconciliationId: reconciliation._id.toString(), status: reconciliation.status, driftCount: reconciliation.driftCount }
+    });
+
+    res.json({ success: true, reconciliation });
+  } catch (error) {
+    console.error('❌ Ledger reconcile error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reconcile ledger'
+    });
+  }
+});
+
+// 🏧 คิวคำขอถอนรายได้ (ค่าเริ่มต้น = รออนุมัติ เรียงจากส่งก่อน)
+app.get('/api/admin/withdrawals', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Admin only.'
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const statuses = ['pending', 'approved', 'processing', 'paid', 'rejected', 'cancelled', 'failed'];
+    const status = statuses.includes(req.query.status) ? req.query.status : 'pending';
+    const filter = { status };
+    if (req.query.batchId) filter.batchId = String(req.query.batchId);
+
+    const [withdrawals, total] = await Promise.all([
+      WithdrawalRequest.find(filter)
+        .populate('userId', 'username userId email')
+        .sort({ createdAt: status === 'pending' || status === 'approved' ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WithdrawalRequest.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      withdrawals,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('❌ Get withdrawal queue error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get withdrawal queue'
+    });
+  }
+});
+
+// สร้างรอบโอนเงินจากคำขอที่อนุมัติแล้ว และดาวน์โหลดไฟล์ CSV สำหรับ bulk transfer
+app.post('/api/admin/withdrawals/batches', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Admin only.'
+      });
+    }
+
+    const { batchId, requests } = await WithdrawalService.createBatch(req.user._id);
+    if (requests.length === 0) {
+      return res.status(409).json({ success: false, error: 'No approved withdrawals to export' });
+    }
+
+    await AuditLog.create({
+      userId: req.user._id,
+      action: 'withdrawal_batch_created',
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+      metadata: {
+        batchId,
+        count: requests.length,
+        totalThb: requests.reduce((sum, request) => sum + request.payoutThb, 0)
+      }
+    });
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${batchId}.csv"`);
+    res.send(WithdrawalService.toCsv(batchId, requests));
+  } catch (error) {
+    console.error('❌ Create payout batch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create payout batch'
+    });
+  }
+});
+
+// ดาวน์โหลดไฟล์ของรอบเดิมซ้ำ
+app.get('/api/admin/withdrawals/batches/:batchId/export', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Admin only.'
+      });
+    }
+
+    const requests = await WithdrawalService.getBatch(req.params.batchId);
+    if (requests.length === 0) return res.status(404).json({ success: false, error: 'Batch not found' });
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${req.params.batchId}.csv"`);
+    res.send(WithdrawalService.toCsv(req.params.batchId, requests));
+  } catch (error) {
+    console.error('❌ Export payout batch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export payout batch'
+    });
+  }
+});
+
+// อนุมัติ / ปฏิเสธคำขอ และบันทึกผลการโอนของรายการในรอบโอนเงิน (paid / failed)
+const WITHDRAWAL_ACTIONS = {
+  approve: { reasonRequired: false },
+  reject: { reasonRequired: true },
+  paid: { reasonRequired: false },
+  failed: { reasonRequired: true }
+};
+
+app.post('/api/admin/withdrawals/:id/:decision(approve|reject|paid|failed)', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Admin only.'
+      });
+    }
+
+    const { decision } = req.params;
+    const reason = req.body.reason ? String(req.body.reason).trim().substring(0, 500) : undefined;
+    const payoutReference = req.body.payoutReference ? String(req.body.payoutReference).trim().substring(0, 100) : undefined;
+    if (WITHDRAWAL_ACTIONS[decision].reasonRequired && !reason) {
+      return res.status(400).json({ success: false, error: 'Reason is required' });
+    }
+    if (decision === 'paid' && !payoutReference) {
+      return res.status(400).json({ success: false, error: 'payoutReference is required' });
+    }
+
+    const request = mongoose.isValidObjectId(req.params.id) && await WithdrawalRequest.findById(req.params.id);
+    if (!request) return res.status(404).json({ success: false, error: 'Withdrawal not found' });
+
+    let updated;
+    try {
+      updated = await WithdrawalService.transition(request, decision, { by: req.user._id, reason, payoutReference });
+    } catch (error) {
+      if (error instanceof LedgerService.LedgerError && error.code === 'wallet_frozen') {
+        return res.status(409).json({ success: false, error: `Cannot mark a withdrawal as ${decision} while the wallet is frozen`, code: 'wallet_frozen' });
+      }
+      throw error;
+    }
+    if (!updated) {
+      return res.status(409).json({ success: false, error: `Cannot mark a ${request.status} withdrawal as ${decision}` });
+    }
+
+    await AuditLog.create({
+      userId: req.user._id,
+      action: `withdrawal_${updated.status}`,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+      metadata: { withdrawalId: updated._id.toString(), userId: updated.userId.toString(), payoutThb: updated.payoutThb, reason, payoutReference }
+    });
+
+    // ⚡ Coins คืนเข้ารายได้: แจ้งแอปมือถือให้รีเฟรชยอด
+    if (updated.status === 'rejected' || updated.status === 'failed') {
+      const io = req.app.get('io');
+      const wallet = await Wallet.findOne({ userId: updated.userId }).select('coinPoints earnedCoins');
+      if (io && wallet) {
+        io.to(`wallet_${updated.userId}`).emit('wallet_updated', {
+          reason: 'withdrawal_returned',
+          amount: updated.coins,
+          newBalance: wallet.coinPoints,
+          earnedCoins: wallet.earnedCoins,
+          referenceId: `WITHDRAWAL_${updated._id}`
+        });
+      }
+    }
+
+    res.json({ success: true, withdrawal: updated });
+  } catch (error) {
+    console.error('❌ Withdrawal decision error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update withdrawal'
+    });
+  }
+});
+
+// คิวตรวจสอบแอปของนักพัฒนา (ค่าเริ่มต้น = แอปที่รอตรวจ เรียงจากส่งก่อน)
+app.get('/api/admin/oauth-apps', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Admin only.'
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const status = ['draft', 'in_review', 'approved', 'suspended'].includes(req.query.status) ? req.query.status : 'in_review';
+    const filter = { status };
+
+    const [apps, total] = await Promise.all([
+      OAuthApp.find(filter)
+        .populate('developerId', 'username userId email')
+        .sort(status === 'in_review' ? { 'review.submittedAt': 1 } : { createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      OAuthApp.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      apps,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('❌ Get OAuth app review queue error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get app review queue'
+    });
+  }
+});
+
+// ตัดสินผลการตรวจสอบ: approve / reject (ตีกลับเป็น draft) / suspend / reinstate
+const APP_REVIEW_ACTIONS = {
+  approve: { action: 'approved', reasonRequired: false },
+  reject: { action: 'rejected', reasonRequired: true },
+  suspend: { action: 'suspended', reasonRequired: true },
+  reinstate: { action: 'reinstated', reasonRequired: false }
+};
+
+app.post('/api/admin/oauth-apps/:id/:decision(approve|reject|suspend|reinstate)', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Admin only.'
+      });
+    }
+
+    const { action, reasonRequired } = APP_REVIEW_ACTIONS[req.params.decision];
+    const reason = req.body.reason ? String(req.body.reason).trim().substring(0, 500) : undefined;
+    if (reasonRequired && !reason) {
+      return res.status(400).json({ success: false, error: 'Reason is required' });
+    }
+
+    const oauthApp = await OAuthApp.findById(req.params.id);
+    if (!oauthApp) return res.status(404).json({ success: false, error: 'App not found' });
+
+    const updated = await OAuthAppReviewService.transition(oauthApp, action, { by: req.user._id, reason });
+    if (!updated) {
+      return res.status(409).json({ success: false, error: `Cannot ${req.params.decision} an app that is ${oauthApp.status}` });
+    }
+
+    await AuditLog.create({
+      userId: req.user._id,
+      action: `oauth_app_${action}`,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+      metadata: { clientId: updated.clientId, appName: updated.appName, reason }
+    });
+
+    res.json({ success: true, app: updated });
+  } catch (error) {
+    console.error('❌ OAuth app review decision error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update app review status'
+    });
+  }
+});
+
+// 📣 API สำหรับ Admin ผูกแอปพาร์ทเนอร์กับบัญชีทางการ (Official Account) ที่รับข้อความแชทผ่าน webhook
+app.put('/api/admin/oauth-apps/:id/official-account', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Admin only.'
+      });
+    }
+
+    const { userId } = req.body;
+    const oauthApp = await OAuthApp.findById(req.params.id);
+    if (!oauthApp) return res.status(404).json({ success: false, error: 'App not found' });
+
+    // userId = null เพื่อยกเลิกการผูกบัญชีทางการ
+    if (userId) {
+      const account = await User.findById(userId).select('_id');
+      if (!account) return res.status(404).json({ success: false, error: 'User not found' });
+
+      const linked = await OAuthApp.exists({ _id: { $ne: oauthApp._id }, officialAccountId: account._id });
+      if (linked) return res.status(409).json({ success: false, error: 'This account is already linked to another app' });
+    }
+
+    oauthApp.officialAccountId = userId || undefined;
+    await oauthApp.save();
+
+    await AuditLog.create({
+      userId: req.user._id,
+      action: 'oauth_app_official_account_updated',
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+      metadata: { clientId: oauthApp.clientId, officialAccountId: userId || null }
+    });
+
+    res.json({ success: true, app: oauthApp });
+  } catch (error) {
+    console.error('❌ Update official account error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update official account'
+    });
+  }
+});
+
+// 🔑 API สำหรับ Admin หมุน Signing Key ของ OpenID Connect ทันที (เช่น เมื่อสงสัยว่า key รั่ว)
+app.post('/api/admin/oidc/rotate-keys', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Admin only.'
+      });
+    }
+
+    const key = await OidcService.rotateSigningKey();
+
+    res.json({
+      success: true,
+      message: 'Signing key rotated successfully',
+      kid: key.kid
+    });
+  } catch (error) {
+    console.error('❌ Rotate OIDC keys error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rotate signing keys'
+    });
+  }
+});
+
+// 🔒 API สำหรับดูบัญชี / IP ที่ถูกล็อกจากการเข้าสู่ระบบผิดหลายครั้ง
+app.get('/api/admin/login-locks', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Admin only.'
+      });
+    }
+
+    const locks = await LoginThrottleService.listActiveLocks();
+
+    res.json({
+      success: true,
+      locks: locks.map(lock => ({
+        scope: lock.scope,
+        user: lock.userId,
+        ipAddress: lock.ipAddress,
+        lockCount: lock.lockCount,
+        lockedUntil: lock.lockedUntil,
+        lastFailureAt: lock.lastFailureAt
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Get login locks error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get login locks'
+    });
+  }
+});
+
+// 🔓 API สำหรับ Admin ปลดล็อกบัญชีที่ถูกล็อกจากการเข้าสู่ระบบผิดหลายครั้ง
+app.post('/api/admin/users/:userId/unlock', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Admin only.'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const unlocked = await LoginThrottleService.unlockAccount(user._id);
+
+    await AuditLog.create({
+      userId: user._id,
+      action: 'account_unlocked',
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+      metadata: { adminId: req.user._id.toString() }
+    });
+
+    console.log('🔓 Admin unlocked account:', user._id, 'by', req.user._id);
+
+    res.json({
+      success: true,
+      message: unlocked ? 'Account unlocked successfully' : 'Account was not locked',
+      unlocked
+    });
+  } catch (error) {
+    console.error('❌ Unlock account error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unlock account'
+    });
+  }
+});
+
 // 🔧 API สำหรับตรวจสอบสถานะแชททางการ
 app.get('/api/admin/official-chats-status', authenticateToken, async (req, res) => {
   try {
@@ -8056,6 +8379,13 @@ app.use('*', (req, res) => {
 
 const startServer = async () => {
   await connectDB();
+  await OAuthService.migratePlaintextCredentials();
+  await OAuthAppReviewService.migrateExistingApps();
+  await LedgerService.migrateOpeningBalances();
+  await CoinPackageService.seedDefaultPackages();
+  WebhookService.startDeliveryWorker();
+  StripeEventService.startWorker(io);
+  LedgerService.startReconciliationJob();
   await createSystemAccount();
   await createAdminUser();
   await ensureAllUsersHaveOfficialChat();
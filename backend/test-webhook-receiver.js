@@ -0,0 +1,49 @@
+// 🧪 เซิร์ฟเวอร์จำลองฝั่งพาร์ทเนอร์สำหรับทดสอบ webhook ในเครื่อง
+// ใช้งาน: WEBHOOK_SECRET=whsec_xxx node test-webhook-receiver.js
+// แล้วลงทะเบียน http://localhost:4000/webhooks ใน Developer Portal (http ใช้ได้เฉพาะ localhost นอก production)
+// ตั้ง FAIL_FIRST=2 เพื่อตอบ 500 สองครั้งแรก ใช้ดูการ retry ใน delivery log
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.PORT) || 4000;
+const SECRET = process.env.WEBHOOK_SECRET;
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+let failuresLeft = parseInt(process.env.FAIL_FIRST) || 0;
+
+const verifySignature = (header, body) => {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+  if (!parts.t || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - Number(parts.t)) > SIGNATURE_TOLERANCE_SECONDS) return false;
+
+  const expected = crypto.createHmac('sha256', SECRET).update(`${parts.t}.${body}`).digest('hex');
+  return expected.length === parts.v1.length && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(parts.v1));
+};
+
+http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const signatureOk = SECRET ? verifySignature(req.headers['x-chatchat-signature'], body) : null;
+    console.log(`\n📬 ${req.method} ${req.url}`);
+    console.log('Event:', req.headers['x-chatchat-event'], '| Delivery:', req.headers['x-chatchat-delivery']);
+    console.log('Signature:', signatureOk === null ? 'not checked (WEBHOOK_SECRET not set)' : signatureOk ? '✅ valid' : '❌ invalid');
+    console.log('Body:', body);
+
+    if (signatureOk === false) {
+      res.writeHead(400);
+      return res.end('invalid signature');
+    }
+
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      console.log('💥 Simulating failure, remaining:', failuresLeft);
+      res.writeHead(500);
+      return res.end('simulated failure');
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ received: true }));
+  });
+}).listen(PORT, () => {
+  console.log(`🧪 Webhook receiver listening on http://localhost:${PORT}`);
+});